@@ -9,7 +9,7 @@ class Agent {
      * Cria um novo agente
      * @param {number} x - Posição X inicial
      * @param {number} y - Posição Y inicial
-     * @param {Object} options - Opções de configuração
+     * @param {Object} options - Opções de configuração (options.rng: SeededRandom)
      */
     constructor(x, y, options = {}) {
         // Posição
@@ -40,8 +40,11 @@ class Agent {
         this.trail = [];
         this.maxTrailLength = options.maxTrailLength || 50;
         
+        // Gerador de números aleatórios (injetado para tentativas reproduzíveis)
+        this.rng = options.rng || new SeededRandom();
+        
         // ID único
-        this.id = Agent.generateId();
+        this.id = Agent.generateId(this.rng);
         
         // Timestamp de criação
         this.createdAt = Date.now();
@@ -54,13 +57,13 @@ class Agent {
 
     /**
      * Atualiza o agente
-     * @param {number} deltaTime - Tempo desde última atualização
+     * @param {number} deltaTime - Passo em frames de referência (1 = 1/referenceFPS s)
      */
     update(deltaTime = 1) {
         if (!this.active) return;
         
         // Atualizar velocidade com aceleração
-        this.velocity.add(this.acceleration);
+        this.velocity.add(Vector2D.multiply(this.acceleration, deltaTime));
         
         // Limitar velocidade máxima
         this.velocity.limit(this.maxSpeed);
@@ -169,6 +172,9 @@ class Agent {
      * @param {string} imagePath - Caminho da imagem
      */
     loadImage(imagePath) {
+        // Ambiente headless (Node.js): sem imagens, renderização usa fallback
+        if (typeof Image === 'undefined') return;
+        
         const img = new Image();
         img.src = imagePath;
         img.onload = () => {
@@ -294,10 +300,11 @@ class Agent {
 
     /**
      * Gera um ID único
+     * @param {SeededRandom} rng - Gerador com semente
      * @returns {string} ID único
      */
-    static generateId() {
-        return 'agent_' + Math.random().toString(36).substr(2, 9);
+    static generateId(rng) {
+        return 'agent_' + rng.next().toString(36).substr(2, 9);
     }
 }
 
@@ -10,16 +10,20 @@ class Frajola extends Agent {
      * @param {number} x - Posição X inicial
      * @param {number} y - Posição Y inicial
      * @param {number} speed - Velocidade do agente
+     * @param {SeededRandom} rng - Gerador com semente (opcional)
      */
-    constructor(x, y, speed = CONFIG.chaser.defaultSpeed) {
+    constructor(x, y, speed = CONFIG.chaser.defaultSpeed, rng = null) {
         super(x, y, {
             size: CONFIG.chaser.size,
             color: CONFIG.chaser.color,
             velocityColor: CONFIG.chaser.velocityColor,
-            maxSpeed: speed
+            maxSpeed: speed,
+            maxForce: CONFIG.chaser.maxForce,
+            rng: rng
         });
 
         this.type = 'chaser';
+        this.index = 0; // posição entre os Frajolas da tentativa
         this.detectionRadius = CONFIG.chaser.detectionRadius;
         this.target = null;
         this.targetDetected = false;
@@ -60,7 +64,7 @@ class Frajola extends Agent {
 
     /**
      * Atualiza o Frajola
-     * @param {number} deltaTime - Tempo desde última atualização
+     * @param {number} deltaTime - Passo em frames de referência
      * @param {DetectionSystem} detectionSystem - Sistema de detecção
      */
     update(deltaTime = 1, detectionSystem = null) {
@@ -73,7 +77,7 @@ class Frajola extends Agent {
 
         // Executar estratégia se alvo detectado ou se estratégia funciona sem detecção
         if (this.strategy) {
-            const steering = this.strategy.calculate(this, this.target, this.targetDetected);
+            const steering = this.strategy.calculate(this, this.target, this.targetDetected, deltaTime);
             if (steering) {
                 this.applyForce(steering);
             }
@@ -84,7 +88,7 @@ class Frajola extends Agent {
 
         // Atualizar tempo de perseguição
         if (this.targetDetected) {
-            this.currentPursuitTime += deltaTime / CONFIG.simulation.defaultFPS;
+            this.currentPursuitTime += deltaTime / CONFIG.physics.referenceFPS;
         }
 
         logger.physics('Frajola atualizado', {
@@ -105,22 +109,28 @@ class Frajola extends Agent {
         const distance = this.distanceTo(this.target);
         
         if (distance < captureDistance) {
-            this.captureCount++;
-            this.totalPursuitTime += this.currentPursuitTime;
-            
-            logger.info('🎯 Captura realizada!', {
-                captureCount: this.captureCount,
-                pursuitTime: this.currentPursuitTime.toFixed(2) + 's',
-                distance: distance.toFixed(2)
-            });
-            
-            this.currentPursuitTime = 0;
+            this.registerCapture();
             return true;
         }
         
         return false;
     }
 
+    /**
+     * Contabiliza uma captura confirmada
+     */
+    registerCapture() {
+        this.captureCount++;
+        this.totalPursuitTime += this.currentPursuitTime;
+        
+        logger.info('🎯 Captura realizada!', {
+            captureCount: this.captureCount,
+            pursuitTime: this.currentPursuitTime.toFixed(2) + 's'
+        });
+        
+        this.currentPursuitTime = 0;
+    }
+
     /**
      * Move diretamente em direção ao alvo
      * @returns {Vector2D} Força de steering
@@ -197,10 +207,7 @@ class Frajola extends Agent {
     draw(ctx) {
         super.draw(ctx);
 
-        // Desenhar raio de detecção
-        if (CONFIG.visualization.showDetectionRadius) {
-            this.drawDetectionRadius(ctx);
-        }
+        // Campo de visão é desenhado pelo Renderer (depende do DetectionSystem)
 
         // Desenhar linha de perseguição
         if (CONFIG.visualization.showPursuitLine && this.targetDetected && this.target) {
@@ -208,22 +215,6 @@ class Frajola extends Agent {
         }
     }
 
-    /**
-     * Desenha o raio de detecção
-     * @param {CanvasRenderingContext2D} ctx - Contexto do canvas
-     */
-    drawDetectionRadius(ctx) {
-        const effectiveRadius = this.detectionRadius * CONFIG.detection.baseSensitivity;
-        
-        ctx.beginPath();
-        ctx.arc(this.position.x, this.position.y, effectiveRadius, 0, Math.PI * 2);
-        ctx.strokeStyle = this.targetDetected ? 
-            CONFIG.detection.detectedColor : 
-            CONFIG.detection.lostColor;
-        ctx.lineWidth = 2;
-        ctx.stroke();
-    }
-
     /**
      * Desenha linha de perseguição até o alvo
      * @param {CanvasRenderingContext2D} ctx - Contexto do canvas
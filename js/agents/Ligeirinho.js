@@ -10,18 +10,23 @@ class Ligeirinho extends Agent {
      * @param {number} x - Posição X inicial
      * @param {number} y - Posição Y inicial
      * @param {number} speed - Velocidade do agente
+     * @param {SeededRandom} rng - Gerador com semente (opcional)
      */
-    constructor(x, y, speed = CONFIG.target.defaultSpeed) {
+    constructor(x, y, speed = CONFIG.target.defaultSpeed, rng = null) {
         super(x, y, {
             size: CONFIG.target.size,
             color: CONFIG.target.color,
             velocityColor: CONFIG.target.velocityColor,
-            maxSpeed: speed
+            maxSpeed: speed,
+            rng: rng
         });
 
         this.type = 'target';
+        this.index = 0; // posição entre os Ligeirinhos da tentativa
         this.spawnEdge = null;
         this.escapeAttempts = 0;
+        this.behavior = null;
+        this.threat = null; // perseguidor observado pelo comportamento
         
         // Carregar imagem do Ligeirinho
         this.loadImage('./assets/ligeirinho.png');
@@ -32,44 +37,87 @@ class Ligeirinho extends Agent {
         });
     }
 
+    /**
+     * Define o comportamento de fuga
+     * @param {TargetBehavior} behavior - Comportamento a usar
+     */
+    setBehavior(behavior) {
+        this.behavior = behavior;
+        logger.strategy(`Comportamento do Ligeirinho alterado para: ${behavior.name}`);
+    }
+
+    /**
+     * Define o perseguidor observado pelo comportamento
+     * @param {Frajola} chaser - Perseguidor
+     */
+    setThreat(chaser) {
+        this.threat = chaser;
+    }
+
+    /**
+     * Spawna o Ligeirinho em uma borda ou zona sorteada do mapa
+     * @param {number} canvasWidth - Largura do canvas
+     * @param {number} canvasHeight - Altura do canvas
+     * @param {Array<string>} edges - Bordas permitidas ('top', 'right', 'bottom', 'left')
+     * @param {Array<Object>} zones - Zonas de spawn ({ x, y, width, height })
+     */
+    spawnInArena(canvasWidth, canvasHeight, edges = Ligeirinho.EDGES, zones = []) {
+        const choice = this.rng.int(0, edges.length + zones.length - 1);
+        
+        if (choice < edges.length) {
+            this.spawnAtEdge(edges[choice], canvasWidth, canvasHeight);
+        } else {
+            this.spawnInZone(zones[choice - edges.length], canvasWidth, canvasHeight);
+        }
+    }
+
     /**
      * Spawna o Ligeirinho em uma borda aleatória
      * @param {number} canvasWidth - Largura do canvas
      * @param {number} canvasHeight - Altura do canvas
      */
     spawnAtRandomEdge(canvasWidth, canvasHeight) {
-        const edge = Math.floor(Math.random() * 4);
-        this.spawnEdge = ['top', 'right', 'bottom', 'left'][edge];
+        this.spawnInArena(canvasWidth, canvasHeight);
+    }
+
+    /**
+     * Spawna o Ligeirinho em uma borda, entrando no canvas
+     * @param {string} edge - Borda ('top', 'right', 'bottom', 'left')
+     * @param {number} canvasWidth - Largura do canvas
+     * @param {number} canvasHeight - Altura do canvas
+     */
+    spawnAtEdge(edge, canvasWidth, canvasHeight) {
+        this.spawnEdge = edge;
         
         let x, y, vx, vy;
         
         switch(edge) {
-            case 0: // top
-                x = Math.random() * canvasWidth;
+            case 'top':
+                x = this.rng.range(0, canvasWidth);
                 y = 0;
-                vx = (Math.random() - 0.5) * 2;
+                vx = this.rng.range(-1, 1);
                 vy = 1;
                 break;
                 
-            case 1: // right
+            case 'right':
                 x = canvasWidth;
-                y = Math.random() * canvasHeight;
+                y = this.rng.range(0, canvasHeight);
                 vx = -1;
-                vy = (Math.random() - 0.5) * 2;
+                vy = this.rng.range(-1, 1);
                 break;
                 
-            case 2: // bottom
-                x = Math.random() * canvasWidth;
+            case 'bottom':
+                x = this.rng.range(0, canvasWidth);
                 y = canvasHeight;
-                vx = (Math.random() - 0.5) * 2;
+                vx = this.rng.range(-1, 1);
                 vy = -1;
                 break;
                 
             default: // left
                 x = 0;
-                y = Math.random() * canvasHeight;
+                y = this.rng.range(0, canvasHeight);
                 vx = 1;
-                vy = (Math.random() - 0.5) * 2;
+                vy = this.rng.range(-1, 1);
         }
         
         // Normalizar e aplicar velocidade
@@ -85,11 +133,47 @@ class Ligeirinho extends Agent {
         });
     }
 
+    /**
+     * Spawna o Ligeirinho dentro de uma zona, rumo ao centro do canvas
+     * @param {Object} zone - Zona ({ x, y, width, height })
+     * @param {number} canvasWidth - Largura do canvas
+     * @param {number} canvasHeight - Altura do canvas
+     */
+    spawnInZone(zone, canvasWidth, canvasHeight) {
+        this.spawnEdge = 'zone';
+        
+        const x = this.rng.range(zone.x, zone.x + zone.width);
+        const y = this.rng.range(zone.y, zone.y + zone.height);
+        
+        // Direção ao centro com desvio de até ±45°
+        const toCenter = new Vector2D(canvasWidth / 2 - x, canvasHeight / 2 - y);
+        const angle = toCenter.angle() + this.rng.range(-Math.PI / 4, Math.PI / 4);
+        const velocity = Vector2D.fromAngle(angle, this.maxSpeed);
+        
+        this.setPosition(x, y);
+        this.setVelocity(velocity.x, velocity.y);
+        
+        logger.info('Ligeirinho spawnou em zona', {
+            position: this.position.toString(),
+            velocity: this.velocity.toString()
+        });
+    }
+
     /**
      * Atualiza o Ligeirinho
-     * @param {number} deltaTime - Tempo desde última atualização
+     * @param {number} deltaTime - Passo em frames de referência
      */
     update(deltaTime = 1) {
+        if (!this.active) return;
+        
+        // Executar comportamento
+        if (this.behavior) {
+            const steering = this.behavior.calculate(this, this.threat, deltaTime);
+            if (steering) {
+                this.applyForce(steering);
+            }
+        }
+        
         super.update(deltaTime);
         
         // Manter velocidade constante
@@ -148,8 +232,8 @@ class Ligeirinho extends Agent {
      * @param {number} maxAngle - Ângulo máximo de mudança em radianos
      */
     erraticBehavior(chance = 0.01, maxAngle = Math.PI / 4) {
-        if (Math.random() < chance) {
-            const angle = (Math.random() - 0.5) * maxAngle;
+        if (this.rng.chance(chance)) {
+            const angle = this.rng.range(-0.5, 0.5) * maxAngle;
             this.velocity.rotate(angle);
             
             logger.physics('Ligeirinho mudou direção erraticamente', {
@@ -198,6 +282,7 @@ class Ligeirinho extends Agent {
             ...super.getDebugInfo(),
             type: 'Ligeirinho',
             spawnEdge: this.spawnEdge,
+            behavior: this.behavior ? this.behavior.name : 'None',
             escapeAttempts: this.escapeAttempts,
             speed: this.velocity.magnitude().toFixed(2)
         };
@@ -216,6 +301,9 @@ class Ligeirinho extends Agent {
     }
 }
 
+// Bordas de spawn, na ordem usada pelo sorteio
+Ligeirinho.EDGES = ['top', 'right', 'bottom', 'left'];
+
 // Exportar
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Ligeirinho;
@@ -1,7 +1,7 @@
 /**
  * DataExporter.js
  * Exporta dados da simulação em diferentes formatos
- * Suporta JSON, CSV e geração de relatórios
+ * Suporta JSON, CSV, relatórios HTML e tabelas CSV (tentativas, telemetria, colisões e detecções)
  */
 
 class DataExporter {
@@ -70,7 +70,7 @@ class DataExporter {
         const rows = [];
         
         // Cabeçalho
-        rows.push('Tipo,Tentativa,Timestamp,Duração (s),Estratégia,Velocidade Alvo,Velocidade Perseguidor,Sensibilidade,Distância');
+        rows.push('Tipo,Tentativa,Timestamp,Duração (s),Estratégia,Comportamento Alvo,Velocidade Alvo,Velocidade Perseguidor,Sensibilidade,Detecção,Ângulo Cone,Distância,Obstáculos,Frajolas,Ligeirinhos,Frajola,Ligeirinho,Transições de Estado,Semente,Posição X,Posição Y');
         
         // Dados do histórico
         data.attemptHistory.forEach(record => {
@@ -80,10 +80,22 @@ class DataExporter {
                 new Date(record.timestamp).toISOString(),
                 record.duration.toFixed(2),
                 record.strategy,
+                record.targetBehavior || '',
                 record.targetSpeed,
                 record.chaserSpeed,
                 record.detectionSensitivity,
-                record.distance || ''
+                record.detectionMethod || '',
+                record.detectionMethod === 'cone' ? record.coneAngle : '',
+                record.distance || '',
+                record.obstacles || '',
+                record.chaserCount || 1,
+                record.targetCount || 1,
+                record.chaserIndex !== undefined && record.chaserIndex !== null ? record.chaserIndex + 1 : '',
+                (record.targetIndex || 0) + 1,
+                this.formatStateHistory(record.stateHistory, record.chaserCount),
+                record.seed !== undefined && record.seed !== null ? record.seed : '',
+                record.position ? record.position.x : '',
+                record.position ? record.position.y : ''
             ];
             rows.push(row.join(','));
         });
@@ -91,6 +103,7 @@ class DataExporter {
         // Adicionar sumário no final
         rows.push('');
         rows.push('SUMÁRIO');
+        rows.push(`Semente da Sessão,${data.metadata.seed !== null ? data.metadata.seed : ''}`);
         rows.push(`Total de Tentativas,${data.summary.attempts}`);
         rows.push(`Capturas,${data.summary.captures}`);
         rows.push(`Fugas,${data.summary.escapes}`);
@@ -102,12 +115,184 @@ class DataExporter {
         return rows.join('\n');
     }
 
+    /**
+     * Linhas de uma tabela de exportação
+     * @param {string} table - Nome da tabela (DataExporter.TABLES)
+     * @param {Object} sources - Fontes de dados
+     * @param {Array<Object>} sources.attempts - Histórico de tentativas (StatsTracker.attemptHistory)
+     * @param {Object} sources.replay - Replay gravado (EpisodeRecorder), ou null
+     * @param {Array<Object>} sources.collisions - Histórico do CollisionDetector
+     * @param {Array<Object>} sources.detections - Log de detecção do SimulationCore
+     * @returns {Array<Object>} Linhas
+     */
+    getTableRows(table, sources) {
+        switch (table) {
+            case 'attempts':
+                return sources.attempts || [];
+            case 'frames':
+                return this.getFrameRows(sources.replay);
+            case 'collisions':
+                return sources.collisions || [];
+            case 'detections':
+                return sources.detections || [];
+            default:
+                logger.error('Tabela de exportação inválida', { table });
+                return [];
+        }
+    }
+
+    /**
+     * Achata os quadros de um replay em uma linha por agente por quadro
+     * @param {Object} replay - Replay (formato do EpisodeRecorder)
+     * @returns {Array<Object>} Linhas da telemetria
+     */
+    getFrameRows(replay) {
+        if (!replay) return [];
+
+        const rows = [];
+        replay.frames.forEach((frame, index) => {
+            const episode = replay.episodes[frame.e];
+            const common = {
+                episode: frame.e + 1,
+                seed: episode.seed,
+                strategy: episode.strategy,
+                frame: index,
+                time: frame.t
+            };
+
+            frame.c.forEach(([x, y, vx, vy, detected, target, state, aimX, aimY], i) => {
+                rows.push({
+                    ...common,
+                    agent: `F${i + 1}`,
+                    x, y, vx, vy,
+                    detected: detected,
+                    target: target >= 0 ? `L${target + 1}` : null,
+                    state: state,
+                    aimX, aimY
+                });
+            });
+            frame.l.forEach(([x, y, vx, vy, active], i) => {
+                rows.push({ ...common, agent: `L${i + 1}`, x, y, vx, vy, active });
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Converte as linhas de uma tabela em CSV
+     * @param {string} table - Nome da tabela (DataExporter.TABLES)
+     * @param {Array<Object>} rows - Linhas (getTableRows)
+     * @param {Object} options - Opções
+     * @param {Array<string>} options.columns - Chaves das colunas (padrão: todas)
+     * @param {string} options.delimiter - Separador de campos
+     * @param {string} options.decimal - Separador decimal ('.' ou ',')
+     * @returns {string} CSV
+     */
+    toTableCSV(table, rows, options = {}) {
+        const keys = options.columns || DataExporter.TABLES[table].columns.map(column => column.key);
+        const columns = DataExporter.TABLES[table].columns.filter(column => keys.includes(column.key));
+        const delimiter = options.delimiter || CONFIG.csvExport.delimiter;
+        const format = (value, type) => this.formatCSVValue(value, type, { ...options, delimiter });
+
+        const lines = [columns.map(column => format(column.label, 'text')).join(delimiter)];
+        for (const row of rows) {
+            lines.push(columns.map(column => {
+                const value = column.value ? column.value(row, this) : row[column.key];
+                return format(value, column.type);
+            }).join(delimiter));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Formata um campo de CSV (aspas quando necessário, RFC 4180)
+     * @param {*} value - Valor (null e undefined viram campo vazio)
+     * @param {string} type - 'number' ou 'text'
+     * @param {Object} options - { delimiter, decimal }
+     * @returns {string} Campo
+     */
+    formatCSVValue(value, type, options = {}) {
+        if (value === null || value === undefined) return '';
+
+        let text;
+        if (type === 'number') {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return '';
+            text = String(MathUtils.round(value, 6));
+            if ((options.decimal || CONFIG.csvExport.decimal) === ',') {
+                text = text.replace('.', ',');
+            }
+        } else {
+            text = String(value);
+        }
+
+        const delimiter = options.delimiter || CONFIG.csvExport.delimiter;
+        if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+            text = `"${text.replace(/"/g, '""')}"`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Exporta as tabelas escolhidas como CSVs separados ou em um único ZIP
+     * @param {Object} sources - Fontes de dados (ver getTableRows)
+     * @param {Object} options - Opções
+     * @param {Object} options.tables - Colunas escolhidas por tabela ({ attempts: ['attempt', ...], ... })
+     * @param {string} options.delimiter - Separador de campos
+     * @param {string} options.decimal - Separador decimal
+     * @param {boolean} options.bom - Prefixar BOM UTF-8
+     * @param {boolean} options.zip - Agrupar em um ZIP
+     * @returns {Array<Object>} Arquivos gerados ({ table, filename, rows })
+     */
+    exportTables(sources, options = {}) {
+        const settings = { ...CONFIG.csvExport, ...options };
+        const timestamp = this.getTimestamp();
+        const files = Object.keys(settings.tables || {})
+            .filter(table => settings.tables[table].length > 0)
+            .map(table => {
+                const rows = this.getTableRows(table, sources);
+                const csv = this.toTableCSV(table, rows, { ...settings, columns: settings.tables[table] });
+                return {
+                    table: table,
+                    filename: `${DataExporter.TABLES[table].filename}.csv`,
+                    rows: rows.length,
+                    content: (settings.bom ? '\uFEFF' : '') + csv
+                };
+            });
+
+        if (files.length === 0) {
+            logger.warn('Nenhuma tabela selecionada para exportação');
+            return [];
+        }
+
+        if (settings.zip) {
+            const zip = new ZipWriter();
+            files.forEach(file => zip.addFile(file.filename, file.content));
+            this.downloadFile(zip.finish(), `ligeirinho-dados-${timestamp}.zip`, 'application/zip');
+        } else {
+            files.forEach(file => {
+                file.filename = `ligeirinho-${file.filename.replace('.csv', '')}-${timestamp}.csv`;
+                this.downloadFile(file.content, file.filename, 'text/csv;charset=utf-8');
+            });
+        }
+
+        logger.info('Tabelas CSV exportadas', {
+            tables: files.map(file => `${file.table} (${file.rows})`).join(', '),
+            zip: settings.zip
+        });
+
+        return files.map(({ table, filename, rows }) => ({ table, filename, rows }));
+    }
+
     /**
      * Gera relatório HTML
      * @param {Object} data - Dados da simulação
      * @returns {string} HTML do relatório
      */
     generateHTMLReport(data) {
+        const confidence = CONFIG.statistics.confidence * 100;
         const html = `
 <!DOCTYPE html>
 <html lang="pt-BR">
@@ -129,6 +314,8 @@ class DataExporter {
         tr:hover { background: #f8f9fa; }
         .success { color: #22c55e; font-weight: bold; }
         .escape { color: #ef4444; font-weight: bold; }
+        .significant { color: #22c55e; font-weight: bold; }
+        .note { color: #666; font-size: 14px; }
         .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; font-size: 14px; }
     </style>
 </head>
@@ -136,7 +323,8 @@ class DataExporter {
     <div class="container">
         <h1>📊 Relatório de Simulação - Ligeirinho vs Frajola</h1>
         <p><strong>Data:</strong> ${new Date(data.metadata.exportDate).toLocaleString('pt-BR')}</p>
-        <p><strong>Duração da Sessão:</strong> ${data.metadata.sessionDuration.toFixed(2)}s</p>
+        <p><strong>Duração da Sessão:</strong> ${data.metadata.sessionDuration.toFixed(2)}s (tempo simulado)</p>
+        <p><strong>Semente da Sessão:</strong> ${data.metadata.seed !== null ? data.metadata.seed : 'N/A'}</p>
         
         <h2>Sumário</h2>
         <div class="summary">
@@ -174,7 +362,9 @@ class DataExporter {
                     <th>Tentativas</th>
                     <th>Capturas</th>
                     <th>Taxa de Sucesso</th>
+                    <th>IC ${confidence}% (Wilson)</th>
                     <th>Tempo Médio</th>
+                    <th>IC ${confidence}% (bootstrap)</th>
                 </tr>
             </thead>
             <tbody>
@@ -184,11 +374,88 @@ class DataExporter {
                         <td>${s.totalAttempts}</td>
                         <td>${s.captures}</td>
                         <td>${s.successRate}%</td>
+                        <td>${s.successRateCI ? `${s.successRateCI.lower}% – ${s.successRateCI.upper}%` : '-'}</td>
                         <td>${s.avgCaptureTime.toFixed(2)}s</td>
+                        <td>${s.captureTimeCI ? `${s.captureTimeCI.lower.toFixed(2)}s – ${s.captureTimeCI.upper.toFixed(2)}s` : '-'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        
+        ${data.significanceTests && data.significanceTests.length > 0 ? `
+        <h2>Testes de Significância</h2>
+        <table>
+            <thead>
+                <tr>
+                    <th>Estratégia A</th>
+                    <th>Estratégia B</th>
+                    <th>Δ Taxa (A − B)</th>
+                    <th>p (Holm)</th>
+                    <th>Δ Tempo Médio (A − B)</th>
+                    <th>p (Holm)</th>
+                    <th>Tentativas Necessárias</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${data.significanceTests.map(t => `
+                    <tr>
+                        <td><strong>${t.strategyA}</strong></td>
+                        <td><strong>${t.strategyB}</strong></td>
+                        <td>${(t.rate.difference * 100).toFixed(1)} pp</td>
+                        <td class="${t.rate.significant ? 'significant' : ''}">${Statistics.formatPValue(t.rate.adjustedPValue)}</td>
+                        <td>${t.time ? `${t.time.difference.toFixed(2)}s` : '-'}</td>
+                        <td class="${t.time && t.time.significant ? 'significant' : ''}">${t.time ? Statistics.formatPValue(t.time.adjustedPValue) : '-'}</td>
+                        <td>${t.runsNeeded !== null ? `${t.runsNeeded} por estratégia` : '-'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="note">Taxa: teste z para duas proporções; tempo: bootstrap da diferença das médias (${CONFIG.statistics.bootstrapIterations} reamostragens). Valores p corrigidos por Holm; destacados quando abaixo de ${(1 - CONFIG.statistics.confidence).toFixed(2)}. Tentativas necessárias para detectar a diferença de taxa observada com poder de ${CONFIG.statistics.power * 100}%.</p>
+        ` : ''}
+        
+        ${data.agentStats && (data.agentStats.chasers.length > 1 || data.agentStats.targets.length > 1) ? `
+        <h2>Desempenho por Agente</h2>
+        <table>
+            <thead>
+                <tr>
+                    <th>Frajola</th>
+                    <th>Capturas</th>
+                    <th>Tempo Médio de Captura</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${data.agentStats.chasers.map(c => `
+                    <tr>
+                        <td><strong>F${c.index + 1}</strong></td>
+                        <td>${c.captures}</td>
+                        <td>${c.avgCaptureTime.toFixed(2)}s</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <table>
+            <thead>
+                <tr>
+                    <th>Ligeirinho</th>
+                    <th>Tentativas</th>
+                    <th>Capturas</th>
+                    <th>Fugas</th>
+                    <th>Tempo Médio em Cena</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${data.agentStats.targets.map(t => `
+                    <tr>
+                        <td><strong>L${t.index + 1}</strong></td>
+                        <td>${t.attempts}</td>
+                        <td>${t.captures}</td>
+                        <td>${t.escapes}</td>
+                        <td>${t.avgSurvivalTime.toFixed(2)}s</td>
                     </tr>
                 `).join('')}
             </tbody>
         </table>
+        ` : ''}
         
         <h2>Histórico Detalhado</h2>
         <table>
@@ -198,7 +465,13 @@ class DataExporter {
                     <th>Resultado</th>
                     <th>Duração</th>
                     <th>Estratégia</th>
+                    <th>Comportamento</th>
                     <th>Velocidades</th>
+                    <th>Detecção</th>
+                    <th>Obstáculos</th>
+                    <th>Agentes</th>
+                    <th>Estados</th>
+                    <th>Semente</th>
                 </tr>
             </thead>
             <tbody>
@@ -208,7 +481,13 @@ class DataExporter {
                         <td class="${r.type}">${r.type === 'capture' ? '✓ Captura' : '✗ Fuga'}</td>
                         <td>${r.duration.toFixed(2)}s</td>
                         <td>${r.strategy}</td>
+                        <td>${r.targetBehavior || '-'}</td>
                         <td>A: ${r.targetSpeed} | P: ${r.chaserSpeed}</td>
+                        <td>${r.detectionMethod === 'cone' ? `cone ${r.coneAngle}°` : (r.detectionMethod || '-')}</td>
+                        <td>${r.obstacles || '-'}</td>
+                        <td>${r.type === 'capture' ? `F${(r.chaserIndex || 0) + 1} → ` : ''}L${(r.targetIndex || 0) + 1}</td>
+                        <td>${this.formatStateHistory(r.stateHistory, r.chaserCount) || '-'}</td>
+                        <td>${r.seed !== undefined && r.seed !== null ? r.seed : '-'}</td>
                     </tr>
                 `).join('')}
             </tbody>
@@ -225,6 +504,29 @@ class DataExporter {
         return html;
     }
 
+    /**
+     * Formata o histórico de transições de estado de um registro
+     * @param {Array<Object>} stateHistory - Transições ({ chaserIndex, from, to, time })
+     * @param {number} chaserCount - Número de Frajolas (prefixa o Frajola quando há mais de um)
+     * @returns {string} Ex: 'pursue@0.52s > search@1.80s'
+     */
+    formatStateHistory(stateHistory = [], chaserCount = 1) {
+        return stateHistory.map(entry => {
+            const prefix = chaserCount > 1 ? `F${entry.chaserIndex + 1}:` : '';
+            return `${prefix}${entry.to}@${entry.time.toFixed(2)}s`;
+        }).join(' > ');
+    }
+
+    /**
+     * Rótulo de um agente a partir do índice
+     * @param {string} prefix - 'F' (Frajola) ou 'L' (Ligeirinho)
+     * @param {number} index - Índice (a partir de 0)
+     * @returns {string|null} Ex: 'F2' (null sem índice)
+     */
+    static formatAgent(prefix, index) {
+        return index !== undefined && index !== null ? `${prefix}${index + 1}` : null;
+    }
+
     /**
      * Exporta relatório HTML
      * @param {StatsTracker} statsTracker - Rastreador de estatísticas
@@ -249,6 +551,18 @@ class DataExporter {
         const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         
+        this.downloadURL(url, filename);
+        
+        // Liberar URL
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+    }
+
+    /**
+     * Baixa o conteúdo de uma URL (blob: ou data:)
+     * @param {string} url - URL
+     * @param {string} filename - Nome do arquivo
+     */
+    downloadURL(url, filename) {
         const link = document.createElement('a');
         link.href = url;
         link.download = filename;
@@ -257,9 +571,6 @@ class DataExporter {
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
-        
-        // Liberar URL
-        setTimeout(() => URL.revokeObjectURL(url), 100);
     }
 
     /**
@@ -314,6 +625,96 @@ class DataExporter {
     }
 }
 
+// Tabelas do painel de exportação CSV
+// Cada coluna: { key, label, type ('number' ou 'text'), value(row, exporter) } (sem value, usa row[key])
+
+DataExporter.TABLES = {
+    attempts: {
+        label: 'Tentativas',
+        filename: 'tentativas',
+        columns: [
+            { key: 'attempt', label: 'Tentativa', type: 'number', value: r => r.attemptNumber },
+            { key: 'type', label: 'Resultado', type: 'text' },
+            { key: 'timestamp', label: 'Data/Hora', type: 'text', value: r => Number.isFinite(r.timestamp) ? new Date(r.timestamp).toISOString() : null },
+            { key: 'simTime', label: 'Tempo Simulado (s)', type: 'number' },
+            { key: 'duration', label: 'Duração (s)', type: 'number' },
+            { key: 'strategy', label: 'Estratégia', type: 'text' },
+            { key: 'targetBehavior', label: 'Comportamento Alvo', type: 'text' },
+            { key: 'targetSpeed', label: 'Velocidade Alvo', type: 'number' },
+            { key: 'chaserSpeed', label: 'Velocidade Perseguidor', type: 'number' },
+            { key: 'detectionSensitivity', label: 'Sensibilidade', type: 'number' },
+            { key: 'detectionMethod', label: 'Detecção', type: 'text' },
+            { key: 'coneAngle', label: 'Ângulo Cone', type: 'number', value: r => r.detectionMethod === 'cone' ? r.coneAngle : null },
+            { key: 'obstacles', label: 'Obstáculos', type: 'text' },
+            { key: 'chaserCount', label: 'Frajolas', type: 'number' },
+            { key: 'targetCount', label: 'Ligeirinhos', type: 'number' },
+            { key: 'chaser', label: 'Frajola', type: 'text', value: r => DataExporter.formatAgent('F', r.chaserIndex) },
+            { key: 'target', label: 'Ligeirinho', type: 'text', value: r => DataExporter.formatAgent('L', r.targetIndex) },
+            { key: 'distance', label: 'Distância', type: 'number' },
+            { key: 'positionX', label: 'Posição X', type: 'number', value: r => r.position && r.position.x },
+            { key: 'positionY', label: 'Posição Y', type: 'number', value: r => r.position && r.position.y },
+            { key: 'chaserX', label: 'Frajola X', type: 'number', value: r => r.chaserPosition && r.chaserPosition.x },
+            { key: 'chaserY', label: 'Frajola Y', type: 'number', value: r => r.chaserPosition && r.chaserPosition.y },
+            { key: 'states', label: 'Transições de Estado', type: 'text', value: (r, exporter) => exporter.formatStateHistory(r.stateHistory, r.chaserCount) },
+            { key: 'seed', label: 'Semente', type: 'number' }
+        ]
+    },
+    frames: {
+        label: 'Telemetria por Quadro',
+        filename: 'telemetria',
+        columns: [
+            { key: 'episode', label: 'Episódio', type: 'number' },
+            { key: 'seed', label: 'Semente', type: 'number' },
+            { key: 'strategy', label: 'Estratégia', type: 'text' },
+            { key: 'frame', label: 'Quadro', type: 'number' },
+            { key: 'time', label: 'Tempo (s)', type: 'number' },
+            { key: 'agent', label: 'Agente', type: 'text' },
+            { key: 'x', label: 'X', type: 'number' },
+            { key: 'y', label: 'Y', type: 'number' },
+            { key: 'vx', label: 'Velocidade X', type: 'number' },
+            { key: 'vy', label: 'Velocidade Y', type: 'number' },
+            { key: 'speed', label: 'Velocidade', type: 'number', value: r => Math.hypot(r.vx, r.vy) },
+            { key: 'active', label: 'Ativo', type: 'number' },
+            { key: 'detected', label: 'Alvo Detectado', type: 'number' },
+            { key: 'target', label: 'Alvo', type: 'text' },
+            { key: 'state', label: 'Estado', type: 'text' },
+            { key: 'aimX', label: 'Mira X', type: 'number' },
+            { key: 'aimY', label: 'Mira Y', type: 'number' }
+        ]
+    },
+    collisions: {
+        label: 'Colisões',
+        filename: 'colisoes',
+        columns: [
+            { key: 'type', label: 'Tipo', type: 'text' },
+            { key: 'tick', label: 'Passo', type: 'number' },
+            { key: 'simTime', label: 'Tempo Simulado (s)', type: 'number' },
+            { key: 'chaser', label: 'Frajola', type: 'text', value: r => DataExporter.formatAgent('F', r.chaserIndex) },
+            { key: 'target', label: 'Ligeirinho', type: 'text', value: r => DataExporter.formatAgent('L', r.targetIndex) },
+            { key: 'distance', label: 'Distância', type: 'number' },
+            { key: 'x', label: 'X', type: 'number', value: r => r.position && r.position.x },
+            { key: 'y', label: 'Y', type: 'number', value: r => r.position && r.position.y }
+        ]
+    },
+    detections: {
+        label: 'Linha do Tempo de Detecção',
+        filename: 'deteccoes',
+        columns: [
+            { key: 'attempt', label: 'Tentativa', type: 'number', value: r => r.attemptNumber },
+            { key: 'seed', label: 'Semente', type: 'number' },
+            { key: 'tick', label: 'Passo', type: 'number' },
+            { key: 'simTime', label: 'Tempo Simulado (s)', type: 'number' },
+            { key: 'episodeTime', label: 'Tempo na Tentativa (s)', type: 'number' },
+            { key: 'event', label: 'Evento', type: 'text', value: r => r.event === 'acquired' ? 'detectou' : 'perdeu' },
+            { key: 'chaser', label: 'Frajola', type: 'text', value: r => DataExporter.formatAgent('F', r.chaserIndex) },
+            { key: 'target', label: 'Ligeirinho', type: 'text', value: r => DataExporter.formatAgent('L', r.targetIndex) },
+            { key: 'distance', label: 'Distância', type: 'number' },
+            { key: 'chaserX', label: 'Frajola X', type: 'number', value: r => r.chaserPosition && r.chaserPosition.x },
+            { key: 'chaserY', label: 'Frajola Y', type: 'number', value: r => r.chaserPosition && r.chaserPosition.y }
+        ]
+    }
+};
+
 // Exportar
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = DataExporter;
@@ -0,0 +1,138 @@
+/**
+ * HeatmapTracker.js
+ * Acumula eventos e posições em uma grade sobre a arena
+ * Camadas: onde ocorrem capturas, por onde o Ligeirinho sai e onde o Frajola passa o tempo
+ */
+
+class HeatmapTracker {
+    /**
+     * Cria uma nova grade
+     * @param {number} width - Largura da arena (px)
+     * @param {number} height - Altura da arena (px)
+     * @param {number} cellSize - Lado de cada célula (px)
+     */
+    constructor(width = CONFIG.canvas.width, height = CONFIG.canvas.height, cellSize = CONFIG.heatmap.cellSize) {
+        this.cellSize = cellSize;
+        this.cols = Math.ceil(width / cellSize);
+        this.rows = Math.ceil(height / cellSize);
+        this.layers = {};
+        this.reset();
+    }
+
+    /**
+     * Índice da célula que contém um ponto (pontos fora da arena vão para a borda)
+     * @param {number} x - Posição X (px)
+     * @param {number} y - Posição Y (px)
+     * @returns {number} Índice na grade
+     */
+    cellIndex(x, y) {
+        const col = MathUtils.clamp(Math.floor(x / this.cellSize), 0, this.cols - 1);
+        const row = MathUtils.clamp(Math.floor(y / this.cellSize), 0, this.rows - 1);
+        return row * this.cols + col;
+    }
+
+    /**
+     * Soma um valor à célula de um ponto
+     * @param {string} layer - Camada ('captures', 'escapes' ou 'occupancy')
+     * @param {Vector2D} position - Posição
+     * @param {number} amount - Valor somado
+     */
+    add(layer, position, amount = 1) {
+        this.layers[layer][this.cellIndex(position.x, position.y)] += amount;
+        this.totals[layer] += amount;
+    }
+
+    /**
+     * Registra o ponto de uma captura (posição do Ligeirinho capturado)
+     * @param {Vector2D} position - Posição
+     */
+    recordCapture(position) {
+        this.add('captures', position);
+    }
+
+    /**
+     * Registra o ponto por onde um Ligeirinho saiu da arena
+     * @param {Vector2D} position - Posição
+     */
+    recordEscape(position) {
+        this.add('escapes', position);
+    }
+
+    /**
+     * Amostra a posição dos Frajolas ativos
+     * @param {Array<Frajola>} frajolas - Perseguidores
+     * @param {number} seconds - Tempo simulado representado pela amostra
+     */
+    sampleOccupancy(frajolas, seconds) {
+        for (const frajola of frajolas) {
+            if (frajola.active) {
+                this.add('occupancy', frajola.position, seconds);
+            }
+        }
+    }
+
+    /**
+     * Maior valor de uma camada
+     * @param {string} layer - Camada
+     * @returns {number} Valor máximo
+     */
+    getMax(layer) {
+        let max = 0;
+        for (const value of this.layers[layer]) {
+            if (value > max) max = value;
+        }
+        return max;
+    }
+
+    /**
+     * Total acumulado de uma camada
+     * @param {string} layer - Camada
+     * @returns {number} Total (eventos ou segundos)
+     */
+    getTotal(layer) {
+        return this.totals[layer];
+    }
+
+    /**
+     * Limpa todas as camadas
+     */
+    reset() {
+        this.totals = {};
+        for (const layer of HeatmapTracker.LAYERS) {
+            this.layers[layer] = new Float64Array(this.cols * this.rows);
+            this.totals[layer] = 0;
+        }
+    }
+
+    /**
+     * Exporta a grade como CSV (uma linha por célula, coordenadas do centro em px)
+     * @returns {string} CSV
+     */
+    toCSV() {
+        const rows = [`col,row,x,y,${HeatmapTracker.LAYERS.join(',')}`];
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const index = row * this.cols + col;
+                const values = HeatmapTracker.LAYERS.map(layer => MathUtils.round(this.layers[layer][index], 3));
+                rows.push([
+                    col,
+                    row,
+                    (col + 0.5) * this.cellSize,
+                    (row + 0.5) * this.cellSize,
+                    ...values
+                ].join(','));
+            }
+        }
+
+        return rows.join('\n');
+    }
+}
+
+// Camadas da grade (ocupação em segundos simulados; demais em número de eventos)
+HeatmapTracker.LAYERS = ['captures', 'escapes', 'occupancy'];
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HeatmapTracker;
+}
@@ -0,0 +1,204 @@
+/**
+ * SessionStore.js
+ * Guarda sessões de estatísticas no IndexedDB do navegador
+ * Cada sessão traz os dados de StatsTracker.export() e metadados (estratégia, configuração, semente, data)
+ */
+
+class SessionStore {
+    /**
+     * Cria um novo armazenamento
+     * @param {string} dbName - Nome do banco IndexedDB
+     */
+    constructor(dbName = CONFIG.sessions.dbName) {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Verifica se o navegador oferece IndexedDB
+     * @returns {boolean} True se suportado
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Abre o banco (uma vez; chamadas seguintes reutilizam a conexão)
+     * @returns {Promise<IDBDatabase>} Banco
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, SessionStore.VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(SessionStore.STORE, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Executa uma operação em uma transação e aguarda sua conclusão
+     * @param {string} mode - 'readonly' ou 'readwrite'
+     * @param {Function} operation - (objectStore) => IDBRequest
+     * @returns {Promise<*>} Resultado da requisição
+     */
+    transaction(mode, operation) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(SessionStore.STORE, mode);
+            const request = operation(tx.objectStore(SessionStore.STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
+    }
+
+    /**
+     * Grava uma sessão (substitui a de mesmo id; sem id, cria uma nova)
+     * @param {Object} session - Sessão (SessionStore.createSession)
+     * @returns {Promise<number>} Id da sessão
+     */
+    save(session) {
+        return this.transaction('readwrite', store => store.put(session));
+    }
+
+    /**
+     * Lê uma sessão
+     * @param {number} id - Id da sessão
+     * @returns {Promise<Object|undefined>} Sessão
+     */
+    get(id) {
+        return this.transaction('readonly', store => store.get(id));
+    }
+
+    /**
+     * Lista as sessões, da mais recente para a mais antiga
+     * @returns {Promise<Array<Object>>} Sessões
+     */
+    list() {
+        return this.transaction('readonly', store => store.getAll())
+            .then(sessions => sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)));
+    }
+
+    /**
+     * Exclui uma sessão
+     * @param {number} id - Id da sessão
+     * @returns {Promise<void>}
+     */
+    delete(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Monta o registro de uma sessão
+     * @param {Object} data - Dados de StatsTracker.export()
+     * @param {Object} meta - Metadados
+     * @param {number} meta.id - Id de uma sessão existente (omitir para criar)
+     * @param {string} meta.name - Nome exibido
+     * @param {string} meta.createdAt - Data de criação (ISO; padrão: início da sessão)
+     * @param {string} meta.strategy - Estratégia ativa (padrão: a mais usada no histórico)
+     * @param {Object} meta.config - Configuração da simulação (SimulationCore.getConfigSnapshot)
+     * @returns {Object} Sessão
+     */
+    static createSession(data, meta = {}) {
+        const strategies = [...new Set(data.attemptHistory.map(record => record.strategy))];
+        const createdAt = meta.createdAt ||
+            (data.metadata && data.metadata.sessionStartDate) ||
+            new Date().toISOString();
+
+        const session = {
+            name: meta.name || `Sessão de ${new Date(createdAt).toLocaleString('pt-BR')}`,
+            createdAt: createdAt,
+            updatedAt: new Date().toISOString(),
+            strategy: meta.strategy || SessionStore.mostFrequentStrategy(data.attemptHistory),
+            strategies: strategies,
+            seed: data.metadata ? data.metadata.seed : null,
+            config: meta.config || null,
+            summary: {
+                attempts: data.summary.attempts,
+                captures: data.summary.captures,
+                successRate: data.summary.successRate,
+                avgCaptureTime: data.summary.avgCaptureTime
+            },
+            data: data
+        };
+        if (meta.id !== undefined && meta.id !== null) {
+            session.id = meta.id;
+        }
+
+        return session;
+    }
+
+    /**
+     * Estratégia com mais tentativas em um histórico
+     * @param {Array<Object>} history - Registros de tentativa
+     * @returns {string|null} Estratégia
+     */
+    static mostFrequentStrategy(history) {
+        const counts = {};
+        for (const record of history) {
+            counts[record.strategy] = (counts[record.strategy] || 0) + 1;
+        }
+
+        const strategies = Object.keys(counts);
+        return strategies.length > 0 ?
+            strategies.reduce((best, strategy) => counts[strategy] > counts[best] ? strategy : best) :
+            null;
+    }
+
+    /**
+     * Junta várias sessões em uma só (tentativas renumeradas na ordem das sessões)
+     * @param {Array<Object>} sessions - Sessões, da mais antiga para a mais recente
+     * @returns {Object} Nova sessão (sem id)
+     */
+    static merge(sessions) {
+        const tracker = new StatsTracker();
+        tracker.import(sessions[0].data);
+        for (const session of sessions.slice(1)) {
+            tracker.merge(session.data);
+        }
+
+        return SessionStore.createSession(tracker.export(), {
+            name: `Mesclagem: ${sessions.map(session => session.name).join(' + ')}`,
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Compara a taxa de captura de sessões
+     * @param {Array<Object>} sessions - Sessões
+     * @returns {Object} { rows: [{ session, rateCI }], test } (teste z somente com duas sessões)
+     */
+    static compare(sessions) {
+        const rows = sessions.map(session => {
+            const interval = Statistics.wilsonInterval(session.summary.captures, session.summary.attempts);
+            return {
+                session: session,
+                rateCI: interval ? {
+                    lower: MathUtils.round(interval.lower * 100, 1),
+                    upper: MathUtils.round(interval.upper * 100, 1)
+                } : null
+            };
+        });
+
+        const [a, b] = sessions;
+        const test = sessions.length === 2 ?
+            Statistics.twoProportionTest(a.summary.captures, a.summary.attempts, b.summary.captures, b.summary.attempts) :
+            null;
+
+        return { rows, test };
+    }
+}
+
+// Banco IndexedDB
+SessionStore.VERSION = 1;
+SessionStore.STORE = 'sessions';
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionStore;
+}
@@ -0,0 +1,235 @@
+/**
+ * Statistics.js
+ * Intervalos de confiança e testes de significância para comparar estratégias
+ * Wilson para taxas de captura, bootstrap (com semente fixa) para tempos de captura
+ */
+
+const Statistics = {
+    /**
+     * Função de distribuição acumulada da normal padrão (Abramowitz-Stegun 7.1.26, erro < 1.5e-7)
+     * @param {number} z - Valor
+     * @returns {number} P(Z <= z)
+     */
+    normalCdf(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+        const erf = 1 - poly * Math.exp(-x * x);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    },
+
+    /**
+     * Quantil da normal padrão (algoritmo de Acklam, erro relativo < 1.2e-9)
+     * @param {number} p - Probabilidade (0-1, exclusivo)
+     * @returns {number} z tal que P(Z <= z) = p
+     */
+    normalQuantile(p) {
+        const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+        const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+        const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+        const low = 0.02425;
+
+        if (p < low) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - low) {
+            return -Statistics.normalQuantile(1 - p);
+        }
+
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    },
+
+    /**
+     * Intervalo de Wilson para uma proporção (bom mesmo com poucas tentativas ou taxas extremas)
+     * @param {number} successes - Sucessos
+     * @param {number} n - Tentativas
+     * @param {number} confidence - Nível de confiança (0-1)
+     * @returns {Object|null} { lower, upper } em fração, ou null sem tentativas
+     */
+    wilsonInterval(successes, n, confidence = CONFIG.statistics.confidence) {
+        if (n === 0) return null;
+
+        const z = Statistics.normalQuantile(1 - (1 - confidence) / 2);
+        const p = successes / n;
+        const z2 = z * z;
+        const denominator = 1 + z2 / n;
+        const center = (p + z2 / (2 * n)) / denominator;
+        const halfWidth = z * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n)) / denominator;
+
+        return {
+            lower: Math.max(0, center - halfWidth),
+            upper: Math.min(1, center + halfWidth)
+        };
+    },
+
+    /**
+     * Médias de reamostragens com reposição (mesma semente = mesmo resultado)
+     * @param {Array<number>} values - Amostra
+     * @param {number} iterations - Reamostragens
+     * @param {SeededRandom} rng - Gerador
+     * @returns {Float64Array} Média de cada reamostragem
+     */
+    bootstrapMeans(values, iterations, rng) {
+        const means = new Float64Array(iterations);
+
+        for (let i = 0; i < iterations; i++) {
+            let sum = 0;
+            for (let k = 0; k < values.length; k++) {
+                sum += values[Math.floor(rng.next() * values.length)];
+            }
+            means[i] = sum / values.length;
+        }
+
+        return means;
+    },
+
+    /**
+     * Intervalo bootstrap (percentil) para a média
+     * @param {Array<number>} values - Amostra
+     * @param {Object} options - { confidence, iterations, seed } (padrões em CONFIG.statistics)
+     * @returns {Object|null} { mean, lower, upper }, ou null com menos de 2 valores
+     */
+    bootstrapMeanInterval(values, options = {}) {
+        if (values.length < 2) return null;
+
+        const confidence = options.confidence || CONFIG.statistics.confidence;
+        const iterations = options.iterations || CONFIG.statistics.bootstrapIterations;
+        const rng = new SeededRandom(options.seed !== undefined ? options.seed : CONFIG.statistics.bootstrapSeed);
+
+        const means = Statistics.bootstrapMeans(values, iterations, rng).sort();
+        const alpha = 1 - confidence;
+
+        return {
+            mean: MathUtils.average(values),
+            lower: means[Math.floor(alpha / 2 * iterations)],
+            upper: means[Math.ceil((1 - alpha / 2) * iterations) - 1]
+        };
+    },
+
+    /**
+     * Teste bootstrap para a diferença entre as médias de duas amostras
+     * @param {Array<number>} a - Primeira amostra
+     * @param {Array<number>} b - Segunda amostra
+     * @param {Object} options - { confidence, iterations, seed } (padrões em CONFIG.statistics)
+     * @returns {Object|null} { difference, lower, upper, pValue } (a - b), ou null com menos de 2 valores em alguma amostra
+     */
+    bootstrapDifferenceTest(a, b, options = {}) {
+        if (a.length < 2 || b.length < 2) return null;
+
+        const confidence = options.confidence || CONFIG.statistics.confidence;
+        const iterations = options.iterations || CONFIG.statistics.bootstrapIterations;
+        const rng = new SeededRandom(options.seed !== undefined ? options.seed : CONFIG.statistics.bootstrapSeed);
+
+        const meansA = Statistics.bootstrapMeans(a, iterations, rng);
+        const meansB = Statistics.bootstrapMeans(b, iterations, rng);
+        const differences = meansA.map((mean, i) => mean - meansB[i]).sort();
+
+        // p bilateral: fração das reamostragens do lado oposto de zero
+        let below = 0;
+        let above = 0;
+        for (const difference of differences) {
+            if (difference <= 0) below++;
+            if (difference >= 0) above++;
+        }
+        const alpha = 1 - confidence;
+
+        return {
+            difference: MathUtils.average(a) - MathUtils.average(b),
+            lower: differences[Math.floor(alpha / 2 * iterations)],
+            upper: differences[Math.ceil((1 - alpha / 2) * iterations) - 1],
+            pValue: Math.min(1, 2 * (Math.min(below, above) + 1) / (iterations + 1))
+        };
+    },
+
+    /**
+     * Teste z para a diferença entre duas proporções (variância combinada)
+     * @param {number} successesA - Sucessos da primeira amostra
+     * @param {number} nA - Tentativas da primeira amostra
+     * @param {number} successesB - Sucessos da segunda amostra
+     * @param {number} nB - Tentativas da segunda amostra
+     * @returns {Object|null} { difference, z, pValue } (A - B, em fração), ou null sem tentativas
+     */
+    twoProportionTest(successesA, nA, successesB, nB) {
+        if (nA === 0 || nB === 0) return null;
+
+        const pA = successesA / nA;
+        const pB = successesB / nB;
+        const pooled = (successesA + successesB) / (nA + nB);
+        const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / nA + 1 / nB));
+
+        // Todas capturas ou todas fugas nas duas amostras: sem diferença a testar
+        if (standardError === 0) {
+            return { difference: 0, z: 0, pValue: 1 };
+        }
+
+        const z = (pA - pB) / standardError;
+        return {
+            difference: pA - pB,
+            z: z,
+            pValue: Math.min(1, 2 * (1 - Statistics.normalCdf(Math.abs(z))))
+        };
+    },
+
+    /**
+     * Correção de Holm para comparações múltiplas
+     * @param {Array<number>} pValues - Valores p (null é ignorado)
+     * @returns {Array<number>} Valores p ajustados, na mesma ordem
+     */
+    holmAdjust(pValues) {
+        const order = pValues
+            .map((pValue, index) => ({ pValue, index }))
+            .filter(entry => entry.pValue !== null)
+            .sort((x, y) => x.pValue - y.pValue);
+        const adjusted = pValues.map(() => null);
+
+        let running = 0;
+        order.forEach((entry, rank) => {
+            running = Math.max(running, Math.min(1, (order.length - rank) * entry.pValue));
+            adjusted[entry.index] = running;
+        });
+
+        return adjusted;
+    },
+
+    /**
+     * Tentativas por estratégia para detectar a diferença entre duas taxas (teste bilateral)
+     * @param {number} pA - Taxa da primeira estratégia (fração)
+     * @param {number} pB - Taxa da segunda estratégia (fração)
+     * @param {Object} options - { alpha, power } (padrões em CONFIG.statistics)
+     * @returns {number} Tentativas necessárias em cada estratégia (Infinity se as taxas forem iguais)
+     */
+    runsNeeded(pA, pB, options = {}) {
+        if (pA === pB) return Infinity;
+
+        const alpha = options.alpha || 1 - CONFIG.statistics.confidence;
+        const power = options.power || CONFIG.statistics.power;
+        const zAlpha = Statistics.normalQuantile(1 - alpha / 2);
+        const zBeta = Statistics.normalQuantile(power);
+        const pooled = (pA + pB) / 2;
+
+        const numerator = zAlpha * Math.sqrt(2 * pooled * (1 - pooled)) +
+            zBeta * Math.sqrt(pA * (1 - pA) + pB * (1 - pB));
+
+        return Math.ceil(Math.pow(numerator / (pA - pB), 2));
+    },
+
+    /**
+     * Formata um valor p para exibição
+     * @param {number} pValue - Valor p
+     * @returns {string} Ex: 'p = 0.032' ou 'p < 0.001'
+     */
+    formatPValue(pValue) {
+        return pValue < 0.001 ? 'p < 0.001' : `p = ${pValue.toFixed(3)}`;
+    }
+};
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Statistics;
+}
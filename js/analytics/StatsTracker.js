@@ -7,15 +7,20 @@
 class StatsTracker {
     /**
      * Cria um novo rastreador de estatísticas
+     * @param {SimulationClock} clock - Relógio de tempo simulado (durações não usam o relógio de parede)
      */
-    constructor() {
-        this.attempts = 0;
+    constructor(clock = new SimulationClock()) {
+        this.clock = clock;
+        this.attempts = 0; // um por Ligeirinho de cada tentativa
+        this.attemptTargets = 1; // Ligeirinhos na tentativa atual
         this.captures = 0;
         this.captureTimes = [];
         this.escapeTimes = [];
         this.currentAttemptStartTime = 0;
         this.totalSimulationTime = 0;
-        this.sessionStartTime = Date.now();
+        this.sessionStartTime = this.clock.now();
+        this.sessionStartDate = Date.now();
+        this.seed = null;
         
         // Histórico detalhado
         this.attemptHistory = [];
@@ -26,12 +31,34 @@ class StatsTracker {
 
     /**
      * Inicia uma nova tentativa
+     * Cada Ligeirinho conta como uma tentativa de fuga
+     * @param {number} targets - Número de Ligeirinhos na tentativa
      */
-    startAttempt() {
-        this.currentAttemptStartTime = performance.now();
-        this.attempts++;
+    startAttempt(targets = 1) {
+        this.currentAttemptStartTime = this.clock.now();
+        this.attempts += targets;
+        this.attemptTargets = targets;
         
-        logger.info(`Tentativa #${this.attempts} iniciada`);
+        logger.info(`Tentativa #${this.attempts} iniciada`, { targets });
+    }
+
+    /**
+     * Reinicia a contagem de tempo da tentativa atual sem contar nova tentativa
+     * @param {number} targets - Número de Ligeirinhos (se mudou desde startAttempt)
+     */
+    restartAttempt(targets = this.attemptTargets) {
+        this.currentAttemptStartTime = this.clock.now();
+        this.attempts += targets - this.attemptTargets;
+        this.attemptTargets = targets;
+    }
+
+    /**
+     * Número da tentativa de um Ligeirinho da tentativa atual
+     * @param {number} targetIndex - Índice do Ligeirinho
+     * @returns {number} Número da tentativa
+     */
+    getAttemptNumber(targetIndex = 0) {
+        return this.attempts - this.attemptTargets + 1 + targetIndex;
     }
 
     /**
@@ -46,14 +73,28 @@ class StatsTracker {
         // Registrar no histórico
         const record = {
             type: 'capture',
-            attemptNumber: this.attempts,
+            attemptNumber: this.getAttemptNumber(details.targetIndex),
             timestamp: Date.now(),
+            simTime: this.clock.now(),
+            tick: this.clock.tick,
             duration: captureTime,
             strategy: details.strategy || 'unknown',
+            targetBehavior: details.targetBehavior || 'straight',
             targetSpeed: details.targetSpeed || 0,
             chaserSpeed: details.chaserSpeed || 0,
             detectionSensitivity: details.detectionSensitivity || 0,
-            distance: details.distance || 0
+            distance: details.distance || 0,
+            position: details.position || null,
+            chaserPosition: details.chaserPosition || null,
+            detectionMethod: details.detectionMethod || 'radius',
+            coneAngle: details.coneAngle || null,
+            obstacles: details.obstacles || 'none',
+            chaserIndex: details.chaserIndex !== undefined ? details.chaserIndex : null,
+            targetIndex: details.targetIndex || 0,
+            chaserCount: details.chaserCount || 1,
+            targetCount: details.targetCount || 1,
+            stateHistory: details.stateHistory || [],
+            seed: details.seed !== undefined ? details.seed : null
         };
         
         this.attemptHistory.push(record);
@@ -76,13 +117,26 @@ class StatsTracker {
         // Registrar no histórico
         const record = {
             type: 'escape',
-            attemptNumber: this.attempts,
+            attemptNumber: this.getAttemptNumber(details.targetIndex),
             timestamp: Date.now(),
+            simTime: this.clock.now(),
+            tick: this.clock.tick,
             duration: escapeTime,
             strategy: details.strategy || 'unknown',
+            targetBehavior: details.targetBehavior || 'straight',
             targetSpeed: details.targetSpeed || 0,
             chaserSpeed: details.chaserSpeed || 0,
-            detectionSensitivity: details.detectionSensitivity || 0
+            detectionSensitivity: details.detectionSensitivity || 0,
+            position: details.position || null,
+            detectionMethod: details.detectionMethod || 'radius',
+            coneAngle: details.coneAngle || null,
+            obstacles: details.obstacles || 'none',
+            chaserIndex: details.chaserIndex !== undefined ? details.chaserIndex : null,
+            targetIndex: details.targetIndex || 0,
+            chaserCount: details.chaserCount || 1,
+            targetCount: details.targetCount || 1,
+            stateHistory: details.stateHistory || [],
+            seed: details.seed !== undefined ? details.seed : null
         };
         
         this.attemptHistory.push(record);
@@ -93,12 +147,28 @@ class StatsTracker {
         });
     }
 
+    /**
+     * Define a semente da sessão (incluída nas exportações)
+     * @param {number} seed - Semente da sessão
+     */
+    setSeed(seed) {
+        this.seed = seed;
+    }
+
     /**
      * Calcula tempo da tentativa atual
-     * @returns {number} Tempo em segundos
+     * @returns {number} Tempo em segundos simulados
      */
     getCurrentAttemptTime() {
-        return (performance.now() - this.currentAttemptStartTime) / 1000;
+        return this.clock.now() - this.currentAttemptStartTime;
+    }
+
+    /**
+     * Calcula tempo simulado desde o início da sessão
+     * @returns {number} Tempo em segundos simulados
+     */
+    getSessionTime() {
+        return this.clock.now() - this.sessionStartTime;
     }
 
     /**
@@ -142,7 +212,7 @@ class StatsTracker {
             avgEscapeTime: this.getAverageEscapeTime(),
             minCaptureTime: this.captureTimes.length > 0 ? Math.min(...this.captureTimes) : 0,
             maxCaptureTime: this.captureTimes.length > 0 ? Math.max(...this.captureTimes) : 0,
-            totalSimulationTime: (Date.now() - this.sessionStartTime) / 1000,
+            totalSimulationTime: this.getSessionTime(),
             currentTime: this.getCurrentAttemptTime(),
             avgTime: this.getAverageCaptureTime() // Adicionar alias para compatibilidade
         };
@@ -159,6 +229,7 @@ class StatsTracker {
 
     /**
      * Calcula estatísticas por estratégia
+     * Intervalos: Wilson para a taxa (em %) e bootstrap para o tempo médio de captura (em s)
      * @param {string} strategy - Nome da estratégia
      * @returns {Object} Estatísticas da estratégia
      */
@@ -166,6 +237,7 @@ class StatsTracker {
         const records = this.getHistoryByStrategy(strategy);
         const captures = records.filter(r => r.type === 'capture');
         const escapes = records.filter(r => r.type === 'escape');
+        const rateInterval = Statistics.wilsonInterval(captures.length, records.length);
         
         return {
             strategy: strategy,
@@ -177,7 +249,12 @@ class StatsTracker {
             avgCaptureTime: captures.length > 0 ?
                 MathUtils.average(captures.map(c => c.duration)) : 0,
             avgEscapeTime: escapes.length > 0 ?
-                MathUtils.average(escapes.map(e => e.duration)) : 0
+                MathUtils.average(escapes.map(e => e.duration)) : 0,
+            successRateCI: rateInterval ? {
+                lower: MathUtils.round(rateInterval.lower * 100, 1),
+                upper: MathUtils.round(rateInterval.upper * 100, 1)
+            } : null,
+            captureTimeCI: Statistics.bootstrapMeanInterval(captures.map(c => c.duration))
         };
     }
 
@@ -190,8 +267,97 @@ class StatsTracker {
         return strategies.map(strategy => this.getStrategyStats(strategy));
     }
 
+    /**
+     * Compara cada par de estratégias com tentativas suficientes
+     * Taxa: teste z para duas proporções; tempo de captura: bootstrap da diferença das médias.
+     * Os valores p são corrigidos por Holm, pois vários pares são testados ao mesmo tempo.
+     * @param {number} minAttempts - Tentativas mínimas por estratégia
+     * @returns {Array<Object>} Pares { strategyA, strategyB, rate, time, runsNeeded, additionalRuns } (runsNeeded null com taxas iguais)
+     */
+    getSignificanceTests(minAttempts = CONFIG.statistics.minAttempts) {
+        const alpha = 1 - CONFIG.statistics.confidence;
+        const groups = [...new Set(this.attemptHistory.map(r => r.strategy))]
+            .map(strategy => {
+                const records = this.getHistoryByStrategy(strategy);
+                return {
+                    strategy,
+                    attempts: records.length,
+                    captures: records.filter(r => r.type === 'capture').length,
+                    times: records.filter(r => r.type === 'capture').map(r => r.duration)
+                };
+            })
+            .filter(group => group.attempts >= minAttempts);
+
+        const pairs = [];
+        for (let i = 0; i < groups.length; i++) {
+            for (let j = i + 1; j < groups.length; j++) {
+                const a = groups[i];
+                const b = groups[j];
+                const rateA = a.captures / a.attempts;
+                const rateB = b.captures / b.attempts;
+                const runsNeeded = rateA !== rateB ? Statistics.runsNeeded(rateA, rateB) : null;
+
+                pairs.push({
+                    strategyA: a.strategy,
+                    strategyB: b.strategy,
+                    rate: Statistics.twoProportionTest(a.captures, a.attempts, b.captures, b.attempts),
+                    time: Statistics.bootstrapDifferenceTest(a.times, b.times),
+                    runsNeeded: runsNeeded,
+                    additionalRuns: runsNeeded !== null ? Math.max(0, runsNeeded - Math.min(a.attempts, b.attempts)) : null
+                });
+            }
+        }
+
+        // Correção de Holm separada para cada métrica
+        for (const metric of ['rate', 'time']) {
+            const adjusted = Statistics.holmAdjust(pairs.map(pair => pair[metric] ? pair[metric].pValue : null));
+            pairs.forEach((pair, i) => {
+                if (pair[metric]) {
+                    pair[metric].adjustedPValue = adjusted[i];
+                    pair[metric].significant = adjusted[i] < alpha;
+                }
+            });
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Calcula estatísticas por agente (índices a partir de 0)
+     * @returns {Object} { chasers: [...], targets: [...] }
+     */
+    getAgentStats() {
+        const captures = this.attemptHistory.filter(r => r.type === 'capture');
+        const chaserIndices = [...new Set(captures.map(r => r.chaserIndex || 0))].sort((a, b) => a - b);
+        const targetIndices = [...new Set(this.attemptHistory.map(r => r.targetIndex || 0))].sort((a, b) => a - b);
+
+        const chasers = chaserIndices.map(index => {
+            const records = captures.filter(r => (r.chaserIndex || 0) === index);
+            return {
+                index: index,
+                captures: records.length,
+                avgCaptureTime: MathUtils.average(records.map(r => r.duration))
+            };
+        });
+
+        const targets = targetIndices.map(index => {
+            const records = this.attemptHistory.filter(r => (r.targetIndex || 0) === index);
+            const captured = records.filter(r => r.type === 'capture');
+            return {
+                index: index,
+                attempts: records.length,
+                captures: captured.length,
+                escapes: records.length - captured.length,
+                avgSurvivalTime: MathUtils.average(records.map(r => r.duration))
+            };
+        });
+
+        return { chasers, targets };
+    }
+
     /**
      * Calcula tendências ao longo do tempo
+     * Só há melhora ou piora quando a diferença entre as janelas é significativa; senão é 'stable'
      * @param {number} windowSize - Tamanho da janela de análise
      * @returns {Object} Tendências
      */
@@ -213,14 +379,83 @@ class StatsTracker {
         const previousSuccessRate = previous.length > 0 ? 
             (previousCaptures / previous.length) * 100 : 0;
 
+        // Tempo médio de captura: menor é melhor
+        const recentTimes = recent.filter(r => r.type === 'capture').map(r => r.duration);
+        const previousTimes = previous.filter(r => r.type === 'capture').map(r => r.duration);
+        const recentAvgTime = MathUtils.average(recentTimes);
+        const previousAvgTime = MathUtils.average(previousTimes);
+
+        const alpha = 1 - CONFIG.statistics.confidence;
+        const rateTest = Statistics.twoProportionTest(recentCaptures, recent.length, previousCaptures, previous.length);
+        const timeTest = Statistics.bootstrapDifferenceTest(recentTimes, previousTimes);
+
         return {
-            successRateTrend: recentSuccessRate > previousSuccessRate ? 'improving' : 
-                              recentSuccessRate < previousSuccessRate ? 'declining' : 'stable',
+            successRateTrend: !rateTest ? 'insufficient_data' :
+                              rateTest.pValue >= alpha ? 'stable' :
+                              recentSuccessRate > previousSuccessRate ? 'improving' : 'declining',
             recentSuccessRate: recentSuccessRate.toFixed(1),
-            previousSuccessRate: previousSuccessRate.toFixed(1)
+            previousSuccessRate: previousSuccessRate.toFixed(1),
+            successRatePValue: rateTest ? rateTest.pValue : null,
+            avgTimeTrend: !timeTest ? 'insufficient_data' :
+                          timeTest.pValue >= alpha ? 'stable' :
+                          recentAvgTime < previousAvgTime ? 'improving' : 'declining',
+            recentAvgTime: recentAvgTime.toFixed(2),
+            previousAvgTime: previousAvgTime.toFixed(2),
+            avgTimePValue: timeTest ? timeTest.pValue : null
         };
     }
 
+    /**
+     * Calcula a taxa de captura móvel e a acumulada a cada tentativa concluída
+     * @param {number} windowSize - Tentativas na janela móvel
+     * @returns {Array<Object>} Pontos { attemptNumber, rollingRate, cumulativeRate } (em %)
+     */
+    getRollingSuccessRate(windowSize = 20) {
+        let captures = 0;
+        let windowCaptures = 0;
+
+        return this.attemptHistory.map((record, i) => {
+            const isCapture = record.type === 'capture' ? 1 : 0;
+            captures += isCapture;
+            windowCaptures += isCapture;
+            if (i >= windowSize && this.attemptHistory[i - windowSize].type === 'capture') {
+                windowCaptures--;
+            }
+
+            return {
+                attemptNumber: record.attemptNumber,
+                rollingRate: (windowCaptures / Math.min(i + 1, windowSize)) * 100,
+                cumulativeRate: (captures / (i + 1)) * 100
+            };
+        });
+    }
+
+    /**
+     * Agrupa os tempos de captura em faixas de mesma largura
+     * @param {number} binCount - Número de faixas
+     * @returns {Array<Object>} Faixas { start, end, count } (vazio sem capturas)
+     */
+    getCaptureTimeHistogram(binCount = 10) {
+        if (this.captureTimes.length === 0) return [];
+
+        const min = Math.min(...this.captureTimes);
+        const max = Math.max(...this.captureTimes);
+        const binWidth = (max - min) / binCount || 1;
+
+        const bins = Array.from({ length: binCount }, (_, i) => ({
+            start: min + i * binWidth,
+            end: min + (i + 1) * binWidth,
+            count: 0
+        }));
+
+        for (const time of this.captureTimes) {
+            const index = Math.min(Math.floor((time - min) / binWidth), binCount - 1);
+            bins[index].count++;
+        }
+
+        return bins;
+    }
+
     /**
      * Calcula desvio padrão dos tempos de captura
      * @returns {number} Desvio padrão
@@ -250,12 +485,14 @@ class StatsTracker {
      */
     reset() {
         this.attempts = 0;
+        this.attemptTargets = 1;
         this.captures = 0;
         this.captureTimes = [];
         this.escapeTimes = [];
-        this.currentAttemptStartTime = 0;
+        this.currentAttemptStartTime = this.clock.now();
         this.attemptHistory = [];
-        this.sessionStartTime = Date.now();
+        this.sessionStartTime = this.clock.now();
+        this.sessionStartDate = Date.now();
         
         logger.info('Estatísticas resetadas');
     }
@@ -265,11 +502,13 @@ class StatsTracker {
      */
     resetSession() {
         this.attempts = 0;
+        this.attemptTargets = 1;
         this.captures = 0;
         this.captureTimes = [];
         this.escapeTimes = [];
-        this.currentAttemptStartTime = 0;
-        this.sessionStartTime = Date.now();
+        this.currentAttemptStartTime = this.clock.now();
+        this.sessionStartTime = this.clock.now();
+        this.sessionStartDate = Date.now();
         
         logger.info('Sessão resetada, histórico mantido');
     }
@@ -285,26 +524,42 @@ class StatsTracker {
             escapeTimes: [...this.escapeTimes],
             attemptHistory: [...this.attemptHistory],
             strategyComparison: this.getStrategyComparison(),
+            significanceTests: this.getSignificanceTests(),
+            agentStats: this.getAgentStats(),
             trends: this.getTrends(),
             metadata: {
                 exportDate: new Date().toISOString(),
-                sessionDuration: (Date.now() - this.sessionStartTime) / 1000,
-                totalAttempts: this.attempts
+                sessionStartDate: new Date(this.sessionStartDate).toISOString(),
+                sessionDuration: this.getSessionTime(),
+                sessionTicks: this.clock.tick,
+                totalAttempts: this.attempts,
+                seed: this.seed
             }
         };
     }
 
     /**
-     * Importa estatísticas de um objeto
+     * Importa estatísticas de um objeto (formato de export()), substituindo as atuais
      * @param {Object} data - Dados a importar
+     * @returns {boolean} True se importou
      */
     import(data) {
         try {
+            StatsTracker.validate(data);
+            
             this.attempts = data.summary.attempts || 0;
+            this.attemptTargets = 1;
             this.captures = data.summary.captures || 0;
-            this.captureTimes = data.captureTimes || [];
-            this.escapeTimes = data.escapeTimes || [];
-            this.attemptHistory = data.attemptHistory || [];
+            this.captureTimes = [...(data.captureTimes || [])];
+            this.escapeTimes = [...(data.escapeTimes || [])];
+            this.attemptHistory = [...data.attemptHistory];
+            this.seed = data.metadata ? data.metadata.seed : null;
+            
+            // Duração da sessão continua a partir da importada
+            const metadata = data.metadata || {};
+            this.currentAttemptStartTime = this.clock.now();
+            this.sessionStartTime = this.clock.now() - (metadata.sessionDuration || 0);
+            this.sessionStartDate = metadata.sessionStartDate ? Date.parse(metadata.sessionStartDate) : Date.now();
             
             logger.info('Estatísticas importadas com sucesso');
             return true;
@@ -314,6 +569,48 @@ class StatsTracker {
         }
     }
 
+    /**
+     * Acrescenta as tentativas de outra sessão às atuais (numeradas após as existentes)
+     * @param {Object} data - Dados no formato de export()
+     * @returns {boolean} True se mesclou
+     */
+    merge(data) {
+        try {
+            StatsTracker.validate(data);
+            
+            const offset = this.attempts;
+            this.attempts += data.summary.attempts || 0;
+            this.captures += data.summary.captures || 0;
+            this.captureTimes.push(...(data.captureTimes || []));
+            this.escapeTimes.push(...(data.escapeTimes || []));
+            this.attemptHistory.push(...data.attemptHistory.map(record => ({
+                ...record,
+                attemptNumber: record.attemptNumber + offset
+            })));
+            this.trimHistory();
+            if (data.metadata) {
+                this.sessionStartTime -= data.metadata.sessionDuration || 0;
+            }
+            
+            logger.info('Estatísticas mescladas', { attempts: this.attempts });
+            return true;
+        } catch (error) {
+            logger.error('Erro ao mesclar estatísticas', error);
+            return false;
+        }
+    }
+
+    /**
+     * Verifica se um objeto tem o formato de export()
+     * @param {Object} data - Dados
+     * @throws {Error} Se o formato for inválido
+     */
+    static validate(data) {
+        if (!data || typeof data !== 'object' || !data.summary || !Array.isArray(data.attemptHistory)) {
+            throw new Error('Formato de estatísticas inválido: esperado o JSON exportado pela simulação');
+        }
+    }
+
     /**
      * Retorna informações de debug
      * @returns {Object} Informações de debug
@@ -323,7 +620,7 @@ class StatsTracker {
             attempts: this.attempts,
             captures: this.captures,
             historyLength: this.attemptHistory.length,
-            sessionDuration: ((Date.now() - this.sessionStartTime) / 1000).toFixed(2) + 's',
+            sessionDuration: this.getSessionTime().toFixed(2) + 's',
             avgCaptureTime: this.getAverageCaptureTime().toFixed(2) + 's'
         };
     }
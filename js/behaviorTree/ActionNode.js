@@ -0,0 +1,113 @@
+/**
+ * ActionNode.js
+ * Nó de ação
+ * Calcula a força de steering do Frajola com os comportamentos de Strategy
+ */
+
+class ActionNode extends BTNode {
+    /**
+     * Cria uma nova ação
+     * @param {Object} definition - Definição JSON do nó
+     * @param {string} definition.action - Nome da ação em ActionNode.ACTIONS
+     */
+    constructor(definition) {
+        super(definition);
+
+        if (!Object.prototype.hasOwnProperty.call(ActionNode.ACTIONS, definition.action)) {
+            throw new Error(`Ação desconhecida: ${definition.action}`);
+        }
+
+        this.action = definition.action;
+        this.params = definition; // parâmetros da ação (ex: lookahead, slowingRadius)
+        this.wanderAngle = 0; // estado da ação 'wander'
+    }
+
+    /**
+     * Executa a ação; o steering resultante fica em context.steering
+     * @param {Object} context - Contexto do tick
+     * @returns {string} 'running' se a ação produziu steering, 'failure' se não pôde agir
+     */
+    run(context) {
+        const steering = ActionNode.ACTIONS[this.action](context, this.params, this);
+
+        if (!steering) {
+            return BTNode.FAILURE;
+        }
+
+        context.steering = steering;
+        return BTNode.RUNNING;
+    }
+
+    /**
+     * Nome exibido no overlay de debug
+     * @returns {string} Rótulo
+     */
+    getLabel() {
+        return `! ${this.name || this.action}`;
+    }
+
+    /**
+     * Limpa o estado da ação
+     */
+    reset() {
+        super.reset();
+        this.wanderAngle = 0;
+    }
+}
+
+// Ações disponíveis: (context, params, node) => Vector2D (ou null para falhar)
+ActionNode.ACTIONS = {
+    // Direto à posição atual do alvo
+    seek: ({ chaser, target }) => Strategy.seek(
+        chaser.position, chaser.velocity, target.position, chaser.maxSpeed, chaser.maxForce
+    ),
+
+    // Interceptação; sem params.lookahead usa o tempo estimado até o encontro
+    pursuit: ({ chaser, target }, params) => Strategy.pursuit(
+        chaser.position,
+        chaser.velocity,
+        target.position,
+        target.velocity,
+        chaser.maxSpeed,
+        chaser.maxForce,
+        params.lookahead !== undefined ? params.lookahead :
+            Strategy.interceptionTime(chaser.position, chaser.maxSpeed, target.position, target.velocity)
+    ),
+
+    // Aproxima-se desacelerando dentro de params.slowingRadius
+    arrive: ({ chaser, target }, params) => Strategy.arrive(
+        chaser.position, chaser.velocity, target.position, chaser.maxSpeed, chaser.maxForce,
+        params.slowingRadius
+    ),
+
+    // Vai até a última posição conhecida (falha sem memória)
+    seekLastKnown: ({ chaser, memory }) => memory ? Strategy.seek(
+        chaser.position, chaser.velocity, memory.position, chaser.maxSpeed, chaser.maxForce
+    ) : null,
+
+    // Freia e espera no lugar
+    hold: ({ chaser }) => Strategy.arrive(
+        chaser.position, chaser.velocity, chaser.position, chaser.maxSpeed, chaser.maxForce
+    ),
+
+    // Vaga com curvas suaves (params.speed = multiplicador da velocidade)
+    wander: ({ chaser }, params, node) => {
+        const wander = Strategy.wander(
+            chaser.velocity.magnitude() > 0 ? chaser.velocity : Vector2D.fromAngle(node.wanderAngle),
+            node.wanderAngle,
+            chaser.maxSpeed * (params.speed || 1),
+            params.wanderDistance,
+            params.wanderRadius,
+            params.angleChange,
+            chaser.rng
+        );
+        node.wanderAngle = wander.newAngle;
+
+        return Vector2D.subtract(wander.steer, chaser.velocity).limit(chaser.maxForce);
+    }
+};
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActionNode;
+}
@@ -0,0 +1,70 @@
+/**
+ * BTNode.js
+ * Classe base dos nós de árvore de comportamento
+ * Cada nó retorna 'success', 'failure' ou 'running' ao ser executado
+ */
+
+class BTNode {
+    /**
+     * Cria um novo nó
+     * @param {Object} definition - Definição JSON do nó
+     * @param {string} definition.type - Tipo do nó
+     * @param {string} definition.name - Nome exibido (opcional)
+     */
+    constructor(definition = {}) {
+        this.type = definition.type;
+        this.name = definition.name || null;
+        this.children = [];
+        this.lastStatus = null;
+        this.lastTick = -1; // último tick da árvore em que o nó foi executado
+    }
+
+    /**
+     * Executa o nó e registra o resultado
+     * @param {Object} context - Contexto do tick (chaser, target, targetDetected, memory, deltaTime, tick, time)
+     * @returns {string} Status (BTNode.SUCCESS, BTNode.FAILURE ou BTNode.RUNNING)
+     */
+    tick(context) {
+        const status = this.run(context);
+        this.lastStatus = status;
+        this.lastTick = context.tick;
+
+        return status;
+    }
+
+    /**
+     * Lógica do nó
+     * @param {Object} context - Contexto do tick
+     * @returns {string} Status
+     */
+    run(context) {
+        throw new Error('Método run() deve ser implementado pela subclasse');
+    }
+
+    /**
+     * Nome exibido no overlay de debug
+     * @returns {string} Rótulo
+     */
+    getLabel() {
+        return this.name || this.type;
+    }
+
+    /**
+     * Limpa o estado do nó e dos filhos
+     */
+    reset() {
+        this.lastStatus = null;
+        this.lastTick = -1;
+        this.children.forEach(child => child.reset());
+    }
+}
+
+// Status de execução
+BTNode.SUCCESS = 'success';
+BTNode.FAILURE = 'failure';
+BTNode.RUNNING = 'running';
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BTNode;
+}
@@ -0,0 +1,170 @@
+/**
+ * BehaviorTree.js
+ * Árvore de comportamento definida em JSON
+ * Reavaliada a partir da raiz a cada passo; o nó de ação alcançado define o steering
+ */
+
+class BehaviorTree {
+    /**
+     * Cria uma árvore a partir de sua definição
+     * @param {Object} definition - Definição da árvore
+     * @param {string} definition.name - Nome da árvore
+     * @param {string} definition.description - Descrição
+     * @param {Object} definition.root - Nó raiz (ver BehaviorTree.createNode)
+     */
+    constructor(definition) {
+        if (!definition || !definition.root) {
+            throw new Error('Árvore de comportamento sem nó raiz');
+        }
+
+        this.definition = JSON.parse(JSON.stringify(definition));
+        this.name = definition.name || 'Árvore de comportamento';
+        this.description = definition.description || '';
+        this.root = BehaviorTree.createNode(definition.root);
+        this.tickCount = 0;
+        this.time = 0; // frames de referência desde o início
+        this.lastStatus = null;
+    }
+
+    /**
+     * Cria uma árvore a partir de JSON
+     * @param {string|Object} json - String JSON ou objeto já convertido
+     * @returns {BehaviorTree} Árvore
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (data.version !== undefined && data.version > BehaviorTree.VERSION) {
+            throw new Error(`Versão de árvore não suportada: ${data.version}`);
+        }
+
+        return new BehaviorTree(data);
+    }
+
+    /**
+     * Constrói um nó (e seus filhos) a partir da definição JSON
+     * { type: 'sequence' | 'selector', children: [...] }
+     * { type: 'decorator', decorator, frames?, child }
+     * { type: 'condition', check, ...parâmetros }
+     * { type: 'action', action, ...parâmetros }
+     * @param {Object} definition - Definição do nó
+     * @returns {BTNode} Nó
+     */
+    static createNode(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('Nó de árvore inválido');
+        }
+
+        switch (definition.type) {
+            case 'sequence':
+            case 'selector': {
+                if (!Array.isArray(definition.children) || definition.children.length === 0) {
+                    throw new Error(`Nó '${definition.type}' requer filhos`);
+                }
+
+                const children = definition.children.map(child => BehaviorTree.createNode(child));
+                return definition.type === 'sequence' ?
+                    new SequenceNode(definition, children) :
+                    new SelectorNode(definition, children);
+            }
+            case 'decorator':
+                return new DecoratorNode(definition, BehaviorTree.createNode(definition.child));
+            case 'condition':
+                return new ConditionNode(definition);
+            case 'action':
+                return new ActionNode(definition);
+            default:
+                throw new Error(`Tipo de nó desconhecido: ${definition.type}`);
+        }
+    }
+
+    /**
+     * Executa um passo da árvore
+     * @param {Object} context - Contexto (chaser, target, targetDetected, memory); recebe steering, tick e time
+     * @param {number} deltaTime - Passo em frames de referência
+     * @returns {string} Status da raiz
+     */
+    tick(context, deltaTime = 1) {
+        this.tickCount++;
+        this.time += deltaTime;
+
+        context.tick = this.tickCount;
+        context.time = this.time;
+        context.steering = null;
+
+        this.lastStatus = this.root.tick(context);
+        return this.lastStatus;
+    }
+
+    /**
+     * Verifica se o nó faz parte do caminho ativo no último passo
+     * @param {BTNode} node - Nó
+     * @returns {boolean} True se executado no último passo sem falhar
+     */
+    isActive(node) {
+        return node.lastTick === this.tickCount && node.lastStatus !== BTNode.FAILURE;
+    }
+
+    /**
+     * Caminho ativo: da raiz até o nó que decidiu o último passo
+     * @returns {Array<BTNode>} Nós do caminho
+     */
+    getActivePath() {
+        const path = [];
+        let node = this.root;
+
+        while (node && this.isActive(node)) {
+            path.push(node);
+
+            // O último filho executado é o que decidiu o resultado do pai
+            const executed = node.children.filter(child => child.lastTick === this.tickCount);
+            node = executed[executed.length - 1];
+        }
+
+        return path;
+    }
+
+    /**
+     * Lista os nós em profundidade (para visualização)
+     * @returns {Array<Object>} { node, depth }
+     */
+    getNodes() {
+        const nodes = [];
+        const visit = (node, depth) => {
+            nodes.push({ node, depth });
+            node.children.forEach(child => visit(child, depth + 1));
+        };
+
+        visit(this.root, 0);
+        return nodes;
+    }
+
+    /**
+     * Limpa o estado de todos os nós
+     */
+    reset() {
+        this.root.reset();
+        this.tickCount = 0;
+        this.time = 0;
+        this.lastStatus = null;
+    }
+
+    /**
+     * Serializa a definição da árvore
+     * @returns {Object} Definição
+     */
+    toJSON() {
+        return {
+            version: BehaviorTree.VERSION,
+            ...this.definition
+        };
+    }
+}
+
+// Versão do formato JSON
+BehaviorTree.VERSION = 1;
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BehaviorTree;
+}
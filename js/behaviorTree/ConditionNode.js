@@ -0,0 +1,65 @@
+/**
+ * ConditionNode.js
+ * Nó de condição
+ * Sucesso se a verificação for verdadeira, falha caso contrário
+ */
+
+class ConditionNode extends BTNode {
+    /**
+     * Cria uma nova condição
+     * @param {Object} definition - Definição JSON do nó
+     * @param {string} definition.check - Nome da verificação em ConditionNode.CONDITIONS
+     */
+    constructor(definition) {
+        super(definition);
+
+        if (!Object.prototype.hasOwnProperty.call(ConditionNode.CONDITIONS, definition.check)) {
+            throw new Error(`Condição desconhecida: ${definition.check}`);
+        }
+
+        this.check = definition.check;
+        this.params = definition; // parâmetros da verificação (ex: distance)
+    }
+
+    /**
+     * Avalia a condição
+     * @param {Object} context - Contexto do tick
+     * @returns {string} Status
+     */
+    run(context) {
+        return ConditionNode.CONDITIONS[this.check](context, this.params) ?
+            BTNode.SUCCESS : BTNode.FAILURE;
+    }
+
+    /**
+     * Nome exibido no overlay de debug
+     * @returns {string} Rótulo
+     */
+    getLabel() {
+        const suffix = this.params.distance !== undefined ? ` ${this.params.distance}px` : '';
+        return `◆ ${this.name || this.check + suffix}`;
+    }
+}
+
+// Verificações disponíveis: (context, params) => boolean
+ConditionNode.CONDITIONS = {
+    // Alvo detectado neste passo
+    targetDetected: context => context.targetDetected,
+
+    // Alvo a até params.distance px
+    targetWithin: (context, params) => context.chaser.distanceTo(context.target) <= params.distance,
+
+    // Há memória do último avistamento (Blackboard)
+    targetRemembered: context => context.memory !== null,
+
+    // Alvo se movendo em direção ao Frajola
+    targetApproaching: context => {
+        const toChaser = Vector2D.subtract(context.chaser.position, context.target.position);
+        return context.target.velocity.dot(toChaser) > 0;
+    }
+};
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConditionNode;
+}
@@ -0,0 +1,141 @@
+/**
+ * DecoratorNode.js
+ * Nó decorador
+ * Modifica o resultado ou a frequência de execução de um único filho
+ */
+
+class DecoratorNode extends BTNode {
+    /**
+     * Cria um novo decorador
+     * @param {Object} definition - Definição JSON do nó
+     * @param {string} definition.decorator - 'invert', 'succeed', 'cooldown' ou 'limit'
+     * @param {number} definition.frames - Duração em frames de referência ('cooldown' e 'limit')
+     * @param {BTNode} child - Filho já construído
+     */
+    constructor(definition, child) {
+        super(definition);
+
+        if (!DecoratorNode.DECORATORS.includes(definition.decorator)) {
+            throw new Error(`Decorador desconhecido: ${definition.decorator}`);
+        }
+        if (['cooldown', 'limit'].includes(definition.decorator) && !(definition.frames > 0)) {
+            throw new Error(`Decorador '${definition.decorator}' requer frames > 0`);
+        }
+
+        this.decorator = definition.decorator;
+        this.frames = definition.frames || 0;
+        this.children = [child];
+        this.readyAt = 0; // 'cooldown': tempo da árvore em que o filho volta a executar
+        this.runningSince = null; // 'limit': tempo da árvore em que o filho começou a rodar
+    }
+
+    /**
+     * Filho decorado
+     * @returns {BTNode} Filho
+     */
+    get child() {
+        return this.children[0];
+    }
+
+    /**
+     * Executa o filho de acordo com o decorador
+     * @param {Object} context - Contexto do tick
+     * @returns {string} Status
+     */
+    run(context) {
+        switch (this.decorator) {
+            case 'invert':
+                return this.invert(this.child.tick(context));
+            case 'succeed': {
+                const status = this.child.tick(context);
+                return status === BTNode.RUNNING ? status : BTNode.SUCCESS;
+            }
+            case 'cooldown':
+                return this.cooldown(context);
+            case 'limit':
+                return this.limit(context);
+        }
+    }
+
+    /**
+     * Troca sucesso por falha e vice-versa
+     * @param {string} status - Status do filho
+     * @returns {string} Status invertido ('running' não muda)
+     */
+    invert(status) {
+        if (status === BTNode.SUCCESS) return BTNode.FAILURE;
+        if (status === BTNode.FAILURE) return BTNode.SUCCESS;
+        return status;
+    }
+
+    /**
+     * Depois de um sucesso do filho, falha sem executá-lo durante 'frames'
+     * @param {Object} context - Contexto do tick
+     * @returns {string} Status
+     */
+    cooldown(context) {
+        if (context.time < this.readyAt) {
+            return BTNode.FAILURE;
+        }
+
+        const status = this.child.tick(context);
+        if (status === BTNode.SUCCESS) {
+            this.readyAt = context.time + this.frames;
+        }
+
+        return status;
+    }
+
+    /**
+     * Deixa o filho rodar por no máximo 'frames' seguidos
+     * Esgotado, falha até deixar de ser executado por pelo menos um tick
+     * @param {Object} context - Contexto do tick
+     * @returns {string} Status
+     */
+    limit(context) {
+        if (this.lastTick !== context.tick - 1) {
+            this.runningSince = null;
+        }
+
+        if (this.runningSince !== null && context.time - this.runningSince >= this.frames) {
+            return BTNode.FAILURE;
+        }
+
+        const status = this.child.tick(context);
+        if (status === BTNode.RUNNING) {
+            if (this.runningSince === null) {
+                this.runningSince = context.time;
+            }
+        } else {
+            this.runningSince = null;
+        }
+
+        return status;
+    }
+
+    /**
+     * Nome exibido no overlay de debug
+     * @returns {string} Rótulo
+     */
+    getLabel() {
+        const suffix = this.frames > 0 ? ` ${this.frames}f` : '';
+        return `◇ ${this.name || this.decorator + suffix}`;
+    }
+
+    /**
+     * Limpa o estado do decorador e do filho
+     */
+    reset() {
+        super.reset();
+        this.readyAt = 0;
+        this.runningSince = null;
+    }
+}
+
+// Decoradores suportados
+DecoratorNode.DECORATORS = ['invert', 'succeed', 'cooldown', 'limit'];
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DecoratorNode;
+}
@@ -0,0 +1,46 @@
+/**
+ * SelectorNode.js
+ * Nó seletor
+ * Executa os filhos em ordem de prioridade até um deles não falhar
+ */
+
+class SelectorNode extends BTNode {
+    /**
+     * Cria um novo seletor
+     * @param {Object} definition - Definição JSON do nó
+     * @param {Array<BTNode>} children - Filhos já construídos
+     */
+    constructor(definition, children) {
+        super(definition);
+        this.children = children;
+    }
+
+    /**
+     * Retorna o status do primeiro filho que não falhar
+     * @param {Object} context - Contexto do tick
+     * @returns {string} Status
+     */
+    run(context) {
+        for (const child of this.children) {
+            const status = child.tick(context);
+            if (status !== BTNode.FAILURE) {
+                return status;
+            }
+        }
+
+        return BTNode.FAILURE;
+    }
+
+    /**
+     * Nome exibido no overlay de debug
+     * @returns {string} Rótulo
+     */
+    getLabel() {
+        return `? ${this.name || 'Seletor'}`;
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SelectorNode;
+}
@@ -0,0 +1,46 @@
+/**
+ * SequenceNode.js
+ * Nó de sequência
+ * Executa os filhos em ordem enquanto tiverem sucesso
+ */
+
+class SequenceNode extends BTNode {
+    /**
+     * Cria uma nova sequência
+     * @param {Object} definition - Definição JSON do nó
+     * @param {Array<BTNode>} children - Filhos já construídos
+     */
+    constructor(definition, children) {
+        super(definition);
+        this.children = children;
+    }
+
+    /**
+     * Falha ou continua no primeiro filho que não tiver sucesso
+     * @param {Object} context - Contexto do tick
+     * @returns {string} Status
+     */
+    run(context) {
+        for (const child of this.children) {
+            const status = child.tick(context);
+            if (status !== BTNode.SUCCESS) {
+                return status;
+            }
+        }
+
+        return BTNode.SUCCESS;
+    }
+
+    /**
+     * Nome exibido no overlay de debug
+     * @returns {string} Rótulo
+     */
+    getLabel() {
+        return `→ ${this.name || 'Sequência'}`;
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SequenceNode;
+}
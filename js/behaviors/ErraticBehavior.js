@@ -0,0 +1,53 @@
+/**
+ * ErraticBehavior.js
+ * Comportamento errático
+ * Mudanças bruscas de direção em momentos aleatórios
+ */
+
+class ErraticBehavior extends TargetBehavior {
+    /**
+     * Cria um novo comportamento errático
+     */
+    constructor() {
+        super(
+            CONFIG.targetBehaviors.erratic.name,
+            CONFIG.targetBehaviors.erratic.description
+        );
+        
+        this.chance = CONFIG.targetBehaviors.erratic.chance;
+        this.maxAngle = CONFIG.targetBehaviors.erratic.maxAngle;
+    }
+
+    /**
+     * Gira a velocidade diretamente; não há força de steering
+     * @param {Ligeirinho} target - Agente alvo
+     * @param {Frajola} threat - Perseguidor
+     * @param {number} deltaTime - Passo em frames de referência
+     * @returns {Vector2D} Força nula
+     */
+    calculate(target, threat, deltaTime = 1) {
+        if (this.active) {
+            // Chance proporcional ao passo para não depender da taxa de simulação
+            target.erraticBehavior(Math.min(this.chance * deltaTime, 1), this.maxAngle);
+        }
+
+        return new Vector2D(0, 0);
+    }
+
+    /**
+     * Retorna informações específicas do comportamento
+     * @returns {Object} Informações do comportamento
+     */
+    getInfo() {
+        return {
+            ...super.getInfo(),
+            chance: this.chance,
+            maxAngle: MathUtils.radToDeg(this.maxAngle).toFixed(0) + '°'
+        };
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ErraticBehavior;
+}
@@ -0,0 +1,73 @@
+/**
+ * EvadeBehavior.js
+ * Comportamento de evasão sob ameaça
+ * Segue em linha reta até o perseguidor entrar no raio de ameaça, então foge da posição prevista dele
+ */
+
+class EvadeBehavior extends TargetBehavior {
+    /**
+     * Cria um novo comportamento de evasão
+     */
+    constructor() {
+        super(
+            CONFIG.targetBehaviors.evade.name,
+            CONFIG.targetBehaviors.evade.description
+        );
+        
+        this.threatRadius = CONFIG.targetBehaviors.evade.threatRadius;
+        this.lookahead = CONFIG.targetBehaviors.evade.lookahead;
+        this.threatened = false;
+    }
+
+    /**
+     * Calcula a força de steering
+     * @param {Ligeirinho} target - Agente alvo
+     * @param {Frajola} threat - Perseguidor
+     * @returns {Vector2D} Força de steering a aplicar
+     */
+    calculate(target, threat) {
+        if (!this.active || !threat || !threat.active) {
+            return new Vector2D(0, 0);
+        }
+
+        const wasThreatened = this.threatened;
+        this.threatened = target.distanceTo(threat) <= this.threatRadius;
+
+        if (this.threatened !== wasThreatened) {
+            logger.strategy(`EvadeBehavior: ${this.threatened ? 'ameaça detectada' : 'ameaça afastada'}`, {
+                distance: target.distanceTo(threat).toFixed(2)
+            });
+        }
+
+        if (!this.threatened) {
+            return new Vector2D(0, 0);
+        }
+
+        return Strategy.evade(
+            target.position,
+            target.velocity,
+            threat.position,
+            threat.velocity,
+            target.maxSpeed,
+            target.maxForce,
+            this.lookahead
+        );
+    }
+
+    /**
+     * Retorna informações específicas do comportamento
+     * @returns {Object} Informações do comportamento
+     */
+    getInfo() {
+        return {
+            ...super.getInfo(),
+            threatRadius: this.threatRadius,
+            threatened: this.threatened
+        };
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EvadeBehavior;
+}
@@ -0,0 +1,32 @@
+/**
+ * StraightBehavior.js
+ * Comportamento em linha reta
+ * Mantém a direção do spawn até sair da arena (comportamento original)
+ */
+
+class StraightBehavior extends TargetBehavior {
+    /**
+     * Cria um novo comportamento em linha reta
+     */
+    constructor() {
+        super(
+            CONFIG.targetBehaviors.straight.name,
+            CONFIG.targetBehaviors.straight.description
+        );
+    }
+
+    /**
+     * Não aplica força: a velocidade do spawn é mantida
+     * @param {Ligeirinho} target - Agente alvo
+     * @param {Frajola} threat - Perseguidor
+     * @returns {Vector2D} Força nula
+     */
+    calculate(target, threat) {
+        return new Vector2D(0, 0);
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StraightBehavior;
+}
@@ -0,0 +1,63 @@
+/**
+ * TargetBehavior.js
+ * Classe base abstrata para comportamentos do Ligeirinho
+ * Equivalente às estratégias do Frajola, do lado do alvo
+ */
+
+class TargetBehavior {
+    /**
+     * Cria um novo comportamento
+     * @param {string} name - Nome do comportamento
+     * @param {string} description - Descrição do comportamento
+     */
+    constructor(name, description) {
+        this.name = name;
+        this.description = description;
+        this.active = true;
+        
+        logger.strategy(`Comportamento criado: ${this.name}`);
+    }
+
+    /**
+     * Calcula a força de steering para o Ligeirinho
+     * @param {Ligeirinho} target - Agente alvo
+     * @param {Frajola} threat - Perseguidor (pode ser null)
+     * @param {number} deltaTime - Passo em frames de referência
+     * @returns {Vector2D} Força de steering a aplicar
+     */
+    calculate(target, threat, deltaTime = 1) {
+        throw new Error('Método calculate() deve ser implementado pela subclasse');
+    }
+
+    /**
+     * Retorna informações do comportamento
+     * @returns {Object} Informações do comportamento
+     */
+    getInfo() {
+        return {
+            name: this.name,
+            description: this.description,
+            active: this.active
+        };
+    }
+
+    /**
+     * Calcula steering para virar o alvo em direção a um rumo
+     * @param {Agent} agent - Agente
+     * @param {number} heading - Rumo desejado em radianos
+     * @returns {Vector2D} Força de steering
+     */
+    static steerToHeading(agent, heading) {
+        const desired = Vector2D.fromAngle(heading, agent.maxSpeed);
+        
+        const steer = Vector2D.subtract(desired, agent.velocity);
+        steer.limit(agent.maxForce);
+        
+        return steer;
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TargetBehavior;
+}
@@ -0,0 +1,56 @@
+/**
+ * WanderBehavior.js
+ * Comportamento de vagar
+ * Curvas suaves e aleatórias usando Strategy.wander
+ */
+
+class WanderBehavior extends TargetBehavior {
+    /**
+     * Cria um novo comportamento de vagar
+     */
+    constructor() {
+        super(
+            CONFIG.targetBehaviors.wander.name,
+            CONFIG.targetBehaviors.wander.description
+        );
+        
+        this.wanderDistance = CONFIG.targetBehaviors.wander.wanderDistance;
+        this.wanderRadius = CONFIG.targetBehaviors.wander.wanderRadius;
+        this.angleChange = CONFIG.targetBehaviors.wander.angleChange;
+        this.wanderAngle = 0;
+    }
+
+    /**
+     * Calcula a força de steering
+     * @param {Ligeirinho} target - Agente alvo
+     * @param {Frajola} threat - Perseguidor
+     * @returns {Vector2D} Força de steering a aplicar
+     */
+    calculate(target, threat) {
+        if (!this.active) {
+            return new Vector2D(0, 0);
+        }
+
+        const wander = Strategy.wander(
+            target.velocity,
+            this.wanderAngle,
+            target.maxSpeed,
+            this.wanderDistance,
+            this.wanderRadius,
+            this.angleChange,
+            target.rng
+        );
+        this.wanderAngle = wander.newAngle;
+
+        // Strategy.wander retorna a velocidade desejada
+        const steer = Vector2D.subtract(wander.steer, target.velocity);
+        steer.limit(target.maxForce);
+
+        return steer;
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WanderBehavior;
+}
@@ -0,0 +1,54 @@
+/**
+ * ZigZagBehavior.js
+ * Comportamento em zigue-zague
+ * Alterna entre dois rumos simétricos em torno da direção do spawn
+ */
+
+class ZigZagBehavior extends TargetBehavior {
+    /**
+     * Cria um novo comportamento em zigue-zague
+     */
+    constructor() {
+        super(
+            CONFIG.targetBehaviors.zigzag.name,
+            CONFIG.targetBehaviors.zigzag.description
+        );
+        
+        this.amplitude = CONFIG.targetBehaviors.zigzag.amplitude;
+        this.interval = CONFIG.targetBehaviors.zigzag.interval;
+        
+        this.baseHeading = null; // definido no primeiro passo da tentativa
+        this.elapsed = 0;
+        this.side = 1;
+    }
+
+    /**
+     * Calcula a força de steering
+     * @param {Ligeirinho} target - Agente alvo
+     * @param {Frajola} threat - Perseguidor
+     * @param {number} deltaTime - Passo em frames de referência
+     * @returns {Vector2D} Força de steering a aplicar
+     */
+    calculate(target, threat, deltaTime = 1) {
+        if (!this.active) {
+            return new Vector2D(0, 0);
+        }
+
+        if (this.baseHeading === null) {
+            this.baseHeading = target.velocity.angle();
+        }
+
+        this.elapsed += deltaTime;
+        if (this.elapsed >= this.interval) {
+            this.elapsed -= this.interval;
+            this.side = -this.side;
+        }
+
+        return TargetBehavior.steerToHeading(target, this.baseHeading + this.side * this.amplitude);
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZigZagBehavior;
+}
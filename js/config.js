@@ -22,6 +22,7 @@ const CONFIG = {
         speedMin: 8,
         speedMax: 15,
         defaultSpeed: 8,
+        defaultBehavior: 'straight',
         // Porcentagem do tamanho em relação ao canvas
         sizePercentage: 2.5
     },
@@ -34,37 +35,117 @@ const CONFIG = {
         speedMin: 3,
         speedMax: 15,
         defaultSpeed: 9,
+        maxForce: 0.5, // força máxima de steering
         detectionRadius: 300,
         startX: 700, // Centro do canvas
         startY: 450
     },
 
+    // Múltiplos agentes
+    agents: {
+        chaserCount: 1,
+        targetCount: 1,
+        maxChasers: 5,
+        maxTargets: 5,
+        assignment: 'nearest', // 'nearest' (alvo mais próximo) ou 'spread' (distribui os alvos)
+        chaserSpacing: 200, // px entre o início do primeiro Frajola e os demais
+        separationRadius: 200, // px; Frajolas mais próximos que isso se afastam
+        separationForce: 0.3
+    },
+
     // Sistema de Detecção
     detection: {
         baseSensitivity: 0.9,
         minSensitivity: 0.3,
         maxSensitivity: 1.5,
+        defaultMethod: 'radius', // 'radius', 'cone' ou 'raycast'
+        coneAngle: 120, // graus (abertura total do cone)
+        minConeAngle: 30,
+        maxConeAngle: 360,
+        visibilityRays: 180, // raios usados para desenhar a visão com obstáculos
         detectedColor: '#22c55e40',
         lostColor: '#ef444440',
+        detectedFillColor: '#22c55e14',
+        lostFillColor: '#ef444414',
         lineColor: '#fbbf2480',
         lineWidth: 2,
         lineDash: [5, 5]
     },
 
+    // Memória compartilhada (última posição conhecida do alvo)
+    memory: {
+        duration: 5, // segundos simulados até esquecer o avistamento
+        ghostColor: '#ef4444',
+        ghostMaxAlpha: 0.6
+    },
+
     // Sistema de Física
     physics: {
+        referenceFPS: 60, // velocidades em px/frame são definidas a esta taxa
         captureDistance: 60,
         boundaryMargin: 100,
         friction: 0.98,
         maxVelocity: 20
     },
 
+    // Obstáculos
+    obstacles: {
+        fillColor: '#4b5563',
+        strokeColor: '#9ca3af',
+        lineWidth: 2,
+        defaultLayout: 'none',
+        // Layouts prontos; obstáculos: rect (x, y, width, height), circle (x, y, radius), polygon (points)
+        layouts: {
+            none: {
+                name: 'Sem obstáculos',
+                obstacles: []
+            },
+            pillars: {
+                name: 'Pilares',
+                obstacles: [
+                    { type: 'circle', x: 400, y: 250, radius: 60 },
+                    { type: 'circle', x: 1200, y: 250, radius: 60 },
+                    { type: 'circle', x: 400, y: 650, radius: 60 },
+                    { type: 'circle', x: 1200, y: 650, radius: 60 },
+                    { type: 'circle', x: 1000, y: 450, radius: 50 }
+                ]
+            },
+            walls: {
+                name: 'Paredes',
+                obstacles: [
+                    { type: 'rect', x: 300, y: 150, width: 40, height: 300 },
+                    { type: 'rect', x: 1250, y: 450, width: 40, height: 300 },
+                    { type: 'rect', x: 550, y: 700, width: 500, height: 40 },
+                    { type: 'polygon', points: [
+                        { x: 950, y: 150 }, { x: 1150, y: 150 }, { x: 1050, y: 300 }
+                    ] }
+                ]
+            }
+        }
+    },
+
+    // Editor de mapas
+    mapEditor: {
+        spawnEdgeColor: '#ef4444',
+        spawnZoneColor: '#ef444440',
+        chaserStartColor: '#3b82f6',
+        waypointColor: '#fbbf24',
+        previewColor: '#e5e7eb',
+        closeDistance: 15, // px do primeiro vértice para fechar o polígono
+        minShapeSize: 10 // px; formas menores são descartadas
+    },
+
     // Simulação
     simulation: {
         defaultFPS: 60,
         minFPS: 30,
         maxFPS: 120,
+        timeScales: [0.25, 0.5, 1, 2, 4, 8],
+        defaultTimeScale: 1,
+        maxFrameTime: 0.25, // s; limita o acúmulo após travamentos ou aba inativa
         captureDelay: 2000, // ms antes de reiniciar após captura
+        maxEpisodeSteps: 10000, // limite de passos por tentativa (headless)
+        seed: null, // semente da sessão (null = aleatória a cada reset)
         debug: false
     },
 
@@ -77,14 +158,169 @@ const CONFIG = {
         predictive: {
             name: 'Perseguição Preditiva',
             description: 'Prevê a posição futura do alvo e intercepta',
-            lookahead: 10 // frames à frente
+            lookahead: 10, // frames à frente
+            adaptiveLookahead: true // ajusta o lookahead pela distância (ignora 'lookahead')
         },
         patrol: {
             name: 'Patrulha + Perseguição',
-            description: 'Patrulha área quando não detecta, persegue quando detecta',
+            description: 'Patrulha área quando não detecta, persegue quando detecta e busca a última posição conhecida quando perde o alvo',
             patrolSpeed: 0.5, // multiplicador da velocidade
             patrolRadius: 100,
-            patrolAngularSpeed: 0.05
+            patrolAngularSpeed: 0.05,
+            waypointRadius: 50, // distância para considerar o waypoint alcançado
+            searchSpeed: 0.8, // multiplicador da velocidade durante a busca
+            sweepSpacing: 150, // px entre as voltas da espiral de busca
+            sweepMaxRadius: 450, // px; a espiral recomeça a partir da última posição
+            searchRestartDistance: 150 // px; avistamento mais distante da origem da busca a reinicia
+        },
+        pack: {
+            name: 'Caça em Matilha',
+            description: 'Frajolas compartilham detecções e dividem papéis: interceptador, bloqueador e flanqueadores',
+            blockLead: 30, // frames além da interceptação onde o bloqueador se posiciona
+            flankOffset: 150, // px para o lado da rota do alvo
+            flankCloseDistance: 200, // px; abaixo disso o flanqueador fecha o cerco
+            roles: {
+                interceptor: { name: 'Interceptador', color: '#f97316' },
+                blocker: { name: 'Bloqueador', color: '#a855f7' },
+                flanker: { name: 'Flanqueador', color: '#14b8a6' }
+            }
+        },
+        blend: {
+            name: 'Combinação de Steering',
+            description: 'Combina perseguição, desvio de obstáculos, separação e desvio das bordas com pesos ou prioridades configuráveis',
+            arbitration: 'weighted', // 'weighted' (soma ponderada) ou 'priority' (orçamento de força por prioridade)
+            maxWeight: 3,
+            obstacleLookahead: 120, // px à frente verificados no desvio de obstáculos
+            boundaryMargin: 100, // px da borda onde o desvio começa
+            separationRadius: 200, // px; Frajolas mais próximos que isso se repelem
+            wanderDistance: 80,
+            wanderRadius: 40,
+            angleChange: 0.3,
+            // Prioridade: 1 é a mais alta (usada na arbitragem 'priority')
+            behaviors: {
+                obstacleAvoidance: { name: 'Desviar de obstáculos', weight: 2, priority: 1, color: '#ef4444' },
+                boundaryAvoidance: { name: 'Evitar bordas', weight: 1, priority: 2, color: '#eab308' },
+                separation: { name: 'Separação', weight: 1, priority: 3, color: '#a855f7' },
+                pursuit: { name: 'Perseguir', weight: 1, priority: 4, color: '#22c55e' },
+                wander: { name: 'Vagar', weight: 0, priority: 5, color: '#38bdf8' }
+            }
+        },
+        external: {
+            name: 'Controle Externo',
+            description: 'Força de steering definida a cada passo por um agente externo (ambiente de aprendizado por reforço)'
+        }
+    },
+
+    // Árvores de comportamento (estratégias 'bt:<nome>'; mesmo formato dos arquivos JSON carregados)
+    behaviorTrees: {
+        hunter: {
+            name: 'Árvore: Caçador',
+            description: 'Bote quando perto, intercepta quando detecta, vai à última posição conhecida e rastreia o alvo sem pistas',
+            root: {
+                type: 'selector',
+                children: [
+                    { type: 'sequence', name: 'Bote', children: [
+                        { type: 'condition', check: 'targetDetected' },
+                        { type: 'condition', check: 'targetWithin', distance: 150 },
+                        { type: 'action', action: 'seek' }
+                    ] },
+                    { type: 'sequence', name: 'Interceptar', children: [
+                        { type: 'condition', check: 'targetDetected' },
+                        { type: 'action', action: 'pursuit' }
+                    ] },
+                    { type: 'sequence', name: 'Última posição', children: [
+                        { type: 'condition', check: 'targetRemembered' },
+                        { type: 'action', action: 'seekLastKnown' }
+                    ] },
+                    { type: 'action', name: 'Rastrear', action: 'seek' }
+                ]
+            }
+        },
+        ambusher: {
+            name: 'Árvore: Emboscada',
+            description: 'Espera parado enquanto o alvo vem em sua direção (até 2s) e dá o bote quando ele chega perto',
+            root: {
+                type: 'selector',
+                children: [
+                    { type: 'sequence', name: 'Bote', children: [
+                        { type: 'condition', check: 'targetDetected' },
+                        { type: 'condition', check: 'targetWithin', distance: 200 },
+                        { type: 'action', action: 'pursuit' }
+                    ] },
+                    { type: 'sequence', name: 'Aguardar', children: [
+                        { type: 'condition', check: 'targetDetected' },
+                        { type: 'condition', check: 'targetApproaching' },
+                        { type: 'decorator', decorator: 'limit', frames: 120, child: { type: 'action', action: 'hold' } }
+                    ] },
+                    { type: 'sequence', name: 'Interceptar', children: [
+                        { type: 'condition', check: 'targetDetected' },
+                        { type: 'action', action: 'pursuit' }
+                    ] },
+                    { type: 'sequence', name: 'Última posição', children: [
+                        { type: 'condition', check: 'targetRemembered' },
+                        { type: 'action', action: 'seekLastKnown' }
+                    ] },
+                    { type: 'action', action: 'wander', speed: 0.6 }
+                ]
+            }
+        }
+    },
+
+    // Políticas de rede neural (estratégias 'nn:<nome>'; mesmo formato dos arquivos de pesos carregados)
+    // Pesos: [saídas][entradas]; as 2 saídas são a força (x, y) em [-1, 1], escalada pela força máxima
+    neuralPolicies: {
+        linear: {
+            name: 'Rede: Interceptador Linear',
+            description: 'Rede de uma camada (tanh) ajustada à mão: aproxima-se do alvo e amortece a velocidade relativa',
+            inputs: ['relativeX', 'relativeY', 'relativeVelX', 'relativeVelY', 'targetDetected'],
+            layers: [
+                {
+                    weights: [
+                        [5, 0, 2, 0, 0],
+                        [0, 2.8125, 0, 2, 0] // 5 * altura / largura: mesmo ganho por px nos dois eixos
+                    ],
+                    biases: [0, 0],
+                    activation: 'tanh'
+                }
+            ]
+        }
+    },
+
+    // Máquina de estados das estratégias
+    stateMachine: {
+        historyMaxLength: 50 // transições guardadas por máquina
+    },
+
+    // Comportamentos do Ligeirinho
+    targetBehaviors: {
+        straight: {
+            name: 'Linha Reta',
+            description: 'Atravessa a arena em linha reta, sem reagir ao perseguidor'
+        },
+        erratic: {
+            name: 'Errático',
+            description: 'Muda de direção bruscamente em momentos aleatórios',
+            chance: 0.02, // chance de mudar de direção por frame
+            maxAngle: Math.PI / 2 // radianos
+        },
+        wander: {
+            name: 'Vagar',
+            description: 'Curvas suaves e aleatórias',
+            wanderDistance: 50,
+            wanderRadius: 25,
+            angleChange: 0.3
+        },
+        evade: {
+            name: 'Evasão sob Ameaça',
+            description: 'Segue em linha reta e foge quando o perseguidor se aproxima',
+            threatRadius: 250,
+            lookahead: 10 // frames à frente
+        },
+        zigzag: {
+            name: 'Zigue-zague',
+            description: 'Alterna a direção em torno do rumo inicial',
+            amplitude: Math.PI / 4, // desvio em radianos para cada lado
+            interval: 30 // frames em cada lado
         }
     },
 
@@ -99,13 +335,135 @@ const CONFIG = {
         captureFlashDuration: 1000 // ms
     },
 
+    // Experimentos (varreduras headless)
+    experiments: {
+        episodesPerCell: 100
+    },
+
+    // Ambiente de aprendizado por reforço (PursuitEnv)
+    rl: {
+        actionType: 'continuous', // 'continuous' ([ax, ay] em [-1, 1]) ou 'discrete' (0 = parado, 1-8 = direções)
+        frameSkip: 1, // passos de simulação por ação
+        maxSteps: 3000, // ações por episódio antes de truncar
+        maskUndetected: false, // zera os dados do alvo na observação quando não detectado
+        rewards: {
+            capture: 10, // captura pelo Frajola controlado
+            escape: -10, // fuga de qualquer Ligeirinho
+            step: -0.001, // custo por ação
+            approach: 0.001 // por px de aproximação do alvo
+        }
+    },
+
+    // Otimizador genético de parâmetros (GeneticTuner)
+    tuner: {
+        populationSize: 20,
+        generations: 15,
+        episodesPerGenome: 30, // tentativas headless por avaliação (mesma semente para todos os genomas)
+        eliteCount: 2, // melhores genomas copiados sem alteração
+        tournamentSize: 3,
+        crossoverRate: 0.7,
+        mutationRate: 0.2, // probabilidade de mutação por gene
+        mutationScale: 0.15, // perturbação máxima (fração do intervalo do gene)
+        fitness: {
+            captureRate: 1, // peso da taxa de captura (0-1)
+            captureTime: 0.05 // penalidade por segundo de tempo médio por tentativa (não-capturas contam o limite da tentativa)
+        },
+        // Genes por estratégia: propriedade da estratégia (target 'strategy') ou do Frajola (target 'chaser')
+        // config: caminho em CONFIG usado no preset exportado
+        genes: {
+            predictive: [
+                { key: 'lookahead', target: 'strategy', config: 'strategies.predictive.lookahead', min: 0, max: 40 },
+                { key: 'adaptiveLookahead', target: 'strategy', config: 'strategies.predictive.adaptiveLookahead', type: 'boolean' },
+                { key: 'maxForce', target: 'chaser', config: 'chaser.maxForce', min: 0.1, max: 1.5 }
+            ],
+            // Mesmos limites dos setters da PatrolStrategy; circleOnly: sem efeito em mapas com waypoints de patrulha
+            patrol: [
+                { key: 'patrolRadius', target: 'strategy', config: 'strategies.patrol.patrolRadius', min: 50, max: 300, circleOnly: true },
+                { key: 'patrolSpeed', target: 'strategy', config: 'strategies.patrol.patrolSpeed', min: 0.1, max: 1 },
+                { key: 'angularSpeed', target: 'strategy', config: 'strategies.patrol.patrolAngularSpeed', min: 0.01, max: 0.2, circleOnly: true },
+                { key: 'maxForce', target: 'chaser', config: 'chaser.maxForce', min: 0.1, max: 1.5 }
+            ]
+        }
+    },
+
+    // Gravação e replay de tentativas (EpisodeRecorder / ReplayPlayer)
+    replay: {
+        minSpeed: 0.25,
+        maxSpeed: 8,
+        overlayColor: '#fbbf24'
+    },
+
+    // Exportação de vídeo a partir de um replay (ClipExporter)
+    clip: {
+        format: 'gif', // 'gif' ou 'webm'
+        fps: 15,
+        scale: 0.5, // fração do tamanho do canvas
+        maxFrames: 900,
+        paletteFrames: 12, // quadros amostrados para a paleta do GIF
+        paletteSampleStep: 3, // amostrar um pixel a cada N
+        webmBitrate: 4000000, // bits/s
+        overlays: {
+            grid: true,
+            detection: true,
+            memory: true,
+            hud: true
+        }
+    },
+
     // Analytics
     analytics: {
         trackHistory: true,
         historyMaxLength: 1000,
+        collisionLogLength: 1000, // colisões guardadas pelo CollisionDetector
+        detectionLogLength: 5000, // mudanças de detecção guardadas pelo SimulationCore
         exportFormat: 'json' // 'json' ou 'csv'
     },
 
+    // Exportação de tabelas CSV (padrões do painel de exportação)
+    csvExport: {
+        delimiter: ';', // ',', ';' ou '\t'
+        decimal: ',', // '.' ou ','
+        bom: true, // BOM UTF-8 para o Excel reconhecer acentos
+        zip: false // um único .zip em vez de um CSV por tabela
+    },
+
+    // Histórico de sessões (SessionStore, IndexedDB)
+    sessions: {
+        dbName: 'ligeirinho-frajola',
+        autoSave: true // salvar a sessão a cada tentativa concluída
+    },
+
+    // Intervalos de confiança e testes de significância (Statistics)
+    statistics: {
+        confidence: 0.95,
+        power: 0.8, // poder do teste para a estimativa de tentativas necessárias
+        bootstrapIterations: 1000,
+        bootstrapSeed: 20240601, // semente fixa: o mesmo histórico gera sempre os mesmos intervalos
+        minAttempts: 5 // tentativas por estratégia para entrar nos testes
+    },
+
+    // Mapas de calor (HeatmapTracker)
+    heatmap: {
+        cellSize: 40, // px
+        sampleInterval: 6, // passos entre amostras da posição dos Frajolas
+        opacity: 0.65,
+        // Rampa de cores do menor ao maior valor
+        colors: [[59, 130, 246], [34, 197, 94], [251, 191, 36], [239, 68, 68]],
+        layers: {
+            captures: { name: 'Capturas', unit: '' },
+            escapes: { name: 'Fugas', unit: '' },
+            occupancy: { name: 'Ocupação do Frajola', unit: 's' }
+        }
+    },
+
+    // Painel de análise (DashboardRenderer)
+    dashboard: {
+        rollingWindow: 20, // tentativas na taxa de captura móvel
+        trendWindow: 10, // tentativas comparadas com as anteriores nas tendências
+        histogramBins: 12,
+        minStrategyAttempts: 5 // tentativas para uma estratégia concorrer a "melhor"
+    },
+
     // UI
     ui: {
         updateInterval: 100, // ms
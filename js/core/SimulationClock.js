@@ -0,0 +1,68 @@
+/**
+ * SimulationClock.js
+ * Relógio de tempo simulado
+ * Avança apenas quando a simulação executa um passo: pausas, abas inativas
+ * e atrasos de reinício não afetam as medições de duração
+ */
+
+class SimulationClock {
+    /**
+     * Cria um novo relógio parado em zero
+     */
+    constructor() {
+        this.tick = 0;
+        this.time = 0; // segundos simulados
+    }
+
+    /**
+     * Avança o relógio em um passo
+     * @param {number} deltaSeconds - Duração do passo em segundos simulados
+     */
+    advance(deltaSeconds) {
+        this.tick++;
+        this.time += deltaSeconds;
+    }
+
+    /**
+     * Retorna o tempo simulado atual
+     * @returns {number} Tempo em segundos simulados
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Retorna uma marca de tempo para registros de histórico
+     * @returns {Object} { tick, time }
+     */
+    stamp() {
+        return {
+            tick: this.tick,
+            time: this.time
+        };
+    }
+
+    /**
+     * Zera o relógio
+     */
+    reset() {
+        this.tick = 0;
+        this.time = 0;
+    }
+
+    /**
+     * Retorna informações de debug
+     * @returns {Object} Informações de debug
+     */
+    getDebugInfo() {
+        return {
+            tick: this.tick,
+            time: this.time.toFixed(2) + 's'
+        };
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SimulationClock;
+}
@@ -0,0 +1,1104 @@
+/**
+ * SimulationCore.js
+ * Núcleo headless da simulação
+ * Agentes, física, detecção, colisões e estatísticas sem dependência de DOM ou canvas
+ */
+
+class SimulationCore {
+    /**
+     * Cria um novo núcleo de simulação
+     * @param {Object} options - Opções de configuração
+     * @param {string} options.strategy - Estratégia inicial ('direct', 'predictive', 'patrol', 'pack' ou 'bt:<árvore>')
+     * @param {string} options.targetBehavior - Comportamento do Ligeirinho ('straight', 'erratic', 'wander', 'evade', 'zigzag')
+     * @param {number} options.targetSpeed - Velocidade do Ligeirinho
+     * @param {number} options.chaserSpeed - Velocidade do Frajola
+     * @param {number} options.chaserMaxForce - Força máxima de steering do Frajola
+     * @param {Object} options.strategyParams - Parâmetros por estratégia ({ predictive: { lookahead: 12 } })
+     * @param {number} options.detectionSensitivity - Sensibilidade de detecção
+     * @param {string} options.detectionMethod - Método de detecção ('radius', 'cone', 'raycast')
+     * @param {number} options.coneAngle - Abertura do cone de visão em graus
+     * @param {number} options.chaserCount - Número de Frajolas
+     * @param {number} options.targetCount - Número de Ligeirinhos
+     * @param {string} options.assignment - Atribuição de alvos ('nearest', 'spread')
+     * @param {string|Array<Object>} options.obstacles - Layout de obstáculos (nome ou lista serializada)
+     * @param {ArenaMap|Object} options.map - Mapa completo (substitui options.obstacles)
+     * @param {number} options.seed - Semente da sessão (null = aleatória)
+     * @param {number} options.tickRate - Passos de simulação por segundo simulado
+     * @param {SimulationClock} options.clock - Relógio de tempo simulado (criado se omitido)
+     * @throws {Error} Se a estratégia ou o comportamento não existirem
+     */
+    constructor(options = {}) {
+        // Estado
+        this.frameCount = 0;
+        this.episodeFrame = 0;
+        this.episodeTime = 0; // segundos simulados
+        this.episodeOutcome = null; // null, 'capture' ou 'escape'
+        this.episodeCaptures = 0;
+        this.stepEvents = []; // capturas e fugas do último passo ({ type, chaserIndex, targetIndex })
+        this.detectionLog = []; // mudanças de detecção de cada Frajola (recordDetectionChange)
+        this.currentStrategy = options.strategy || 'direct';
+        this.currentBehavior = options.targetBehavior || CONFIG.target.defaultBehavior;
+        this.tickRate = options.tickRate || CONFIG.simulation.defaultFPS;
+
+        // Configurações
+        this.config = {
+            targetSpeed: options.targetSpeed || CONFIG.target.defaultSpeed,
+            chaserSpeed: options.chaserSpeed || CONFIG.chaser.defaultSpeed,
+            chaserMaxForce: options.chaserMaxForce || CONFIG.chaser.maxForce,
+            detectionSensitivity: options.detectionSensitivity || CONFIG.detection.baseSensitivity,
+            detectionMethod: CONFIG.detection.defaultMethod,
+            coneAngle: CONFIG.detection.coneAngle,
+            chaserCount: CONFIG.agents.chaserCount,
+            targetCount: CONFIG.agents.targetCount,
+            assignment: CONFIG.agents.assignment
+        };
+        this.setChaserCount(options.chaserCount || this.config.chaserCount);
+        this.setTargetCount(options.targetCount || this.config.targetCount);
+        this.setAssignment(options.assignment || this.config.assignment);
+
+        // Relógio simulado: avança somente em step(), compartilhado pelos sistemas
+        this.clock = options.clock || new SimulationClock();
+
+        // Sistemas
+        this.physicsEngine = new PhysicsEngine();
+        this.detectionSystem = new DetectionSystem(this.clock);
+        this.collisionDetector = new CollisionDetector(this.clock);
+        this.statsTracker = new StatsTracker(this.clock);
+        this.heatmap = new HeatmapTracker();
+        this.obstacleSystem = new ObstacleSystem();
+        this.packCoordinator = new PackCoordinator();
+        this.blackboard = new Blackboard(this.clock);
+        this.detectionSystem.setSensitivity(this.config.detectionSensitivity);
+        this.setDetectionMethod(options.detectionMethod || this.config.detectionMethod);
+        this.setConeAngle(options.coneAngle || this.config.coneAngle);
+
+        // Pesos e prioridades da estratégia 'blend' (compartilhados pelos Frajolas, editáveis em tempo real)
+        this.blendSettings = BlendedStrategy.createSettings();
+
+        // Parâmetros que substituem os valores de CONFIG nas instâncias de cada estratégia
+        this.strategyParams = JSON.parse(JSON.stringify(options.strategyParams || {}));
+
+        // Árvores de comportamento disponíveis como estratégias 'bt:<nome>'
+        this.behaviorTrees = { ...CONFIG.behaviorTrees };
+
+        // Políticas de rede neural disponíveis como estratégias 'nn:<nome>'
+        this.neuralPolicies = { ...CONFIG.neuralPolicies };
+
+        // Agentes (estratégias e comportamentos são instanciados por agente)
+        this.ligeirinhos = [];
+        this.frajolas = [];
+
+        // Arena: obstáculos, spawn, início do Frajola e waypoints
+        this.map = new ArenaMap();
+        if (options.map) {
+            this.setMap(options.map);
+        } else {
+            this.setObstacleLayout(options.obstacles || CONFIG.obstacles.defaultLayout);
+        }
+
+        // Aleatoriedade: a semente da sessão gera uma semente por tentativa
+        this.configuredSeed = options.seed !== undefined ? options.seed : CONFIG.simulation.seed;
+        this.seed = null;
+        this.episodeSeed = null;
+        this.rng = null;
+        this.seedSession(this.configuredSeed);
+
+        // Nome desconhecido deixaria os agentes sem estratégia ou sem comportamento
+        if (!this.hasStrategy(this.currentStrategy)) {
+            throw new Error(`Estratégia desconhecida: ${this.currentStrategy}`);
+        }
+        if (!SimulationCore.isKnownBehavior(this.currentBehavior)) {
+            throw new Error(`Comportamento desconhecido: ${this.currentBehavior}`);
+        }
+
+        this.createAgents();
+        this.setStrategy(this.currentStrategy);
+        this.setTargetBehavior(this.currentBehavior);
+
+        logger.info('Núcleo da simulação inicializado', {
+            strategy: this.currentStrategy,
+            targetBehavior: this.currentBehavior,
+            config: this.config,
+            seed: this.seed
+        });
+    }
+
+    /**
+     * Primeiro Ligeirinho (atalho para o caso de um único alvo)
+     * @returns {Ligeirinho} Alvo
+     */
+    get ligeirinho() {
+        return this.ligeirinhos[0] || null;
+    }
+
+    /**
+     * Primeiro Frajola (atalho para o caso de um único perseguidor)
+     * @returns {Frajola} Perseguidor
+     */
+    get frajola() {
+        return this.frajolas[0] || null;
+    }
+
+    /**
+     * Inicia a sequência aleatória da sessão
+     * @param {number|null} seed - Semente (null = aleatória)
+     */
+    seedSession(seed) {
+        this.seed = seed !== null && seed !== undefined ? seed >>> 0 : SeededRandom.generateSeed();
+        this.rng = new SeededRandom(this.seed);
+        this.statsTracker.setSeed(this.seed);
+
+        logger.info('Semente da sessão definida', { seed: this.seed });
+    }
+
+    /**
+     * Define a semente usada no próximo reset()
+     * @param {number|null} seed - Semente (null = aleatória)
+     */
+    setSeed(seed) {
+        this.configuredSeed = seed;
+    }
+
+    /**
+     * Cria os agentes
+     * @param {number} episodeSeed - Semente da tentativa (derivada da sessão se omitida)
+     */
+    createAgents(episodeSeed = this.rng.nextSeed()) {
+        this.episodeSeed = episodeSeed;
+        const episodeRng = new SeededRandom(episodeSeed);
+
+        // Criar Ligeirinhos (todos os alvos antes dos perseguidores, na mesma sequência aleatória)
+        this.ligeirinhos = [];
+        for (let i = 0; i < this.config.targetCount; i++) {
+            const ligeirinho = new Ligeirinho(0, 0, this.config.targetSpeed, episodeRng);
+            ligeirinho.spawnInArena(
+                CONFIG.canvas.width,
+                CONFIG.canvas.height,
+                this.map.spawnEdges,
+                this.map.spawnZones
+            );
+            ligeirinho.index = i;
+            this.ligeirinhos.push(ligeirinho);
+        }
+
+        // Criar Frajolas
+        this.frajolas = [];
+        for (let i = 0; i < this.config.chaserCount; i++) {
+            const start = this.getChaserStart(i);
+            const frajola = new Frajola(start.x, start.y, this.config.chaserSpeed, episodeRng);
+            frajola.maxForce = this.config.chaserMaxForce;
+            frajola.index = i;
+            this.frajolas.push(frajola);
+        }
+
+        this.assignTargets();
+        this.packCoordinator.reset();
+        this.blackboard.reset();
+
+        // Cada agente recebe sua própria instância: estado não é compartilhado nem vaza entre tentativas
+        if (this.hasStrategy(this.currentStrategy)) {
+            this.frajolas.forEach(frajola => frajola.setStrategy(this.createStrategy(this.currentStrategy)));
+        }
+        if (SimulationCore.isKnownBehavior(this.currentBehavior)) {
+            this.ligeirinhos.forEach(ligeirinho => ligeirinho.setBehavior(this.createBehavior(this.currentBehavior)));
+        }
+
+        logger.info('Agentes criados', {
+            episodeSeed: this.episodeSeed,
+            chasers: this.frajolas.length,
+            targets: this.ligeirinhos.length
+        });
+    }
+
+    /**
+     * Posição inicial de um Frajola
+     * O primeiro usa o início do mapa; os demais ficam em círculo ao redor dele
+     * @param {number} index - Índice do Frajola
+     * @returns {Object} Posição ({ x, y })
+     */
+    getChaserStart(index) {
+        const start = this.map.chaserStart;
+        if (index === 0) {
+            return { x: start.x, y: start.y };
+        }
+
+        const angle = ((index - 1) / (this.config.chaserCount - 1)) * Math.PI * 2;
+        const halfSize = CONFIG.chaser.size / 2;
+
+        return {
+            x: MathUtils.clamp(start.x + Math.cos(angle) * CONFIG.agents.chaserSpacing, halfSize, CONFIG.canvas.width - halfSize),
+            y: MathUtils.clamp(start.y + Math.sin(angle) * CONFIG.agents.chaserSpacing, halfSize, CONFIG.canvas.height - halfSize)
+        };
+    }
+
+    /**
+     * Cria uma instância de estratégia para um Frajola
+     * @param {string} strategyName - Nome da estratégia
+     * @returns {Strategy} Estratégia
+     */
+    createStrategy(strategyName) {
+        let strategy;
+        if (strategyName.startsWith(SimulationCore.BEHAVIOR_TREE_PREFIX)) {
+            strategy = new BehaviorTreeStrategy(this.behaviorTrees[strategyName.slice(SimulationCore.BEHAVIOR_TREE_PREFIX.length)]);
+        } else if (strategyName.startsWith(SimulationCore.NEURAL_POLICY_PREFIX)) {
+            strategy = new NeuralStrategy(this.neuralPolicies[strategyName.slice(SimulationCore.NEURAL_POLICY_PREFIX.length)]);
+        } else {
+            strategy = new SimulationCore.STRATEGIES[strategyName]();
+        }
+
+        // Somente propriedades que a estratégia já possui são substituídas
+        const params = this.strategyParams[strategyName] || {};
+        for (const [key, value] of Object.entries(params)) {
+            if (key in strategy) {
+                strategy[key] = value;
+            }
+        }
+
+        if (strategy.setWaypoints) {
+            strategy.setWaypoints(this.map.patrolPoints);
+        }
+
+        if (strategy.setCoordinator) {
+            strategy.setCoordinator(this.packCoordinator);
+        }
+
+        if (strategy.setBlackboard) {
+            strategy.setBlackboard(this.blackboard);
+        }
+
+        if (strategy.setBlendSettings) {
+            strategy.setBlendSettings(this.blendSettings);
+        }
+
+        if (strategy.setObstacleSystem) {
+            strategy.setObstacleSystem(this.obstacleSystem);
+        }
+
+        if (strategy.setPeers) {
+            strategy.setPeers(this.frajolas);
+        }
+
+        return strategy;
+    }
+
+    /**
+     * Cria uma instância de comportamento para um Ligeirinho
+     * @param {string} behaviorName - Nome do comportamento
+     * @returns {TargetBehavior} Comportamento
+     */
+    createBehavior(behaviorName) {
+        return new SimulationCore.BEHAVIORS[behaviorName]();
+    }
+
+    /**
+     * Atribui um alvo ativo a cada Frajola
+     * 'nearest': alvo mais próximo; 'spread': alvos distribuídos em rodízio
+     */
+    assignTargets() {
+        const targets = this.ligeirinhos.filter(ligeirinho => ligeirinho.active);
+        if (targets.length === 0) return;
+
+        this.frajolas.forEach((frajola, i) => {
+            let target;
+
+            if (this.config.assignment === 'spread') {
+                target = targets[i % targets.length];
+            } else {
+                target = targets.reduce((nearest, candidate) =>
+                    frajola.distanceTo(candidate) < frajola.distanceTo(nearest) ? candidate : nearest
+                );
+            }
+
+            if (frajola.target !== target) {
+                frajola.setTarget(target);
+            }
+        });
+    }
+
+    /**
+     * Define o Frajola mais próximo como ameaça de cada Ligeirinho ativo
+     */
+    updateThreats() {
+        for (const ligeirinho of this.ligeirinhos) {
+            if (!ligeirinho.active) continue;
+
+            let threat = null;
+            for (const frajola of this.frajolas) {
+                if (!threat || ligeirinho.distanceTo(frajola) < ligeirinho.distanceTo(threat)) {
+                    threat = frajola;
+                }
+            }
+            ligeirinho.setThreat(threat);
+        }
+    }
+
+    /**
+     * Define a estratégia de perseguição
+     * @param {string} strategyName - Nome da estratégia
+     * @returns {boolean} True se a estratégia existe
+     */
+    setStrategy(strategyName) {
+        if (!this.hasStrategy(strategyName)) {
+            logger.error('Estratégia não encontrada', { strategyName });
+            return false;
+        }
+
+        this.currentStrategy = strategyName;
+        this.frajolas.forEach(frajola => frajola.setStrategy(this.createStrategy(strategyName)));
+
+        return true;
+    }
+
+    /**
+     * Verifica se a estratégia existe (registrada, árvore de comportamento ou rede neural)
+     * @param {string} strategyName - Nome da estratégia
+     * @returns {boolean} True se existe
+     */
+    hasStrategy(strategyName) {
+        return SimulationCore.isKnownStrategy(strategyName, this.behaviorTrees, this.neuralPolicies);
+    }
+
+    /**
+     * Verifica um nome de estratégia sem instanciar o núcleo (ex: ao validar um experimento)
+     * @param {string} strategyName - Nome da estratégia
+     * @param {Object} behaviorTrees - Árvores disponíveis (padrão: CONFIG.behaviorTrees)
+     * @param {Object} neuralPolicies - Políticas disponíveis (padrão: CONFIG.neuralPolicies)
+     * @returns {boolean} True se existe
+     */
+    static isKnownStrategy(strategyName, behaviorTrees = CONFIG.behaviorTrees, neuralPolicies = CONFIG.neuralPolicies) {
+        if (typeof strategyName !== 'string') return false;
+
+        // Somente chaves próprias: nomes como 'constructor' ou 'toString' viriam do protótipo
+        const has = (registry, name) => Object.prototype.hasOwnProperty.call(registry, name) && Boolean(registry[name]);
+
+        if (strategyName.startsWith(SimulationCore.BEHAVIOR_TREE_PREFIX)) {
+            return has(behaviorTrees, strategyName.slice(SimulationCore.BEHAVIOR_TREE_PREFIX.length));
+        }
+
+        if (strategyName.startsWith(SimulationCore.NEURAL_POLICY_PREFIX)) {
+            return has(neuralPolicies, strategyName.slice(SimulationCore.NEURAL_POLICY_PREFIX.length));
+        }
+
+        return has(SimulationCore.STRATEGIES, strategyName);
+    }
+
+    /**
+     * Verifica um nome de comportamento do Ligeirinho
+     * @param {string} behaviorName - Nome do comportamento
+     * @returns {boolean} True se existe
+     */
+    static isKnownBehavior(behaviorName) {
+        return Object.prototype.hasOwnProperty.call(SimulationCore.BEHAVIORS, behaviorName);
+    }
+
+    /**
+     * Adiciona (ou substitui) uma árvore de comportamento
+     * @param {string|Object} json - Definição JSON da árvore
+     * @param {string} key - Identificador (padrão: derivado do nome da árvore)
+     * @returns {string} Nome da estratégia ('bt:<identificador>')
+     */
+    loadBehaviorTree(json, key = null) {
+        // Valida a definição inteira antes de registrar
+        const tree = BehaviorTree.fromJSON(json);
+        const id = key || tree.name.toLowerCase().normalize('NFD').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+        this.behaviorTrees[id] = tree.toJSON();
+
+        logger.info('Árvore de comportamento carregada', { id, name: tree.name });
+        return SimulationCore.BEHAVIOR_TREE_PREFIX + id;
+    }
+
+    /**
+     * Adiciona (ou substitui) uma política de rede neural
+     * @param {string|Object} json - Definição JSON da política (entradas e pesos)
+     * @param {string} key - Identificador (padrão: derivado do nome da política)
+     * @returns {string} Nome da estratégia ('nn:<identificador>')
+     */
+    loadNeuralPolicy(json, key = null) {
+        // Valida entradas e dimensões das camadas antes de registrar
+        const policy = new NeuralStrategy(json);
+        const id = key || policy.name.toLowerCase().normalize('NFD').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+        this.neuralPolicies[id] = policy.toJSON();
+
+        logger.info('Política de rede neural carregada', {
+            id,
+            name: policy.name,
+            parameters: policy.network.getParameterCount()
+        });
+        return SimulationCore.NEURAL_POLICY_PREFIX + id;
+    }
+
+    /**
+     * Define o comportamento do Ligeirinho
+     * @param {string} behaviorName - Nome do comportamento
+     * @returns {boolean} True se o comportamento existe
+     */
+    setTargetBehavior(behaviorName) {
+        if (!SimulationCore.isKnownBehavior(behaviorName)) {
+            logger.error('Comportamento não encontrado', { behaviorName });
+            return false;
+        }
+
+        this.currentBehavior = behaviorName;
+        this.ligeirinhos.forEach(ligeirinho => ligeirinho.setBehavior(this.createBehavior(behaviorName)));
+
+        return true;
+    }
+
+    /**
+     * Define o número de Frajolas (aplicado na próxima tentativa)
+     * @param {number} count - Número de perseguidores
+     */
+    setChaserCount(count) {
+        this.config.chaserCount = MathUtils.clamp(Math.round(count), 1, CONFIG.agents.maxChasers);
+    }
+
+    /**
+     * Define o número de Ligeirinhos (aplicado na próxima tentativa)
+     * @param {number} count - Número de alvos
+     */
+    setTargetCount(count) {
+        this.config.targetCount = MathUtils.clamp(Math.round(count), 1, CONFIG.agents.maxTargets);
+    }
+
+    /**
+     * Define a regra de atribuição de alvos
+     * @param {string} assignment - 'nearest' ou 'spread'
+     * @returns {boolean} True se a regra é válida
+     */
+    setAssignment(assignment) {
+        if (!SimulationCore.ASSIGNMENTS.includes(assignment)) {
+            logger.warn('Atribuição de alvos inválida', { assignment });
+            return false;
+        }
+
+        this.config.assignment = assignment;
+        if (this.frajolas) {
+            this.assignTargets();
+        }
+        return true;
+    }
+
+    /**
+     * Define a arbitragem da estratégia 'blend'
+     * @param {string} arbitration - 'weighted' (soma ponderada) ou 'priority'
+     * @returns {boolean} True se a arbitragem é válida
+     */
+    setBlendArbitration(arbitration) {
+        if (!['weighted', 'priority'].includes(arbitration)) {
+            logger.warn('Arbitragem inválida', { arbitration });
+            return false;
+        }
+
+        this.blendSettings.arbitration = arbitration;
+        return true;
+    }
+
+    /**
+     * Define o peso de um comportamento da estratégia 'blend' (0 desliga o comportamento)
+     * @param {string} behaviorName - Nome do comportamento
+     * @param {number} weight - Peso (0 a CONFIG.strategies.blend.maxWeight)
+     * @returns {boolean} True se o comportamento existe
+     */
+    setBlendWeight(behaviorName, weight) {
+        const behavior = this.blendSettings.behaviors[behaviorName];
+        if (!behavior) {
+            logger.warn('Comportamento de steering não encontrado', { behaviorName });
+            return false;
+        }
+
+        behavior.weight = MathUtils.clamp(weight, 0, CONFIG.strategies.blend.maxWeight);
+        return true;
+    }
+
+    /**
+     * Define a prioridade de um comportamento da estratégia 'blend' (1 é a mais alta)
+     * @param {string} behaviorName - Nome do comportamento
+     * @param {number} priority - Prioridade
+     * @returns {boolean} True se o comportamento existe
+     */
+    setBlendPriority(behaviorName, priority) {
+        const behavior = this.blendSettings.behaviors[behaviorName];
+        if (!behavior) {
+            logger.warn('Comportamento de steering não encontrado', { behaviorName });
+            return false;
+        }
+
+        behavior.priority = MathUtils.clamp(Math.round(priority), 1, Object.keys(this.blendSettings.behaviors).length);
+        return true;
+    }
+
+    /**
+     * Define a velocidade do Ligeirinho
+     * @param {number} speed - Nova velocidade
+     */
+    setTargetSpeed(speed) {
+        this.config.targetSpeed = speed;
+        this.ligeirinhos.forEach(ligeirinho => {
+            ligeirinho.maxSpeed = speed;
+        });
+    }
+
+    /**
+     * Define a velocidade do Frajola
+     * @param {number} speed - Nova velocidade
+     */
+    setChaserSpeed(speed) {
+        this.config.chaserSpeed = speed;
+        this.frajolas.forEach(frajola => {
+            frajola.maxSpeed = speed;
+        });
+    }
+
+    /**
+     * Define a força máxima de steering do Frajola
+     * @param {number} force - Nova força máxima
+     */
+    setChaserMaxForce(force) {
+        this.config.chaserMaxForce = force;
+        this.frajolas.forEach(frajola => {
+            frajola.maxForce = force;
+        });
+    }
+
+    /**
+     * Define os parâmetros das estratégias e recria a estratégia atual
+     * @param {Object} params - Mapa estratégia → { propriedade: valor }
+     */
+    setStrategyParams(params) {
+        this.strategyParams = JSON.parse(JSON.stringify(params));
+        this.setStrategy(this.currentStrategy);
+    }
+
+    /**
+     * Define a sensibilidade de detecção
+     * @param {number} sensitivity - Nova sensibilidade
+     */
+    setDetectionSensitivity(sensitivity) {
+        this.config.detectionSensitivity = sensitivity;
+        this.detectionSystem.setSensitivity(sensitivity);
+    }
+
+    /**
+     * Define o método de detecção
+     * @param {string} method - Método ('radius', 'cone', 'raycast')
+     * @returns {boolean} True se o método é válido
+     */
+    setDetectionMethod(method) {
+        if (!this.detectionSystem.setDetectionMethod(method)) {
+            return false;
+        }
+
+        this.config.detectionMethod = method;
+        return true;
+    }
+
+    /**
+     * Define a abertura do cone de visão
+     * @param {number} degrees - Ângulo em graus
+     */
+    setConeAngle(degrees) {
+        this.detectionSystem.setConeAngle(degrees);
+        this.config.coneAngle = this.detectionSystem.getConeAngleDegrees();
+    }
+
+    /**
+     * Substitui os obstáculos do cenário (demais elementos do mapa são mantidos)
+     * @param {string|Array<Object>} layout - Nome em CONFIG.obstacles.layouts ou lista serializada
+     * @returns {boolean} True se o layout foi carregado
+     */
+    setObstacleLayout(layout) {
+        if (!this.obstacleSystem.loadLayout(layout)) {
+            return false;
+        }
+
+        this.map.obstacles = this.obstacleSystem.toJSON();
+        this.detectionSystem.setObstacles(this.obstacleSystem.obstacles);
+        return true;
+    }
+
+    /**
+     * Substitui o mapa da arena
+     * Obstáculos e waypoints valem imediatamente; spawn e início do Frajola na próxima tentativa
+     * @param {ArenaMap|Object} map - Mapa ou dados serializados
+     * @returns {boolean} True se o mapa foi carregado
+     */
+    setMap(map) {
+        let arena;
+
+        try {
+            arena = map instanceof ArenaMap ? map.clone() : ArenaMap.fromJSON(map);
+        } catch (error) {
+            logger.error('Mapa inválido', error.message);
+            return false;
+        }
+
+        if (!this.obstacleSystem.loadLayout(arena.obstacles)) {
+            return false;
+        }
+
+        this.map = arena;
+        this.detectionSystem.setObstacles(this.obstacleSystem.obstacles);
+        this.frajolas.forEach(frajola => {
+            if (frajola.strategy && frajola.strategy.setWaypoints) {
+                frajola.strategy.setWaypoints(this.map.patrolPoints);
+            }
+        });
+
+        logger.info('Mapa carregado', {
+            name: this.map.name,
+            obstacles: this.map.obstacles.length,
+            patrolPoints: this.map.patrolPoints.length
+        });
+
+        return true;
+    }
+
+    /**
+     * Retorna uma cópia do mapa atual
+     * @returns {ArenaMap} Mapa
+     */
+    getMap() {
+        return this.map.clone();
+    }
+
+    /**
+     * Define a taxa de passos da simulação
+     * @param {number} tickRate - Passos por segundo simulado
+     */
+    setTickRate(tickRate) {
+        this.tickRate = MathUtils.clamp(tickRate, CONFIG.simulation.minFPS, CONFIG.simulation.maxFPS);
+    }
+
+    /**
+     * Retorna a duração de um passo
+     * @returns {number} Duração em segundos simulados
+     */
+    getTickDuration() {
+        return 1 / this.tickRate;
+    }
+
+    /**
+     * Inicia uma nova tentativa com agentes recém-criados
+     * @param {number} episodeSeed - Semente da tentativa (informar para reproduzir uma tentativa)
+     */
+    startEpisode(episodeSeed = this.rng.nextSeed()) {
+        this.createAgents(episodeSeed);
+        this.episodeFrame = 0;
+        this.episodeTime = 0;
+        this.episodeOutcome = null;
+        this.episodeCaptures = 0;
+        this.stepEvents = [];
+        this.statsTracker.startAttempt(this.ligeirinhos.length);
+    }
+
+    /**
+     * Recomeça a tentativa atual com a mesma semente, sem contar nova tentativa
+     * Usado após editar o mapa para visualizar a tentativa na nova arena
+     */
+    restartEpisode() {
+        this.createAgents(this.episodeSeed);
+        this.episodeFrame = 0;
+        this.episodeTime = 0;
+        this.episodeOutcome = null;
+        this.episodeCaptures = 0;
+        this.stepEvents = [];
+        this.statsTracker.restartAttempt(this.ligeirinhos.length);
+    }
+
+    /**
+     * Avança a simulação em um passo
+     * A tentativa termina quando todos os Ligeirinhos foram capturados ou escaparam
+     * @param {number} deltaSeconds - Duração do passo em segundos simulados
+     * @returns {string|null} 'capture' (ao menos uma captura), 'escape' ou null se a tentativa continua
+     */
+    step(deltaSeconds = this.getTickDuration()) {
+        this.stepEvents = [];
+
+        // Tentativa encerrada: aguardar startEpisode()
+        if (this.episodeOutcome) {
+            return this.episodeOutcome;
+        }
+
+        // Agentes usam velocidades em px/frame de referência
+        const deltaTime = deltaSeconds * CONFIG.physics.referenceFPS;
+        const obstacles = this.obstacleSystem.obstacles;
+
+        this.clock.advance(deltaSeconds);
+        this.frameCount++;
+        this.episodeFrame++;
+        this.episodeTime += deltaSeconds;
+
+        this.updateThreats();
+
+        // Frajolas se afastam uns dos outros para não perseguirem amontoados
+        if (this.frajolas.length > 1) {
+            for (const frajola of this.frajolas) {
+                this.physicsEngine.applySeparation(
+                    frajola,
+                    this.frajolas,
+                    CONFIG.agents.separationRadius,
+                    CONFIG.agents.separationForce
+                );
+            }
+        }
+
+        // Papéis e detecções compartilhadas da matilha
+        if (this.currentStrategy === 'pack') {
+            this.packCoordinator.update(this.frajolas);
+        }
+
+        // Atualizar Frajolas; avistamentos vão para a memória compartilhada
+        for (const frajola of this.frajolas) {
+            const wasDetected = frajola.targetDetected;
+            frajola.update(deltaTime, this.detectionSystem);
+
+            if (frajola.targetDetected !== wasDetected) {
+                this.recordDetectionChange(frajola);
+            }
+
+            if (frajola.targetDetected && frajola.target) {
+                this.blackboard.record(frajola.target);
+            }
+        }
+        this.blackboard.update();
+
+        // Atualizar Ligeirinhos
+        for (const ligeirinho of this.ligeirinhos) {
+            ligeirinho.update(deltaTime);
+        }
+
+        // Manter Frajolas dentro dos limites; obstáculos: Frajola desliza pela superfície
+        for (const frajola of this.frajolas) {
+            this.physicsEngine.constrainToBounds(frajola);
+            this.physicsEngine.constrainToObstacles(frajola, obstacles);
+        }
+
+        // Ligeirinho ricocheteia nos obstáculos
+        for (const ligeirinho of this.ligeirinhos) {
+            if (ligeirinho.active) {
+                this.physicsEngine.constrainToObstacles(ligeirinho, obstacles, 1);
+            }
+        }
+
+        // Mapa de calor: onde os Frajolas passam o tempo
+        if (this.episodeFrame % CONFIG.heatmap.sampleInterval === 0) {
+            this.heatmap.sampleOccupancy(this.frajolas, deltaSeconds * CONFIG.heatmap.sampleInterval);
+        }
+
+        // Verificar captura e fuga de cada Ligeirinho
+        let resolved = false;
+
+        for (const ligeirinho of this.ligeirinhos) {
+            if (!ligeirinho.active) continue;
+
+            const captor = this.frajolas.find(frajola =>
+                this.collisionDetector.checkCapture(frajola, ligeirinho)
+            );
+
+            if (captor) {
+                this.resolveCapture(captor, ligeirinho);
+                resolved = true;
+                continue;
+            }
+
+            const escaped = ligeirinho.hasEscaped(
+                CONFIG.canvas.width,
+                CONFIG.canvas.height,
+                CONFIG.physics.boundaryMargin
+            );
+
+            if (escaped) {
+                this.resolveEscape(ligeirinho);
+                resolved = true;
+            }
+        }
+
+        if (!resolved) {
+            return null;
+        }
+
+        if (this.ligeirinhos.some(ligeirinho => ligeirinho.active)) {
+            // Frajolas cujo alvo saiu de cena recebem um novo alvo
+            this.assignTargets();
+            return null;
+        }
+
+        this.episodeOutcome = this.episodeCaptures > 0 ? 'capture' : 'escape';
+        return this.episodeOutcome;
+    }
+
+    /**
+     * Remove o Ligeirinho capturado e registra a captura
+     * @param {Frajola} frajola - Perseguidor que capturou
+     * @param {Ligeirinho} ligeirinho - Alvo capturado
+     */
+    resolveCapture(frajola, ligeirinho) {
+        const distance = frajola.distanceTo(ligeirinho);
+
+        ligeirinho.active = false;
+        ligeirinho.visible = false;
+        this.blackboard.forget(ligeirinho);
+        frajola.registerCapture();
+        this.episodeCaptures++;
+        this.stepEvents.push({ type: 'capture', chaserIndex: frajola.index, targetIndex: ligeirinho.index });
+        this.heatmap.recordCapture(ligeirinho.position);
+
+        this.statsTracker.recordCapture({
+            ...this.getAttemptDetails(),
+            chaserIndex: frajola.index,
+            targetIndex: ligeirinho.index,
+            distance: distance,
+            position: SimulationCore.roundPosition(ligeirinho.position),
+            chaserPosition: SimulationCore.roundPosition(frajola.position),
+            stateHistory: this.getStateHistory([frajola])
+        });
+    }
+
+    /**
+     * Remove o Ligeirinho que escapou e registra a fuga
+     * @param {Ligeirinho} ligeirinho - Alvo que escapou
+     */
+    resolveEscape(ligeirinho) {
+        ligeirinho.active = false;
+        ligeirinho.visible = false;
+        this.blackboard.forget(ligeirinho);
+
+        const pursuers = this.frajolas.filter(frajola => frajola.target === ligeirinho);
+        this.stepEvents.push({ type: 'escape', chaserIndex: null, targetIndex: ligeirinho.index });
+        this.heatmap.recordEscape(ligeirinho.position);
+
+        this.statsTracker.recordEscape({
+            ...this.getAttemptDetails(),
+            targetIndex: ligeirinho.index,
+            position: SimulationCore.roundPosition(ligeirinho.position),
+            stateHistory: this.getStateHistory(pursuers)
+        });
+    }
+
+    /**
+     * Registra no log de detecção quando um Frajola avista ou perde seu alvo
+     * @param {Frajola} frajola - Perseguidor cuja detecção mudou
+     */
+    recordDetectionChange(frajola) {
+        const target = frajola.target;
+
+        this.detectionLog.push({
+            attemptNumber: this.statsTracker.getAttemptNumber(target ? target.index : 0),
+            seed: this.episodeSeed,
+            tick: this.clock.tick,
+            simTime: MathUtils.round(this.clock.now(), 3),
+            episodeTime: MathUtils.round(this.episodeTime, 3),
+            event: frajola.targetDetected ? 'acquired' : 'lost',
+            chaserIndex: frajola.index,
+            targetIndex: target ? target.index : null,
+            distance: target ? MathUtils.round(frajola.distanceTo(target), 1) : null,
+            chaserPosition: SimulationCore.roundPosition(frajola.position)
+        });
+
+        if (this.detectionLog.length > CONFIG.analytics.detectionLogLength) {
+            this.detectionLog.shift();
+        }
+    }
+
+    /**
+     * Posição arredondada para os registros de tentativa
+     * @param {Vector2D} position - Posição
+     * @returns {Object} { x, y } com uma casa decimal
+     */
+    static roundPosition(position) {
+        return {
+            x: MathUtils.round(position.x, 1),
+            y: MathUtils.round(position.y, 1)
+        };
+    }
+
+    /**
+     * Transições de estado das estratégias de um grupo de Frajolas
+     * @param {Array<Frajola>} frajolas - Frajolas
+     * @returns {Array<Object>} Transições ({ chaserIndex, from, to, time }) em ordem cronológica
+     */
+    getStateHistory(frajolas) {
+        return frajolas
+            .filter(frajola => frajola.strategy)
+            .flatMap(frajola => frajola.strategy.getStateHistory().map(entry => ({
+                chaserIndex: frajola.index,
+                ...entry
+            })))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Executa uma tentativa completa sem renderização
+     * @param {number} maxSteps - Limite de passos antes de abortar
+     * @returns {string} 'capture', 'escape' ou 'timeout'
+     */
+    runEpisode(maxSteps = CONFIG.simulation.maxEpisodeSteps) {
+        this.startEpisode();
+
+        for (let i = 0; i < maxSteps; i++) {
+            const outcome = this.step();
+            if (outcome) {
+                return outcome;
+            }
+        }
+
+        logger.warn('Tentativa abortada por limite de passos', { maxSteps });
+        return 'timeout';
+    }
+
+    /**
+     * Executa várias tentativas seguidas
+     * @param {number} count - Número de tentativas
+     * @param {number} maxSteps - Limite de passos por tentativa
+     * @returns {Object} Estatísticas acumuladas
+     */
+    runEpisodes(count, maxSteps = CONFIG.simulation.maxEpisodeSteps) {
+        for (let i = 0; i < count; i++) {
+            this.runEpisode(maxSteps);
+        }
+
+        return this.statsTracker.getStats();
+    }
+
+    /**
+     * Detalhes da tentativa atual para o registro de estatísticas
+     * @returns {Object} Detalhes da tentativa
+     */
+    getAttemptDetails() {
+        return {
+            strategy: this.currentStrategy,
+            targetBehavior: this.currentBehavior,
+            targetSpeed: this.config.targetSpeed,
+            chaserSpeed: this.config.chaserSpeed,
+            detectionSensitivity: this.config.detectionSensitivity,
+            detectionMethod: this.config.detectionMethod,
+            coneAngle: this.config.coneAngle,
+            obstacles: this.obstacleSystem.layout,
+            chaserCount: this.frajolas.length,
+            targetCount: this.ligeirinhos.length,
+            seed: this.episodeSeed
+        };
+    }
+
+    /**
+     * Configuração atual da simulação (guardada com as sessões salvas)
+     * @returns {Object} Cópia da configuração com estratégia, comportamento, obstáculos e semente
+     */
+    getConfigSnapshot() {
+        return {
+            ...this.config,
+            strategy: this.currentStrategy,
+            targetBehavior: this.currentBehavior,
+            obstacles: this.obstacleSystem.layout,
+            tickRate: this.tickRate,
+            seed: this.seed
+        };
+    }
+
+    /**
+     * Reseta agentes, estatísticas e sistemas
+     */
+    reset() {
+        this.clock.reset();
+        this.statsTracker.reset();
+        this.heatmap.reset();
+        this.seedSession(this.configuredSeed);
+        this.createAgents();
+        this.frameCount = 0;
+        this.episodeFrame = 0;
+        this.episodeTime = 0;
+        this.episodeOutcome = null;
+        this.episodeCaptures = 0;
+        this.stepEvents = [];
+        this.detectionLog = [];
+
+        this.detectionSystem.reset();
+        this.collisionDetector.reset();
+
+        logger.info('Núcleo da simulação resetado');
+    }
+
+    /**
+     * Alvo atual de cada Frajola
+     * @returns {Object} Mapa 'F<n>' -> 'L<n>' (índices a partir de 1)
+     */
+    getAssignments() {
+        const assignments = {};
+
+        this.frajolas.forEach(frajola => {
+            assignments[`F${frajola.index + 1}`] = frajola.target && frajola.target.active ?
+                `L${frajola.target.index + 1}` : '-';
+        });
+
+        return assignments;
+    }
+
+    /**
+     * Retorna informações de debug
+     * @returns {Object} Informações de debug
+     */
+    getDebugInfo() {
+        return {
+            Frame: this.frameCount,
+            EpisodeFrame: this.episodeFrame,
+            EpisodeTime: this.episodeTime.toFixed(2) + 's',
+            TickRate: this.tickRate + ' Hz',
+            Clock: this.clock.getDebugInfo(),
+            Strategy: this.currentStrategy,
+            TargetBehavior: this.currentBehavior,
+            Seed: this.seed,
+            EpisodeSeed: this.episodeSeed,
+            Agents: `${this.frajolas.length} Frajola(s) x ${this.ligeirinhos.length} Ligeirinho(s)`,
+            Assignments: this.getAssignments(),
+            PackRoles: this.packCoordinator.getDebugInfo(),
+            Memory: this.blackboard.getDebugInfo(),
+            Target: this.ligeirinho.getDebugInfo(),
+            Chaser: this.frajola.getDebugInfo(),
+            StateMachine: this.frajola.strategy && this.frajola.strategy.machine ?
+                this.frajola.strategy.machine.getDebugInfo() : 'N/A',
+            BehaviorTree: this.frajola.strategy && this.frajola.strategy.tree ?
+                this.frajola.strategy.getActivePath() || '-' : 'N/A',
+            NeuralOutput: this.frajola.strategy && this.frajola.strategy.network ?
+                (this.frajola.strategy.lastOutput || []).map(value => value.toFixed(3)).join(', ') || '-' : 'N/A',
+            Detection: this.detectionSystem.getDebugInfo(),
+            Obstacles: this.obstacleSystem.getDebugInfo(),
+            Map: this.map.name,
+            Physics: this.physicsEngine.getDebugInfo()
+        };
+    }
+}
+
+// Estratégias de perseguição disponíveis (uma instância por Frajola)
+SimulationCore.STRATEGIES = {
+    direct: DirectStrategy,
+    predictive: PredictiveStrategy,
+    patrol: PatrolStrategy,
+    pack: PackStrategy,
+    blend: BlendedStrategy,
+    external: ExternalStrategy
+};
+
+// Prefixo das estratégias definidas por árvores de comportamento (CONFIG.behaviorTrees ou loadBehaviorTree)
+SimulationCore.BEHAVIOR_TREE_PREFIX = 'bt:';
+
+// Prefixo das estratégias definidas por redes neurais (CONFIG.neuralPolicies ou loadNeuralPolicy)
+SimulationCore.NEURAL_POLICY_PREFIX = 'nn:';
+
+// Comportamentos do Ligeirinho disponíveis (uma instância por Ligeirinho)
+SimulationCore.BEHAVIORS = {
+    straight: StraightBehavior,
+    erratic: ErraticBehavior,
+    wander: WanderBehavior,
+    evade: EvadeBehavior,
+    zigzag: ZigZagBehavior
+};
+
+// Regras de atribuição de alvos
+SimulationCore.ASSIGNMENTS = ['nearest', 'spread'];
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SimulationCore;
+}
@@ -0,0 +1,522 @@
+/**
+ * MapEditor.js
+ * Editor de arenas sobre o canvas da simulação
+ * Desenha obstáculos e zonas de spawn, define o início do Frajola e os waypoints de patrulha
+ */
+
+class MapEditor {
+    /**
+     * Cria um novo editor de mapas
+     * @param {HTMLCanvasElement} canvas - Canvas da simulação
+     * @param {Object} callbacks - Callbacks
+     * @param {Function} callbacks.onChange - Chamado com o mapa após cada edição
+     * @param {Function} callbacks.onRedraw - Chamado quando a pré-visualização muda
+     */
+    constructor(canvas, callbacks = {}) {
+        this.canvas = canvas;
+        this.onChange = callbacks.onChange || (() => {});
+        this.onRedraw = callbacks.onRedraw || (() => {});
+
+        this.map = new ArenaMap();
+        this.active = false;
+        this.tool = 'rect';
+
+        // Estado da edição em andamento
+        this.dragStart = null;
+        this.cursor = null;
+        this.polygonPoints = [];
+
+        // Handlers vinculados (para remover os listeners depois)
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleDoubleClick = this.handleDoubleClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+
+        logger.info('Editor de mapas inicializado');
+    }
+
+    /**
+     * Ativa o editor sobre um mapa
+     * @param {ArenaMap} map - Mapa a editar
+     */
+    enable(map) {
+        if (this.active) return;
+
+        this.map = map.clone();
+        this.active = true;
+
+        this.canvas.addEventListener('mousedown', this.handleMouseDown);
+        this.canvas.addEventListener('mousemove', this.handleMouseMove);
+        this.canvas.addEventListener('mouseup', this.handleMouseUp);
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick);
+        document.addEventListener('keydown', this.handleKeyDown);
+        this.canvas.classList.add('editing');
+
+        logger.info('Editor de mapas ativado', { map: this.map.name });
+    }
+
+    /**
+     * Desativa o editor, descartando a forma em andamento
+     */
+    disable() {
+        if (!this.active) return;
+
+        this.cancelShape();
+        this.active = false;
+
+        this.canvas.removeEventListener('mousedown', this.handleMouseDown);
+        this.canvas.removeEventListener('mousemove', this.handleMouseMove);
+        this.canvas.removeEventListener('mouseup', this.handleMouseUp);
+        this.canvas.removeEventListener('dblclick', this.handleDoubleClick);
+        document.removeEventListener('keydown', this.handleKeyDown);
+        this.canvas.classList.remove('editing');
+
+        logger.info('Editor de mapas desativado');
+    }
+
+    /**
+     * Substitui o mapa em edição sem notificar alterações
+     * @param {ArenaMap} map - Mapa
+     */
+    setMap(map) {
+        this.cancelShape();
+        this.map = map.clone();
+    }
+
+    /**
+     * Define a ferramenta ativa
+     * @param {string} tool - Ferramenta (ver MapEditor.TOOLS)
+     * @returns {boolean} True se a ferramenta existe
+     */
+    setTool(tool) {
+        if (!MapEditor.TOOLS.includes(tool)) {
+            logger.warn('Ferramenta de edição inválida', { tool });
+            return false;
+        }
+
+        this.cancelShape();
+        this.tool = tool;
+        return true;
+    }
+
+    /**
+     * Define o nome do mapa
+     * @param {string} name - Nome
+     */
+    setName(name) {
+        this.map.name = name.trim() || 'Mapa personalizado';
+        this.changed();
+    }
+
+    /**
+     * Habilita ou desabilita uma borda de spawn
+     * @param {string} edge - Borda ('top', 'right', 'bottom', 'left')
+     * @param {boolean} enabled - Se a borda pode ser usada
+     * @returns {boolean} True se a alteração foi aplicada
+     */
+    setSpawnEdge(edge, enabled) {
+        const edges = this.map.spawnEdges.filter(e => e !== edge);
+
+        if (enabled) {
+            edges.push(edge);
+        }
+
+        if (edges.length + this.map.spawnZones.length === 0) {
+            logger.warn('O mapa precisa de pelo menos uma borda ou zona de spawn');
+            return false;
+        }
+
+        // Manter a ordem canônica (o sorteio depende dela)
+        this.map.spawnEdges = Ligeirinho.EDGES.filter(e => edges.includes(e));
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Remove obstáculos, zonas e waypoints (mantém nome, bordas e início do Frajola)
+     */
+    clear() {
+        this.cancelShape();
+        this.map.obstacles = [];
+        this.map.spawnZones = [];
+        this.map.patrolPoints = [];
+
+        if (this.map.spawnEdges.length === 0) {
+            this.map.spawnEdges = [...Ligeirinho.EDGES];
+        }
+
+        this.changed();
+    }
+
+    /**
+     * Carrega um mapa a partir de JSON
+     * @param {string} json - Conteúdo do arquivo
+     * @returns {boolean} True se o mapa é válido
+     */
+    load(json) {
+        try {
+            this.setMap(ArenaMap.fromJSON(json));
+        } catch (error) {
+            logger.error('Erro ao carregar mapa', error.message);
+            return false;
+        }
+
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Serializa o mapa em edição
+     * @returns {string} JSON formatado
+     */
+    toJSON() {
+        return JSON.stringify(this.map, null, 2);
+    }
+
+    /**
+     * Converte a posição do mouse para coordenadas do canvas
+     * @param {MouseEvent} event - Evento do mouse
+     * @returns {Vector2D} Ponto no canvas (arredondado)
+     */
+    getCanvasPoint(event) {
+        // O canvas é redimensionado via CSS: converter para a resolução interna
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * (this.canvas.width / rect.width);
+        const y = (event.clientY - rect.top) * (this.canvas.height / rect.height);
+
+        return new Vector2D(Math.round(x), Math.round(y));
+    }
+
+    /**
+     * Inicia arrasto ou aplica cliques conforme a ferramenta
+     * @param {MouseEvent} event - Evento do mouse
+     */
+    handleMouseDown(event) {
+        const point = this.getCanvasPoint(event);
+
+        switch (this.tool) {
+            case 'rect':
+            case 'circle':
+            case 'spawnZone':
+                this.dragStart = point;
+                break;
+            case 'polygon':
+                this.addPolygonPoint(point);
+                break;
+            case 'chaserStart':
+                this.map.chaserStart = { x: point.x, y: point.y };
+                this.changed();
+                break;
+            case 'waypoint':
+                this.map.patrolPoints.push({ x: point.x, y: point.y });
+                this.changed();
+                break;
+            case 'erase':
+                this.eraseAt(point);
+                break;
+        }
+    }
+
+    /**
+     * Atualiza a pré-visualização da forma em andamento
+     * @param {MouseEvent} event - Evento do mouse
+     */
+    handleMouseMove(event) {
+        this.cursor = this.getCanvasPoint(event);
+
+        if (this.dragStart || this.polygonPoints.length > 0) {
+            this.onRedraw();
+        }
+    }
+
+    /**
+     * Conclui a forma arrastada
+     * @param {MouseEvent} event - Evento do mouse
+     */
+    handleMouseUp(event) {
+        if (!this.dragStart) return;
+
+        const start = this.dragStart;
+        const end = this.getCanvasPoint(event);
+        this.dragStart = null;
+
+        this.finishDrag(start, end);
+    }
+
+    /**
+     * Fecha o polígono em andamento
+     */
+    handleDoubleClick() {
+        if (this.tool === 'polygon') {
+            this.finishPolygon();
+        }
+    }
+
+    /**
+     * Atalhos: Enter fecha o polígono, Esc cancela a forma
+     * @param {KeyboardEvent} event - Evento do teclado
+     */
+    handleKeyDown(event) {
+        // Ignorar teclas em campos de formulário (ex: nome do mapa, listas)
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
+        if (event.key === 'Enter' && this.tool === 'polygon') {
+            this.finishPolygon();
+        } else if (event.key === 'Escape') {
+            this.cancelShape();
+            this.onRedraw();
+        }
+    }
+
+    /**
+     * Cria a forma correspondente a um arrasto
+     * @param {Vector2D} start - Ponto inicial
+     * @param {Vector2D} end - Ponto final
+     */
+    finishDrag(start, end) {
+        const minSize = CONFIG.mapEditor.minShapeSize;
+        const rect = {
+            x: Math.min(start.x, end.x),
+            y: Math.min(start.y, end.y),
+            width: Math.abs(end.x - start.x),
+            height: Math.abs(end.y - start.y)
+        };
+
+        if (this.tool === 'circle') {
+            const radius = Math.round(start.distanceTo(end));
+            if (radius < minSize) return this.onRedraw();
+
+            this.map.obstacles.push({ type: 'circle', x: start.x, y: start.y, radius });
+        } else {
+            if (rect.width < minSize || rect.height < minSize) return this.onRedraw();
+
+            if (this.tool === 'rect') {
+                this.map.obstacles.push({ type: 'rect', ...rect });
+            } else {
+                this.map.spawnZones.push(rect);
+            }
+        }
+
+        this.changed();
+    }
+
+    /**
+     * Adiciona um vértice ao polígono (clicar perto do primeiro fecha)
+     * @param {Vector2D} point - Vértice
+     */
+    addPolygonPoint(point) {
+        const first = this.polygonPoints[0];
+
+        if (this.polygonPoints.length >= 3 &&
+            point.distanceTo(first) <= CONFIG.mapEditor.closeDistance) {
+            this.finishPolygon();
+            return;
+        }
+
+        this.polygonPoints.push(point);
+        this.onRedraw();
+    }
+
+    /**
+     * Fecha o polígono em andamento
+     */
+    finishPolygon() {
+        // Duplo clique também dispara dois mousedown: descartar vértices repetidos
+        const points = this.polygonPoints.filter((point, i, list) =>
+            i === 0 || point.distanceTo(list[i - 1]) > 0
+        );
+        this.polygonPoints = [];
+
+        if (points.length < 3) {
+            this.onRedraw();
+            return;
+        }
+
+        this.map.obstacles.push({
+            type: 'polygon',
+            points: points.map(point => ({ x: point.x, y: point.y }))
+        });
+        this.changed();
+    }
+
+    /**
+     * Descarta a forma em andamento
+     */
+    cancelShape() {
+        this.dragStart = null;
+        this.polygonPoints = [];
+    }
+
+    /**
+     * Remove o elemento sob o ponto (waypoints, depois zonas, depois obstáculos)
+     * @param {Vector2D} point - Ponto clicado
+     */
+    eraseAt(point) {
+        const radius = CONFIG.strategies.patrol.waypointRadius / 2;
+
+        const waypointIndex = this.findLastIndex(this.map.patrolPoints, waypoint =>
+            point.distanceTo(waypoint) <= radius
+        );
+        if (waypointIndex >= 0) {
+            this.map.patrolPoints.splice(waypointIndex, 1);
+            return this.changed();
+        }
+
+        const zoneIndex = this.findLastIndex(this.map.spawnZones, zone =>
+            MathUtils.pointInRect(point.x, point.y, zone.x, zone.y, zone.width, zone.height)
+        );
+        // Não remover a última zona se não houver bordas de spawn
+        if (zoneIndex >= 0 && (this.map.spawnEdges.length > 0 || this.map.spawnZones.length > 1)) {
+            this.map.spawnZones.splice(zoneIndex, 1);
+            return this.changed();
+        }
+
+        const obstacleIndex = this.findLastIndex(this.map.obstacles, data =>
+            ObstacleSystem.createObstacle(data).containsPoint(point.x, point.y)
+        );
+        if (obstacleIndex >= 0) {
+            this.map.obstacles.splice(obstacleIndex, 1);
+            return this.changed();
+        }
+    }
+
+    /**
+     * Índice do último elemento que satisfaz o predicado (desenhado por cima)
+     * @param {Array} list - Lista
+     * @param {Function} predicate - Predicado
+     * @returns {number} Índice ou -1
+     */
+    findLastIndex(list, predicate) {
+        for (let i = list.length - 1; i >= 0; i--) {
+            if (predicate(list[i])) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Notifica a alteração do mapa
+     */
+    changed() {
+        this.onChange(this.map);
+    }
+
+    /**
+     * Desenha a sobreposição do editor (spawn, início, waypoints e pré-visualização)
+     * @param {CanvasRenderingContext2D} ctx - Contexto do canvas
+     */
+    draw(ctx) {
+        if (!this.active) return;
+
+        const colors = CONFIG.mapEditor;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        ctx.save();
+
+        // Bordas de spawn
+        const edgeLines = {
+            top: [0, 0, width, 0],
+            right: [width, 0, width, height],
+            bottom: [0, height, width, height],
+            left: [0, 0, 0, height]
+        };
+        ctx.strokeStyle = colors.spawnEdgeColor;
+        ctx.lineWidth = 8;
+        for (const edge of this.map.spawnEdges) {
+            const [x1, y1, x2, y2] = edgeLines[edge];
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.stroke();
+        }
+
+        // Zonas de spawn
+        ctx.fillStyle = colors.spawnZoneColor;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        for (const zone of this.map.spawnZones) {
+            ctx.fillRect(zone.x, zone.y, zone.width, zone.height);
+            ctx.strokeRect(zone.x, zone.y, zone.width, zone.height);
+        }
+
+        // Rota de patrulha
+        const points = this.map.patrolPoints;
+        ctx.strokeStyle = colors.waypointColor;
+        if (points.length > 1) {
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+            ctx.closePath();
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = colors.waypointColor;
+        ctx.font = 'bold 12px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        points.forEach((point, i) => {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 10, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#1f2937';
+            ctx.fillText(String(i + 1), point.x, point.y);
+            ctx.fillStyle = colors.waypointColor;
+        });
+
+        // Início do Frajola
+        const start = this.map.chaserStart;
+        ctx.strokeStyle = colors.chaserStartColor;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(start.x, start.y, 18, 0, Math.PI * 2);
+        ctx.moveTo(start.x - 26, start.y);
+        ctx.lineTo(start.x + 26, start.y);
+        ctx.moveTo(start.x, start.y - 26);
+        ctx.lineTo(start.x, start.y + 26);
+        ctx.stroke();
+
+        this.drawPreview(ctx);
+
+        ctx.restore();
+    }
+
+    /**
+     * Desenha a forma em andamento
+     * @param {CanvasRenderingContext2D} ctx - Contexto do canvas
+     */
+    drawPreview(ctx) {
+        if (!this.cursor) return;
+
+        ctx.strokeStyle = CONFIG.mapEditor.previewColor;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+
+        if (this.dragStart) {
+            if (this.tool === 'circle') {
+                ctx.arc(this.dragStart.x, this.dragStart.y,
+                    this.dragStart.distanceTo(this.cursor), 0, Math.PI * 2);
+            } else {
+                ctx.rect(this.dragStart.x, this.dragStart.y,
+                    this.cursor.x - this.dragStart.x, this.cursor.y - this.dragStart.y);
+            }
+        } else if (this.polygonPoints.length > 0) {
+            ctx.moveTo(this.polygonPoints[0].x, this.polygonPoints[0].y);
+            this.polygonPoints.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+            ctx.lineTo(this.cursor.x, this.cursor.y);
+        }
+
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+}
+
+// Ferramentas disponíveis
+MapEditor.TOOLS = ['rect', 'circle', 'polygon', 'spawnZone', 'chaserStart', 'waypoint', 'erase'];
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MapEditor;
+}
@@ -0,0 +1,49 @@
+/**
+ * experiment.js
+ * Linha de comando para varreduras de parâmetros em Node.js
+ *
+ * Uso:
+ *   node js/experiment.js experiments/speed-sweep.json [--csv resultados.csv]
+ *
+ * Formato do arquivo:
+ *   { "episodes": 200, "seed": 42, "grid": { "strategy": ["direct", "patrol"], "chaserSpeed": [7, 9] } }
+ *   ou "cells": [{ "strategy": "direct", "chaserSpeed": 7 }, ...] no lugar de "grid"
+ */
+
+const fs = require('fs');
+const { ExperimentRunner } = require('./headless');
+
+const args = process.argv.slice(2);
+const definitionPath = args[0];
+const csvIndex = args.indexOf('--csv');
+const csvPath = csvIndex >= 0 ? args[csvIndex + 1] : null;
+
+if (!definitionPath) {
+    console.error('Uso: node js/experiment.js <experimento.json> [--csv saida.csv]');
+    process.exit(1);
+}
+
+const definition = JSON.parse(fs.readFileSync(definitionPath, 'utf8'));
+const cells = definition.cells || ExperimentRunner.expandGrid(definition.grid || {});
+
+const runner = new ExperimentRunner({
+    episodes: definition.episodes,
+    seed: definition.seed,
+    maxSteps: definition.maxSteps
+});
+
+console.log(`${cells.length} células × ${runner.episodes} tentativas (semente ${runner.seed})`);
+
+const startTime = Date.now();
+const results = runner.run(cells, (index, total) => {
+    process.stdout.write(`\rCélula ${index}/${total}`);
+});
+process.stdout.write('\n\n');
+
+console.log(ExperimentRunner.formatTable(results));
+console.log(`\nConcluído em ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+
+if (csvPath) {
+    fs.writeFileSync(csvPath, ExperimentRunner.toCSV(results));
+    console.log(`Resultados salvos em ${csvPath}`);
+}
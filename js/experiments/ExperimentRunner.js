@@ -0,0 +1,220 @@
+/**
+ * ExperimentRunner.js
+ * Executa varreduras de parâmetros sobre o SimulationCore sem renderização
+ * Cada combinação de parâmetros (célula) roda N tentativas e gera uma linha de resultados
+ */
+
+class ExperimentRunner {
+    /**
+     * Cria um novo executor de experimentos
+     * @param {Object} options - Opções
+     * @param {number} options.episodes - Tentativas por célula
+     * @param {number} options.seed - Semente compartilhada por todas as células (null = aleatória)
+     * @param {number} options.maxSteps - Limite de passos por tentativa
+     */
+    constructor(options = {}) {
+        this.episodes = options.episodes || CONFIG.experiments.episodesPerCell;
+        this.seed = options.seed !== undefined && options.seed !== null ?
+            options.seed >>> 0 : SeededRandom.generateSeed();
+        this.maxSteps = options.maxSteps || CONFIG.simulation.maxEpisodeSteps;
+        this.results = [];
+
+        logger.info('Executor de experimentos inicializado', {
+            episodes: this.episodes,
+            seed: this.seed
+        });
+    }
+
+    /**
+     * Expande uma grade de parâmetros no produto cartesiano das combinações
+     * @param {Object} grid - Mapa parâmetro → lista de valores
+     * @returns {Array<Object>} Lista de combinações
+     */
+    static expandGrid(grid) {
+        let cells = [{}];
+
+        for (const [param, values] of Object.entries(grid)) {
+            const list = Array.isArray(values) ? values : [values];
+            const expanded = [];
+
+            for (const cell of cells) {
+                for (const value of list) {
+                    expanded.push({ ...cell, [param]: value });
+                }
+            }
+
+            cells = expanded;
+        }
+
+        return cells;
+    }
+
+    /**
+     * Valida os parâmetros de uma célula (nomes e valores de estratégia, comportamento, detecção, obstáculos e atribuição)
+     * @param {Object} params - Parâmetros da célula
+     * @throws {Error} Se algum parâmetro ou valor for desconhecido
+     */
+    static validateParams(params) {
+        for (const key of Object.keys(params)) {
+            if (!ExperimentRunner.PARAMETERS.includes(key)) {
+                throw new Error(`Parâmetro de experimento desconhecido: ${key}`);
+            }
+        }
+
+        if (params.strategy !== undefined && !SimulationCore.isKnownStrategy(params.strategy)) {
+            throw new Error(`Estratégia desconhecida: ${params.strategy}`);
+        }
+        if (params.targetBehavior !== undefined && !SimulationCore.isKnownBehavior(params.targetBehavior)) {
+            throw new Error(`Comportamento desconhecido: ${params.targetBehavior}`);
+        }
+        if (params.detectionMethod !== undefined && !DetectionSystem.METHODS.includes(params.detectionMethod)) {
+            throw new Error(`Método de detecção desconhecido: ${params.detectionMethod}`);
+        }
+        if (typeof params.obstacles === 'string' && !CONFIG.obstacles.layouts[params.obstacles]) {
+            throw new Error(`Layout de obstáculos desconhecido: ${params.obstacles}`);
+        }
+        if (params.assignment !== undefined && !SimulationCore.ASSIGNMENTS.includes(params.assignment)) {
+            throw new Error(`Atribuição de alvos desconhecida: ${params.assignment}`);
+        }
+    }
+
+    /**
+     * Executa uma lista de combinações de parâmetros
+     * @param {Array<Object>|Object} cells - Lista de combinações ou grade ({ param: [valores] })
+     * @param {Function} onProgress - Callback (índice, total, linha) após cada célula
+     * @returns {Array<Object>} Linhas de resultados
+     */
+    run(cells, onProgress = null) {
+        const list = Array.isArray(cells) ? cells : ExperimentRunner.expandGrid(cells);
+        list.forEach(params => ExperimentRunner.validateParams(params));
+
+        this.results = [];
+
+        list.forEach((params, index) => {
+            const row = this.runCell(params);
+            this.results.push(row);
+
+            if (onProgress) {
+                onProgress(index + 1, list.length, row);
+            }
+        });
+
+        logger.info('Experimento concluído', {
+            cells: list.length,
+            episodesPerCell: this.episodes
+        });
+
+        return this.results;
+    }
+
+    /**
+     * Executa todas as tentativas de uma célula
+     * @param {Object} params - Parâmetros da célula
+     * @returns {Object} Linha de resultados
+     */
+    runCell(params) {
+        // Mesma semente em todas as células: comparações usam as mesmas condições iniciais
+        const core = new SimulationCore({ ...params, seed: this.seed });
+        let timeouts = 0;
+
+        for (let i = 0; i < this.episodes; i++) {
+            if (core.runEpisode(this.maxSteps) === 'timeout') {
+                timeouts++;
+            }
+        }
+
+        const stats = core.statsTracker.getStats();
+
+        return {
+            strategy: core.currentStrategy,
+            targetBehavior: core.currentBehavior,
+            targetSpeed: core.config.targetSpeed,
+            chaserSpeed: core.config.chaserSpeed,
+            detectionSensitivity: core.config.detectionSensitivity,
+            detectionMethod: core.config.detectionMethod,
+            coneAngle: core.config.coneAngle,
+            obstacles: core.obstacleSystem.layout,
+            chaserCount: core.config.chaserCount,
+            targetCount: core.config.targetCount,
+            assignment: core.config.assignment,
+            episodes: this.episodes,
+            attempts: stats.attempts, // um por Ligeirinho de cada tentativa
+            captures: stats.captures,
+            escapes: core.statsTracker.escapeTimes.length,
+            timeouts: timeouts,
+            captureRate: stats.successRate,
+            meanCaptureTime: stats.avgCaptureTime,
+            stdCaptureTime: core.statsTracker.getCaptureTimeStdDev(),
+            meanEscapeTime: stats.avgEscapeTime,
+            seed: this.seed
+        };
+    }
+
+    /**
+     * Formata os resultados como tabela de texto
+     * @param {Array<Object>} results - Linhas de resultados
+     * @returns {string} Tabela alinhada
+     */
+    static formatTable(results) {
+        const headers = ['Estratégia', 'Comport. Alvo', 'V. Alvo', 'V. Perseg.', 'Sensib.', 'Detecção', 'Obstáculos', 'Agentes', 'Tentativas',
+            'Capturas', 'Taxa (%)', 'T. Captura (s)', 'DP (s)', 'T. Fuga (s)'];
+
+        const rows = results.map(r => [
+            r.strategy,
+            r.targetBehavior,
+            String(r.targetSpeed),
+            String(r.chaserSpeed),
+            String(r.detectionSensitivity),
+            r.detectionMethod === 'cone' ? `cone ${r.coneAngle}°` : r.detectionMethod,
+            r.obstacles,
+            `${r.chaserCount}x${r.targetCount}`,
+            String(r.attempts),
+            String(r.captures),
+            r.captureRate.toFixed(1),
+            r.meanCaptureTime.toFixed(2),
+            r.stdCaptureTime.toFixed(2),
+            r.meanEscapeTime.toFixed(2)
+        ]);
+
+        const widths = headers.map((header, i) =>
+            Math.max(header.length, ...rows.map(row => row[i].length))
+        );
+
+        const formatRow = row => row.map((cell, i) => cell.padStart(widths[i])).join('  ');
+
+        return [
+            formatRow(headers),
+            widths.map(w => '-'.repeat(w)).join('  '),
+            ...rows.map(formatRow)
+        ].join('\n');
+    }
+
+    /**
+     * Converte os resultados para CSV
+     * @param {Array<Object>} results - Linhas de resultados
+     * @returns {string} CSV formatado
+     */
+    static toCSV(results) {
+        const columns = ['strategy', 'targetBehavior', 'targetSpeed', 'chaserSpeed', 'detectionSensitivity',
+            'detectionMethod', 'coneAngle', 'obstacles', 'chaserCount', 'targetCount', 'assignment',
+            'episodes', 'attempts', 'captures', 'escapes', 'timeouts', 'captureRate',
+            'meanCaptureTime', 'stdCaptureTime', 'meanEscapeTime', 'seed'];
+
+        const rows = [columns.join(',')];
+
+        results.forEach(result => {
+            rows.push(columns.map(column => result[column]).join(','));
+        });
+
+        return rows.join('\n');
+    }
+}
+
+// Parâmetros aceitos em cada célula (repassados ao SimulationCore)
+ExperimentRunner.PARAMETERS = ['strategy', 'targetBehavior', 'targetSpeed', 'chaserSpeed', 'detectionSensitivity',
+    'detectionMethod', 'coneAngle', 'obstacles', 'chaserCount', 'targetCount', 'assignment'];
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExperimentRunner;
+}
@@ -0,0 +1,413 @@
+/**
+ * GeneticTuner.js
+ * Otimizador evolutivo dos parâmetros de uma estratégia
+ * Cada genoma é avaliado em tentativas headless do SimulationCore; a evolução usa torneio, cruzamento uniforme,
+ * mutação e elitismo, sempre com SeededRandom (mesma semente = mesma evolução)
+ */
+
+class GeneticTuner {
+    /**
+     * Cria um novo otimizador
+     * Demais opções descrevem o cenário e são repassadas ao SimulationCore (targetBehavior, obstacles, map, ...)
+     * @param {Object} options - Opções
+     * @param {string} options.strategy - Estratégia otimizada (chave de CONFIG.tuner.genes)
+     * @param {number} options.populationSize - Genomas por geração
+     * @param {number} options.generations - Número de gerações
+     * @param {number} options.episodes - Tentativas por avaliação
+     * @param {number} options.seed - Semente da evolução e das tentativas (null = aleatória)
+     * @param {number} options.maxSteps - Limite de passos por tentativa
+     * @param {Object} options.fitness - Substitui os pesos de CONFIG.tuner.fitness
+     */
+    constructor(options = {}) {
+        const { strategy, populationSize, generations, episodes, seed, maxSteps, fitness, ...coreOptions } = options;
+
+        this.strategy = strategy || 'predictive';
+        if (!CONFIG.tuner.genes[this.strategy]) {
+            throw new Error(`Estratégia sem genes para otimizar: ${this.strategy}`);
+        }
+
+        // Com waypoints de patrulha no mapa, genes da patrulha circular não têm efeito
+        const patrolPoints = coreOptions.map && coreOptions.map.patrolPoints;
+        const hasWaypoints = Boolean(patrolPoints && patrolPoints.length > 0);
+        this.genes = CONFIG.tuner.genes[this.strategy].filter(gene => !(gene.circleOnly && hasWaypoints));
+
+        this.populationSize = Math.max(2, populationSize || CONFIG.tuner.populationSize);
+        this.generations = generations || CONFIG.tuner.generations;
+        this.episodes = episodes || CONFIG.tuner.episodesPerGenome;
+        this.seed = seed !== undefined && seed !== null ? seed >>> 0 : SeededRandom.generateSeed();
+        this.maxSteps = maxSteps || CONFIG.simulation.maxEpisodeSteps;
+        this.fitnessWeights = { ...CONFIG.tuner.fitness, ...(fitness || {}) };
+        this.coreOptions = coreOptions;
+
+        this.rng = new SeededRandom(this.seed);
+        this.generation = 0;
+        this.evaluationIndex = 0; // próximo genoma a avaliar na geração atual
+        this.history = []; // uma entrada por geração concluída
+        this.best = null;
+
+        // O primeiro genoma usa os valores atuais de CONFIG: o resultado nunca fica abaixo da linha de base
+        this.population = [this.createGenome(this.getDefaultGenes())];
+        while (this.population.length < this.populationSize) {
+            this.population.push(this.createGenome(this.randomGenes()));
+        }
+
+        logger.info('Otimizador genético inicializado', {
+            strategy: this.strategy,
+            populationSize: this.populationSize,
+            generations: this.generations,
+            episodes: this.episodes,
+            seed: this.seed
+        });
+    }
+
+    /**
+     * Cria um genoma ainda não avaliado
+     * @param {Object} genes - Valores dos genes (chave → valor)
+     * @returns {Object} Genoma ({ genes, fitness, metrics })
+     */
+    createGenome(genes) {
+        return { genes: { ...genes }, fitness: null, metrics: null };
+    }
+
+    /**
+     * Valores atuais dos genes em CONFIG
+     * @returns {Object} Genes
+     */
+    getDefaultGenes() {
+        const genes = {};
+        this.genes.forEach(gene => {
+            const value = gene.config.split('.').reduce((node, key) => node[key], CONFIG);
+            genes[gene.key] = gene.type === 'boolean' ? Boolean(value) : this.clampGene(gene, value);
+        });
+        return genes;
+    }
+
+    /**
+     * Sorteia genes dentro dos intervalos
+     * @returns {Object} Genes
+     */
+    randomGenes() {
+        const genes = {};
+        this.genes.forEach(gene => {
+            genes[gene.key] = gene.type === 'boolean' ?
+                this.rng.chance(0.5) :
+                this.clampGene(gene, this.rng.range(gene.min, gene.max));
+        });
+        return genes;
+    }
+
+    /**
+     * Limita um gene numérico ao seu intervalo
+     * @param {Object} gene - Descrição do gene
+     * @param {number} value - Valor
+     * @returns {number} Valor limitado (3 casas decimais)
+     */
+    clampGene(gene, value) {
+        return MathUtils.round(MathUtils.clamp(value, gene.min, gene.max), 3);
+    }
+
+    /**
+     * Converte genes em opções do SimulationCore
+     * @param {Object} genes - Genes
+     * @returns {Object} { strategyParams, chaserMaxForce }
+     */
+    toCoreOptions(genes) {
+        const strategyParams = {};
+        const options = { strategyParams: { [this.strategy]: strategyParams } };
+
+        this.genes.forEach(gene => {
+            if (gene.target === 'chaser') {
+                options.chaserMaxForce = genes[gene.key];
+            } else {
+                strategyParams[gene.key] = genes[gene.key];
+            }
+        });
+
+        return options;
+    }
+
+    /**
+     * Avalia um genoma: todas as tentativas usam a mesma semente, como nas células do ExperimentRunner
+     * @param {Object} genome - Genoma
+     * @returns {number} Fitness
+     */
+    evaluate(genome) {
+        const core = new SimulationCore({
+            ...this.coreOptions,
+            ...this.toCoreOptions(genome.genes),
+            strategy: this.strategy,
+            seed: this.seed
+        });
+
+        for (let i = 0; i < this.episodes; i++) {
+            core.runEpisode(this.maxSteps);
+        }
+
+        const stats = core.statsTracker.getStats();
+        const captureRate = stats.attempts > 0 ? stats.captures / stats.attempts : 0;
+
+        // Tempo médio por tentativa, contando cada não-captura como o limite da tentativa:
+        // sem isso, não capturar nunca (tempo médio 0) pontuaria melhor que capturas lentas
+        const timeLimit = this.maxSteps / core.tickRate;
+        const meanTime = stats.attempts > 0 ?
+            (stats.captures * stats.avgCaptureTime + (stats.attempts - stats.captures) * timeLimit) / stats.attempts :
+            timeLimit;
+
+        genome.metrics = {
+            attempts: stats.attempts,
+            captures: stats.captures,
+            captureRate: captureRate,
+            meanCaptureTime: stats.avgCaptureTime
+        };
+        genome.fitness = this.fitnessWeights.captureRate * captureRate -
+            this.fitnessWeights.captureTime * meanTime;
+
+        return genome.fitness;
+    }
+
+    /**
+     * Avalia o próximo genoma; ao fim da população fecha a geração e cria a seguinte
+     * Uma avaliação por chamada permite dividir o trabalho em fatias no navegador
+     * @returns {boolean} True enquanto houver trabalho
+     */
+    step() {
+        if (this.isFinished()) {
+            return false;
+        }
+
+        const genome = this.population[this.evaluationIndex];
+        if (genome.fitness === null) {
+            this.evaluate(genome);
+        }
+        this.evaluationIndex++;
+
+        if (this.evaluationIndex >= this.population.length) {
+            this.closeGeneration();
+        }
+
+        return !this.isFinished();
+    }
+
+    /**
+     * Executa todas as gerações restantes
+     * @param {Function} onGeneration - Callback (entrada do histórico) ao fim de cada geração
+     * @returns {Object} Melhor genoma
+     */
+    run(onGeneration = null) {
+        while (!this.isFinished()) {
+            const generation = this.generation;
+            this.step();
+
+            if (onGeneration && this.generation !== generation) {
+                onGeneration(this.history[this.history.length - 1]);
+            }
+        }
+
+        logger.info('Otimização concluída', {
+            strategy: this.strategy,
+            generations: this.generations,
+            bestFitness: this.best.fitness
+        });
+
+        return this.best;
+    }
+
+    /**
+     * Registra a geração avaliada e produz a próxima
+     */
+    closeGeneration() {
+        this.population.sort((a, b) => b.fitness - a.fitness);
+
+        const leader = this.population[0];
+        if (!this.best || leader.fitness > this.best.fitness) {
+            this.best = { genes: { ...leader.genes }, fitness: leader.fitness, metrics: { ...leader.metrics } };
+        }
+
+        const fitnesses = this.population.map(genome => genome.fitness);
+        this.history.push({
+            generation: this.generation + 1,
+            best: leader.fitness,
+            mean: MathUtils.average(fitnesses),
+            worst: fitnesses[fitnesses.length - 1],
+            captureRate: leader.metrics.captureRate,
+            meanCaptureTime: leader.metrics.meanCaptureTime,
+            genes: { ...leader.genes }
+        });
+
+        logger.info(`Geração ${this.generation + 1}/${this.generations}`, {
+            best: leader.fitness.toFixed(4),
+            genes: leader.genes
+        });
+
+        this.generation++;
+        this.evaluationIndex = 0;
+
+        if (!this.isFinished()) {
+            this.population = this.breed();
+        }
+    }
+
+    /**
+     * Cria a próxima população a partir da atual (ordenada por fitness)
+     * @returns {Array<Object>} Nova população
+     */
+    breed() {
+        const eliteCount = Math.min(CONFIG.tuner.eliteCount, this.population.length);
+
+        // Elite: avaliação é determinística, então o fitness é mantido
+        const next = this.population.slice(0, eliteCount).map(genome => ({
+            genes: { ...genome.genes },
+            fitness: genome.fitness,
+            metrics: genome.metrics
+        }));
+
+        while (next.length < this.populationSize) {
+            const parentA = this.tournament();
+            const parentB = this.tournament();
+            const genes = this.rng.chance(CONFIG.tuner.crossoverRate) ?
+                this.crossover(parentA.genes, parentB.genes) :
+                { ...parentA.genes };
+
+            next.push(this.createGenome(this.mutate(genes)));
+        }
+
+        return next;
+    }
+
+    /**
+     * Seleção por torneio
+     * @returns {Object} Genoma vencedor
+     */
+    tournament() {
+        let winner = null;
+
+        for (let i = 0; i < CONFIG.tuner.tournamentSize; i++) {
+            const candidate = this.population[this.rng.int(0, this.population.length - 1)];
+            if (!winner || candidate.fitness > winner.fitness) {
+                winner = candidate;
+            }
+        }
+
+        return winner;
+    }
+
+    /**
+     * Cruzamento uniforme: cada gene vem de um dos pais
+     * @param {Object} genesA - Genes do primeiro pai
+     * @param {Object} genesB - Genes do segundo pai
+     * @returns {Object} Genes do filho
+     */
+    crossover(genesA, genesB) {
+        const genes = {};
+        this.genes.forEach(gene => {
+            genes[gene.key] = this.rng.chance(0.5) ? genesA[gene.key] : genesB[gene.key];
+        });
+        return genes;
+    }
+
+    /**
+     * Mutação: inverte genes booleanos e perturba numéricos em até mutationScale do intervalo
+     * @param {Object} genes - Genes (alterados no lugar)
+     * @returns {Object} Genes
+     */
+    mutate(genes) {
+        this.genes.forEach(gene => {
+            if (!this.rng.chance(CONFIG.tuner.mutationRate)) {
+                return;
+            }
+
+            if (gene.type === 'boolean') {
+                genes[gene.key] = !genes[gene.key];
+            } else {
+                const delta = this.rng.range(-1, 1) * CONFIG.tuner.mutationScale * (gene.max - gene.min);
+                genes[gene.key] = this.clampGene(gene, genes[gene.key] + delta);
+            }
+        });
+        return genes;
+    }
+
+    /**
+     * Verifica se todas as gerações foram avaliadas
+     * @returns {boolean} True se concluído
+     */
+    isFinished() {
+        return this.generation >= this.generations;
+    }
+
+    /**
+     * Progresso da otimização
+     * @returns {Object} { generation, generations, evaluated, populationSize }
+     */
+    getProgress() {
+        return {
+            generation: Math.min(this.generation + 1, this.generations),
+            generations: this.generations,
+            evaluated: this.evaluationIndex,
+            populationSize: this.populationSize
+        };
+    }
+
+    /**
+     * Exporta um genoma como preset de configuração
+     * 'config' segue a estrutura de CONFIG; 'options' pode ser passado direto ao SimulationCore
+     * @param {Object} genome - Genoma (padrão: melhor encontrado)
+     * @returns {Object} Preset
+     */
+    toPreset(genome = this.best) {
+        if (!genome) {
+            return null;
+        }
+
+        const config = {};
+        this.genes.forEach(gene => {
+            const path = gene.config.split('.');
+            const parent = path.slice(0, -1).reduce((node, key) => {
+                node[key] = node[key] || {};
+                return node[key];
+            }, config);
+            parent[path[path.length - 1]] = genome.genes[gene.key];
+        });
+
+        return {
+            name: `Otimização genética: ${this.strategy}`,
+            strategy: this.strategy,
+            fitness: genome.fitness,
+            metrics: genome.metrics,
+            tuner: {
+                seed: this.seed,
+                generations: this.history.length,
+                populationSize: this.populationSize,
+                episodes: this.episodes,
+                fitness: this.fitnessWeights
+            },
+            options: { strategy: this.strategy, ...this.toCoreOptions(genome.genes) },
+            config: config
+        };
+    }
+
+    /**
+     * Converte o histórico para CSV
+     * @param {Array<Object>} history - Histórico de gerações
+     * @returns {string} CSV formatado
+     */
+    static toCSV(history) {
+        const geneKeys = history.length > 0 ? Object.keys(history[0].genes) : [];
+        const columns = ['generation', 'best', 'mean', 'worst', 'captureRate', 'meanCaptureTime'];
+
+        const rows = [[...columns, ...geneKeys].join(',')];
+
+        history.forEach(entry => {
+            rows.push([
+                ...columns.map(column => entry[column]),
+                ...geneKeys.map(key => entry.genes[key])
+            ].join(','));
+        });
+
+        return rows.join('\n');
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeneticTuner;
+}
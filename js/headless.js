@@ -0,0 +1,180 @@
+/**
+ * headless.js
+ * Ponto de entrada para execução em Node.js (sem DOM nem canvas)
+ * Carrega os scripts do núcleo no escopo global, como as tags <script> do index.html
+ *
+ * Uso:
+ *   const { SimulationCore } = require('./js/headless');
+ *   node js/headless.js [tentativas] [estratégia] [semente]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Scripts do núcleo, na mesma ordem do index.html (sem renderização nem main.js)
+const CORE_SCRIPTS = [
+    'utils/Vector2D.js',
+    'utils/MathUtils.js',
+    'utils/SeededRandom.js',
+    'utils/Logger.js',
+    'config.js',
+    'core/SimulationClock.js',
+    'agents/Agent.js',
+    'agents/Ligeirinho.js',
+    'agents/Frajola.js',
+    'strategies/Strategy.js',
+    'strategies/StateMachine.js',
+    'strategies/DirectStrategy.js',
+    'strategies/PredictiveStrategy.js',
+    'strategies/PatrolStrategy.js',
+    'strategies/PackCoordinator.js',
+    'strategies/PackStrategy.js',
+    'strategies/BlendedStrategy.js',
+    'strategies/ExternalStrategy.js',
+    'nn/NeuralNetwork.js',
+    'strategies/NeuralStrategy.js',
+    'behaviorTree/BTNode.js',
+    'behaviorTree/SequenceNode.js',
+    'behaviorTree/SelectorNode.js',
+    'behaviorTree/DecoratorNode.js',
+    'behaviorTree/ConditionNode.js',
+    'behaviorTree/ActionNode.js',
+    'behaviorTree/BehaviorTree.js',
+    'strategies/BehaviorTreeStrategy.js',
+    'behaviors/TargetBehavior.js',
+    'behaviors/StraightBehavior.js',
+    'behaviors/ErraticBehavior.js',
+    'behaviors/WanderBehavior.js',
+    'behaviors/EvadeBehavior.js',
+    'behaviors/ZigZagBehavior.js',
+    'obstacles/Obstacle.js',
+    'obstacles/PolygonObstacle.js',
+    'obstacles/RectObstacle.js',
+    'obstacles/CircleObstacle.js',
+    'systems/DetectionSystem.js',
+    'systems/PhysicsEngine.js',
+    'systems/CollisionDetector.js',
+    'systems/ObstacleSystem.js',
+    'systems/Blackboard.js',
+    'maps/ArenaMap.js',
+    'analytics/Statistics.js',
+    'analytics/StatsTracker.js',
+    'analytics/HeatmapTracker.js',
+    'core/SimulationCore.js',
+    'experiments/ExperimentRunner.js',
+    'experiments/GeneticTuner.js',
+    'replay/EpisodeRecorder.js',
+    'replay/ReplayPlayer.js',
+    'rl/PursuitEnv.js'
+];
+
+// Nomes globais expostos após o carregamento
+const EXPORTED_NAMES = [
+    'CONFIG',
+    'logger',
+    'Vector2D',
+    'MathUtils',
+    'SeededRandom',
+    'Agent',
+    'Ligeirinho',
+    'Frajola',
+    'Strategy',
+    'StateMachine',
+    'DirectStrategy',
+    'PredictiveStrategy',
+    'PatrolStrategy',
+    'PackCoordinator',
+    'PackStrategy',
+    'BlendedStrategy',
+    'ExternalStrategy',
+    'NeuralNetwork',
+    'NeuralStrategy',
+    'BTNode',
+    'SequenceNode',
+    'SelectorNode',
+    'DecoratorNode',
+    'ConditionNode',
+    'ActionNode',
+    'BehaviorTree',
+    'BehaviorTreeStrategy',
+    'TargetBehavior',
+    'StraightBehavior',
+    'ErraticBehavior',
+    'WanderBehavior',
+    'EvadeBehavior',
+    'ZigZagBehavior',
+    'Obstacle',
+    'PolygonObstacle',
+    'RectObstacle',
+    'CircleObstacle',
+    'DetectionSystem',
+    'PhysicsEngine',
+    'CollisionDetector',
+    'ObstacleSystem',
+    'Blackboard',
+    'ArenaMap',
+    'Statistics',
+    'StatsTracker',
+    'HeatmapTracker',
+    'SimulationClock',
+    'SimulationCore',
+    'ExperimentRunner',
+    'GeneticTuner',
+    'EpisodeRecorder',
+    'ReplayPlayer',
+    'PursuitEnv'
+];
+
+let loaded = null;
+
+/**
+ * Carrega os scripts do núcleo uma única vez
+ * @param {Object} options - Opções
+ * @param {boolean} options.logging - Se o logger deve escrever no console
+ * @returns {Object} Classes e objetos globais do núcleo
+ */
+function loadCore(options = {}) {
+    // Logs no console tornam execuções em lote muito lentas
+    const logging = Boolean(options.logging);
+
+    if (!loaded) {
+        for (const script of CORE_SCRIPTS) {
+            const filename = path.join(__dirname, script);
+            vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+
+            // Silenciar o logger antes dos scripts seguintes registrarem mensagens
+            if (script === 'utils/Logger.js') {
+                vm.runInThisContext('logger').setEnabled(logging);
+            }
+        }
+
+        loaded = vm.runInThisContext(`({ ${EXPORTED_NAMES.join(', ')} })`);
+    }
+
+    loaded.logger.setEnabled(logging);
+
+    return loaded;
+}
+
+module.exports = loadCore();
+module.exports.loadCore = loadCore;
+
+// Execução direta: roda N tentativas e imprime as estatísticas
+if (require.main === module) {
+    const count = parseInt(process.argv[2]) || 100;
+    const strategy = process.argv[3] || 'direct';
+    const seed = process.argv[4] !== undefined ? parseInt(process.argv[4]) : null;
+
+    const { SimulationCore } = loadCore();
+    let core;
+    try {
+        core = new SimulationCore({ strategy, seed });
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    const stats = core.runEpisodes(count);
+
+    console.log(JSON.stringify({ strategy, seed: core.seed, ...stats }, null, 2));
+}
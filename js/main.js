@@ -1,7 +1,7 @@
 /**
  * main.js
- * Ponto de entrada principal da simulação
- * Inicializa e orquestra todos os sistemas
+ * Ponto de entrada principal da simulação no navegador
+ * Camada de visualização sobre o SimulationCore (canvas, DOM e áudio)
  */
 
 class Simulation {
@@ -12,23 +12,52 @@ class Simulation {
         this.frameCount = 0;
         this.lastFrameTime = 0;
         this.fps = 0;
-        this.currentStrategy = 'direct';
+        this.attemptStarted = false;
+        
+        // Passo fixo: tempo real acumulado (já escalado) ainda não simulado
+        this.accumulator = 0;
+        this.timeScale = CONFIG.simulation.defaultTimeScale;
         
         // Canvas e renderização
         this.canvas = document.getElementById('simulationCanvas');
         this.renderer = new Renderer(this.canvas);
         this.uiRenderer = new UIRenderer();
+        this.dashboard = new DashboardRenderer(name => this.uiRenderer.getStrategyLabel(name));
         
-        // Sistemas
-        this.physicsEngine = new PhysicsEngine();
-        this.detectionSystem = new DetectionSystem();
-        this.collisionDetector = new CollisionDetector();
-        this.statsTracker = new StatsTracker();
+        // Núcleo headless (agentes, física, detecção, estatísticas)
+        this.core = new SimulationCore({ strategy: 'direct' });
         this.dataExporter = new DataExporter();
         
-        // Agentes
-        this.ligeirinho = null;
-        this.frajola = null;
+        // Editor de mapas (ativo somente com a simulação pausada)
+        this.mapEditor = new MapEditor(this.canvas, {
+            onChange: (map) => this.applyMap(map),
+            onRedraw: () => this.render()
+        });
+        
+        // Otimização genética (avaliações em fatias entre quadros)
+        this.tuner = null;
+        this.tuningTimer = null;
+        
+        // Gravação e replay (o replay substitui a simulação no canvas enquanto ativo)
+        this.recorder = new EpisodeRecorder();
+        this.replayPlayer = null;
+        this.replayLastTime = 0;
+        
+        // Exportação de vídeo do replay (um quadro por setTimeout)
+        this.clipExporter = null;
+        this.clipTimer = null;
+        
+        // Histórico de sessões (IndexedDB; a sessão atual é salva a cada tentativa concluída)
+        this.sessionStore = SessionStore.isSupported() ? new SessionStore() : null;
+        this.sessions = [];
+        this.sessionId = null;
+        this.sessionMeta = {}; // nome e data de criação de uma sessão reaberta
+        this.sessionToken = 0; // muda no reset: salvamentos em andamento não reaproveitam a sessão antiga
+        this.sessionSaving = false;
+        this.sessionSavePending = false;
+        
+        // Painel de exportação de dados (tabelas CSV, JSON e relatório)
+        this.exportOpen = false;
         
         // Estado de captura
         this.captureInProgress = false;
@@ -39,19 +68,9 @@ class Simulation {
         this.themeSong.loop = true;
         this.themeSong.volume = 0.5; // Volume a 50%
         
-        // Estratégias
-        this.strategies = {
-            direct: new DirectStrategy(),
-            predictive: new PredictiveStrategy(),
-            patrol: new PatrolStrategy()
-        };
-        
-        // Configurações
+        // Configurações da visualização
         this.config = {
-            targetSpeed: CONFIG.target.defaultSpeed,
-            chaserSpeed: CONFIG.chaser.defaultSpeed,
-            detectionSensitivity: CONFIG.detection.baseSensitivity,
-            fps: CONFIG.simulation.defaultFPS
+            fps: this.core.tickRate
         };
         
         logger.info('Simulação inicializada');
@@ -64,40 +83,21 @@ class Simulation {
      * Inicializa a simulação
      */
     init() {
-        // Criar agentes
-        this.createAgents();
-        
         // Configurar estratégia inicial
-        this.setStrategy(this.currentStrategy);
+        this.setStrategy(this.core.currentStrategy);
         
         // Inicializar UI
         this.setupUI();
+        this.uiRenderer.updateTargetBehavior(this.core.currentBehavior);
+        this.dashboard.update(this.core.statsTracker, true);
         
         // Renderizar frame inicial
-        this.renderer.render(this.ligeirinho, this.frajola, this.detectionSystem);
+        this.render();
+        this.uiRenderer.updateSeed(this.core.seed, this.core.episodeSeed);
         
         logger.info('Simulação pronta para iniciar');
     }
 
-    /**
-     * Cria os agentes
-     */
-    createAgents() {
-        // Criar Ligeirinho
-        this.ligeirinho = new Ligeirinho(0, 0, this.config.targetSpeed);
-        this.ligeirinho.spawnAtRandomEdge(CONFIG.canvas.width, CONFIG.canvas.height);
-        
-        // Criar Frajola
-        this.frajola = new Frajola(
-            CONFIG.chaser.startX,
-            CONFIG.chaser.startY,
-            this.config.chaserSpeed
-        );
-        this.frajola.setTarget(this.ligeirinho);
-        
-        logger.info('Agentes criados');
-    }
-
     /**
      * Configura a interface do usuário
      */
@@ -109,6 +109,16 @@ class Simulation {
         const playPauseBtn = document.getElementById('playPauseBtn');
         playPauseBtn.addEventListener('click', () => this.togglePlayPause());
         
+        // Botão Passo (avança um passo com a simulação pausada)
+        const stepBtn = document.getElementById('stepBtn');
+        stepBtn.addEventListener('click', () => this.stepOnce());
+        
+        // Escala de tempo
+        const timeScaleSelect = document.getElementById('timeScaleSelect');
+        timeScaleSelect.addEventListener('change', (e) => {
+            this.setTimeScale(parseFloat(e.target.value));
+        });
+        
         // Botão Reset
         const resetBtn = document.getElementById('resetBtn');
         resetBtn.addEventListener('click', () => this.reset());
@@ -121,9 +131,15 @@ class Simulation {
             this.uiRenderer.toggleConfigPanel(configOpen);
         });
         
-        // Botão Export
+        // Painel de exportação
         const exportBtn = document.getElementById('exportBtn');
-        exportBtn.addEventListener('click', () => this.exportData());
+        exportBtn.addEventListener('click', () => {
+            this.exportOpen = !this.exportOpen;
+            this.uiRenderer.toggleExportPanel(this.exportOpen, this.getExportCounts());
+        });
+        document.getElementById('exportCsvBtn').addEventListener('click', () => this.exportTables());
+        document.getElementById('exportJsonBtn').addEventListener('click', () => this.exportData('json'));
+        document.getElementById('exportReportBtn').addEventListener('click', () => this.exportData('html'));
         
         // Seletor de estratégia
         const strategySelect = document.getElementById('strategySelect');
@@ -131,11 +147,67 @@ class Simulation {
             this.setStrategy(e.target.value);
         });
         
+        // Carregar árvore de comportamento
+        const treeFileInput = document.getElementById('treeFileInput');
+        document.getElementById('treeLoadBtn').addEventListener('click', () => treeFileInput.click());
+        treeFileInput.addEventListener('change', () => {
+            const file = treeFileInput.files[0];
+            if (file) {
+                this.loadBehaviorTreeFile(file);
+            }
+            treeFileInput.value = '';
+        });
+        
+        // Carregar política de rede neural
+        const policyFileInput = document.getElementById('policyFileInput');
+        document.getElementById('policyLoadBtn').addEventListener('click', () => policyFileInput.click());
+        policyFileInput.addEventListener('change', () => {
+            const file = policyFileInput.files[0];
+            if (file) {
+                this.loadNeuralPolicyFile(file);
+            }
+            policyFileInput.value = '';
+        });
+        
+        // Seletor de comportamento do Ligeirinho
+        const targetBehaviorSelect = document.getElementById('targetBehaviorSelect');
+        targetBehaviorSelect.addEventListener('change', (e) => {
+            this.setTargetBehavior(e.target.value);
+        });
+        
         // Sliders de configuração
         this.setupConfigSliders();
         
-        // Tecla de debug (D)
+        // Editor de mapas
+        this.setupMapEditor();
+        
+        // Otimização genética
+        this.setupTuner();
+        
+        // Gravação e replay
+        this.setupReplay();
+        
+        // Mapa de calor
+        this.setupHeatmap();
+        
+        // Histórico de sessões
+        this.setupSessions();
+        
+        // Tecla de debug (D) e atalhos do replay
         document.addEventListener('keydown', (e) => {
+            // Ignorar teclas em campos de formulário (texto e listas)
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+            
+            if (this.replayPlayer && [' ', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
+                e.preventDefault();
+                if (e.key === ' ') {
+                    this.toggleReplayPlayback();
+                } else {
+                    this.stepReplay(e.key === 'ArrowRight' ? 1 : -1);
+                }
+                return;
+            }
+            
             if (e.key === 'd' || e.key === 'D') {
                 CONFIG.simulation.debug = !CONFIG.simulation.debug;
                 logger.setDebugMode(CONFIG.simulation.debug);
@@ -153,39 +225,877 @@ class Simulation {
         // Target Speed
         const targetSpeedSlider = document.getElementById('targetSpeedSlider');
         targetSpeedSlider.addEventListener('change', (e) => {
-            this.config.targetSpeed = parseInt(e.target.value);
-            if (this.ligeirinho) {
-                this.ligeirinho.maxSpeed = this.config.targetSpeed;
-            }
-            logger.info('Velocidade do Ligeirinho alterada', { speed: this.config.targetSpeed });
+            this.core.setTargetSpeed(parseInt(e.target.value));
+            logger.info('Velocidade do Ligeirinho alterada', { speed: this.core.config.targetSpeed });
         });
         
         // Chaser Speed
         const chaserSpeedSlider = document.getElementById('chaserSpeedSlider');
         chaserSpeedSlider.addEventListener('change', (e) => {
-            this.config.chaserSpeed = parseInt(e.target.value);
-            if (this.frajola) {
-                this.frajola.maxSpeed = this.config.chaserSpeed;
-            }
-            logger.info('Velocidade do Frajola alterada', { speed: this.config.chaserSpeed });
+            this.core.setChaserSpeed(parseInt(e.target.value));
+            logger.info('Velocidade do Frajola alterada', { speed: this.core.config.chaserSpeed });
         });
         
         // Detection Sensitivity
         const detectionSlider = document.getElementById('detectionSlider');
         detectionSlider.addEventListener('change', (e) => {
-            this.config.detectionSensitivity = parseFloat(e.target.value) / 100;
-            this.detectionSystem.setSensitivity(this.config.detectionSensitivity);
+            this.core.setDetectionSensitivity(parseFloat(e.target.value) / 100);
             logger.info('Sensibilidade de detecção alterada', { 
-                sensitivity: this.config.detectionSensitivity 
+                sensitivity: this.core.config.detectionSensitivity 
+            });
+        });
+        
+        // Modelo de detecção e ângulo do cone
+        const detectionMethodSelect = document.getElementById('detectionMethodSelect');
+        detectionMethodSelect.addEventListener('change', (e) => {
+            this.core.setDetectionMethod(e.target.value);
+            this.updateDetectionControls();
+            logger.info('Modelo de detecção alterado', { method: this.core.config.detectionMethod });
+        });
+        
+        const coneAngleSlider = document.getElementById('coneAngleSlider');
+        coneAngleSlider.addEventListener('change', (e) => {
+            this.core.setConeAngle(parseInt(e.target.value));
+            this.updateDetectionControls();
+            logger.info('Ângulo do cone alterado', { coneAngle: this.core.config.coneAngle });
+        });
+        
+        this.updateDetectionControls();
+        
+        // Semente (aplicada no próximo reset)
+        const seedInput = document.getElementById('seedInput');
+        if (CONFIG.simulation.seed !== null) {
+            seedInput.value = CONFIG.simulation.seed;
+        }
+        seedInput.addEventListener('change', () => {
+            const seed = this.uiRenderer.getSeedValue();
+            this.core.setSeed(seed);
+            logger.info('Semente alterada (aplicada ao resetar)', { seed });
+        });
+        
+        // Múltiplos agentes (número aplicado na próxima tentativa)
+        const chaserCountSlider = document.getElementById('chaserCountSlider');
+        chaserCountSlider.addEventListener('change', (e) => {
+            this.core.setChaserCount(parseInt(e.target.value));
+            logger.info('Número de Frajolas alterado', { chaserCount: this.core.config.chaserCount });
+        });
+        
+        const targetCountSlider = document.getElementById('targetCountSlider');
+        targetCountSlider.addEventListener('change', (e) => {
+            this.core.setTargetCount(parseInt(e.target.value));
+            logger.info('Número de Ligeirinhos alterado', { targetCount: this.core.config.targetCount });
+        });
+        
+        const assignmentSelect = document.getElementById('assignmentSelect');
+        assignmentSelect.addEventListener('change', (e) => {
+            this.core.setAssignment(e.target.value);
+            if (!this.isRunning) {
+                this.render();
+            }
+            logger.info('Atribuição de alvos alterada', { assignment: this.core.config.assignment });
+        });
+        
+        this.uiRenderer.updateAgentControls(this.core.config);
+        
+        // Layout de obstáculos
+        const obstacleSelect = document.getElementById('obstacleSelect');
+        obstacleSelect.value = this.core.obstacleSystem.layout;
+        obstacleSelect.addEventListener('change', (e) => {
+            this.setObstacleLayout(e.target.value);
+        });
+        
+        // Pesos, prioridades e arbitragem da estratégia 'blend' (aplicados imediatamente)
+        const blendArbitrationSelect = document.getElementById('blendArbitrationSelect');
+        blendArbitrationSelect.addEventListener('change', (e) => {
+            this.core.setBlendArbitration(e.target.value);
+            logger.info('Arbitragem da combinação alterada', { arbitration: this.core.blendSettings.arbitration });
+        });
+        
+        document.querySelectorAll('.blend-weight').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.core.setBlendWeight(e.target.dataset.behavior, parseFloat(e.target.value));
+                logger.info('Peso de steering alterado', { behavior: e.target.dataset.behavior, weight: parseFloat(e.target.value) });
+            });
+        });
+        
+        document.querySelectorAll('.blend-priority').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.core.setBlendPriority(e.target.dataset.behavior, parseInt(e.target.value) || 1);
+                this.uiRenderer.updateBlendControls(this.core.currentStrategy, this.core.blendSettings);
+                logger.info('Prioridade de steering alterada', { behavior: e.target.dataset.behavior });
             });
         });
         
         // FPS
         const fpsSlider = document.getElementById('fpsSlider');
         fpsSlider.addEventListener('change', (e) => {
-            this.config.fps = parseInt(e.target.value);
-            logger.info('FPS alterado', { fps: this.config.fps });
+            this.core.setTickRate(parseInt(e.target.value));
+            this.config.fps = this.core.tickRate;
+            logger.info('Taxa de simulação alterada', { fps: this.config.fps });
+        });
+    }
+
+    /**
+     * Sincroniza os controles de detecção com o núcleo e redesenha o campo de visão
+     */
+    updateDetectionControls() {
+        this.uiRenderer.updateDetectionMethod(this.core.config.detectionMethod, this.core.config.coneAngle);
+        
+        if (!this.isRunning) {
+            this.render();
+        }
+    }
+
+    /**
+     * Configura listeners do editor de mapas
+     */
+    setupMapEditor() {
+        const mapEditorBtn = document.getElementById('mapEditorBtn');
+        mapEditorBtn.addEventListener('click', () => this.toggleMapEditor());
+        
+        // Ferramentas
+        this.uiRenderer.elements.editorToolButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.mapEditor.setTool(button.dataset.tool);
+                this.uiRenderer.updateMapEditor(this.mapEditor.map, this.mapEditor.tool);
+                this.render();
+            });
+        });
+        
+        // Bordas de spawn
+        this.uiRenderer.elements.spawnEdgeInputs.forEach(input => {
+            input.addEventListener('change', () => {
+                if (!this.mapEditor.setSpawnEdge(input.value, input.checked)) {
+                    input.checked = !input.checked;
+                    this.uiRenderer.showNotification('O mapa precisa de pelo menos uma borda ou zona de spawn', 'warning');
+                }
+            });
+        });
+        
+        // Nome
+        const mapNameInput = document.getElementById('mapNameInput');
+        mapNameInput.addEventListener('change', (e) => {
+            this.mapEditor.setName(e.target.value);
+        });
+        
+        // Salvar / carregar / limpar
+        document.getElementById('mapSaveBtn').addEventListener('click', () => this.saveMap());
+        
+        const mapFileInput = document.getElementById('mapFileInput');
+        document.getElementById('mapLoadBtn').addEventListener('click', () => mapFileInput.click());
+        mapFileInput.addEventListener('change', () => {
+            const file = mapFileInput.files[0];
+            if (file) {
+                this.loadMapFile(file);
+            }
+            mapFileInput.value = '';
+        });
+        
+        document.getElementById('mapClearBtn').addEventListener('click', () => this.mapEditor.clear());
+    }
+
+    /**
+     * Configura listeners da otimização genética
+     */
+    setupTuner() {
+        document.getElementById('tunerRunBtn').addEventListener('click', () => {
+            if (this.tuningTimer) {
+                this.stopTuning();
+            } else {
+                this.startTuning();
+            }
+        });
+        
+        document.getElementById('tunerApplyBtn').addEventListener('click', () => this.applyTunedPreset());
+        document.getElementById('tunerExportBtn').addEventListener('click', () => this.exportTunedPreset());
+        
+        this.uiRenderer.updateTunerPanel(null, false);
+    }
+
+    /**
+     * Inicia a otimização genética no cenário atual (pausa a simulação)
+     * Cada genoma é avaliado em um setTimeout separado para não travar a página
+     */
+    startTuning() {
+        this.pause();
+        
+        this.tuner = new GeneticTuner({
+            ...this.uiRenderer.getTunerSettings(),
+            seed: this.core.seed,
+            targetBehavior: this.core.currentBehavior,
+            targetSpeed: this.core.config.targetSpeed,
+            chaserSpeed: this.core.config.chaserSpeed,
+            detectionSensitivity: this.core.config.detectionSensitivity,
+            detectionMethod: this.core.config.detectionMethod,
+            coneAngle: this.core.config.coneAngle,
+            chaserCount: this.core.config.chaserCount,
+            targetCount: this.core.config.targetCount,
+            assignment: this.core.config.assignment,
+            map: this.core.getMap()
+        });
+        
+        const evaluateNext = () => {
+            // Logs das tentativas headless deixariam a página lenta
+            const logging = logger.enabled;
+            logger.setEnabled(false);
+            let running;
+            try {
+                running = this.tuner.step();
+            } finally {
+                logger.setEnabled(logging);
+            }
+            
+            if (running) {
+                this.tuningTimer = setTimeout(evaluateNext, 0);
+            } else {
+                this.tuningTimer = null;
+                this.uiRenderer.showNotification('Otimização concluída', 'success');
+            }
+            
+            this.uiRenderer.updateTunerPanel(this.tuner, running);
+        };
+        
+        this.tuningTimer = setTimeout(evaluateNext, 0);
+        this.uiRenderer.updateTunerPanel(this.tuner, true);
+        
+        logger.info('Otimização genética iniciada', { strategy: this.tuner.strategy });
+    }
+
+    /**
+     * Interrompe a otimização (o melhor genoma até aqui continua disponível)
+     */
+    stopTuning() {
+        clearTimeout(this.tuningTimer);
+        this.tuningTimer = null;
+        this.uiRenderer.updateTunerPanel(this.tuner, false);
+        
+        logger.info('Otimização genética interrompida');
+    }
+
+    /**
+     * Aplica o melhor genoma à simulação e seleciona a estratégia otimizada
+     */
+    applyTunedPreset() {
+        const preset = this.tuner && this.tuner.toPreset();
+        if (!preset) return;
+        
+        if (preset.options.chaserMaxForce) {
+            this.core.setChaserMaxForce(preset.options.chaserMaxForce);
+        }
+        this.core.setStrategyParams({ ...this.core.strategyParams, ...preset.options.strategyParams });
+        
+        this.uiRenderer.elements.strategySelect.value = preset.strategy;
+        this.setStrategy(preset.strategy);
+        this.render();
+        
+        this.uiRenderer.showNotification('Melhor genoma aplicado', 'success');
+    }
+
+    /**
+     * Baixa o melhor genoma como preset de configuração (JSON)
+     */
+    exportTunedPreset() {
+        const preset = this.tuner && this.tuner.toPreset();
+        if (!preset) return;
+        
+        this.dataExporter.downloadFile(
+            JSON.stringify(preset, null, 2),
+            `preset_${preset.strategy}_${this.dataExporter.getTimestamp()}.json`,
+            'application/json'
+        );
+        
+        logger.info('Preset exportado', { strategy: preset.strategy, fitness: preset.fitness });
+    }
+
+    /**
+     * Configura listeners da gravação e do replay
+     */
+    setupReplay() {
+        document.getElementById('recordBtn').addEventListener('click', () => this.toggleRecording());
+        
+        const replayFileInput = document.getElementById('replayFileInput');
+        document.getElementById('replayLoadBtn').addEventListener('click', () => replayFileInput.click());
+        replayFileInput.addEventListener('change', () => {
+            const file = replayFileInput.files[0];
+            if (file) {
+                this.loadReplayFile(file);
+            }
+            replayFileInput.value = '';
+        });
+        
+        document.getElementById('replayPlayBtn').addEventListener('click', () => this.toggleReplayPlayback());
+        document.getElementById('replayBackBtn').addEventListener('click', () => this.stepReplay(-1));
+        document.getElementById('replayForwardBtn').addEventListener('click', () => this.stepReplay(1));
+        
+        // Linha do tempo: arrastar posiciona no quadro exato
+        document.getElementById('replaySlider').addEventListener('input', (e) => {
+            if (!this.replayPlayer) return;
+            this.replayPlayer.seek(parseInt(e.target.value));
+            this.renderReplay();
+        });
+        
+        document.getElementById('replaySpeedSelect').addEventListener('change', (e) => {
+            if (!this.replayPlayer) return;
+            this.replayPlayer.setSpeed(parseFloat(e.target.value));
+        });
+        
+        document.getElementById('replaySaveBtn').addEventListener('click', () => this.saveReplay());
+        document.getElementById('replayExitBtn').addEventListener('click', () => this.exitReplay());
+        
+        // Exportação de vídeo
+        document.getElementById('replayClipBtn').addEventListener('click', () => {
+            const clipOpen = this.uiRenderer.elements.clipPanel.style.display !== 'none';
+            this.uiRenderer.toggleClipPanel(!clipOpen, this.replayPlayer);
+        });
+        document.getElementById('clipMarkStartBtn').addEventListener('click', () => {
+            if (this.replayPlayer) this.uiRenderer.setClipBound('start', this.replayPlayer.frameIndex);
+        });
+        document.getElementById('clipMarkEndBtn').addEventListener('click', () => {
+            if (this.replayPlayer) this.uiRenderer.setClipBound('end', this.replayPlayer.frameIndex);
+        });
+        document.getElementById('clipExportBtn').addEventListener('click', () => {
+            if (this.clipTimer) {
+                this.cancelClipExport();
+            } else {
+                this.startClipExport();
+            }
+        });
+    }
+
+    /**
+     * Configura listeners do mapa de calor
+     */
+    setupHeatmap() {
+        document.getElementById('heatmapLayerSelect').addEventListener('change', (e) => {
+            this.renderer.setHeatmap(this.core.heatmap, e.target.value);
+            this.render();
+        });
+        
+        document.getElementById('heatmapPngBtn').addEventListener('click', () => this.exportHeatmapPNG());
+        document.getElementById('heatmapCsvBtn').addEventListener('click', () => {
+            this.dataExporter.downloadFile(
+                this.core.heatmap.toCSV(),
+                `mapa_calor_${this.dataExporter.getTimestamp()}.csv`,
+                'text/csv'
+            );
+        });
+        
+        this.uiRenderer.updateHeatmapStatus(this.core.heatmap);
+    }
+
+    /**
+     * Exporta a camada selecionada do mapa de calor sobre a arena vazia (obstáculos atuais)
+     */
+    exportHeatmapPNG() {
+        const layer = this.renderer.heatmapLayer;
+        if (!layer) {
+            this.uiRenderer.showNotification('Selecione uma camada do mapa de calor', 'warning');
+            return;
+        }
+        
+        const renderer = new Renderer(document.createElement('canvas'));
+        renderer.setHeatmap(this.core.heatmap, layer);
+        renderer.render([], [], null, false, this.core.obstacleSystem.obstacles, null);
+        
+        this.dataExporter.downloadURL(
+            renderer.screenshot(),
+            `mapa_calor_${layer}_${this.dataExporter.getTimestamp()}.png`
+        );
+    }
+
+    /**
+     * Configura listeners do histórico de sessões e carrega a lista salva
+     */
+    setupSessions() {
+        document.getElementById('sessionOpenBtn').addEventListener('click', () => {
+            const selected = this.getSelectedSessions();
+            if (selected.length !== 1) {
+                this.uiRenderer.showNotification('Marque uma sessão para abrir', 'warning');
+                return;
+            }
+            this.openSession(selected[0]);
+        });
+        
+        document.getElementById('sessionCompareBtn').addEventListener('click', () => {
+            const selected = this.getSelectedSessions();
+            if (selected.length < 2) {
+                this.uiRenderer.showNotification('Marque ao menos duas sessões para comparar', 'warning');
+                return;
+            }
+            this.uiRenderer.showSessionComparison(SessionStore.compare(selected));
+        });
+        
+        document.getElementById('sessionMergeBtn').addEventListener('click', () => this.mergeSessions());
+        document.getElementById('sessionDeleteBtn').addEventListener('click', () => this.deleteSessions());
+        
+        const sessionFileInput = document.getElementById('sessionFileInput');
+        document.getElementById('sessionImportBtn').addEventListener('click', () => sessionFileInput.click());
+        sessionFileInput.addEventListener('change', () => {
+            const file = sessionFileInput.files[0];
+            if (file) {
+                this.importSessionFile(file);
+            }
+            sessionFileInput.value = '';
         });
+        
+        if (!this.sessionStore) {
+            this.uiRenderer.setSessionStatus('IndexedDB indisponível: as sessões não serão salvas');
+            this.uiRenderer.updateSessionList([], null);
+            return;
+        }
+        
+        this.refreshSessions();
+    }
+
+    /**
+     * Recarrega a lista de sessões salvas
+     * @returns {Promise<void>}
+     */
+    refreshSessions() {
+        if (!this.sessionStore) return Promise.resolve();
+        
+        return this.sessionStore.list()
+            .then(sessions => {
+                this.sessions = sessions;
+                this.uiRenderer.updateSessionList(sessions, this.sessionId);
+                this.uiRenderer.setSessionStatus(`${sessions.length} sessões salvas neste navegador`);
+            })
+            .catch(error => {
+                logger.error('Erro ao listar sessões', error);
+                this.uiRenderer.setSessionStatus('Não foi possível abrir o histórico de sessões');
+            });
+    }
+
+    /**
+     * Sessões marcadas na lista, da mais antiga para a mais recente
+     * @returns {Array<Object>} Sessões
+     */
+    getSelectedSessions() {
+        const ids = this.uiRenderer.getSelectedSessionIds();
+        return this.sessions
+            .filter(session => ids.includes(session.id))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Salva a sessão atual (chamadas durante um salvamento são agrupadas no seguinte)
+     */
+    saveSession() {
+        if (!this.sessionStore || !CONFIG.sessions.autoSave || this.core.statsTracker.attempts === 0) return;
+        
+        if (this.sessionSaving) {
+            this.sessionSavePending = true;
+            return;
+        }
+        this.sessionSaving = true;
+        
+        const token = this.sessionToken;
+        const session = SessionStore.createSession(this.core.statsTracker.export(), {
+            ...this.sessionMeta,
+            id: this.sessionId,
+            strategy: this.core.currentStrategy,
+            config: this.core.getConfigSnapshot()
+        });
+        
+        this.sessionStore.save(session)
+            .then(id => {
+                if (token === this.sessionToken) {
+                    this.sessionId = id;
+                }
+                return this.refreshSessions();
+            })
+            .catch(error => logger.error('Erro ao salvar sessão', error))
+            .finally(() => {
+                this.sessionSaving = false;
+                if (this.sessionSavePending) {
+                    this.sessionSavePending = false;
+                    this.saveSession();
+                }
+            });
+    }
+
+    /**
+     * Reabre uma sessão: substitui as estatísticas atuais, e novas tentativas continuam nela
+     * @param {Object} session - Sessão
+     */
+    openSession(session) {
+        this.reset();
+        
+        if (!this.core.statsTracker.import(session.data)) {
+            this.uiRenderer.showNotification('Sessão inválida', 'error');
+            return;
+        }
+        
+        this.sessionId = session.id !== undefined ? session.id : null;
+        this.sessionMeta = { name: session.name, createdAt: session.createdAt };
+        this.uiRenderer.updateStats(this.core.statsTracker.getStats(), true);
+        this.dashboard.update(this.core.statsTracker, true);
+        this.uiRenderer.updateSessionList(this.sessions, this.sessionId);
+        this.uiRenderer.showNotification(`Sessão "${session.name}" aberta`, 'success');
+    }
+
+    /**
+     * Junta as sessões marcadas em uma nova sessão salva
+     */
+    mergeSessions() {
+        const selected = this.getSelectedSessions();
+        if (selected.length < 2) {
+            this.uiRenderer.showNotification('Marque ao menos duas sessões para mesclar', 'warning');
+            return;
+        }
+        
+        const merged = SessionStore.merge(selected);
+        this.sessionStore.save(merged)
+            .then(() => this.refreshSessions())
+            .then(() => this.uiRenderer.showNotification(`${selected.length} sessões mescladas`, 'success'))
+            .catch(error => {
+                logger.error('Erro ao mesclar sessões', error);
+                this.uiRenderer.showNotification('Não foi possível mesclar as sessões', 'error');
+            });
+    }
+
+    /**
+     * Exclui as sessões marcadas (após confirmação)
+     */
+    deleteSessions() {
+        const selected = this.getSelectedSessions();
+        if (selected.length === 0) {
+            this.uiRenderer.showNotification('Marque as sessões a excluir', 'warning');
+            return;
+        }
+        if (!window.confirm(`Excluir ${selected.length} sessão(ões)? Esta ação não pode ser desfeita.`)) return;
+        
+        // A sessão atual excluída volta a ser salva como nova na próxima tentativa
+        if (selected.some(session => session.id === this.sessionId)) {
+            this.sessionId = null;
+        }
+        
+        Promise.all(selected.map(session => this.sessionStore.delete(session.id)))
+            .then(() => {
+                this.uiRenderer.showSessionComparison(null);
+                return this.refreshSessions();
+            })
+            .catch(error => logger.error('Erro ao excluir sessões', error));
+    }
+
+    /**
+     * Importa um JSON de Exportar Dados como nova sessão e a abre
+     * @param {File} file - Arquivo JSON
+     */
+    importSessionFile(file) {
+        const reader = new FileReader();
+        
+        reader.onload = () => {
+            let session;
+            try {
+                const data = JSON.parse(reader.result);
+                StatsTracker.validate(data);
+                session = SessionStore.createSession(data, { name: file.name.replace(/\.json$/i, '') });
+            } catch (error) {
+                logger.error('Erro ao importar sessão', error.message);
+                this.uiRenderer.showNotification(`Arquivo inválido: ${error.message}`, 'error');
+                return;
+            }
+            
+            if (!this.sessionStore) {
+                this.openSession(session);
+                return;
+            }
+            
+            this.sessionStore.save(session)
+                .then(id => {
+                    session.id = id;
+                    return this.refreshSessions();
+                })
+                .then(() => this.openSession(session))
+                .catch(error => {
+                    logger.error('Erro ao salvar sessão importada', error);
+                    this.uiRenderer.showNotification('Não foi possível salvar a sessão importada', 'error');
+                });
+        };
+        
+        reader.readAsText(file);
+    }
+
+    /**
+     * Inicia/encerra a gravação (ao encerrar, abre o replay gravado)
+     */
+    toggleRecording() {
+        if (!this.recorder.recording) {
+            this.recorder.start(this.core);
+            this.uiRenderer.updateRecordButton(true);
+            return;
+        }
+        
+        const replay = this.recorder.stop();
+        this.uiRenderer.updateRecordButton(false);
+        
+        if (replay) {
+            this.enterReplay(replay);
+        } else {
+            this.uiRenderer.showNotification('Nada foi gravado: inicie a simulação durante a gravação', 'warning');
+        }
+    }
+
+    /**
+     * Entra no modo replay (pausa a simulação ao vivo)
+     * @param {string|Object} replay - Replay (JSON ou objeto)
+     */
+    enterReplay(replay) {
+        const player = new ReplayPlayer(replay);
+        
+        // Trocar de replay encerra o anterior (e uma exportação em andamento)
+        this.exitReplay();
+        if (this.recorder.recording) {
+            this.recorder.stop();
+            this.uiRenderer.updateRecordButton(false);
+        }
+        if (this.mapEditor.active) {
+            this.toggleMapEditor();
+        }
+        this.pause();
+        
+        this.replayPlayer = player;
+        this.uiRenderer.toggleReplayBar(true);
+        this.refreshExportPanel();
+        this.renderReplay();
+    }
+
+    /**
+     * Sai do modo replay e volta a exibir a simulação ao vivo
+     */
+    exitReplay() {
+        if (!this.replayPlayer) return;
+        
+        if (this.clipTimer) {
+            this.cancelClipExport();
+        }
+        this.uiRenderer.toggleClipPanel(false);
+        
+        this.replayPlayer.pause();
+        this.replayPlayer = null;
+        this.uiRenderer.toggleReplayBar(false);
+        this.refreshExportPanel();
+        this.render();
+        
+        logger.info('Replay encerrado');
+    }
+
+    /**
+     * Reproduz/pausa o replay
+     */
+    toggleReplayPlayback() {
+        const player = this.replayPlayer;
+        if (!player) return;
+        
+        if (player.playing) {
+            player.pause();
+        } else {
+            player.play();
+            this.replayLastTime = performance.now();
+            requestAnimationFrame((time) => this.replayLoop(time));
+        }
+        
+        this.renderReplay();
+    }
+
+    /**
+     * Avança/volta quadros do replay (pausa a reprodução)
+     * @param {number} frames - Quadros (negativo volta)
+     */
+    stepReplay(frames) {
+        const player = this.replayPlayer;
+        if (!player) return;
+        
+        player.pause();
+        player.seek(player.frameIndex + frames);
+        this.renderReplay();
+    }
+
+    /**
+     * Loop de reprodução do replay (somente redesenha, sem física)
+     * @param {number} currentTime - Timestamp do requestAnimationFrame (ms)
+     */
+    replayLoop(currentTime) {
+        const player = this.replayPlayer;
+        if (!player || !player.playing) return;
+        
+        const frameTime = Math.max(0, (currentTime - this.replayLastTime) / 1000);
+        this.replayLastTime = currentTime;
+        
+        if (player.update(Math.min(frameTime, CONFIG.simulation.maxFrameTime))) {
+            this.renderReplay();
+        }
+        
+        requestAnimationFrame((time) => this.replayLoop(time));
+    }
+
+    /**
+     * Desenha o quadro atual do replay e sincroniza a barra
+     */
+    renderReplay() {
+        this.replayPlayer.render(this.renderer);
+        this.uiRenderer.updateReplayControls(this.replayPlayer);
+    }
+
+    /**
+     * Baixa o replay aberto como JSON
+     */
+    saveReplay() {
+        if (!this.replayPlayer) return;
+        
+        this.dataExporter.downloadFile(
+            this.replayPlayer.toJSON(),
+            `replay_${this.dataExporter.getTimestamp()}.json`,
+            'application/json'
+        );
+        
+        logger.info('Replay salvo', { frames: this.replayPlayer.frameCount });
+    }
+
+    /**
+     * Exporta o trecho escolhido do replay como GIF ou WebM
+     * Cada quadro é processado em um setTimeout separado (o WebM é gravado em tempo real)
+     */
+    startClipExport() {
+        if (!this.replayPlayer) return;
+        
+        try {
+            this.clipExporter = new ClipExporter(this.replayPlayer, this.uiRenderer.getClipSettings());
+        } catch (error) {
+            this.uiRenderer.showNotification(error.message, 'error');
+            return;
+        }
+        
+        const exporter = this.clipExporter;
+        const processNext = () => {
+            if (exporter.step()) {
+                this.clipTimer = setTimeout(processNext, exporter.getFrameDelay());
+                this.uiRenderer.updateClipPanel(exporter, true);
+                return;
+            }
+            
+            this.clipTimer = null;
+            this.uiRenderer.updateClipPanel(exporter, false);
+            exporter.finish()
+                .then(blob => {
+                    this.dataExporter.downloadFile(
+                        blob,
+                        `clipe_${this.dataExporter.getTimestamp()}.${exporter.format}`,
+                        ClipExporter.MIME_TYPES[exporter.format]
+                    );
+                    this.uiRenderer.showNotification(`Vídeo exportado (${(blob.size / 1024).toFixed(0)} KB)`, 'success');
+                })
+                .catch(error => {
+                    logger.error('Erro ao exportar vídeo', error);
+                    this.uiRenderer.showNotification(error.message, 'error');
+                });
+            this.renderReplay();
+        };
+        
+        this.clipTimer = setTimeout(processNext, 0);
+        this.uiRenderer.updateClipPanel(exporter, true);
+    }
+
+    /**
+     * Cancela a exportação de vídeo em andamento
+     */
+    cancelClipExport() {
+        clearTimeout(this.clipTimer);
+        this.clipTimer = null;
+        this.clipExporter.cancel();
+        this.uiRenderer.updateClipPanel(null, false);
+        
+        if (this.replayPlayer) {
+            this.renderReplay();
+        }
+    }
+
+    /**
+     * Carrega um replay de um arquivo JSON
+     * @param {File} file - Arquivo selecionado
+     */
+    loadReplayFile(file) {
+        const reader = new FileReader();
+        
+        reader.onload = () => {
+            try {
+                this.enterReplay(reader.result);
+                this.uiRenderer.showNotification(`Replay carregado (${this.replayPlayer.frameCount} quadros)`, 'success');
+            } catch (error) {
+                logger.error('Erro ao carregar replay', error.message);
+                this.uiRenderer.showNotification(`Replay inválido: ${error.message}`, 'error');
+            }
+        };
+        
+        reader.readAsText(file);
+    }
+
+    /**
+     * Abre/fecha o editor de mapas (pausa a simulação ao abrir)
+     */
+    toggleMapEditor() {
+        if (this.mapEditor.active) {
+            this.mapEditor.disable();
+        } else {
+            this.exitReplay();
+            this.pause();
+            this.mapEditor.enable(this.core.getMap());
+            this.uiRenderer.updateMapEditor(this.mapEditor.map, this.mapEditor.tool);
+        }
+        
+        this.uiRenderer.toggleMapEditorPanel(this.mapEditor.active);
+        this.render();
+    }
+
+    /**
+     * Aplica o mapa editado e recomeça a tentativa atual na nova arena
+     * @param {ArenaMap} map - Mapa
+     */
+    applyMap(map) {
+        if (!this.core.setMap(map)) {
+            this.uiRenderer.showNotification('Mapa inválido', 'error');
+            return;
+        }
+        
+        this.core.restartEpisode();
+        this.captureInProgress = false;
+        this.escapeInProgress = false;
+        
+        this.uiRenderer.updateMapEditor(this.mapEditor.map, this.mapEditor.tool);
+        this.render();
+    }
+
+    /**
+     * Baixa o mapa em edição como JSON
+     */
+    saveMap() {
+        const slug = this.mapEditor.map.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+        this.dataExporter.downloadFile(
+            this.mapEditor.toJSON(),
+            `mapa_${slug || 'personalizado'}.json`,
+            'application/json'
+        );
+        
+        logger.info('Mapa salvo', { name: this.mapEditor.map.name });
+    }
+
+    /**
+     * Carrega um mapa de um arquivo JSON
+     * @param {File} file - Arquivo selecionado
+     */
+    loadMapFile(file) {
+        const reader = new FileReader();
+        
+        reader.onload = () => {
+            if (this.mapEditor.load(reader.result)) {
+                this.uiRenderer.showNotification(`Mapa "${this.mapEditor.map.name}" carregado`, 'success');
+            } else {
+                this.uiRenderer.showNotification('Arquivo de mapa inválido', 'error');
+            }
+        };
+        
+        reader.readAsText(file);
     }
 
     /**
@@ -193,20 +1103,115 @@ class Simulation {
      * @param {string} strategyName - Nome da estratégia
      */
     setStrategy(strategyName) {
-        const strategy = this.strategies[strategyName];
-        
-        if (!strategy) {
-            logger.error('Estratégia não encontrada', { strategyName });
+        if (!this.core.setStrategy(strategyName)) {
             return;
         }
         
-        this.currentStrategy = strategyName;
-        this.frajola.setStrategy(strategy);
-        this.uiRenderer.updateStrategyDescription(strategyName);
+        this.uiRenderer.updateStrategyDescription(strategyName, this.core.frajola.strategy.description);
+        this.uiRenderer.updateBlendControls(strategyName, this.core.blendSettings);
         
         logger.strategy(`Estratégia alterada para: ${strategyName}`);
     }
 
+    /**
+     * Carrega uma árvore de comportamento de um arquivo JSON e a seleciona
+     * @param {File} file - Arquivo selecionado
+     */
+    loadBehaviorTreeFile(file) {
+        const reader = new FileReader();
+        
+        reader.onload = () => {
+            try {
+                const strategyName = this.core.loadBehaviorTree(reader.result);
+                const tree = this.core.behaviorTrees[strategyName.slice(SimulationCore.BEHAVIOR_TREE_PREFIX.length)];
+                
+                this.uiRenderer.addStrategyOption(strategyName, tree.name);
+                this.setStrategy(strategyName);
+                this.render();
+                this.uiRenderer.showNotification(`Árvore "${tree.name}" carregada`, 'success');
+            } catch (error) {
+                logger.error('Erro ao carregar árvore de comportamento', error.message);
+                this.uiRenderer.showNotification(`Árvore inválida: ${error.message}`, 'error');
+            }
+        };
+        
+        reader.readAsText(file);
+    }
+
+    /**
+     * Carrega uma política de rede neural (entradas e pesos) de um arquivo JSON e a seleciona
+     * @param {File} file - Arquivo selecionado
+     */
+    loadNeuralPolicyFile(file) {
+        const reader = new FileReader();
+        
+        reader.onload = () => {
+            try {
+                const strategyName = this.core.loadNeuralPolicy(reader.result);
+                const policy = this.core.neuralPolicies[strategyName.slice(SimulationCore.NEURAL_POLICY_PREFIX.length)];
+                
+                this.uiRenderer.addStrategyOption(strategyName, policy.name);
+                this.setStrategy(strategyName);
+                this.render();
+                this.uiRenderer.showNotification(`Rede "${policy.name}" carregada`, 'success');
+            } catch (error) {
+                logger.error('Erro ao carregar rede neural', error.message);
+                this.uiRenderer.showNotification(`Rede inválida: ${error.message}`, 'error');
+            }
+        };
+        
+        reader.readAsText(file);
+    }
+
+    /**
+     * Define o comportamento do Ligeirinho
+     * @param {string} behaviorName - Nome do comportamento
+     */
+    setTargetBehavior(behaviorName) {
+        if (!this.core.setTargetBehavior(behaviorName)) {
+            return;
+        }
+        
+        this.uiRenderer.updateTargetBehavior(behaviorName);
+        
+        logger.strategy(`Comportamento do Ligeirinho alterado para: ${behaviorName}`);
+    }
+
+    /**
+     * Define o layout de obstáculos
+     * @param {string} layout - Nome do layout em CONFIG.obstacles.layouts
+     */
+    setObstacleLayout(layout) {
+        if (!this.core.setObstacleLayout(layout)) {
+            return;
+        }
+        
+        if (this.mapEditor.active) {
+            this.mapEditor.setMap(this.core.getMap());
+        }
+        
+        // Redesenhar imediatamente quando pausado
+        if (!this.isRunning) {
+            this.render();
+        }
+        
+        logger.info('Layout de obstáculos alterado', { layout });
+    }
+
+    /**
+     * Define a escala de tempo (simulado / real)
+     * @param {number} scale - Escala (ex: 0.25, 1, 8)
+     */
+    setTimeScale(scale) {
+        if (!CONFIG.simulation.timeScales.includes(scale)) {
+            logger.warn('Escala de tempo inválida', { scale });
+            return;
+        }
+        
+        this.timeScale = scale;
+        logger.info('Escala de tempo alterada', { timeScale: this.timeScale });
+    }
+
     /**
      * Alterna entre play e pause
      */
@@ -224,10 +1229,19 @@ class Simulation {
     start() {
         if (this.isRunning) return;
         
+        // Editar durante a execução reiniciaria a tentativa a cada alteração
+        if (this.mapEditor.active) {
+            this.toggleMapEditor();
+        }
+        
+        // Voltar à simulação ao vivo
+        this.exitReplay();
+        
         this.isRunning = true;
         this.isPaused = false;
-        this.statsTracker.startAttempt();
+        this.beginAttemptIfNeeded();
         this.uiRenderer.updatePlayPauseButton(true);
+        this.uiRenderer.setButtonEnabled(this.uiRenderer.elements.stepBtn, false);
         
         // Tocar música tema
         if (this.themeSong.paused) {
@@ -238,11 +1252,36 @@ class Simulation {
         }
         
         this.lastFrameTime = performance.now();
-        this.loop();
+        this.accumulator = 0;
+        requestAnimationFrame((time) => this.loop(time));
         
         logger.info('Simulação iniciada');
     }
 
+    /**
+     * Inicia a contagem da tentativa atual (apenas uma vez por tentativa)
+     */
+    beginAttemptIfNeeded() {
+        if (this.attemptStarted) return;
+        
+        this.core.statsTracker.startAttempt(this.core.ligeirinhos.length);
+        this.attemptStarted = true;
+    }
+
+    /**
+     * Avança exatamente um passo de simulação (modo passo a passo)
+     */
+    stepOnce() {
+        if (this.isRunning) return;
+        
+        this.exitReplay();
+        
+        this.beginAttemptIfNeeded();
+        this.update();
+        this.render();
+        this.updateUI();
+    }
+
     /**
      * Pausa a simulação
      */
@@ -250,6 +1289,7 @@ class Simulation {
         this.isPaused = true;
         this.isRunning = false;
         this.uiRenderer.updatePlayPauseButton(false);
+        this.uiRenderer.setButtonEnabled(this.uiRenderer.elements.stepBtn, true);
         
         // Pausar música
         this.themeSong.pause();
@@ -270,115 +1310,126 @@ class Simulation {
         this.themeSong.currentTime = 0;
         this.themeSong.pause();
         
-        // Resetar agentes
-        this.createAgents();
-        
-        // Resetar estatísticas
-        this.statsTracker.reset();
+        // Resetar agentes, estatísticas e sistemas
+        this.core.reset();
+        this.attemptStarted = false;
         
-        // Resetar sistemas
-        this.detectionSystem.reset();
-        this.collisionDetector.reset();
+        // Próximas tentativas vão para uma nova sessão
+        this.sessionId = null;
+        this.sessionMeta = {};
+        this.sessionToken++;
+        this.uiRenderer.updateSessionList(this.sessions, null);
         
         // Atualizar UI
-        this.uiRenderer.updateStats(this.statsTracker.getStats());
+        this.uiRenderer.updateStats(this.core.statsTracker.getStats());
+        this.uiRenderer.updateSeed(this.core.seed, this.core.episodeSeed);
+        this.dashboard.update(this.core.statsTracker);
+        this.uiRenderer.updateHeatmapStatus(this.core.heatmap);
+        this.refreshExportPanel();
         
         // Renderizar
-        this.renderer.render(this.ligeirinho, this.frajola, this.detectionSystem);
+        this.render();
         
         logger.info('Simulação resetada');
     }
 
     /**
-     * Loop principal da simulação
+     * Loop principal da simulação (passo fixo com acumulador)
+     * @param {number} currentTime - Timestamp do requestAnimationFrame (ms)
      */
-    loop() {
+    loop(currentTime) {
         if (!this.isRunning) return;
         
-        // Calcular deltaTime
-        const currentTime = performance.now();
-        const deltaTime = (currentTime - this.lastFrameTime) / 1000;
+        // Calcular tempo real desde o último frame
+        const frameTime = Math.max(0, (currentTime - this.lastFrameTime) / 1000);
         this.lastFrameTime = currentTime;
         
-        // Calcular FPS
-        this.fps = Math.round(1 / deltaTime);
+        // Calcular FPS de renderização
+        if (frameTime > 0) {
+            this.fps = Math.round(1 / frameTime);
+        }
         
-        // Atualizar
-        this.update(deltaTime);
+        // Acumular tempo escalado; limitar para evitar espiral após travamentos
+        this.accumulator += Math.min(frameTime, CONFIG.simulation.maxFrameTime) * this.timeScale;
+        
+        // Executar quantos passos fixos couberem no tempo acumulado
+        const tickDuration = this.core.getTickDuration();
+        while (this.accumulator >= tickDuration && this.isRunning) {
+            this.update();
+            this.accumulator -= tickDuration;
+        }
         
         // Renderizar
         this.render();
         
+        // Atualizar UI periodicamente
+        if (this.frameCount % 10 === 0) {
+            this.updateUI();
+        }
+        
         // Próximo frame
-        requestAnimationFrame(() => this.loop());
+        requestAnimationFrame((time) => this.loop(time));
         
         this.frameCount++;
     }
 
     /**
-     * Atualiza a lógica da simulação
-     * @param {number} deltaTime - Tempo desde último frame
+     * Avança a lógica da simulação em um passo fixo
      */
-    update(deltaTime) {
+    update() {
         // Se está em captura ou fuga, não atualizar física
         if (this.captureInProgress || this.escapeInProgress) {
             return;
         }
-
-        // Usar deltaTime fixo para simulação consistente
-        const fixedDelta = 1.0;
-        
-        // Atualizar Frajola
-        this.frajola.update(fixedDelta, this.detectionSystem);
         
-        // Atualizar Ligeirinho
-        this.ligeirinho.update(fixedDelta);
+        // Avançar o núcleo (física, detecção, captura e fuga) em um passo de 1/tickRate s
+        const outcome = this.core.step();
         
-        // Manter Frajola dentro dos limites
-        this.physicsEngine.constrainToBounds(this.frajola);
-        
-        // Verificar captura
-        const captured = this.collisionDetector.checkCapture(this.frajola, this.ligeirinho);
+        if (this.recorder.recording) {
+            this.recorder.capture(this.core);
+        }
         
-        if (captured) {
+        if (outcome === 'capture') {
             this.captureInProgress = true;
             this.handleCapture();
             return;
         }
         
-        // Verificar se Ligeirinho escapou
-        const escaped = this.ligeirinho.hasEscaped(
-            CONFIG.canvas.width,
-            CONFIG.canvas.height,
-            CONFIG.physics.boundaryMargin
-        );
-        
-        if (escaped) {
+        if (outcome === 'escape') {
             this.escapeInProgress = true;
             this.handleEscape();
             return;
         }
-        
-        // Atualizar UI periodicamente
-        if (this.frameCount % 10 === 0) {
-            this.updateUI();
-        }
     }
 
     /**
      * Renderiza a simulação
      */
     render() {
+        // No modo replay o canvas mostra o quadro gravado
+        if (this.replayPlayer) {
+            this.renderReplay();
+            return;
+        }
+        
         this.renderer.render(
-            this.ligeirinho,
-            this.frajola,
-            this.detectionSystem,
-            this.captureInProgress
+            this.core.ligeirinhos,
+            this.core.frajolas,
+            this.core.detectionSystem,
+            this.captureInProgress,
+            this.core.obstacleSystem.obstacles,
+            this.core.blackboard
         );
         
+        // Sobreposição do editor de mapas
+        this.mapEditor.draw(this.renderer.ctx);
+        
         // Desenhar FPS em modo debug
         if (CONFIG.simulation.debug) {
             this.renderer.drawFPS(this.fps);
+            if (this.core.frajola && this.core.frajola.strategy.tree) {
+                this.renderer.drawBehaviorTree(this.core.frajola.strategy.tree);
+            }
             this.updateDebugInfo();
         }
     }
@@ -389,23 +1440,14 @@ class Simulation {
     handleCapture() {
         logger.info('🎯 CAPTURA!');
         
-        // Registrar captura
-        this.statsTracker.recordCapture({
-            strategy: this.currentStrategy,
-            targetSpeed: this.config.targetSpeed,
-            chaserSpeed: this.config.chaserSpeed,
-            detectionSensitivity: this.config.detectionSensitivity,
-            distance: this.frajola.distanceTo(this.ligeirinho)
-        });
-        
-        // Atualizar UI
+        // Captura já registrada pelo núcleo; atualizar UI
         this.updateUI();
+        this.saveSession();
+        this.refreshExportPanel();
         
         // Reiniciar após delay
         setTimeout(() => {
-            this.createAgents();
-            this.setStrategy(this.currentStrategy);
-            this.statsTracker.startAttempt();
+            this.core.startEpisode();
             this.captureInProgress = false;
         }, CONFIG.simulation.captureDelay);
     }
@@ -416,22 +1458,14 @@ class Simulation {
     handleEscape() {
         logger.info('💨 Ligeirinho escapou!');
         
-        // Registrar fuga
-        this.statsTracker.recordEscape({
-            strategy: this.currentStrategy,
-            targetSpeed: this.config.targetSpeed,
-            chaserSpeed: this.config.chaserSpeed,
-            detectionSensitivity: this.config.detectionSensitivity
-        });
-        
-        // Atualizar UI
+        // Fuga já registrada pelo núcleo; atualizar UI
         this.updateUI();
+        this.saveSession();
+        this.refreshExportPanel();
         
         // Reiniciar
         setTimeout(() => {
-            this.createAgents();
-            this.setStrategy(this.currentStrategy);
-            this.statsTracker.startAttempt();
+            this.core.startEpisode();
             this.escapeInProgress = false;
         }, 500); // Pequeno delay para visualização
     }
@@ -440,9 +1474,16 @@ class Simulation {
      * Atualiza interface do usuário
      */
     updateUI() {
-        const stats = this.statsTracker.getStats();
+        const stats = this.core.statsTracker.getStats();
         this.uiRenderer.updateStats(stats);
-        this.uiRenderer.updateDetectionStatus(this.frajola.targetDetected);
+        this.uiRenderer.updateDetectionStatus(
+            this.core.frajolas.some(frajola => frajola.targetDetected),
+            this.core.frajolas.some(frajola => frajola.strategy && frajola.strategy.state === 'search')
+        );
+        this.uiRenderer.updateAgentStats(this.core.statsTracker.getAgentStats(), this.core.frajolas.length);
+        this.uiRenderer.updateSeed(this.core.seed, this.core.episodeSeed);
+        this.dashboard.update(this.core.statsTracker);
+        this.uiRenderer.updateHeatmapStatus(this.core.heatmap);
     }
 
     /**
@@ -451,33 +1492,92 @@ class Simulation {
     updateDebugInfo() {
         const debugInfo = {
             FPS: this.fps,
-            Frame: this.frameCount,
-            Strategy: this.currentStrategy,
-            Target: this.ligeirinho.getDebugInfo(),
-            Chaser: this.frajola.getDebugInfo(),
-            Detection: this.detectionSystem.getDebugInfo(),
-            Physics: this.physicsEngine.getDebugInfo()
+            TimeScale: this.timeScale + 'x',
+            ...this.core.getDebugInfo()
         };
         
         this.uiRenderer.updateDebugInfo(debugInfo);
     }
 
     /**
-     * Exporta dados
+     * Exporta as estatísticas completas
+     * @param {string} format - 'json', 'csv' ou 'html' (relatório)
      */
-    exportData() {
-        const format = prompt('Formato de exportação (json/csv/html):', 'json');
-        
-        if (!format) return;
-        
-        if (format.toLowerCase() === 'html') {
-            this.dataExporter.exportHTMLReport(this.statsTracker);
+    exportData(format) {
+        if (format === 'html') {
+            this.dataExporter.exportHTMLReport(this.core.statsTracker);
         } else {
-            this.dataExporter.export(this.statsTracker, format);
+            this.dataExporter.export(this.core.statsTracker, format);
         }
         
         this.uiRenderer.showNotification(`Dados exportados em ${format.toUpperCase()}!`, 'success');
     }
+
+    /**
+     * Replay usado na telemetria por quadro: o aberto no player ou a última gravação
+     * @returns {Object|null} Replay (null se não há quadros gravados)
+     */
+    getExportReplay() {
+        const replay = this.replayPlayer ? this.replayPlayer.replay : this.recorder.replay;
+        return replay && replay.frames.length > 0 ? replay : null;
+    }
+
+    /**
+     * Fontes das tabelas CSV (DataExporter.getTableRows)
+     * @returns {Object} { attempts, replay, collisions, detections }
+     */
+    getExportSources() {
+        return {
+            attempts: this.core.statsTracker.attemptHistory,
+            replay: this.getExportReplay(),
+            collisions: this.core.collisionDetector.collisionHistory,
+            detections: this.core.detectionLog
+        };
+    }
+
+    /**
+     * Linhas disponíveis por tabela CSV
+     * @returns {Object} Contagens (frames é null sem replay)
+     */
+    getExportCounts() {
+        const sources = this.getExportSources();
+        const agents = frame => frame.c.length + frame.l.length;
+        
+        return {
+            attempts: sources.attempts.length,
+            frames: sources.replay ? sources.replay.frames.reduce((sum, frame) => sum + agents(frame), 0) : null,
+            collisions: sources.collisions.length,
+            detections: sources.detections.length
+        };
+    }
+
+    /**
+     * Atualiza as contagens do painel de exportação, se aberto
+     */
+    refreshExportPanel() {
+        if (this.exportOpen) {
+            this.uiRenderer.updateExportCounts(this.getExportCounts());
+        }
+    }
+
+    /**
+     * Exporta as tabelas CSV escolhidas no painel de exportação
+     */
+    exportTables() {
+        const settings = this.uiRenderer.getExportSettings();
+        const files = this.dataExporter.exportTables(this.getExportSources(), settings);
+        
+        if (files.length === 0) {
+            this.uiRenderer.showNotification('Selecione ao menos uma tabela para exportar', 'warning');
+            return;
+        }
+        
+        const rows = files.reduce((sum, file) => sum + file.rows, 0);
+        this.uiRenderer.setExportStatus(
+            `${files.length} ${files.length === 1 ? 'tabela' : 'tabelas'} · ${rows} linhas` +
+            (settings.zip ? ' · arquivo .zip' : ''));
+        this.uiRenderer.showNotification('Tabelas CSV exportadas!', 'success');
+    }
 }
 
 // Inicializar simulação quando DOM estiver pronto
@@ -0,0 +1,143 @@
+/**
+ * ArenaMap.js
+ * Descrição serializável de uma arena
+ * Obstáculos, bordas e zonas de spawn do Ligeirinho, início do Frajola e waypoints de patrulha
+ */
+
+class ArenaMap {
+    /**
+     * Cria um novo mapa (padrão: arena vazia com spawn em todas as bordas)
+     * @param {Object} data - Dados do mapa
+     * @param {string} data.name - Nome do mapa
+     * @param {Array<Object>} data.obstacles - Obstáculos serializados (ver ObstacleSystem.createObstacle)
+     * @param {Array<string>} data.spawnEdges - Bordas de spawn do Ligeirinho
+     * @param {Array<Object>} data.spawnZones - Zonas de spawn ({ x, y, width, height })
+     * @param {Object} data.chaserStart - Posição inicial do Frajola ({ x, y })
+     * @param {Array<Object>} data.patrolPoints - Waypoints de patrulha ({ x, y })
+     */
+    constructor(data = {}) {
+        this.name = data.name || 'Mapa personalizado';
+        this.obstacles = (data.obstacles || []).map(obstacle => JSON.parse(JSON.stringify(obstacle)));
+        this.spawnEdges = data.spawnEdges ? [...data.spawnEdges] : [...Ligeirinho.EDGES];
+        this.spawnZones = (data.spawnZones || []).map(zone => ({
+            x: zone.x,
+            y: zone.y,
+            width: zone.width,
+            height: zone.height
+        }));
+        this.chaserStart = data.chaserStart ?
+            { x: data.chaserStart.x, y: data.chaserStart.y } :
+            { x: CONFIG.chaser.startX, y: CONFIG.chaser.startY };
+        this.patrolPoints = (data.patrolPoints || []).map(point => ({ x: point.x, y: point.y }));
+
+        ArenaMap.validate(this);
+    }
+
+    /**
+     * Valida um mapa
+     * @param {ArenaMap} map - Mapa a validar
+     * @throws {Error} Se algum campo for inválido
+     */
+    static validate(map) {
+        const isPoint = point => point && Number.isFinite(point.x) && Number.isFinite(point.y);
+
+        for (const edge of map.spawnEdges) {
+            if (!Ligeirinho.EDGES.includes(edge)) {
+                throw new Error(`Borda de spawn inválida: ${edge}`);
+            }
+        }
+
+        for (const zone of map.spawnZones) {
+            if (!isPoint(zone) || !(zone.width > 0) || !(zone.height > 0)) {
+                throw new Error('Zona de spawn inválida');
+            }
+        }
+
+        if (map.spawnEdges.length + map.spawnZones.length === 0) {
+            throw new Error('O mapa precisa de pelo menos uma borda ou zona de spawn');
+        }
+
+        if (!isPoint(map.chaserStart)) {
+            throw new Error('Posição inicial do Frajola inválida');
+        }
+
+        if (!map.patrolPoints.every(isPoint)) {
+            throw new Error('Waypoint de patrulha inválido');
+        }
+
+        // Tipo, posição e dimensões são verificados pelo construtor de cada obstáculo
+        map.obstacles.forEach((obstacle, i) => {
+            if (!obstacle || typeof obstacle !== 'object') {
+                throw new Error(`Obstáculo ${i + 1} inválido`);
+            }
+
+            try {
+                ObstacleSystem.createObstacle(obstacle);
+            } catch (error) {
+                throw new Error(`Obstáculo ${i + 1} inválido: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Cria um mapa a partir de JSON
+     * @param {string|Object} json - String JSON ou objeto já convertido
+     * @returns {ArenaMap} Mapa
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (data.version !== undefined && data.version > ArenaMap.VERSION) {
+            throw new Error(`Versão de mapa não suportada: ${data.version}`);
+        }
+
+        return new ArenaMap(data);
+    }
+
+    /**
+     * Cria um mapa a partir de um layout de obstáculos de CONFIG.obstacles.layouts
+     * @param {string} layout - Nome do layout
+     * @returns {ArenaMap} Mapa
+     */
+    static fromLayout(layout) {
+        const preset = CONFIG.obstacles.layouts[layout];
+
+        if (!preset) {
+            throw new Error(`Layout de obstáculos não encontrado: ${layout}`);
+        }
+
+        return new ArenaMap({ name: preset.name, obstacles: preset.obstacles });
+    }
+
+    /**
+     * Cria uma cópia independente do mapa
+     * @returns {ArenaMap} Cópia
+     */
+    clone() {
+        return new ArenaMap(this.toJSON());
+    }
+
+    /**
+     * Serializa o mapa para JSON
+     * @returns {Object} Dados do mapa
+     */
+    toJSON() {
+        return {
+            version: ArenaMap.VERSION,
+            name: this.name,
+            obstacles: this.obstacles,
+            spawnEdges: this.spawnEdges,
+            spawnZones: this.spawnZones,
+            chaserStart: this.chaserStart,
+            patrolPoints: this.patrolPoints
+        };
+    }
+}
+
+// Versão do formato JSON
+ArenaMap.VERSION = 1;
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ArenaMap;
+}
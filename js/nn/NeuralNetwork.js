@@ -0,0 +1,126 @@
+/**
+ * NeuralNetwork.js
+ * Rede neural feed-forward simples (somente inferência, em CPU)
+ * Camadas densas definidas em JSON: pesos [saídas][entradas], vieses e função de ativação
+ */
+
+class NeuralNetwork {
+    /**
+     * Cria uma rede a partir de suas camadas
+     * @param {Array<Object>} layers - Camadas ({ weights: number[][], biases: number[], activation })
+     */
+    constructor(layers) {
+        if (!Array.isArray(layers) || layers.length === 0) {
+            throw new Error('Rede neural sem camadas');
+        }
+
+        this.layers = layers.map((layer, index) => NeuralNetwork.validateLayer(layer, index));
+
+        // Entradas de cada camada devem ser as saídas da anterior
+        for (let i = 1; i < this.layers.length; i++) {
+            if (this.layers[i].inputSize !== this.layers[i - 1].outputSize) {
+                throw new Error(`Camada ${i}: esperava ${this.layers[i - 1].outputSize} entradas, recebeu ${this.layers[i].inputSize}`);
+            }
+        }
+
+        this.inputSize = this.layers[0].inputSize;
+        this.outputSize = this.layers[this.layers.length - 1].outputSize;
+    }
+
+    /**
+     * Valida e copia uma camada
+     * @param {Object} layer - Definição da camada
+     * @param {number} index - Posição da camada (mensagens de erro)
+     * @returns {Object} Camada ({ weights, biases, activation, inputSize, outputSize })
+     */
+    static validateLayer(layer, index) {
+        const isNumber = Number.isFinite;
+
+        if (!layer || !Array.isArray(layer.weights) || layer.weights.length === 0) {
+            throw new Error(`Camada ${index}: pesos ausentes`);
+        }
+
+        const inputSize = Array.isArray(layer.weights[0]) ? layer.weights[0].length : 0;
+        if (inputSize === 0 || !layer.weights.every(row => Array.isArray(row) && row.length === inputSize && row.every(isNumber))) {
+            throw new Error(`Camada ${index}: matriz de pesos inválida`);
+        }
+
+        const biases = layer.biases || new Array(layer.weights.length).fill(0);
+        if (!Array.isArray(biases) || biases.length !== layer.weights.length || !biases.every(isNumber)) {
+            throw new Error(`Camada ${index}: vieses inválidos`);
+        }
+
+        const activation = layer.activation || 'linear';
+        if (!Object.prototype.hasOwnProperty.call(NeuralNetwork.ACTIVATIONS, activation)) {
+            throw new Error(`Camada ${index}: ativação desconhecida: ${activation}`);
+        }
+
+        return {
+            weights: layer.weights.map(row => [...row]),
+            biases: [...biases],
+            activation,
+            inputSize,
+            outputSize: layer.weights.length
+        };
+    }
+
+    /**
+     * Propaga as entradas pela rede
+     * @param {Array<number>} inputs - Entradas (tamanho inputSize)
+     * @returns {Array<number>} Saídas (tamanho outputSize)
+     */
+    forward(inputs) {
+        if (inputs.length !== this.inputSize) {
+            throw new Error(`Rede espera ${this.inputSize} entradas, recebeu ${inputs.length}`);
+        }
+
+        let values = inputs;
+
+        for (const layer of this.layers) {
+            const activate = NeuralNetwork.ACTIVATIONS[layer.activation];
+
+            values = layer.weights.map((row, i) => {
+                let sum = layer.biases[i];
+                for (let j = 0; j < row.length; j++) {
+                    sum += row[j] * values[j];
+                }
+                return activate(sum);
+            });
+        }
+
+        return values;
+    }
+
+    /**
+     * Número total de parâmetros (pesos e vieses)
+     * @returns {number} Parâmetros
+     */
+    getParameterCount() {
+        return this.layers.reduce((total, layer) => total + layer.outputSize * (layer.inputSize + 1), 0);
+    }
+
+    /**
+     * Serializa as camadas para JSON
+     * @returns {Array<Object>} Camadas ({ weights, biases, activation })
+     */
+    toJSON() {
+        return this.layers.map(layer => ({
+            weights: layer.weights,
+            biases: layer.biases,
+            activation: layer.activation
+        }));
+    }
+}
+
+// Funções de ativação disponíveis
+NeuralNetwork.ACTIVATIONS = {
+    linear: x => x,
+    tanh: Math.tanh,
+    relu: x => Math.max(0, x),
+    sigmoid: x => 1 / (1 + Math.exp(-x))
+};
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NeuralNetwork;
+}
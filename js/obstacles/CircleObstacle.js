@@ -0,0 +1,95 @@
+/**
+ * CircleObstacle.js
+ * Obstáculo circular (pilares, árvores)
+ */
+
+class CircleObstacle extends Obstacle {
+    /**
+     * Cria um novo obstáculo circular
+     * @param {number} x - X do centro
+     * @param {number} y - Y do centro
+     * @param {number} radius - Raio
+     * @param {Object} options - Opções visuais
+     */
+    constructor(x, y, radius, options = {}) {
+        super('circle', options);
+
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            throw new Error('Círculo precisa de centro numérico');
+        }
+
+        if (!(Number.isFinite(radius) && radius > 0)) {
+            throw new Error('Círculo precisa de raio positivo');
+        }
+
+        this.center = new Vector2D(x, y);
+        this.radius = radius;
+    }
+
+    /**
+     * Verifica se um ponto está dentro do círculo
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @returns {boolean} True se o ponto está dentro
+     */
+    containsPoint(x, y) {
+        return MathUtils.pointInCircle(x, y, this.center.x, this.center.y, this.radius);
+    }
+
+    /**
+     * Calcula o ponto da borda mais próximo
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @returns {{x: number, y: number}} Ponto na borda
+     */
+    closestPoint(x, y) {
+        const direction = new Vector2D(x - this.center.x, y - this.center.y);
+
+        // Ponto exatamente no centro: qualquer direção serve
+        if (direction.magnitudeSquared() === 0) {
+            direction.set(1, 0);
+        }
+
+        direction.setMagnitude(this.radius);
+        return { x: this.center.x + direction.x, y: this.center.y + direction.y };
+    }
+
+    /**
+     * Verifica se um segmento atravessa o círculo
+     * @param {Vector2D} start - Início do segmento
+     * @param {Vector2D} end - Fim do segmento
+     * @returns {boolean} True se o segmento é bloqueado
+     */
+    intersectsSegment(start, end) {
+        return MathUtils.segmentIntersectsCircle(
+            start.x, start.y, end.x, end.y,
+            this.center.x, this.center.y, this.radius
+        );
+    }
+
+    /**
+     * Desenha o contorno do círculo
+     * @param {CanvasRenderingContext2D} ctx - Contexto do canvas
+     */
+    tracePath(ctx) {
+        ctx.arc(this.center.x, this.center.y, this.radius, 0, Math.PI * 2);
+    }
+
+    /**
+     * Serializa o círculo para JSON
+     * @returns {Object} Dados do obstáculo
+     */
+    toJSON() {
+        return {
+            type: this.type,
+            x: this.center.x,
+            y: this.center.y,
+            radius: this.radius
+        };
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CircleObstacle;
+}
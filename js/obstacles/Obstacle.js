@@ -0,0 +1,85 @@
+/**
+ * Obstacle.js
+ * Classe base abstrata para obstáculos do cenário
+ * Obstáculos bloqueiam o movimento dos agentes e a linha de visão do perseguidor
+ */
+
+class Obstacle {
+    /**
+     * Cria um novo obstáculo
+     * @param {string} type - Tipo do obstáculo ('rect', 'circle', 'polygon')
+     * @param {Object} options - Opções visuais (fillColor, strokeColor)
+     */
+    constructor(type, options = {}) {
+        this.type = type;
+        this.fillColor = options.fillColor || CONFIG.obstacles.fillColor;
+        this.strokeColor = options.strokeColor || CONFIG.obstacles.strokeColor;
+    }
+
+    /**
+     * Verifica se um ponto está dentro do obstáculo
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @returns {boolean} True se o ponto está dentro
+     */
+    containsPoint(x, y) {
+        throw new Error('Método containsPoint() deve ser implementado pela subclasse');
+    }
+
+    /**
+     * Calcula o ponto da borda mais próximo de um ponto
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @returns {{x: number, y: number}} Ponto na borda
+     */
+    closestPoint(x, y) {
+        throw new Error('Método closestPoint() deve ser implementado pela subclasse');
+    }
+
+    /**
+     * Verifica se um segmento atravessa o obstáculo
+     * @param {Vector2D} start - Início do segmento
+     * @param {Vector2D} end - Fim do segmento
+     * @returns {boolean} True se o segmento é bloqueado
+     */
+    intersectsSegment(start, end) {
+        throw new Error('Método intersectsSegment() deve ser implementado pela subclasse');
+    }
+
+    /**
+     * Desenha o contorno do obstáculo no caminho atual do contexto
+     * @param {CanvasRenderingContext2D} ctx - Contexto do canvas
+     */
+    tracePath(ctx) {
+        throw new Error('Método tracePath() deve ser implementado pela subclasse');
+    }
+
+    /**
+     * Desenha o obstáculo
+     * @param {CanvasRenderingContext2D} ctx - Contexto do canvas
+     */
+    draw(ctx) {
+        ctx.beginPath();
+        this.tracePath(ctx);
+
+        ctx.fillStyle = this.fillColor;
+        ctx.fill();
+
+        ctx.strokeStyle = this.strokeColor;
+        ctx.lineWidth = CONFIG.obstacles.lineWidth;
+        ctx.stroke();
+    }
+
+    /**
+     * Serializa o obstáculo para JSON
+     * @returns {Object} Dados do obstáculo
+     */
+    toJSON() {
+        return { type: this.type };
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Obstacle;
+}
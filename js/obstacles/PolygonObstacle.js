@@ -0,0 +1,114 @@
+/**
+ * PolygonObstacle.js
+ * Obstáculo poligonal
+ * Vértices em ordem (horária ou anti-horária); o polígono é fechado automaticamente
+ */
+
+class PolygonObstacle extends Obstacle {
+    /**
+     * Cria um novo obstáculo poligonal
+     * @param {Array<{x: number, y: number}>} points - Vértices (mínimo 3)
+     * @param {Object} options - Opções visuais
+     */
+    constructor(points, options = {}) {
+        super(options.type || 'polygon', options);
+
+        if (!Array.isArray(points) || points.length < 3) {
+            throw new Error('Polígono precisa de pelo menos 3 vértices');
+        }
+
+        if (!points.every(point => point && Number.isFinite(point.x) && Number.isFinite(point.y))) {
+            throw new Error('Polígono com vértice inválido');
+        }
+
+        this.points = points.map(point => new Vector2D(point.x, point.y));
+    }
+
+    /**
+     * Retorna as arestas do polígono
+     * @returns {Array<Array<Vector2D>>} Pares [início, fim]
+     */
+    getEdges() {
+        return this.points.map((point, i) => [point, this.points[(i + 1) % this.points.length]]);
+    }
+
+    /**
+     * Verifica se um ponto está dentro do polígono
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @returns {boolean} True se o ponto está dentro
+     */
+    containsPoint(x, y) {
+        return MathUtils.pointInPolygon(x, y, this.points);
+    }
+
+    /**
+     * Calcula o ponto da borda mais próximo
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @returns {{x: number, y: number}} Ponto na borda
+     */
+    closestPoint(x, y) {
+        let closest = null;
+        let minDistSq = Infinity;
+
+        for (const [a, b] of this.getEdges()) {
+            const point = MathUtils.closestPointOnSegment(x, y, a.x, a.y, b.x, b.y);
+            const distSq = MathUtils.distanceSquared(x, y, point.x, point.y);
+
+            if (distSq < minDistSq) {
+                minDistSq = distSq;
+                closest = point;
+            }
+        }
+
+        return closest;
+    }
+
+    /**
+     * Verifica se um segmento atravessa o polígono
+     * @param {Vector2D} start - Início do segmento
+     * @param {Vector2D} end - Fim do segmento
+     * @returns {boolean} True se o segmento é bloqueado
+     */
+    intersectsSegment(start, end) {
+        // Segmento totalmente interno não cruza arestas
+        if (this.containsPoint(start.x, start.y)) {
+            return true;
+        }
+
+        return this.getEdges().some(([a, b]) =>
+            MathUtils.segmentsIntersect(start.x, start.y, end.x, end.y, a.x, a.y, b.x, b.y)
+        );
+    }
+
+    /**
+     * Desenha o contorno do polígono
+     * @param {CanvasRenderingContext2D} ctx - Contexto do canvas
+     */
+    tracePath(ctx) {
+        ctx.moveTo(this.points[0].x, this.points[0].y);
+
+        for (let i = 1; i < this.points.length; i++) {
+            ctx.lineTo(this.points[i].x, this.points[i].y);
+        }
+
+        ctx.closePath();
+    }
+
+    /**
+     * Serializa o polígono para JSON
+     * @returns {Object} Dados do obstáculo
+     */
+    toJSON() {
+        return {
+            type: this.type,
+            points: this.points.map(point => ({ x: point.x, y: point.y }))
+        };
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PolygonObstacle;
+}
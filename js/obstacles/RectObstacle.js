@@ -0,0 +1,66 @@
+/**
+ * RectObstacle.js
+ * Obstáculo retangular alinhado aos eixos (paredes, caixas)
+ * Reaproveita a geometria do polígono com os quatro cantos
+ */
+
+class RectObstacle extends PolygonObstacle {
+    /**
+     * Cria um novo obstáculo retangular
+     * @param {number} x - X do canto superior esquerdo
+     * @param {number} y - Y do canto superior esquerdo
+     * @param {number} width - Largura
+     * @param {number} height - Altura
+     * @param {Object} options - Opções visuais
+     */
+    constructor(x, y, width, height, options = {}) {
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            throw new Error('Retângulo precisa de posição numérica');
+        }
+
+        if (!(Number.isFinite(width) && width > 0) || !(Number.isFinite(height) && height > 0)) {
+            throw new Error('Retângulo precisa de largura e altura positivas');
+        }
+
+        super([
+            { x: x, y: y },
+            { x: x + width, y: y },
+            { x: x + width, y: y + height },
+            { x: x, y: y + height }
+        ], { ...options, type: 'rect' });
+
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * Verifica se um ponto está dentro do retângulo
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @returns {boolean} True se o ponto está dentro
+     */
+    containsPoint(x, y) {
+        return MathUtils.pointInRect(x, y, this.x, this.y, this.width, this.height);
+    }
+
+    /**
+     * Serializa o retângulo para JSON
+     * @returns {Object} Dados do obstáculo
+     */
+    toJSON() {
+        return {
+            type: this.type,
+            x: this.x,
+            y: this.y,
+            width: this.width,
+            height: this.height
+        };
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RectObstacle;
+}
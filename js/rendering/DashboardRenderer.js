@@ -0,0 +1,387 @@
+/**
+ * DashboardRenderer.js
+ * Painel de análise ao vivo: taxa de captura móvel, histograma dos tempos de captura,
+ * comparação entre estratégias (com intervalos de confiança), testes de significância
+ * e indicadores de tendência, desenhados em canvas sem bibliotecas
+ */
+
+class DashboardRenderer {
+    /**
+     * Cria um novo painel
+     * @param {Function} getStrategyLabel - (nome da estratégia) => nome exibido
+     */
+    constructor(getStrategyLabel = name => name) {
+        this.getStrategyLabel = getStrategyLabel;
+        this.elements = {
+            rollingChart: document.getElementById('rollingRateChart'),
+            histogramChart: document.getElementById('captureHistogramChart'),
+            strategyChart: document.getElementById('strategyComparisonChart'),
+            trendRate: document.getElementById('trendSuccessRate'),
+            trendTime: document.getElementById('trendCaptureTime'),
+            captureStdDev: document.getElementById('captureStdDev'),
+            bestStrategy: document.getElementById('bestStrategy'),
+            significanceBody: document.getElementById('significanceTableBody')
+        };
+
+        // Redesenhar somente quando uma tentativa termina
+        this.lastLength = -1;
+        this.lastRecord = null;
+    }
+
+    /**
+     * Atualiza o painel se houve tentativas concluídas desde a última chamada
+     * @param {StatsTracker} statsTracker - Rastreador de estatísticas
+     * @param {boolean} force - Redesenhar mesmo sem mudanças
+     */
+    update(statsTracker, force = false) {
+        if (!this.elements.rollingChart) return;
+
+        const history = statsTracker.attemptHistory;
+        const lastRecord = history[history.length - 1] || null;
+        if (!force && history.length === this.lastLength && lastRecord === this.lastRecord) return;
+
+        this.lastLength = history.length;
+        this.lastRecord = lastRecord;
+
+        const config = CONFIG.dashboard;
+        const stdDev = statsTracker.getCaptureTimeStdDev();
+        const comparison = statsTracker.getStrategyComparison();
+
+        this.drawRollingRate(statsTracker.getRollingSuccessRate(config.rollingWindow), config.rollingWindow);
+        this.drawHistogram(statsTracker.getCaptureTimeHistogram(config.histogramBins), statsTracker.getAverageCaptureTime(), stdDev);
+        this.drawStrategyComparison(comparison);
+        this.updateTrends(statsTracker.getTrends(config.trendWindow), stdDev, comparison);
+        this.updateSignificance(statsTracker.getSignificanceTests());
+    }
+
+    /**
+     * Limpa um gráfico e retorna a área útil
+     * @param {HTMLCanvasElement} canvas - Canvas do gráfico
+     * @param {Object} padding - Margens { left, right, top, bottom }
+     * @returns {Object} { ctx, x, y, width, height }
+     */
+    prepareChart(canvas, padding) {
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.font = '11px sans-serif';
+        ctx.textBaseline = 'alphabetic';
+        ctx.textAlign = 'left';
+        ctx.setLineDash([]);
+
+        return {
+            ctx,
+            x: padding.left,
+            y: padding.top,
+            width: canvas.width - padding.left - padding.right,
+            height: canvas.height - padding.top - padding.bottom
+        };
+    }
+
+    /**
+     * Escreve uma mensagem no centro de um gráfico vazio
+     * @param {Object} area - Área do gráfico (prepareChart)
+     * @param {string} message - Mensagem
+     */
+    drawEmpty(area, message) {
+        area.ctx.fillStyle = DashboardRenderer.TEXT_COLOR;
+        area.ctx.textAlign = 'center';
+        area.ctx.fillText(message, area.x + area.width / 2, area.y + area.height / 2);
+        area.ctx.textAlign = 'left';
+    }
+
+    /**
+     * Desenha a taxa de captura móvel e a acumulada por tentativa
+     * @param {Array<Object>} points - Pontos (StatsTracker.getRollingSuccessRate)
+     * @param {number} windowSize - Tamanho da janela móvel
+     */
+    drawRollingRate(points, windowSize) {
+        const area = this.prepareChart(this.elements.rollingChart, { left: 36, right: 12, top: 22, bottom: 22 });
+        const { ctx } = area;
+        const toY = rate => area.y + (1 - rate / 100) * area.height;
+
+        // Grade horizontal a cada 25%
+        ctx.strokeStyle = CONFIG.canvas.gridColor;
+        ctx.lineWidth = 1;
+        ctx.fillStyle = DashboardRenderer.TEXT_COLOR;
+        for (let rate = 0; rate <= 100; rate += 25) {
+            ctx.beginPath();
+            ctx.moveTo(area.x, toY(rate));
+            ctx.lineTo(area.x + area.width, toY(rate));
+            ctx.stroke();
+            ctx.fillText(`${rate}%`, 2, toY(rate) + 4);
+        }
+
+        if (points.length === 0) {
+            this.drawEmpty(area, 'Sem tentativas concluídas');
+            return;
+        }
+
+        const toX = i => area.x + (points.length > 1 ? i / (points.length - 1) : 0.5) * area.width;
+        const series = [
+            { key: 'cumulativeRate', color: CONFIG.chaser.color, width: 1.5, label: 'acumulada' },
+            { key: 'rollingRate', color: CONFIG.ui.successColor, width: 2, label: `móvel (${windowSize})` }
+        ];
+
+        series.forEach((line, index) => {
+            ctx.strokeStyle = line.color;
+            ctx.lineWidth = line.width;
+            ctx.beginPath();
+            points.forEach((point, i) => {
+                if (i === 0) {
+                    ctx.moveTo(toX(i), toY(point[line.key]));
+                } else {
+                    ctx.lineTo(toX(i), toY(point[line.key]));
+                }
+            });
+            ctx.stroke();
+
+            ctx.fillStyle = line.color;
+            ctx.fillText(line.label, area.x + 4 + index * 90, 14);
+        });
+
+        ctx.fillStyle = DashboardRenderer.TEXT_COLOR;
+        ctx.fillText(`#${points[0].attemptNumber}`, area.x, area.y + area.height + 16);
+        ctx.textAlign = 'right';
+        ctx.fillText(`#${points[points.length - 1].attemptNumber}`, area.x + area.width, area.y + area.height + 16);
+        ctx.textAlign = 'left';
+    }
+
+    /**
+     * Desenha o histograma dos tempos de captura com a média e a faixa de ±1 desvio padrão
+     * @param {Array<Object>} bins - Faixas (StatsTracker.getCaptureTimeHistogram)
+     * @param {number} mean - Tempo médio de captura (s)
+     * @param {number} stdDev - Desvio padrão (s)
+     */
+    drawHistogram(bins, mean, stdDev) {
+        const area = this.prepareChart(this.elements.histogramChart, { left: 28, right: 12, top: 22, bottom: 22 });
+        const { ctx } = area;
+
+        if (bins.length === 0) {
+            this.drawEmpty(area, 'Sem capturas');
+            return;
+        }
+
+        const min = bins[0].start;
+        const max = bins[bins.length - 1].end;
+        const maxCount = Math.max(...bins.map(bin => bin.count));
+        const toX = time => area.x + ((time - min) / (max - min)) * area.width;
+
+        // Faixa de ±1 desvio padrão
+        if (stdDev > 0) {
+            const left = Math.max(area.x, toX(mean - stdDev));
+            const right = Math.min(area.x + area.width, toX(mean + stdDev));
+            ctx.fillStyle = 'rgba(59, 130, 246, 0.12)';
+            ctx.fillRect(left, area.y, right - left, area.height);
+        }
+
+        const barWidth = area.width / bins.length;
+        ctx.fillStyle = CONFIG.ui.successColor;
+        bins.forEach((bin, i) => {
+            const height = (bin.count / maxCount) * area.height;
+            ctx.fillRect(area.x + i * barWidth + 1, area.y + area.height - height, barWidth - 2, height);
+        });
+
+        // Média
+        ctx.strokeStyle = CONFIG.ui.warningColor;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(toX(mean), area.y);
+        ctx.lineTo(toX(mean), area.y + area.height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = CONFIG.ui.warningColor;
+        ctx.fillText(`média ${mean.toFixed(2)}s · σ ${stdDev.toFixed(2)}s`, area.x + 4, 14);
+
+        ctx.fillStyle = DashboardRenderer.TEXT_COLOR;
+        ctx.fillText(String(maxCount), 2, area.y + 10);
+        ctx.fillText(`${min.toFixed(1)}s`, area.x, area.y + area.height + 16);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${max.toFixed(1)}s`, area.x + area.width, area.y + area.height + 16);
+        ctx.textAlign = 'left';
+    }
+
+    /**
+     * Desenha barras horizontais com a taxa de captura de cada estratégia
+     * @param {Array<Object>} comparison - StatsTracker.getStrategyComparison
+     */
+    drawStrategyComparison(comparison) {
+        const area = this.prepareChart(this.elements.strategyChart, { left: 130, right: 12, top: 12, bottom: 12 });
+        const { ctx } = area;
+
+        if (comparison.length === 0) {
+            this.drawEmpty(area, 'Sem tentativas concluídas');
+            return;
+        }
+
+        const rows = [...comparison].sort((a, b) => parseFloat(b.successRate) - parseFloat(a.successRate));
+        const rowHeight = Math.min(32, area.height / rows.length);
+        const barHeight = rowHeight * 0.6;
+
+        rows.forEach((stats, i) => {
+            const rate = parseFloat(stats.successRate);
+            const y = area.y + i * rowHeight + (rowHeight - barHeight) / 2;
+
+            ctx.fillStyle = CONFIG.canvas.gridColor;
+            ctx.fillRect(area.x, y, area.width, barHeight);
+            ctx.fillStyle = DashboardRenderer.rateColor(rate);
+            ctx.fillRect(area.x, y, (rate / 100) * area.width, barHeight);
+
+            // Intervalo de confiança da taxa
+            if (stats.successRateCI) {
+                const left = area.x + (stats.successRateCI.lower / 100) * area.width;
+                const right = area.x + (stats.successRateCI.upper / 100) * area.width;
+                const middle = y + barHeight / 2;
+                ctx.strokeStyle = '#f9fafb';
+                ctx.lineWidth = 1.5;
+                ctx.beginPath();
+                ctx.moveTo(left, middle);
+                ctx.lineTo(right, middle);
+                ctx.moveTo(left, y + 2);
+                ctx.lineTo(left, y + barHeight - 2);
+                ctx.moveTo(right, y + 2);
+                ctx.lineTo(right, y + barHeight - 2);
+                ctx.stroke();
+            }
+
+            ctx.fillStyle = DashboardRenderer.TEXT_COLOR;
+            ctx.textBaseline = 'middle';
+            ctx.fillText(DashboardRenderer.truncate(ctx, this.getStrategyLabel(stats.strategy), area.x - 8), 4, y + barHeight / 2);
+
+            ctx.fillStyle = '#f9fafb';
+            const time = stats.captures > 0 ? ` · ${stats.avgCaptureTime.toFixed(2)}s` : '';
+            const interval = stats.successRateCI ?
+                ` [${stats.successRateCI.lower.toFixed(0)}–${stats.successRateCI.upper.toFixed(0)}]` : '';
+            ctx.fillText(`${rate.toFixed(1)}%${interval}${time} (n=${stats.totalAttempts})`, area.x + 6, y + barHeight / 2);
+            ctx.textBaseline = 'alphabetic';
+        });
+    }
+
+    /**
+     * Atualiza os indicadores de tendência
+     * @param {Object} trends - StatsTracker.getTrends
+     * @param {number} stdDev - Desvio padrão dos tempos de captura (s)
+     * @param {Array<Object>} comparison - StatsTracker.getStrategyComparison
+     */
+    updateTrends(trends, stdDev, comparison) {
+        const trendWindow = CONFIG.dashboard.trendWindow;
+
+        this.setTrend(this.elements.trendRate, trends.successRateTrend,
+            trends.successRateTrend === 'insufficient_data' ?
+                `Aguardando ${trendWindow * 2} tentativas` :
+                `${trends.recentSuccessRate}% nas últimas ${trendWindow} (antes ${trends.previousSuccessRate}%, ` +
+                `${Statistics.formatPValue(trends.successRatePValue)})`);
+
+        this.setTrend(this.elements.trendTime, trends.avgTimeTrend,
+            trends.avgTimeTrend === 'insufficient_data' ?
+                'Aguardando capturas nas duas janelas' :
+                `${trends.recentAvgTime}s nas últimas ${trendWindow} (antes ${trends.previousAvgTime}s, ` +
+                `${Statistics.formatPValue(trends.avgTimePValue)})`);
+
+        this.elements.captureStdDev.textContent = stdDev > 0 ? `σ ${stdDev.toFixed(2)}s` : '-';
+
+        const candidates = comparison.filter(stats => stats.totalAttempts >= CONFIG.dashboard.minStrategyAttempts);
+        const best = candidates.sort((a, b) => parseFloat(b.successRate) - parseFloat(a.successRate))[0];
+        this.elements.bestStrategy.textContent = best ?
+            `${this.getStrategyLabel(best.strategy)} (${best.successRate}%)` :
+            `Mínimo de ${CONFIG.dashboard.minStrategyAttempts} tentativas por estratégia`;
+    }
+
+    /**
+     * Preenche a tabela de testes de significância entre pares de estratégias
+     * @param {Array<Object>} tests - StatsTracker.getSignificanceTests
+     */
+    updateSignificance(tests) {
+        const body = this.elements.significanceBody;
+        if (!body) return;
+
+        body.innerHTML = '';
+        if (tests.length === 0) {
+            const row = body.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 4;
+            cell.className = 'significance-empty';
+            cell.textContent = `Use ao menos duas estratégias com ${CONFIG.statistics.minAttempts} tentativas cada`;
+            return;
+        }
+
+        for (const test of tests) {
+            const row = body.insertRow();
+            row.insertCell().textContent =
+                `${this.getStrategyLabel(test.strategyA)} × ${this.getStrategyLabel(test.strategyB)}`;
+
+            const rateCell = row.insertCell();
+            rateCell.textContent = `${test.rate.difference >= 0 ? '+' : ''}${(test.rate.difference * 100).toFixed(1)} pp · ` +
+                Statistics.formatPValue(test.rate.adjustedPValue);
+            rateCell.className = test.rate.significant ? 'significant' : '';
+
+            const timeCell = row.insertCell();
+            if (test.time) {
+                timeCell.textContent = `${test.time.difference >= 0 ? '+' : ''}${test.time.difference.toFixed(2)}s · ` +
+                    Statistics.formatPValue(test.time.adjustedPValue);
+                timeCell.className = test.time.significant ? 'significant' : '';
+            } else {
+                timeCell.textContent = '-';
+            }
+
+            row.insertCell().textContent = test.rate.significant ? 'já significativa' :
+                test.runsNeeded !== null ? `${test.runsNeeded} por estratégia (+${test.additionalRuns})` :
+                'taxas iguais';
+        }
+    }
+
+    /**
+     * Mostra um indicador de tendência (seta e cor)
+     * @param {HTMLElement} element - Elemento do indicador
+     * @param {string} trend - 'improving', 'declining', 'stable' ou 'insufficient_data'
+     * @param {string} detail - Texto explicativo
+     */
+    setTrend(element, trend, detail) {
+        const icons = { improving: '▲', declining: '▼', stable: '●', insufficient_data: '–' };
+        const labels = { improving: 'Melhorando', declining: 'Piorando', stable: 'Estável', insufficient_data: 'Dados insuficientes' };
+
+        element.className = `trend-value trend-${trend}`;
+        element.textContent = `${icons[trend]} ${labels[trend]}`;
+        element.title = detail;
+        if (element.nextElementSibling) {
+            element.nextElementSibling.textContent = detail;
+        }
+    }
+
+    /**
+     * Cor da barra conforme a taxa de captura
+     * @param {number} rate - Taxa (%)
+     * @returns {string} Cor
+     */
+    static rateColor(rate) {
+        if (rate >= 60) return CONFIG.ui.successColor;
+        if (rate >= 30) return CONFIG.ui.warningColor;
+        return CONFIG.ui.dangerColor;
+    }
+
+    /**
+     * Corta um texto para caber na largura
+     * @param {CanvasRenderingContext2D} ctx - Contexto (com a fonte definida)
+     * @param {string} text - Texto
+     * @param {number} maxWidth - Largura máxima (px)
+     * @returns {string} Texto cortado com reticências
+     */
+    static truncate(ctx, text, maxWidth) {
+        if (ctx.measureText(text).width <= maxWidth) return text;
+
+        let cut = text;
+        while (cut.length > 1 && ctx.measureText(cut + '…').width > maxWidth) {
+            cut = cut.slice(0, -1);
+        }
+        return cut + '…';
+    }
+}
+
+// Cor dos rótulos dos gráficos
+DashboardRenderer.TEXT_COLOR = '#9ca3af'; // --text-secondary
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DashboardRenderer;
+}
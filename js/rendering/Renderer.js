@@ -16,6 +16,8 @@ class Renderer {
         this.height = CONFIG.canvas.height;
         this.backgroundColor = CONFIG.canvas.backgroundColor;
         this.showGrid = CONFIG.visualization.showGrid;
+        this.heatmap = null; // HeatmapTracker exibido sob os agentes
+        this.heatmapLayer = null;
         this.captureFlashTime = 0;
         this.captureFlashDuration = CONFIG.visualization.captureFlashDuration;
         
@@ -65,30 +67,74 @@ class Renderer {
 
     /**
      * Renderiza frame completo
-     * @param {Ligeirinho} target - Alvo
-     * @param {Frajola} chaser - Perseguidor
+     * @param {Array<Ligeirinho>} targets - Alvos
+     * @param {Array<Frajola>} chasers - Perseguidores
      * @param {DetectionSystem} detectionSystem - Sistema de detecção
      * @param {boolean} captured - Se houve captura
+     * @param {Array<Obstacle>} obstacles - Obstáculos do cenário
+     * @param {Blackboard} blackboard - Memória compartilhada (última posição conhecida)
      */
-    render(target, chaser, detectionSystem, captured = false) {
+    render(targets, chasers, detectionSystem, captured = false, obstacles = [], blackboard = null) {
         // Limpar canvas
         this.clear();
 
         // Desenhar grid
         this.drawGrid();
 
-        // Desenhar agentes
-        if (target && target.active) {
+        // Desenhar obstáculos (abaixo dos agentes)
+        this.drawObstacles(obstacles);
+
+        // Desenhar mapa de calor
+        if (this.heatmap && this.heatmapLayer) {
+            this.drawHeatmap(this.heatmap, this.heatmapLayer);
+        }
+
+        // Desenhar campo de visão dos perseguidores
+        if (detectionSystem && CONFIG.visualization.showDetectionRadius) {
+            for (const chaser of chasers) {
+                if (chaser.active) {
+                    this.drawFieldOfView(chaser, detectionSystem);
+                }
+            }
+        }
+
+        // Desenhar última posição conhecida dos alvos (esmaece com a memória)
+        if (blackboard) {
+            for (const memory of blackboard.getMemories()) {
+                this.drawMemoryGhost(memory);
+            }
+        }
+
+        // Desenhar agentes (numerados quando há mais de um do mesmo tipo)
+        const labelTargets = targets.length > 1;
+        for (const target of targets) {
+            if (!target.active) continue;
+
             target.draw(this.ctx);
+            if (labelTargets) {
+                this.drawAgentLabel(target, `L${target.index + 1}`);
+            }
             if (CONFIG.simulation.debug) {
                 target.drawDebug(this.ctx);
             }
         }
 
-        if (chaser && chaser.active) {
+        const labelChasers = chasers.length > 1;
+        for (const chaser of chasers) {
+            if (!chaser.active) continue;
+
+            if (chaser.strategy && chaser.strategy.role && chaser.strategy.aimPoint) {
+                this.drawPackRole(chaser);
+            }
             chaser.draw(this.ctx);
+            if (labelChasers) {
+                this.drawAgentLabel(chaser, `F${chaser.index + 1}`);
+            }
             if (CONFIG.simulation.debug) {
                 chaser.drawDebug(this.ctx);
+                if (chaser.strategy && chaser.strategy.forces) {
+                    this.drawBlendForces(chaser);
+                }
             }
         }
 
@@ -103,6 +149,153 @@ class Renderer {
         }
     }
 
+    /**
+     * Desenha o rótulo de um agente acima dele
+     * @param {Agent} agent - Agente
+     * @param {string} label - Texto do rótulo
+     */
+    drawAgentLabel(agent, label) {
+        this.ctx.save();
+        this.ctx.fillStyle = agent.color;
+        this.ctx.font = 'bold 16px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(label, agent.position.x, agent.position.y - agent.size / 2);
+        this.ctx.restore();
+    }
+
+    /**
+     * Desenha o fantasma de um alvo na última posição conhecida
+     * A opacidade acompanha a confiança da memória
+     * @param {Object} memory - Memória do alvo (Blackboard.recall)
+     */
+    drawMemoryGhost(memory) {
+        const radius = memory.target.size / 2;
+        const heading = Vector2D.add(
+            memory.position,
+            Vector2D.multiply(memory.velocity, CONFIG.visualization.velocityVectorScale)
+        );
+
+        this.ctx.save();
+        this.ctx.globalAlpha = memory.confidence * CONFIG.memory.ghostMaxAlpha;
+
+        this.ctx.setLineDash([6, 4]);
+        this.drawCircle(memory.position, radius, null, CONFIG.memory.ghostColor, 2);
+        this.ctx.setLineDash([]);
+        this.drawLine(memory.position, heading, CONFIG.memory.ghostColor, 2);
+        this.drawText('?', memory.position.x, memory.position.y, {
+            color: CONFIG.memory.ghostColor,
+            font: 'bold 24px Arial',
+            align: 'center',
+            baseline: 'middle'
+        });
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Desenha o papel de um Frajola na caça em matilha
+     * Anel na cor do papel, nome do papel e linha até o ponto visado
+     * @param {Frajola} chaser - Perseguidor com PackStrategy
+     */
+    drawPackRole(chaser) {
+        const role = CONFIG.strategies.pack.roles[chaser.strategy.role];
+        const aimPoint = chaser.strategy.aimPoint;
+        const markerSize = 10;
+
+        this.drawLine(chaser.position, aimPoint, role.color, 2, [8, 6]);
+
+        this.ctx.save();
+        this.ctx.strokeStyle = role.color;
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.moveTo(aimPoint.x - markerSize, aimPoint.y - markerSize);
+        this.ctx.lineTo(aimPoint.x + markerSize, aimPoint.y + markerSize);
+        this.ctx.moveTo(aimPoint.x + markerSize, aimPoint.y - markerSize);
+        this.ctx.lineTo(aimPoint.x - markerSize, aimPoint.y + markerSize);
+        this.ctx.stroke();
+        this.ctx.restore();
+
+        this.drawCircle(chaser.position, chaser.size / 2 + 8, null, role.color, 4);
+        this.drawText(role.name, chaser.position.x, chaser.position.y + chaser.size / 2 + 12, {
+            color: role.color,
+            font: 'bold 14px Arial',
+            align: 'center'
+        });
+    }
+
+    /**
+     * Desenha a contribuição de cada comportamento da estratégia 'blend' (modo debug)
+     * Comprimento proporcional à força; força máxima = tamanho do Frajola
+     * @param {Frajola} chaser - Perseguidor com BlendedStrategy
+     */
+    drawBlendForces(chaser) {
+        const scale = chaser.size / chaser.maxForce;
+
+        for (const [name, force] of Object.entries(chaser.strategy.forces)) {
+            const color = CONFIG.strategies.blend.behaviors[name].color;
+            const end = Vector2D.add(chaser.position, Vector2D.multiply(force, scale));
+
+            this.drawLine(chaser.position, end, color, 3);
+            this.drawCircle(end, 4, color);
+        }
+    }
+
+    /**
+     * Desenha os obstáculos
+     * @param {Array<Obstacle>} obstacles - Obstáculos do cenário
+     */
+    drawObstacles(obstacles) {
+        for (const obstacle of obstacles) {
+            obstacle.draw(this.ctx);
+        }
+    }
+
+    /**
+     * Desenha o campo de visão real do perseguidor
+     * Círculo (raio), setor (cone) ou polígono recortado pelos obstáculos (raycast)
+     * @param {Frajola} chaser - Perseguidor
+     * @param {DetectionSystem} detectionSystem - Sistema de detecção
+     */
+    drawFieldOfView(chaser, detectionSystem) {
+        const ctx = this.ctx;
+        const { x, y } = chaser.position;
+        const range = detectionSystem.getEffectiveDetectionRange(chaser);
+
+        ctx.beginPath();
+
+        switch (detectionSystem.detectionMethod) {
+            case 'cone': {
+                const heading = chaser.velocity.angle();
+                const halfAngle = detectionSystem.coneAngle / 2;
+                ctx.moveTo(x, y);
+                ctx.arc(x, y, range, heading - halfAngle, heading + halfAngle);
+                ctx.closePath();
+                break;
+            }
+            case 'raycast': {
+                if (detectionSystem.obstacles.length > 0) {
+                    const points = detectionSystem.getVisibilityPolygon(chaser);
+                    ctx.moveTo(points[0].x, points[0].y);
+                    points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+                    ctx.closePath();
+                    break;
+                }
+                ctx.arc(x, y, range, 0, Math.PI * 2);
+                break;
+            }
+            default:
+                ctx.arc(x, y, range, 0, Math.PI * 2);
+        }
+
+        const detected = chaser.targetDetected;
+        ctx.fillStyle = detected ? CONFIG.detection.detectedFillColor : CONFIG.detection.lostFillColor;
+        ctx.fill();
+        ctx.strokeStyle = detected ? CONFIG.detection.detectedColor : CONFIG.detection.lostColor;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
     /**
      * Desenha efeito visual de captura
      */
@@ -165,6 +358,41 @@ class Renderer {
         this.ctx.fillText(`FPS: ${fps}`, this.width - 10, 20);
     }
 
+    /**
+     * Desenha a árvore de comportamento com o caminho ativo destacado
+     * Verde: caminho ativo; vermelho: executado e falhou; cinza: não executado no último passo
+     * @param {BehaviorTree} tree - Árvore do Frajola
+     */
+    drawBehaviorTree(tree) {
+        const nodes = tree.getNodes();
+        const active = new Set(tree.getActivePath());
+        const lineHeight = 16;
+        const x = 10;
+        const y = this.height - nodes.length * lineHeight - 30;
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(17, 24, 39, 0.8)';
+        this.ctx.fillRect(x - 5, y - 5, 320, nodes.length * lineHeight + 30);
+
+        this.drawText(tree.name, x, y, { color: '#e5e7eb', font: 'bold 12px monospace' });
+
+        nodes.forEach(({ node, depth }, i) => {
+            let color = '#6b7280';
+            if (active.has(node)) {
+                color = '#22c55e';
+            } else if (node.lastTick === tree.tickCount) {
+                color = '#ef4444';
+            }
+
+            this.drawText(`${'  '.repeat(depth)}${node.getLabel()}`, x, y + (i + 1) * lineHeight + 4, {
+                color,
+                font: active.has(node) ? 'bold 12px monospace' : '12px monospace'
+            });
+        });
+
+        this.ctx.restore();
+    }
+
     /**
      * Desenha indicador de pausa
      */
@@ -203,6 +431,112 @@ class Renderer {
         this.ctx.fillText('PAUSADO', centerX, centerY + 60);
     }
 
+    /**
+     * Desenha a faixa do replay (tentativa, quadro, tempo e velocidade) e o estado da estratégia de cada Frajola
+     * @param {ReplayPlayer} player - Reprodutor
+     */
+    drawReplayOverlay(player) {
+        const color = CONFIG.replay.overlayColor;
+        const label = `REPLAY · tentativa ${player.frame.e + 1}/${player.replay.episodes.length} · ` +
+            `quadro ${player.frameIndex + 1}/${player.frameCount} · ${player.frame.t.toFixed(2)}s · ${player.speed}x`;
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(0, 0, this.width, 36);
+        this.drawText(label, 12, 9, { color, font: 'bold 18px Arial' });
+
+        // Papéis da matilha já são desenhados pelo render()
+        for (const chaser of player.chasers) {
+            if (!chaser.active || !chaser.strategy.state || chaser.strategy.role) continue;
+
+            this.drawText(chaser.strategy.state, chaser.position.x, chaser.position.y + chaser.size / 2 + 12, {
+                color,
+                font: 'bold 14px Arial',
+                align: 'center'
+            });
+        }
+        this.ctx.restore();
+    }
+
+    /**
+     * Define o mapa de calor exibido (null para ocultar)
+     * @param {HeatmapTracker} heatmap - Grade acumulada
+     * @param {string} layer - Camada ('captures', 'escapes' ou 'occupancy')
+     */
+    setHeatmap(heatmap, layer) {
+        this.heatmap = heatmap;
+        this.heatmapLayer = layer || null;
+    }
+
+    /**
+     * Desenha uma camada do mapa de calor (intensidade relativa ao maior valor) e sua legenda
+     * @param {HeatmapTracker} heatmap - Grade acumulada
+     * @param {string} layer - Camada
+     */
+    drawHeatmap(heatmap, layer) {
+        const values = heatmap.layers[layer];
+        const max = heatmap.getMax(layer);
+        const size = heatmap.cellSize;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = CONFIG.heatmap.opacity;
+        for (let row = 0; row < heatmap.rows; row++) {
+            for (let col = 0; col < heatmap.cols; col++) {
+                const value = values[row * heatmap.cols + col];
+                if (value <= 0) continue;
+
+                this.ctx.fillStyle = Renderer.heatColor(value / max);
+                this.ctx.fillRect(col * size, row * size, size, size);
+            }
+        }
+        this.ctx.restore();
+
+        this.drawHeatmapLegend(layer, max);
+    }
+
+    /**
+     * Desenha a legenda do mapa de calor (canto inferior esquerdo)
+     * @param {string} layer - Camada
+     * @param {number} max - Maior valor da camada
+     */
+    drawHeatmapLegend(layer, max) {
+        const { name, unit } = CONFIG.heatmap.layers[layer];
+        const x = 12;
+        const y = this.height - 52;
+        const barWidth = 200;
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(x - 8, y - 8, barWidth + 16, 48);
+
+        for (let i = 0; i < barWidth; i++) {
+            this.ctx.fillStyle = Renderer.heatColor((i + 1) / barWidth);
+            this.ctx.fillRect(x + i, y + 18, 1, 10);
+        }
+
+        this.drawText(name, x, y, { color: '#ffffff', font: 'bold 13px Arial' });
+        this.drawText(`${MathUtils.round(max, 1)}${unit}`, x + barWidth, y, {
+            color: '#ffffff',
+            font: '13px Arial',
+            align: 'right'
+        });
+        this.ctx.restore();
+    }
+
+    /**
+     * Cor da rampa do mapa de calor
+     * @param {number} t - Intensidade (0-1)
+     * @returns {string} Cor rgb()
+     */
+    static heatColor(t) {
+        const colors = CONFIG.heatmap.colors;
+        const scaled = MathUtils.clamp(t, 0, 1) * (colors.length - 1);
+        const i = Math.min(Math.floor(scaled), colors.length - 2);
+        const f = scaled - i;
+        const [r, g, b] = colors[i].map((c, k) => Math.round(c + (colors[i + 1][k] - c) * f));
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
     /**
      * Desenha trajetória de um agente
      * @param {Agent} agent - Agente
@@ -29,20 +29,29 @@ class UIRenderer {
             statAvgTime: document.getElementById('statAvgTime'),
             statCurrentTime: document.getElementById('statCurrentTime'),
             statTotalTime: document.getElementById('statTotalTime'),
+            statSeed: document.getElementById('statSeed'),
+            statEpisodeSeed: document.getElementById('statEpisodeSeed'),
             detectionStatus: document.getElementById('detectionStatus'),
             
             // Controles
             playPauseBtn: document.getElementById('playPauseBtn'),
             playPauseIcon: document.getElementById('playPauseIcon'),
             playPauseText: document.getElementById('playPauseText'),
+            stepBtn: document.getElementById('stepBtn'),
+            timeScaleSelect: document.getElementById('timeScaleSelect'),
             resetBtn: document.getElementById('resetBtn'),
             configBtn: document.getElementById('configBtn'),
             exportBtn: document.getElementById('exportBtn'),
+            mapEditorBtn: document.getElementById('mapEditorBtn'),
             
             // Configurações
             configPanel: document.getElementById('configPanel'),
             strategySelect: document.getElementById('strategySelect'),
             strategyDescription: document.getElementById('strategyDescription'),
+            behaviorTreeOptions: document.getElementById('behaviorTreeOptions'),
+            neuralPolicyOptions: document.getElementById('neuralPolicyOptions'),
+            targetBehaviorSelect: document.getElementById('targetBehaviorSelect'),
+            targetBehaviorDescription: document.getElementById('targetBehaviorDescription'),
             
             // Sliders
             targetSpeedSlider: document.getElementById('targetSpeedSlider'),
@@ -51,8 +60,81 @@ class UIRenderer {
             chaserSpeedValue: document.getElementById('chaserSpeedValue'),
             detectionSlider: document.getElementById('detectionSlider'),
             detectionValue: document.getElementById('detectionValue'),
+            detectionMethodSelect: document.getElementById('detectionMethodSelect'),
+            coneAngleGroup: document.getElementById('coneAngleGroup'),
+            coneAngleSlider: document.getElementById('coneAngleSlider'),
+            coneAngleValue: document.getElementById('coneAngleValue'),
+            chaserCountSlider: document.getElementById('chaserCountSlider'),
+            chaserCountValue: document.getElementById('chaserCountValue'),
+            targetCountSlider: document.getElementById('targetCountSlider'),
+            targetCountValue: document.getElementById('targetCountValue'),
+            assignmentSelect: document.getElementById('assignmentSelect'),
+            agentStatsItem: document.getElementById('agentStatsItem'),
+            agentStats: document.getElementById('agentStats'),
             fpsSlider: document.getElementById('fpsSlider'),
             fpsValue: document.getElementById('fpsValue'),
+            seedInput: document.getElementById('seedInput'),
+            blendGroup: document.getElementById('blendGroup'),
+            blendArbitrationSelect: document.getElementById('blendArbitrationSelect'),
+            blendWeightInputs: document.querySelectorAll('.blend-weight'),
+            blendWeightValues: document.querySelectorAll('.blend-weight-value'),
+            blendPriorityInputs: document.querySelectorAll('.blend-priority'),
+            
+            // Otimização genética
+            tunerStrategySelect: document.getElementById('tunerStrategySelect'),
+            tunerGenerationsInput: document.getElementById('tunerGenerationsInput'),
+            tunerPopulationInput: document.getElementById('tunerPopulationInput'),
+            tunerEpisodesInput: document.getElementById('tunerEpisodesInput'),
+            tunerChart: document.getElementById('tunerChart'),
+            tunerStatus: document.getElementById('tunerStatus'),
+            tunerRunBtn: document.getElementById('tunerRunBtn'),
+            tunerApplyBtn: document.getElementById('tunerApplyBtn'),
+            tunerExportBtn: document.getElementById('tunerExportBtn'),
+            
+            // Gravação e replay
+            recordBtn: document.getElementById('recordBtn'),
+            recordText: document.getElementById('recordText'),
+            replayBar: document.getElementById('replayBar'),
+            replayPlayBtn: document.getElementById('replayPlayBtn'),
+            replaySlider: document.getElementById('replaySlider'),
+            replayTime: document.getElementById('replayTime'),
+            replaySpeedSelect: document.getElementById('replaySpeedSelect'),
+            
+            // Exportação de vídeo
+            clipPanel: document.getElementById('clipPanel'),
+            clipFormatSelect: document.getElementById('clipFormatSelect'),
+            clipStartInput: document.getElementById('clipStartInput'),
+            clipEndInput: document.getElementById('clipEndInput'),
+            clipFpsSelect: document.getElementById('clipFpsSelect'),
+            clipScaleSelect: document.getElementById('clipScaleSelect'),
+            clipOverlayInputs: document.querySelectorAll('.clip-overlay'),
+            clipStatus: document.getElementById('clipStatus'),
+            clipExportBtn: document.getElementById('clipExportBtn'),
+            
+            // Exportação de dados
+            exportPanel: document.getElementById('exportPanel'),
+            exportTables: document.getElementById('exportTables'),
+            exportDelimiterSelect: document.getElementById('exportDelimiterSelect'),
+            exportDecimalSelect: document.getElementById('exportDecimalSelect'),
+            exportBomCheckbox: document.getElementById('exportBomCheckbox'),
+            exportZipCheckbox: document.getElementById('exportZipCheckbox'),
+            exportStatus: document.getElementById('exportStatus'),
+            
+            // Mapa de calor
+            heatmapLayerSelect: document.getElementById('heatmapLayerSelect'),
+            heatmapStatus: document.getElementById('heatmapStatus'),
+            
+            // Histórico de sessões
+            sessionList: document.getElementById('sessionList'),
+            sessionStatus: document.getElementById('sessionStatus'),
+            sessionCompare: document.getElementById('sessionCompare'),
+            
+            // Editor de mapas
+            mapEditorPanel: document.getElementById('mapEditorPanel'),
+            mapNameInput: document.getElementById('mapNameInput'),
+            mapEditorHint: document.getElementById('mapEditorHint'),
+            editorToolButtons: document.querySelectorAll('.editor-tool'),
+            spawnEdgeInputs: document.querySelectorAll('.spawn-edge'),
             
             // Debug
             debugPanel: document.getElementById('debugPanel'),
@@ -63,12 +145,13 @@ class UIRenderer {
     /**
      * Atualiza estatísticas na interface
      * @param {Object} stats - Estatísticas da simulação
+     * @param {boolean} force - Ignorar o intervalo mínimo entre atualizações
      */
-    updateStats(stats) {
+    updateStats(stats, force = false) {
         const now = Date.now();
         
         // Throttle de atualizações
-        if (now - this.lastUpdate < this.updateInterval) {
+        if (!force && now - this.lastUpdate < this.updateInterval) {
             return;
         }
         
@@ -90,21 +173,76 @@ class UIRenderer {
         this.flashElement(this.elements.statCurrentTime);
     }
 
+    /**
+     * Atualiza capturas por Frajola (exibido apenas com mais de um Frajola)
+     * @param {Object} agentStats - Estatísticas por agente (StatsTracker.getAgentStats)
+     * @param {number} chaserCount - Número de Frajolas na tentativa atual
+     */
+    updateAgentStats(agentStats, chaserCount) {
+        if (!this.elements.agentStats) return;
+
+        this.elements.agentStatsItem.style.display = chaserCount > 1 ? 'block' : 'none';
+        if (chaserCount <= 1) return;
+
+        const captures = [];
+        for (let i = 0; i < chaserCount; i++) {
+            const chaser = agentStats.chasers.find(c => c.index === i);
+            captures.push(`F${i + 1}: ${chaser ? chaser.captures : 0}`);
+        }
+        this.setText(this.elements.agentStats, captures.join('  '));
+    }
+
+    /**
+     * Sincroniza os controles de múltiplos agentes
+     * @param {Object} config - Configuração do núcleo (chaserCount, targetCount, assignment)
+     */
+    updateAgentControls(config) {
+        this.elements.chaserCountSlider.value = config.chaserCount;
+        this.setText(this.elements.chaserCountValue, config.chaserCount);
+        this.elements.targetCountSlider.value = config.targetCount;
+        this.setText(this.elements.targetCountValue, config.targetCount);
+        this.elements.assignmentSelect.value = config.assignment;
+    }
+
+    /**
+     * Atualiza sementes exibidas
+     * @param {number} seed - Semente da sessão
+     * @param {number} episodeSeed - Semente da tentativa atual
+     */
+    updateSeed(seed, episodeSeed) {
+        this.setText(this.elements.statSeed, seed !== null ? seed : '-');
+        this.setText(this.elements.statEpisodeSeed, episodeSeed !== null ? episodeSeed : '-');
+    }
+
+    /**
+     * Lê a semente informada no painel de configuração
+     * @returns {number|null} Semente ou null para aleatória
+     */
+    getSeedValue() {
+        const value = this.elements.seedInput ? this.elements.seedInput.value.trim() : '';
+        const seed = parseInt(value);
+        return value === '' || isNaN(seed) ? null : seed >>> 0;
+    }
+
     /**
      * Atualiza status de detecção
      * @param {boolean} detected - Se alvo está detectado
+     * @param {boolean} searching - Se algum Frajola busca a última posição conhecida
      */
-    updateDetectionStatus(detected) {
+    updateDetectionStatus(detected, searching = false) {
         const statusElement = this.elements.detectionStatus;
         const indicator = statusElement.querySelector('.status-indicator');
         const text = statusElement.querySelector('.status-text');
 
+        indicator.classList.remove('detected', 'lost', 'searching');
+
         if (detected) {
             indicator.classList.add('detected');
-            indicator.classList.remove('lost');
             text.textContent = '✓ Alvo Detectado';
+        } else if (searching) {
+            indicator.classList.add('searching');
+            text.textContent = '⌕ Buscando Última Posição';
         } else {
-            indicator.classList.remove('detected');
             indicator.classList.add('lost');
             text.textContent = '⚠ Alvo Perdido';
         }
@@ -124,18 +262,53 @@ class UIRenderer {
         }
     }
 
+    /**
+     * Adiciona (ou renomeia) uma estratégia carregada no seletor de estratégia e a seleciona
+     * @param {string} strategyName - Nome da estratégia ('bt:<id>' ou 'nn:<id>')
+     * @param {string} label - Nome exibido
+     */
+    addStrategyOption(strategyName, label) {
+        let option = Array.from(this.elements.strategySelect.options).find(opt => opt.value === strategyName);
+
+        if (!option) {
+            const group = strategyName.startsWith(SimulationCore.NEURAL_POLICY_PREFIX) ?
+                this.elements.neuralPolicyOptions :
+                this.elements.behaviorTreeOptions;
+
+            option = document.createElement('option');
+            option.value = strategyName;
+            group.appendChild(option);
+        }
+
+        option.textContent = label;
+        this.elements.strategySelect.value = strategyName;
+    }
+
+    /**
+     * Nome exibido de uma estratégia (texto da opção no seletor)
+     * @param {string} strategyName - Nome da estratégia
+     * @returns {string} Nome exibido (o próprio nome se não estiver no seletor)
+     */
+    getStrategyLabel(strategyName) {
+        const option = Array.from(this.elements.strategySelect.options).find(opt => opt.value === strategyName);
+        return option ? option.textContent.trim() : strategyName;
+    }
+
     /**
      * Atualiza descrição da estratégia
      * @param {string} strategyName - Nome da estratégia
+     * @param {string} fallback - Descrição usada fora da lista fixa (ex: árvores de comportamento)
      */
-    updateStrategyDescription(strategyName) {
+    updateStrategyDescription(strategyName, fallback = null) {
         const descriptions = {
             direct: 'Move diretamente em direção ao alvo atual',
             predictive: 'Prevê a posição futura do alvo e intercepta',
-            patrol: 'Patrulha área quando não detecta, persegue quando detecta'
+            patrol: 'Patrulha área quando não detecta, persegue quando detecta e busca a última posição conhecida quando perde o alvo',
+            pack: 'Frajolas compartilham detecções e dividem papéis: interceptador, bloqueador e flanqueadores',
+            blend: 'Combina perseguição, desvio de obstáculos, separação e desvio das bordas com pesos ou prioridades configuráveis'
         };
 
-        const description = descriptions[strategyName] || 'Estratégia desconhecida';
+        const description = descriptions[strategyName] || fallback || 'Estratégia desconhecida';
         
         // Animação de transição
         this.elements.strategyDescription.style.opacity = '0';
@@ -146,6 +319,20 @@ class UIRenderer {
         }, 150);
     }
 
+    /**
+     * Atualiza seletor e descrição do comportamento do Ligeirinho
+     * @param {string} behaviorName - Nome do comportamento
+     */
+    updateTargetBehavior(behaviorName) {
+        const behavior = CONFIG.targetBehaviors[behaviorName];
+        
+        this.elements.targetBehaviorSelect.value = behaviorName;
+        this.setText(
+            this.elements.targetBehaviorDescription,
+            behavior ? behavior.description : 'Comportamento desconhecido'
+        );
+    }
+
     /**
      * Atualiza valor de slider
      * @param {HTMLInputElement} slider - Elemento slider
@@ -157,6 +344,141 @@ class UIRenderer {
         valueDisplay.textContent = value + suffix;
     }
 
+    /**
+     * Sincroniza os controles de detecção (ângulo só se aplica ao cone)
+     * @param {string} method - Método de detecção
+     * @param {number} coneAngle - Ângulo do cone em graus
+     */
+    updateDetectionMethod(method, coneAngle) {
+        this.elements.detectionMethodSelect.value = method;
+        this.elements.coneAngleSlider.value = coneAngle;
+        this.setText(this.elements.coneAngleValue, coneAngle);
+        this.elements.coneAngleGroup.style.display = method === 'cone' ? 'block' : 'none';
+    }
+
+    /**
+     * Sincroniza os controles da estratégia 'blend' (visíveis só quando ela está selecionada)
+     * @param {string} strategyName - Estratégia atual
+     * @param {Object} settings - Ajustes ({ arbitration, behaviors: { nome: { weight, priority } } })
+     */
+    updateBlendControls(strategyName, settings) {
+        if (!this.elements.blendGroup) return;
+
+        this.elements.blendGroup.style.display = strategyName === 'blend' ? 'block' : 'none';
+        this.elements.blendArbitrationSelect.value = settings.arbitration;
+
+        this.elements.blendWeightInputs.forEach(input => {
+            input.value = settings.behaviors[input.dataset.behavior].weight;
+        });
+        this.elements.blendWeightValues.forEach(value => {
+            value.textContent = settings.behaviors[value.dataset.behavior].weight;
+        });
+        this.elements.blendPriorityInputs.forEach(input => {
+            input.value = settings.behaviors[input.dataset.behavior].priority;
+        });
+    }
+
+    /**
+     * Lê os ajustes do painel de otimização genética
+     * @returns {Object} { strategy, generations, populationSize, episodes }
+     */
+    getTunerSettings() {
+        return {
+            strategy: this.elements.tunerStrategySelect.value,
+            generations: parseInt(this.elements.tunerGenerationsInput.value) || CONFIG.tuner.generations,
+            populationSize: parseInt(this.elements.tunerPopulationInput.value) || CONFIG.tuner.populationSize,
+            episodes: parseInt(this.elements.tunerEpisodesInput.value) || CONFIG.tuner.episodesPerGenome
+        };
+    }
+
+    /**
+     * Atualiza progresso, botões e gráfico da otimização genética
+     * @param {GeneticTuner} tuner - Otimizador (null = nenhum)
+     * @param {boolean} running - Se a otimização está em andamento
+     */
+    updateTunerPanel(tuner, running) {
+        if (!this.elements.tunerStatus) return;
+
+        this.setText(this.elements.tunerRunBtn, running ? '■ Parar' : '▶ Otimizar');
+        this.setButtonEnabled(this.elements.tunerApplyBtn, Boolean(tuner && tuner.best) && !running);
+        this.setButtonEnabled(this.elements.tunerExportBtn, Boolean(tuner && tuner.best) && !running);
+        [this.elements.tunerStrategySelect, this.elements.tunerGenerationsInput,
+            this.elements.tunerPopulationInput, this.elements.tunerEpisodesInput].forEach(input => {
+            input.disabled = running;
+        });
+
+        if (!tuner) return;
+
+        const progress = tuner.getProgress();
+        let status = running ?
+            `Geração ${progress.generation}/${progress.generations} · genoma ${progress.evaluated}/${progress.populationSize}` :
+            `${tuner.history.length} geração(ões) avaliada(s)`;
+
+        if (tuner.best) {
+            const genes = Object.entries(tuner.best.genes).map(([key, value]) => `${key} ${value}`).join(', ');
+            status += ` · melhor ${tuner.best.fitness.toFixed(3)} (captura ${(tuner.best.metrics.captureRate * 100).toFixed(1)}%): ${genes}`;
+        }
+
+        this.setText(this.elements.tunerStatus, status);
+        this.drawTunerChart(tuner.history, tuner.generations);
+    }
+
+    /**
+     * Desenha o gráfico de progresso (melhor e média de fitness por geração)
+     * @param {Array<Object>} history - Histórico do otimizador
+     * @param {number} generations - Total de gerações (escala do eixo X)
+     */
+    drawTunerChart(history, generations) {
+        const canvas = this.elements.tunerChart;
+        const ctx = canvas.getContext('2d');
+        const padding = 24;
+        const width = canvas.width - padding * 2;
+        const height = canvas.height - padding * 2;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Eixo Y de 0 a 1, estendido se algum fitness sair do intervalo
+        const values = history.flatMap(entry => [entry.best, entry.mean]);
+        const minY = Math.min(0, ...values);
+        const maxY = Math.max(1, ...values);
+        const toX = generation => padding + (generations > 1 ? (generation - 1) / (generations - 1) : 0.5) * width;
+        const toY = value => padding + (1 - (value - minY) / (maxY - minY)) * height;
+
+        ctx.strokeStyle = CONFIG.canvas.gridColor;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(padding, padding, width, height);
+
+        ctx.fillStyle = '#9ca3af'; // --text-secondary
+        ctx.font = '10px sans-serif';
+        ctx.fillText(maxY.toFixed(1), 2, padding + 4);
+        ctx.fillText(minY.toFixed(1), 2, padding + height);
+        ctx.fillText(`geração ${generations}`, padding + width - 56, canvas.height - 6);
+
+        const series = [
+            { key: 'mean', color: CONFIG.chaser.color, label: 'média' },
+            { key: 'best', color: CONFIG.ui.successColor, label: 'melhor' }
+        ];
+
+        series.forEach((line, index) => {
+            ctx.strokeStyle = line.color;
+            ctx.fillStyle = line.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            history.forEach((entry, i) => {
+                const x = toX(entry.generation);
+                const y = toY(entry[line.key]);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+
+            ctx.fillText(line.label, padding + 4 + index * 48, 14);
+        });
+    }
+
     /**
      * Mostra/esconde painel de configuração
      * @param {boolean} show - Se deve mostrar
@@ -165,6 +487,410 @@ class UIRenderer {
         this.elements.configPanel.style.display = show ? 'block' : 'none';
     }
 
+    /**
+     * Atualiza o botão de gravação
+     * @param {boolean} recording - Se está gravando
+     */
+    updateRecordButton(recording) {
+        if (!this.elements.recordBtn) return;
+        
+        this.elements.recordBtn.classList.toggle('recording', recording);
+        this.setText(this.elements.recordText, recording ? 'Parar Gravação' : 'Gravar');
+    }
+
+    /**
+     * Mostra/esconde a barra de replay
+     * @param {boolean} show - Se deve mostrar
+     */
+    toggleReplayBar(show) {
+        if (!this.elements.replayBar) return;
+        
+        this.elements.replayBar.style.display = show ? 'flex' : 'none';
+    }
+
+    /**
+     * Sincroniza a barra de replay com o reprodutor
+     * @param {ReplayPlayer} player - Reprodutor
+     */
+    updateReplayControls(player) {
+        if (!this.elements.replayBar) return;
+        
+        this.elements.replaySlider.max = player.frameCount - 1;
+        this.elements.replaySlider.value = player.frameIndex;
+        this.setText(this.elements.replayTime,
+            `quadro ${player.frameIndex + 1}/${player.frameCount} · ${player.frame.t.toFixed(2)}s`);
+        this.setText(this.elements.replayPlayBtn, player.playing ? '⏸' : '▶');
+        this.elements.replaySpeedSelect.value = String(player.speed);
+    }
+
+    /**
+     * Mostra/esconde o painel de exportação de vídeo
+     * @param {boolean} show - Se deve mostrar
+     * @param {ReplayPlayer} player - Reprodutor (define o intervalo inicial: replay inteiro)
+     */
+    toggleClipPanel(show, player = null) {
+        if (!this.elements.clipPanel) return;
+        
+        this.elements.clipPanel.style.display = show ? 'block' : 'none';
+        if (!show || !player) return;
+        
+        // Quadros numerados a partir de 1, como na barra do replay
+        [this.elements.clipStartInput, this.elements.clipEndInput].forEach(input => {
+            input.max = player.frameCount;
+        });
+        this.elements.clipStartInput.value = 1;
+        this.elements.clipEndInput.value = player.frameCount;
+        
+        const webm = this.elements.clipFormatSelect.querySelector('option[value="webm"]');
+        webm.disabled = !ClipExporter.isWebMSupported();
+        if (webm.disabled && this.elements.clipFormatSelect.value === 'webm') {
+            this.elements.clipFormatSelect.value = 'gif';
+        }
+        
+        this.updateClipPanel(null, false);
+    }
+
+    /**
+     * Lê as opções de exportação de vídeo do painel
+     * @returns {Object} Opções do ClipExporter
+     */
+    getClipSettings() {
+        const overlays = {};
+        this.elements.clipOverlayInputs.forEach(input => {
+            overlays[input.value] = input.checked;
+        });
+        
+        return {
+            format: this.elements.clipFormatSelect.value,
+            start: (parseInt(this.elements.clipStartInput.value) || 1) - 1,
+            end: (parseInt(this.elements.clipEndInput.value) || 1) - 1,
+            fps: parseInt(this.elements.clipFpsSelect.value) || CONFIG.clip.fps,
+            scale: parseFloat(this.elements.clipScaleSelect.value) || CONFIG.clip.scale,
+            overlays
+        };
+    }
+
+    /**
+     * Define um dos limites do intervalo exportado
+     * @param {string} bound - 'start' ou 'end'
+     * @param {number} frameIndex - Índice do quadro (a partir de 0)
+     */
+    setClipBound(bound, frameIndex) {
+        const input = bound === 'start' ? this.elements.clipStartInput : this.elements.clipEndInput;
+        input.value = frameIndex + 1;
+    }
+
+    /**
+     * Atualiza status e botões do painel de exportação de vídeo
+     * @param {ClipExporter} exporter - Exportador (null = nenhum)
+     * @param {boolean} running - Se está exportando
+     */
+    updateClipPanel(exporter, running) {
+        if (!this.elements.clipStatus) return;
+        
+        this.setText(this.elements.clipExportBtn, running ? '■ Cancelar' : '🎞 Exportar');
+        [this.elements.clipFormatSelect, this.elements.clipStartInput, this.elements.clipEndInput,
+            this.elements.clipFpsSelect, this.elements.clipScaleSelect, ...this.elements.clipOverlayInputs].forEach(input => {
+            input.disabled = running;
+        });
+        
+        if (!exporter) {
+            this.setText(this.elements.clipStatus, 'O clipe segue o tempo gravado (1x).');
+            return;
+        }
+        
+        const progress = exporter.getProgress();
+        const status = {
+            palette: `Montando paleta: ${progress.current}/${progress.total}`,
+            encode: `Codificando quadro ${progress.current}/${progress.total} (${exporter.width}×${exporter.height})`,
+            done: `Concluído: ${progress.total} quadros`
+        };
+        this.setText(this.elements.clipStatus, status[progress.phase]);
+    }
+
+    /**
+     * Mostra/esconde o painel de exportação de dados
+     * Na primeira abertura, monta a lista de tabelas e colunas e aplica os padrões de CONFIG.csvExport
+     * @param {boolean} show - Se deve mostrar
+     * @param {Object} counts - Linhas disponíveis por tabela (updateExportCounts)
+     */
+    toggleExportPanel(show, counts = null) {
+        if (!this.elements.exportPanel) return;
+        
+        this.elements.exportPanel.style.display = show ? 'block' : 'none';
+        if (!show) return;
+        
+        if (!this.elements.exportTables.hasChildNodes()) {
+            this.buildExportTables();
+        }
+        if (counts) {
+            this.updateExportCounts(counts);
+        }
+    }
+
+    /**
+     * Monta uma caixa por tabela, com as colunas em uma lista recolhível
+     */
+    buildExportTables() {
+        const settings = CONFIG.csvExport;
+        this.elements.exportDelimiterSelect.value = settings.delimiter === '\t' ? 'tab' : settings.delimiter;
+        this.elements.exportDecimalSelect.value = settings.decimal;
+        this.elements.exportBomCheckbox.checked = settings.bom;
+        this.elements.exportZipCheckbox.checked = settings.zip;
+        
+        for (const [name, table] of Object.entries(DataExporter.TABLES)) {
+            const item = document.createElement('div');
+            item.className = 'export-table';
+            item.dataset.table = name;
+            
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'export-table-select';
+            checkbox.value = name;
+            checkbox.checked = name === 'attempts';
+            const count = document.createElement('span');
+            count.className = 'session-meta';
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${table.label}`));
+            label.appendChild(count);
+            
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = `Colunas (${table.columns.length})`;
+            const columns = document.createElement('div');
+            columns.className = 'export-columns';
+            for (const column of table.columns) {
+                const columnLabel = document.createElement('label');
+                const columnCheckbox = document.createElement('input');
+                columnCheckbox.type = 'checkbox';
+                columnCheckbox.className = 'export-column';
+                columnCheckbox.value = column.key;
+                columnCheckbox.checked = true;
+                columnLabel.appendChild(columnCheckbox);
+                columnLabel.appendChild(document.createTextNode(` ${column.label}`));
+                columns.appendChild(columnLabel);
+            }
+            details.appendChild(summary);
+            details.appendChild(columns);
+            
+            item.appendChild(label);
+            item.appendChild(details);
+            this.elements.exportTables.appendChild(item);
+        }
+    }
+
+    /**
+     * Mostra as linhas de cada tabela; tabelas sem fonte (telemetria sem replay) ficam desabilitadas
+     * @param {Object} counts - Linhas por tabela (null = fonte indisponível)
+     */
+    updateExportCounts(counts) {
+        if (!this.elements.exportTables) return;
+        
+        for (const item of this.elements.exportTables.querySelectorAll('.export-table')) {
+            const count = counts[item.dataset.table];
+            const checkbox = item.querySelector('.export-table-select');
+            const available = count !== null && count !== undefined;
+            
+            checkbox.disabled = !available;
+            if (!available) checkbox.checked = false;
+            item.classList.toggle('unavailable', !available);
+            this.setText(item.querySelector('.session-meta'),
+                available ? `${count} linhas` : 'grave ou abra um replay para exportar');
+        }
+    }
+
+    /**
+     * Opções escolhidas no painel de exportação
+     * @returns {Object} { tables: { nome: [colunas] }, delimiter, decimal, bom, zip } (DataExporter.exportTables)
+     */
+    getExportSettings() {
+        const tables = {};
+        for (const item of this.elements.exportTables.querySelectorAll('.export-table')) {
+            if (!item.querySelector('.export-table-select').checked) continue;
+            
+            tables[item.dataset.table] = [...item.querySelectorAll('.export-column:checked')]
+                .map(input => input.value);
+        }
+        
+        const delimiter = this.elements.exportDelimiterSelect.value;
+        return {
+            tables,
+            delimiter: delimiter === 'tab' ? '\t' : delimiter,
+            decimal: this.elements.exportDecimalSelect.value,
+            bom: this.elements.exportBomCheckbox.checked,
+            zip: this.elements.exportZipCheckbox.checked
+        };
+    }
+
+    /**
+     * Mostra uma mensagem no painel de exportação
+     * @param {string} text - Mensagem
+     */
+    setExportStatus(text) {
+        this.setText(this.elements.exportStatus, text);
+    }
+
+    /**
+     * Atualiza o resumo do mapa de calor
+     * @param {HeatmapTracker} heatmap - Grade acumulada
+     */
+    updateHeatmapStatus(heatmap) {
+        const captures = heatmap.getTotal('captures');
+        const escapes = heatmap.getTotal('escapes');
+        const occupancy = heatmap.getTotal('occupancy');
+        
+        this.setText(this.elements.heatmapStatus,
+            `${captures} capturas · ${escapes} fugas · ${occupancy.toFixed(1)}s de Frajola ` +
+            `(células de ${heatmap.cellSize}px)`);
+    }
+
+    /**
+     * Lista as sessões salvas com uma caixa de seleção por sessão
+     * @param {Array<Object>} sessions - Sessões (SessionStore.list)
+     * @param {number} currentId - Sessão em uso (destacada)
+     */
+    updateSessionList(sessions, currentId) {
+        const list = this.elements.sessionList;
+        if (!list) return;
+        
+        const selected = new Set(this.getSelectedSessionIds());
+        list.innerHTML = '';
+        
+        if (sessions.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'session-empty';
+            empty.textContent = 'Nenhuma sessão salva';
+            list.appendChild(empty);
+            return;
+        }
+        
+        for (const session of sessions) {
+            const item = document.createElement('label');
+            item.className = session.id === currentId ? 'session-item current' : 'session-item';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'session-select';
+            checkbox.value = session.id;
+            checkbox.checked = selected.has(session.id);
+            
+            const text = document.createElement('span');
+            text.textContent = session.id === currentId ? `${session.name} (atual)` : session.name;
+            
+            const meta = document.createElement('span');
+            meta.className = 'session-meta';
+            const strategies = session.strategies.map(name => this.getStrategyLabel(name)).join(', ') || '-';
+            meta.textContent = `${new Date(session.updatedAt).toLocaleString('pt-BR')} · ${strategies} · ` +
+                `${session.summary.attempts} tentativas · ${session.summary.successRate}%` +
+                (session.seed !== null && session.seed !== undefined ? ` · semente ${session.seed}` : '');
+            text.appendChild(meta);
+            
+            item.appendChild(checkbox);
+            item.appendChild(text);
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Ids das sessões marcadas na lista
+     * @returns {Array<number>} Ids
+     */
+    getSelectedSessionIds() {
+        if (!this.elements.sessionList) return [];
+        
+        return [...this.elements.sessionList.querySelectorAll('.session-select:checked')]
+            .map(input => Number(input.value));
+    }
+
+    /**
+     * Mostra uma mensagem no painel de sessões
+     * @param {string} text - Mensagem
+     */
+    setSessionStatus(text) {
+        this.setText(this.elements.sessionStatus, text);
+    }
+
+    /**
+     * Mostra a comparação entre sessões (vazio para esconder)
+     * @param {Object|null} comparison - SessionStore.compare
+     */
+    showSessionComparison(comparison) {
+        const container = this.elements.sessionCompare;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        if (!comparison) return;
+        
+        const table = document.createElement('table');
+        const header = table.createTHead().insertRow();
+        for (const title of ['Sessão', 'Tentativas', 'Taxa (IC 95%)', 'Tempo Médio']) {
+            const th = document.createElement('th');
+            th.textContent = title;
+            header.appendChild(th);
+        }
+        
+        const body = table.createTBody();
+        for (const { session, rateCI } of comparison.rows) {
+            const row = body.insertRow();
+            row.insertCell().textContent = session.name;
+            row.insertCell().textContent = session.summary.attempts;
+            row.insertCell().textContent = `${session.summary.successRate}%` +
+                (rateCI ? ` [${rateCI.lower}–${rateCI.upper}]` : '');
+            row.insertCell().textContent = session.summary.captures > 0 ?
+                `${session.summary.avgCaptureTime.toFixed(2)}s` : '-';
+        }
+        container.appendChild(table);
+        
+        if (comparison.test) {
+            const note = document.createElement('p');
+            const significant = comparison.test.pValue < 1 - CONFIG.statistics.confidence;
+            note.textContent = `Diferença de taxa: ${(comparison.test.difference * 100).toFixed(1)} pp ` +
+                `(${Statistics.formatPValue(comparison.test.pValue)}, ${significant ? 'significativa' : 'não significativa'})`;
+            container.appendChild(note);
+        }
+    }
+
+    /**
+     * Mostra/esconde painel do editor de mapas
+     * @param {boolean} show - Se deve mostrar
+     */
+    toggleMapEditorPanel(show) {
+        this.elements.mapEditorPanel.style.display = show ? 'block' : 'none';
+        this.elements.mapEditorBtn.classList.toggle('btn-primary', show);
+        this.elements.mapEditorBtn.classList.toggle('btn-secondary', !show);
+    }
+
+    /**
+     * Sincroniza o painel do editor com o mapa e a ferramenta ativa
+     * @param {ArenaMap} map - Mapa em edição
+     * @param {string} tool - Ferramenta ativa
+     */
+    updateMapEditor(map, tool) {
+        const hints = {
+            rect: 'Arraste para desenhar um retângulo.',
+            circle: 'Arraste do centro para definir o raio.',
+            polygon: 'Clique nos vértices; duplo clique, Enter ou clique no primeiro vértice fecha o polígono.',
+            spawnZone: 'Arraste para criar uma zona onde o Ligeirinho pode surgir.',
+            chaserStart: 'Clique para definir a posição inicial do Frajola.',
+            waypoint: 'Clique para adicionar pontos à rota de patrulha (em ordem).',
+            erase: 'Clique sobre um waypoint, zona ou obstáculo para removê-lo.'
+        };
+
+        if (document.activeElement !== this.elements.mapNameInput) {
+            this.elements.mapNameInput.value = map.name;
+        }
+        this.setText(this.elements.mapEditorHint, hints[tool]);
+
+        this.elements.editorToolButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+
+        this.elements.spawnEdgeInputs.forEach(input => {
+            input.checked = map.spawnEdges.includes(input.value);
+        });
+    }
+
     /**
      * Mostra/esconde painel de debug
      * @param {boolean} show - Se deve mostrar
@@ -293,6 +1019,35 @@ class UIRenderer {
             });
         }
 
+        // Cone Angle
+        if (this.elements.coneAngleSlider) {
+            this.elements.coneAngleSlider.addEventListener('input', (e) => {
+                this.updateSliderValue(e.target, this.elements.coneAngleValue);
+            });
+        }
+
+        // Número de agentes
+        if (this.elements.chaserCountSlider) {
+            this.elements.chaserCountSlider.addEventListener('input', (e) => {
+                this.updateSliderValue(e.target, this.elements.chaserCountValue);
+            });
+        }
+
+        if (this.elements.targetCountSlider) {
+            this.elements.targetCountSlider.addEventListener('input', (e) => {
+                this.updateSliderValue(e.target, this.elements.targetCountValue);
+            });
+        }
+
+        // Pesos da estratégia 'blend'
+        this.elements.blendWeightInputs.forEach(input => {
+            const valueDisplay = [...this.elements.blendWeightValues]
+                .find(value => value.dataset.behavior === input.dataset.behavior);
+            input.addEventListener('input', (e) => {
+                this.updateSliderValue(e.target, valueDisplay);
+            });
+        });
+
         // FPS
         if (this.elements.fpsSlider) {
             this.elements.fpsSlider.addEventListener('input', (e) => {
@@ -0,0 +1,257 @@
+/**
+ * ClipExporter.js
+ * Exporta um trecho de replay como GIF animado ou vídeo WebM
+ * Cada quadro é desenhado pelo Renderer em um canvas próprio e reduzido para a resolução do clipe
+ */
+
+class ClipExporter {
+    /**
+     * Cria um novo exportador
+     * @param {ReplayPlayer} player - Reprodutor com o replay
+     * @param {Object} options - Opções (padrões em CONFIG.clip)
+     * @param {string} options.format - 'gif' ou 'webm'
+     * @param {number} options.start - Primeiro quadro do replay
+     * @param {number} options.end - Último quadro do replay
+     * @param {number} options.fps - Quadros por segundo do clipe
+     * @param {number} options.scale - Fração do tamanho do canvas
+     * @param {Object} options.overlays - Camadas ({ grid, detection, memory, hud })
+     */
+    constructor(player, options = {}) {
+        this.player = player;
+        this.format = options.format || CONFIG.clip.format;
+        if (!ClipExporter.MIME_TYPES[this.format]) {
+            throw new Error(`Formato de vídeo inválido: ${this.format}`);
+        }
+        if (this.format === 'webm' && !ClipExporter.isWebMSupported()) {
+            throw new Error('Este navegador não grava WebM');
+        }
+
+        this.fps = options.fps || CONFIG.clip.fps;
+        this.scale = MathUtils.clamp(options.scale || CONFIG.clip.scale, 0.1, 1);
+        this.overlays = { ...CONFIG.clip.overlays, ...(options.overlays || {}) };
+
+        const last = player.frameCount - 1;
+        this.start = MathUtils.clamp(Math.round(options.start || 0), 0, last);
+        this.end = MathUtils.clamp(Math.round(options.end !== undefined ? options.end : last), this.start, last);
+
+        this.frames = this.getFrameIndices();
+        if (this.frames.length > CONFIG.clip.maxFrames) {
+            throw new Error(`Clipe longo demais: ${this.frames.length} quadros (máximo ${CONFIG.clip.maxFrames}); reduza o intervalo ou o FPS`);
+        }
+
+        this.width = Math.round(CONFIG.canvas.width * this.scale);
+        this.height = Math.round(CONFIG.canvas.height * this.scale);
+
+        // Quadro em tamanho real desenhado pelo Renderer e reduzido para a resolução do clipe
+        this.sourceCanvas = document.createElement('canvas');
+        this.renderer = new Renderer(this.sourceCanvas);
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        this.ctx = this.canvas.getContext('2d');
+
+        // GIF: uma passada rápida por alguns quadros define a paleta antes da codificação
+        this.phase = this.format === 'gif' ? 'palette' : 'encode';
+        this.position = 0;
+        this.paletteFrames = this.getPaletteFrames();
+        this.encoder = this.format === 'gif' ?
+            new GifEncoder(this.width, this.height, { delay: 1000 / this.fps }) :
+            null;
+        this.mediaRecorder = this.format === 'webm' ? this.createMediaRecorder() : null;
+
+        // Posição do reprodutor restaurada ao terminar
+        this.returnFrame = player.frameIndex;
+        this.returnSpeed = player.speed;
+        player.pause();
+        player.speed = 1;
+
+        logger.info('Exportação de clipe iniciada', {
+            format: this.format,
+            frames: this.frames.length,
+            size: `${this.width}x${this.height}`
+        });
+    }
+
+    /**
+     * Verifica se o navegador grava WebM a partir do canvas
+     * @returns {boolean} True se suportado
+     */
+    static isWebMSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+            MediaRecorder.isTypeSupported('video/webm');
+    }
+
+    /**
+     * Quadros do replay exibidos no clipe, amostrados no tempo gravado (1x)
+     * @returns {Array<number>} Índices dos quadros
+     */
+    getFrameIndices() {
+        const ticksPerFrame = this.player.replay.tickRate / this.fps;
+        const indices = [];
+
+        for (let k = 0; ; k++) {
+            const index = this.start + Math.round(k * ticksPerFrame);
+            if (index > this.end) break;
+            indices.push(index);
+        }
+
+        return indices;
+    }
+
+    /**
+     * Quadros usados para montar a paleta do GIF (espalhados pelo intervalo)
+     * @returns {Array<number>} Índices dos quadros
+     */
+    getPaletteFrames() {
+        const count = Math.min(CONFIG.clip.paletteFrames, this.frames.length);
+        const frames = [];
+
+        for (let i = 0; i < count; i++) {
+            frames.push(this.frames[Math.floor(i * this.frames.length / count)]);
+        }
+
+        return frames;
+    }
+
+    /**
+     * Cria o gravador de vídeo sobre o canvas do clipe (quadros enviados manualmente)
+     * @returns {MediaRecorder} Gravador
+     */
+    createMediaRecorder() {
+        this.stream = this.canvas.captureStream(0);
+        this.videoChunks = [];
+
+        const recorder = new MediaRecorder(this.stream, {
+            mimeType: ClipExporter.MIME_TYPES.webm,
+            videoBitsPerSecond: CONFIG.clip.webmBitrate
+        });
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                this.videoChunks.push(event.data);
+            }
+        };
+        recorder.start();
+
+        return recorder;
+    }
+
+    /**
+     * Desenha um quadro do replay no canvas do clipe
+     * @param {number} index - Índice do quadro
+     */
+    renderFrame(index) {
+        this.player.seek(index);
+        this.player.render(this.renderer, this.overlays);
+        this.ctx.drawImage(this.sourceCanvas, 0, 0, this.width, this.height);
+    }
+
+    /**
+     * Processa um quadro (paleta ou codificação)
+     * @returns {boolean} True se ainda há quadros a processar
+     */
+    step() {
+        if (this.phase === 'palette') {
+            this.renderFrame(this.paletteFrames[this.position]);
+            this.encoder.addPaletteSample(this.ctx.getImageData(0, 0, this.width, this.height).data, CONFIG.clip.paletteSampleStep);
+
+            this.position++;
+            if (this.position >= this.paletteFrames.length) {
+                this.phase = 'encode';
+                this.position = 0;
+            }
+            return true;
+        }
+
+        if (this.phase === 'encode') {
+            this.renderFrame(this.frames[this.position]);
+            if (this.encoder) {
+                this.encoder.addFrame(this.ctx.getImageData(0, 0, this.width, this.height).data);
+            } else {
+                this.stream.getVideoTracks()[0].requestFrame();
+            }
+
+            this.position++;
+            if (this.position >= this.frames.length) {
+                this.phase = 'done';
+            }
+        }
+
+        return this.phase !== 'done';
+    }
+
+    /**
+     * Intervalo entre chamadas de step() (o WebM é gravado em tempo real)
+     * @returns {number} Milissegundos
+     */
+    getFrameDelay() {
+        return this.format === 'webm' ? 1000 / this.fps : 0;
+    }
+
+    /**
+     * Progresso da exportação
+     * @returns {Object} { phase, current, total }
+     */
+    getProgress() {
+        return {
+            phase: this.phase,
+            current: this.phase === 'done' ? this.frames.length : this.position,
+            total: this.phase === 'palette' ? this.paletteFrames.length : this.frames.length
+        };
+    }
+
+    /**
+     * Encerra a exportação e restaura o reprodutor
+     * @returns {Promise<Blob>} Arquivo do clipe
+     */
+    finish() {
+        this.restorePlayer();
+
+        if (this.encoder) {
+            const bytes = this.encoder.finish();
+            logger.info('Clipe exportado', { format: this.format, frames: this.frames.length, bytes: bytes.length });
+            return Promise.resolve(new Blob([bytes], { type: ClipExporter.MIME_TYPES.gif }));
+        }
+
+        return new Promise((resolve) => {
+            this.mediaRecorder.onstop = () => {
+                const blob = new Blob(this.videoChunks, { type: ClipExporter.MIME_TYPES.webm });
+                logger.info('Clipe exportado', { format: this.format, frames: this.frames.length, bytes: blob.size });
+                resolve(blob);
+            };
+            this.mediaRecorder.stop();
+        });
+    }
+
+    /**
+     * Cancela a exportação e restaura o reprodutor
+     */
+    cancel() {
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.stop();
+        }
+        this.restorePlayer();
+
+        logger.info('Exportação de clipe cancelada');
+    }
+
+    /**
+     * Volta o reprodutor ao quadro e à velocidade anteriores à exportação
+     */
+    restorePlayer() {
+        this.player.speed = this.returnSpeed;
+        this.player.seek(this.returnFrame);
+    }
+}
+
+// Tipos MIME por formato
+ClipExporter.MIME_TYPES = {
+    gif: 'image/gif',
+    webm: 'video/webm'
+};
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClipExporter;
+}
@@ -0,0 +1,226 @@
+/**
+ * EpisodeRecorder.js
+ * Grava o estado de cada passo da simulação em um replay compacto
+ * Posições, velocidades, detecção, estado da estratégia e memória de cada agente, sem dependência de DOM
+ */
+
+class EpisodeRecorder {
+    /**
+     * Cria um novo gravador
+     */
+    constructor() {
+        this.recording = false;
+        this.replay = null;
+        this.lastAgents = null; // lista de Frajolas do último passo (nova lista = nova tentativa)
+        this.lastMap = null; // mapa serializado da última tentativa gravada
+    }
+
+    /**
+     * Inicia uma gravação
+     * @param {SimulationCore} core - Núcleo da simulação
+     */
+    start(core) {
+        this.replay = {
+            version: EpisodeRecorder.VERSION,
+            createdAt: new Date().toISOString(),
+            tickRate: core.tickRate,
+            seed: core.seed,
+            fields: EpisodeRecorder.FIELDS,
+            episodes: [],
+            frames: []
+        };
+        this.recording = true;
+        this.lastAgents = null;
+        this.lastMap = null;
+
+        logger.info('Gravação iniciada', { seed: core.seed, tickRate: core.tickRate });
+    }
+
+    /**
+     * Encerra a gravação
+     * @returns {Object|null} Replay gravado (null se nada foi gravado)
+     */
+    stop() {
+        this.recording = false;
+
+        logger.info('Gravação encerrada', {
+            episodes: this.replay ? this.replay.episodes.length : 0,
+            frames: this.replay ? this.replay.frames.length : 0
+        });
+
+        return this.replay && this.replay.frames.length > 0 ? this.replay : null;
+    }
+
+    /**
+     * Registra o passo atual (chamar após core.step())
+     * @param {SimulationCore} core - Núcleo da simulação
+     */
+    capture(core) {
+        if (!this.recording) return;
+
+        if (core.frajolas !== this.lastAgents) {
+            this.beginEpisode(core);
+        }
+
+        const episode = this.replay.episodes[this.replay.episodes.length - 1];
+        const frame = {
+            e: this.replay.episodes.length - 1,
+            t: MathUtils.round(core.episodeTime, 3),
+            c: core.frajolas.map(frajola => EpisodeRecorder.captureChaser(frajola)),
+            l: core.ligeirinhos.map(ligeirinho => EpisodeRecorder.captureTarget(ligeirinho))
+        };
+
+        // Campos vazios são omitidos para manter o arquivo pequeno
+        const memories = core.blackboard.getMemories();
+        if (memories.length > 0) {
+            frame.m = memories.map(memory => EpisodeRecorder.captureMemory(memory));
+        }
+
+        if (core.stepEvents.length > 0) {
+            frame.v = core.stepEvents.map(event => [event.type, event.chaserIndex, event.targetIndex]);
+        }
+
+        if (core.episodeOutcome) {
+            episode.outcome = core.episodeOutcome;
+        }
+
+        this.replay.frames.push(frame);
+    }
+
+    /**
+     * Abre uma nova tentativa no replay
+     * O mapa só é guardado quando muda em relação à tentativa anterior
+     * @param {SimulationCore} core - Núcleo da simulação
+     */
+    beginEpisode(core) {
+        const map = JSON.stringify(core.map.toJSON());
+        const episode = {
+            seed: core.episodeSeed,
+            startFrame: this.replay.frames.length,
+            strategy: core.currentStrategy,
+            targetBehavior: core.currentBehavior,
+            detection: {
+                method: core.config.detectionMethod,
+                coneAngle: core.config.coneAngle,
+                sensitivity: core.config.detectionSensitivity
+            },
+            chasers: core.frajolas.length,
+            targets: core.ligeirinhos.length,
+            outcome: null
+        };
+
+        if (map !== this.lastMap) {
+            episode.map = JSON.parse(map);
+            this.lastMap = map;
+        }
+
+        this.replay.episodes.push(episode);
+        this.lastAgents = core.frajolas;
+    }
+
+    /**
+     * Estado de um Frajola (na ordem de FIELDS.chaser; aimX/aimY só com ponto visado)
+     * @param {Frajola} frajola - Perseguidor
+     * @returns {Array} Estado compacto
+     */
+    static captureChaser(frajola) {
+        const strategy = frajola.strategy;
+        const aimPoint = strategy && strategy.aimPoint;
+
+        const state = [
+            MathUtils.round(frajola.position.x, 1),
+            MathUtils.round(frajola.position.y, 1),
+            MathUtils.round(frajola.velocity.x, 3),
+            MathUtils.round(frajola.velocity.y, 3),
+            frajola.targetDetected ? 1 : 0,
+            frajola.target ? frajola.target.index : -1,
+            EpisodeRecorder.getStrategyState(strategy)
+        ];
+
+        if (aimPoint) {
+            state.push(MathUtils.round(aimPoint.x, 1), MathUtils.round(aimPoint.y, 1));
+        }
+
+        return state;
+    }
+
+    /**
+     * Estado de um Ligeirinho (na ordem de FIELDS.target)
+     * @param {Ligeirinho} ligeirinho - Alvo
+     * @returns {Array} Estado compacto
+     */
+    static captureTarget(ligeirinho) {
+        return [
+            MathUtils.round(ligeirinho.position.x, 1),
+            MathUtils.round(ligeirinho.position.y, 1),
+            MathUtils.round(ligeirinho.velocity.x, 3),
+            MathUtils.round(ligeirinho.velocity.y, 3),
+            ligeirinho.active ? 1 : 0
+        ];
+    }
+
+    /**
+     * Última posição conhecida de um alvo (na ordem de FIELDS.memory)
+     * @param {Object} memory - Memória (Blackboard.recall)
+     * @returns {Array} Estado compacto
+     */
+    static captureMemory(memory) {
+        return [
+            memory.target.index,
+            MathUtils.round(memory.position.x, 1),
+            MathUtils.round(memory.position.y, 1),
+            MathUtils.round(memory.velocity.x, 3),
+            MathUtils.round(memory.velocity.y, 3),
+            MathUtils.round(memory.confidence, 3)
+        ];
+    }
+
+    /**
+     * Resumo do estado interno de uma estratégia
+     * Máquina de estados (ex: 'search.sweep'), caminho ativo da árvore ou papel na matilha
+     * @param {Strategy} strategy - Estratégia
+     * @returns {string} Estado ('' se a estratégia não tem estado)
+     */
+    static getStrategyState(strategy) {
+        if (!strategy) return '';
+        if (strategy.machine) return strategy.machine.getStatePath();
+        if (strategy.tree) return strategy.getActivePath() || '';
+        if (strategy.role) return strategy.role;
+        return '';
+    }
+
+    /**
+     * Grava uma tentativa completa no núcleo headless
+     * @param {SimulationCore} core - Núcleo da simulação
+     * @param {number} maxSteps - Limite de passos
+     * @returns {Object} Replay da tentativa
+     */
+    static recordEpisode(core, maxSteps = CONFIG.simulation.maxEpisodeSteps) {
+        const recorder = new EpisodeRecorder();
+        recorder.start(core);
+        core.startEpisode();
+
+        for (let i = 0; i < maxSteps; i++) {
+            const outcome = core.step();
+            recorder.capture(core);
+            if (outcome) break;
+        }
+
+        return recorder.stop();
+    }
+}
+
+// Campos de cada agente nos quadros gravados
+EpisodeRecorder.FIELDS = {
+    chaser: ['x', 'y', 'vx', 'vy', 'detected', 'target', 'state', 'aimX', 'aimY'],
+    target: ['x', 'y', 'vx', 'vy', 'active'],
+    memory: ['target', 'x', 'y', 'vx', 'vy', 'confidence']
+};
+
+// Versão do formato JSON
+EpisodeRecorder.VERSION = 1;
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EpisodeRecorder;
+}
@@ -0,0 +1,304 @@
+/**
+ * ReplayPlayer.js
+ * Reproduz um replay gravado pelo EpisodeRecorder
+ * Aplica o estado de cada quadro a agentes de exibição e desenha pelo Renderer, sem executar física
+ */
+
+class ReplayPlayer {
+    /**
+     * Cria um novo reprodutor
+     * @param {string|Object} replay - Replay (JSON ou objeto)
+     */
+    constructor(replay) {
+        this.replay = ReplayPlayer.parse(replay);
+        this.frameIndex = 0;
+        this.playing = false;
+        this.speed = 1;
+        this.accumulator = 0; // quadros ainda não exibidos (fração)
+
+        // Cena de exibição da tentativa atual
+        this.episodeIndex = -1;
+        this.chasers = [];
+        this.targets = [];
+        this.memories = [];
+        this.memoryView = { getMemories: () => this.memories }; // interface do Blackboard usada pelo Renderer
+        this.obstacleSystem = new ObstacleSystem();
+        this.detectionSystem = new DetectionSystem();
+
+        this.seek(0);
+
+        logger.info('Replay carregado', {
+            episodes: this.replay.episodes.length,
+            frames: this.replay.frames.length
+        });
+    }
+
+    /**
+     * Converte e valida um replay
+     * @param {string|Object} json - String JSON ou objeto já convertido
+     * @returns {Object} Replay
+     */
+    static parse(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (!data || !Array.isArray(data.frames) || !Array.isArray(data.episodes)) {
+            throw new Error('Replay inválido');
+        }
+
+        if (data.version !== undefined && data.version > EpisodeRecorder.VERSION) {
+            throw new Error(`Versão de replay não suportada: ${data.version}`);
+        }
+
+        if (data.frames.length === 0 || data.episodes.length === 0) {
+            throw new Error('Replay sem quadros');
+        }
+
+        // Usado na reprodução e na exportação de clipes
+        if (!(Number.isFinite(data.tickRate) && data.tickRate > 0)) {
+            throw new Error('Replay inválido');
+        }
+
+        // Cada quadro aponta para uma tentativa existente, com um estado por agente da tentativa
+        const validEpisode = episode => episode && episode.detection &&
+            Number.isInteger(episode.chasers) && Number.isInteger(episode.targets);
+        const validStates = (states, count, fields) => Array.isArray(states) && states.length === count &&
+            states.every(state => Array.isArray(state) && state.length >= fields);
+
+        if (!data.episodes.every(validEpisode)) {
+            throw new Error('Replay inválido');
+        }
+
+        // Mapas são carregados só ao entrar na tentativa: validar todos agora
+        data.episodes.forEach(episode => episode.map && ArenaMap.fromJSON(episode.map));
+
+        for (const frame of data.frames) {
+            const episode = Number.isInteger(frame.e) && frame.e >= 0 ? data.episodes[frame.e] : undefined;
+            if (!episode ||
+                !validStates(frame.c, episode.chasers, ReplayPlayer.MIN_CHASER_FIELDS) ||
+                !validStates(frame.l, episode.targets, EpisodeRecorder.FIELDS.target.length)) {
+                throw new Error('Replay inválido');
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Número de quadros do replay
+     * @returns {number} Quadros
+     */
+    get frameCount() {
+        return this.replay.frames.length;
+    }
+
+    /**
+     * Quadro atual
+     * @returns {Object} Quadro
+     */
+    get frame() {
+        return this.replay.frames[this.frameIndex];
+    }
+
+    /**
+     * Tentativa do quadro atual
+     * @returns {Object} Tentativa ({ seed, startFrame, strategy, targetBehavior, detection, outcome })
+     */
+    get episode() {
+        return this.replay.episodes[this.frame.e];
+    }
+
+    /**
+     * Vai para um quadro
+     * @param {number} index - Índice do quadro (limitado ao replay)
+     */
+    seek(index) {
+        this.frameIndex = MathUtils.clamp(Math.round(index), 0, this.frameCount - 1);
+
+        if (this.frame.e !== this.episodeIndex) {
+            this.loadEpisode(this.frame.e);
+        }
+
+        this.applyFrame(this.frame);
+    }
+
+    /**
+     * Avança um quadro
+     */
+    stepForward() {
+        this.seek(this.frameIndex + 1);
+    }
+
+    /**
+     * Volta um quadro
+     */
+    stepBack() {
+        this.seek(this.frameIndex - 1);
+    }
+
+    /**
+     * Inicia a reprodução (recomeça do início se estiver no fim)
+     */
+    play() {
+        if (this.frameIndex >= this.frameCount - 1) {
+            this.seek(0);
+        }
+        this.playing = true;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Pausa a reprodução
+     */
+    pause() {
+        this.playing = false;
+    }
+
+    /**
+     * Define a velocidade de reprodução
+     * @param {number} speed - Multiplicador em relação ao tempo real gravado
+     */
+    setSpeed(speed) {
+        this.speed = MathUtils.clamp(speed, CONFIG.replay.minSpeed, CONFIG.replay.maxSpeed);
+    }
+
+    /**
+     * Avança a reprodução pelo tempo real decorrido
+     * @param {number} deltaSeconds - Tempo real desde a última chamada
+     * @returns {boolean} True se o quadro mudou
+     */
+    update(deltaSeconds) {
+        if (!this.playing) return false;
+
+        this.accumulator += deltaSeconds * this.speed * this.replay.tickRate;
+        const frames = Math.floor(this.accumulator);
+        if (frames === 0) return false;
+
+        this.accumulator -= frames;
+        this.seek(this.frameIndex + frames);
+
+        if (this.frameIndex >= this.frameCount - 1) {
+            this.pause();
+        }
+
+        return true;
+    }
+
+    /**
+     * Monta a cena de uma tentativa: agentes, obstáculos e modelo de detecção
+     * @param {number} index - Índice da tentativa
+     */
+    loadEpisode(index) {
+        const episode = this.replay.episodes[index];
+
+        // Mapa guardado somente quando mudou: usar o da tentativa mais recente que o tenha
+        const mapEpisode = this.replay.episodes.slice(0, index + 1).reverse().find(entry => entry.map);
+        const map = mapEpisode ? ArenaMap.fromJSON(mapEpisode.map) : new ArenaMap();
+        this.obstacleSystem.loadLayout(map.obstacles);
+        this.detectionSystem.setObstacles(this.obstacleSystem.obstacles);
+        this.detectionSystem.setDetectionMethod(episode.detection.method);
+        this.detectionSystem.setConeAngle(episode.detection.coneAngle);
+        this.detectionSystem.setSensitivity(episode.detection.sensitivity);
+
+        this.targets = [];
+        for (let i = 0; i < episode.targets; i++) {
+            const ligeirinho = new Ligeirinho(0, 0);
+            ligeirinho.index = i;
+            this.targets.push(ligeirinho);
+        }
+
+        this.chasers = [];
+        for (let i = 0; i < episode.chasers; i++) {
+            const frajola = new Frajola(0, 0);
+            frajola.index = i;
+            frajola.strategy = { name: episode.strategy, state: '', role: null, aimPoint: null };
+            this.chasers.push(frajola);
+        }
+
+        this.episodeIndex = index;
+    }
+
+    /**
+     * Copia o estado gravado para os agentes de exibição
+     * @param {Object} frame - Quadro
+     */
+    applyFrame(frame) {
+        frame.l.forEach(([x, y, vx, vy, active], i) => {
+            const ligeirinho = this.targets[i];
+            ligeirinho.position.set(x, y);
+            ligeirinho.velocity.set(vx, vy);
+            ligeirinho.active = active === 1;
+        });
+
+        frame.c.forEach(([x, y, vx, vy, detected, target, state, aimX, aimY], i) => {
+            const frajola = this.chasers[i];
+            frajola.position.set(x, y);
+            frajola.velocity.set(vx, vy);
+            frajola.targetDetected = detected === 1;
+            frajola.target = target >= 0 ? this.targets[target] : null;
+            frajola.strategy.state = state;
+
+            // Papel e ponto visado só são desenhados na caça em matilha
+            const packRole = this.episode.strategy === 'pack' && aimX !== undefined;
+            frajola.strategy.role = packRole ? state : null;
+            frajola.strategy.aimPoint = packRole ? new Vector2D(aimX, aimY) : null;
+        });
+
+        this.memories = (frame.m || []).map(([target, x, y, vx, vy, confidence]) => ({
+            target: this.targets[target],
+            position: new Vector2D(x, y),
+            velocity: new Vector2D(vx, vy),
+            confidence
+        }));
+    }
+
+    /**
+     * Verifica se houve captura no quadro atual
+     * @returns {boolean} True se houve captura
+     */
+    isCaptureFrame() {
+        return (this.frame.v || []).some(([type]) => type === 'capture');
+    }
+
+    /**
+     * Desenha o quadro atual
+     * @param {Renderer} renderer - Renderer do canvas
+     * @param {Object} overlays - Camadas opcionais ({ grid, detection, memory, hud }; todas ativas por padrão)
+     */
+    render(renderer, overlays = {}) {
+        const showGrid = renderer.showGrid;
+        const heatmapLayer = renderer.heatmapLayer;
+        renderer.showGrid = showGrid && overlays.grid !== false;
+        renderer.heatmapLayer = null; // o mapa de calor é da sessão, não do replay
+
+        renderer.render(
+            this.targets,
+            this.chasers,
+            overlays.detection !== false ? this.detectionSystem : null,
+            this.isCaptureFrame(),
+            this.obstacleSystem.obstacles,
+            overlays.memory !== false ? this.memoryView : null
+        );
+        renderer.showGrid = showGrid;
+        renderer.heatmapLayer = heatmapLayer;
+
+        if (overlays.hud !== false) {
+            renderer.drawReplayOverlay(this);
+        }
+    }
+
+    /**
+     * Serializa o replay para JSON
+     * @returns {string} Replay
+     */
+    toJSON() {
+        return JSON.stringify(this.replay);
+    }
+}
+
+// Campos obrigatórios de cada Frajola (aimX/aimY são opcionais)
+ReplayPlayer.MIN_CHASER_FIELDS = EpisodeRecorder.FIELDS.chaser.length - 2;
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReplayPlayer;
+}
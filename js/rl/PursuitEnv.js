@@ -0,0 +1,276 @@
+/**
+ * PursuitEnv.js
+ * Ambiente de aprendizado por reforço no estilo Gym em torno do SimulationCore
+ * O agente controla o primeiro Frajola: reset(seed) inicia um episódio e step(action) avança a simulação
+ */
+
+class PursuitEnv {
+    /**
+     * Cria um novo ambiente
+     * Demais opções são repassadas ao SimulationCore (estratégia fixada em 'external');
+     * com mais de um Frajola, os extras recebem a mesma estratégia e ficam parados
+     * @param {Object} options - Opções
+     * @param {string} options.actionType - 'continuous' ([ax, ay] em [-1, 1]) ou 'discrete' (0 a 8)
+     * @param {number} options.frameSkip - Passos de simulação por ação
+     * @param {number} options.maxSteps - Ações por episódio antes de truncar
+     * @param {boolean} options.maskUndetected - Zera os dados do alvo quando não detectado
+     * @param {Object} options.rewards - Substitui valores de CONFIG.rl.rewards
+     */
+    constructor(options = {}) {
+        const { actionType, frameSkip, maxSteps, maskUndetected, rewards, ...coreOptions } = options;
+
+        this.actionType = actionType || CONFIG.rl.actionType;
+        if (!['continuous', 'discrete'].includes(this.actionType)) {
+            throw new Error(`Tipo de ação inválido: ${this.actionType}`);
+        }
+
+        this.frameSkip = frameSkip || CONFIG.rl.frameSkip;
+        this.maxSteps = maxSteps || CONFIG.rl.maxSteps;
+        this.maskUndetected = maskUndetected !== undefined ? maskUndetected : CONFIG.rl.maskUndetected;
+        this.rewards = { ...CONFIG.rl.rewards, ...(rewards || {}) };
+
+        this.core = new SimulationCore({ ...coreOptions, strategy: 'external' });
+
+        this.observationSpace = {
+            shape: [PursuitEnv.OBSERVATION_NAMES.length],
+            names: PursuitEnv.OBSERVATION_NAMES
+        };
+        this.actionSpace = this.actionType === 'discrete' ?
+            { type: 'discrete', n: PursuitEnv.DISCRETE_DIRECTIONS + 1 } :
+            { type: 'box', shape: [2], low: -1, high: 1 };
+
+        this.steps = 0;
+        this.episodeReward = 0;
+        this.done = true; // exige reset() antes do primeiro step()
+        this.lastTarget = null;
+        this.lastDistance = null;
+
+        logger.info('Ambiente de RL inicializado', {
+            actionType: this.actionType,
+            frameSkip: this.frameSkip,
+            maxSteps: this.maxSteps
+        });
+    }
+
+    /**
+     * Frajola controlado pelo agente
+     * @returns {Frajola} Perseguidor
+     */
+    get chaser() {
+        return this.core.frajola;
+    }
+
+    /**
+     * Monta o vetor de observação de um Frajola (entradas de NeuralStrategy, na ordem de OBSERVATION_NAMES)
+     * Uma política treinada com inputs = PursuitEnv.OBSERVATION_NAMES recebe os mesmos valores na NeuralStrategy
+     * @param {Frajola} chaser - Perseguidor
+     * @param {Ligeirinho} target - Alvo (null = sem alvo)
+     * @param {boolean} targetDetected - Se o alvo foi detectado
+     * @param {boolean} maskUndetected - Zera os dados do alvo quando não detectado
+     * @returns {Array<number>} Observação
+     */
+    static buildObservation(chaser, target, targetDetected, maskUndetected = false) {
+        return NeuralStrategy.buildInputs(chaser, target, targetDetected, PursuitEnv.OBSERVATION_NAMES, maskUndetected);
+    }
+
+    /**
+     * Converte uma ação do agente em força de steering
+     * @param {Array<number>|number} action - [ax, ay] (contínua) ou índice da direção (discreta)
+     * @returns {Vector2D} Força de steering
+     */
+    decodeAction(action) {
+        const maxForce = this.chaser.maxForce;
+
+        if (this.actionType === 'discrete') {
+            if (!Number.isInteger(action) || action < 0 || action > PursuitEnv.DISCRETE_DIRECTIONS) {
+                throw new Error(`Ação discreta inválida: ${action}`);
+            }
+
+            // 0 = sem força; 1 a 8 = direções a cada 45°, começando pela direita
+            return action === 0 ?
+                new Vector2D(0, 0) :
+                Vector2D.fromAngle((action - 1) * Math.PI * 2 / PursuitEnv.DISCRETE_DIRECTIONS, maxForce);
+        }
+
+        if (!Array.isArray(action) || action.length !== 2 || !action.every(Number.isFinite)) {
+            throw new Error('Ação contínua inválida: esperado [ax, ay]');
+        }
+
+        return new Vector2D(
+            MathUtils.clamp(action[0], -1, 1),
+            MathUtils.clamp(action[1], -1, 1)
+        ).limit(1).multiply(maxForce);
+    }
+
+    /**
+     * Inicia um novo episódio
+     * @param {number|null} seed - Semente da sessão (null mantém a sequência atual de episódios)
+     * @returns {Array<number>} Observação inicial
+     */
+    reset(seed = null) {
+        if (seed !== null && seed !== undefined) {
+            this.core.seedSession(seed);
+        }
+
+        this.core.startEpisode();
+        this.steps = 0;
+        this.episodeReward = 0;
+        this.done = false;
+        this.lastTarget = this.chaser.target;
+        this.lastDistance = this.getTargetDistance();
+
+        return this.observe();
+    }
+
+    /**
+     * Aplica uma ação e avança frameSkip passos de simulação
+     * @param {Array<number>|number} action - Ação (ver decodeAction); ignorada se o Frajola usa outra estratégia
+     * @returns {Object} { observation, reward, done, info }
+     */
+    step(action) {
+        if (this.done) {
+            throw new Error('Episódio encerrado: chame reset() antes de step()');
+        }
+
+        if (this.chaser.strategy && this.chaser.strategy.setAction) {
+            this.chaser.strategy.setAction(this.decodeAction(action));
+        }
+
+        let reward = 0;
+        let outcome = null;
+
+        for (let i = 0; i < this.frameSkip && !outcome; i++) {
+            outcome = this.core.step();
+            reward += this.computeReward();
+        }
+
+        this.steps++;
+        this.episodeReward += reward;
+
+        const truncated = !outcome && this.steps >= this.maxSteps;
+        this.done = Boolean(outcome) || truncated;
+
+        return {
+            observation: this.observe(),
+            reward,
+            done: this.done,
+            info: {
+                outcome: outcome || (truncated ? 'timeout' : null),
+                truncated,
+                steps: this.steps,
+                episodeReward: this.episodeReward,
+                captures: this.core.episodeCaptures,
+                targetDetected: this.chaser.targetDetected,
+                distance: this.lastDistance,
+                episodeSeed: this.core.episodeSeed
+            }
+        };
+    }
+
+    /**
+     * Recompensa do último passo de simulação
+     * Captura e fuga vêm dos eventos do núcleo (CollisionDetector.checkCapture e Ligeirinho.hasEscaped)
+     * @returns {number} Recompensa
+     */
+    computeReward() {
+        let reward = this.rewards.step;
+
+        for (const event of this.core.stepEvents) {
+            if (event.type === 'capture' && event.chaserIndex === this.chaser.index) {
+                reward += this.rewards.capture;
+            } else if (event.type === 'escape') {
+                reward += this.rewards.escape;
+            }
+        }
+
+        // Aproximação só conta enquanto o alvo é o mesmo (sem saltos na troca de alvo)
+        const distance = this.getTargetDistance();
+        if (this.chaser.target === this.lastTarget && distance !== null && this.lastDistance !== null) {
+            reward += (this.lastDistance - distance) * this.rewards.approach;
+        }
+        this.lastTarget = this.chaser.target;
+        this.lastDistance = distance;
+
+        return reward;
+    }
+
+    /**
+     * Distância do Frajola controlado ao seu alvo ativo
+     * @returns {number|null} Distância em px, ou null sem alvo ativo
+     */
+    getTargetDistance() {
+        const target = this.chaser.target;
+        return target && target.active ? this.chaser.distanceTo(target) : null;
+    }
+
+    /**
+     * Observação atual do Frajola controlado
+     * @returns {Array<number>} Observação
+     */
+    observe() {
+        const target = this.chaser.target && this.chaser.target.active ? this.chaser.target : null;
+        return PursuitEnv.buildObservation(this.chaser, target, this.chaser.targetDetected, this.maskUndetected);
+    }
+
+    /**
+     * Avalia uma política (ou estratégia pronta) em vários episódios com as mesmas recompensas
+     * @param {Function|string} policy - (observation, env) => ação, ou nome de estratégia do núcleo
+     * @param {number} episodes - Número de episódios
+     * @param {number|null} seed - Semente da sessão (mesma semente = mesmos episódios)
+     * @returns {Object} { episodes, captures, escapes, timeouts, captureRate, meanReward, meanSteps }
+     */
+    evaluate(policy, episodes = 100, seed = null) {
+        const builtIn = typeof policy === 'string';
+        if (builtIn && !this.core.setStrategy(policy)) {
+            throw new Error(`Estratégia não encontrada: ${policy}`);
+        }
+
+        const totals = { episodes, captures: 0, escapes: 0, timeouts: 0, reward: 0, steps: 0 };
+
+        try {
+            for (let episode = 0; episode < episodes; episode++) {
+                let observation = this.reset(episode === 0 ? seed : null);
+                let result = null;
+
+                while (!this.done) {
+                    result = this.step(builtIn ? null : policy(observation, this));
+                    observation = result.observation;
+                }
+
+                const outcome = result.info.outcome;
+                totals[outcome === 'capture' ? 'captures' : outcome === 'escape' ? 'escapes' : 'timeouts']++;
+                totals.reward += this.episodeReward;
+                totals.steps += this.steps;
+            }
+        } finally {
+            if (builtIn) {
+                this.core.setStrategy('external');
+            }
+        }
+
+        return {
+            episodes,
+            captures: totals.captures,
+            escapes: totals.escapes,
+            timeouts: totals.timeouts,
+            captureRate: episodes > 0 ? totals.captures / episodes : 0,
+            meanReward: episodes > 0 ? totals.reward / episodes : 0,
+            meanSteps: episodes > 0 ? totals.steps / episodes : 0
+        };
+    }
+}
+
+// Componentes do vetor de observação
+PursuitEnv.OBSERVATION_NAMES = [
+    'chaserX', 'chaserY', 'chaserVelX', 'chaserVelY',
+    'targetX', 'targetY', 'targetVelX', 'targetVelY',
+    'relativeX', 'relativeY', 'distance', 'targetDetected'
+];
+
+// Direções das ações discretas (além da ação 0, sem força)
+PursuitEnv.DISCRETE_DIRECTIONS = 8;
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PursuitEnv;
+}
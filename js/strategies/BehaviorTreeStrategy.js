@@ -0,0 +1,89 @@
+/**
+ * BehaviorTreeStrategy.js
+ * Estratégia guiada por uma árvore de comportamento
+ * A árvore é definida em JSON (CONFIG.behaviorTrees ou arquivo carregado)
+ */
+
+class BehaviorTreeStrategy extends Strategy {
+    /**
+     * Cria uma nova estratégia a partir da definição de uma árvore
+     * @param {string|Object} definition - Definição JSON da árvore
+     */
+    constructor(definition) {
+        const tree = BehaviorTree.fromJSON(definition);
+
+        super(tree.name, tree.description);
+
+        this.tree = tree;
+        this.blackboard = null;
+    }
+
+    /**
+     * Define a memória compartilhada (condição targetRemembered, ação seekLastKnown)
+     * @param {Blackboard} blackboard - Memória compartilhada
+     */
+    setBlackboard(blackboard) {
+        this.blackboard = blackboard;
+    }
+
+    /**
+     * Calcula a força de steering executando a árvore
+     * @param {Frajola} chaser - Agente perseguidor
+     * @param {Ligeirinho} target - Agente alvo
+     * @param {boolean} targetDetected - Se o alvo foi detectado
+     * @param {number} deltaTime - Passo em frames de referência
+     * @returns {Vector2D} Força de steering a aplicar
+     */
+    calculate(chaser, target, targetDetected, deltaTime = 1) {
+        if (!this.active || !target) {
+            return new Vector2D(0, 0);
+        }
+
+        const context = {
+            chaser,
+            target,
+            targetDetected,
+            memory: this.blackboard ? this.blackboard.recall(target) : null,
+            deltaTime
+        };
+
+        this.tree.tick(context, deltaTime);
+
+        logger.strategy(`BehaviorTreeStrategy: ${this.getActivePath()}`, {
+            status: this.tree.lastStatus
+        });
+
+        return context.steering || new Vector2D(0, 0);
+    }
+
+    /**
+     * Caminho ativo da árvore no último passo
+     * @returns {string} Rótulos separados por ' > '
+     */
+    getActivePath() {
+        return this.tree.getActivePath().map(node => node.getLabel()).join(' > ');
+    }
+
+    /**
+     * Retorna informações específicas da estratégia
+     * @returns {Object} Informações da estratégia
+     */
+    getInfo() {
+        return {
+            ...super.getInfo(),
+            type: 'Behavior Tree',
+            complexity: 'Variable',
+            computationalCost: 'Low-Medium',
+            effectiveness: 'Depends on the tree',
+            nodes: this.tree.getNodes().length,
+            activePath: this.getActivePath(),
+            bestFor: 'Authoring and comparing custom chaser AI',
+            weaknesses: 'Re-evaluated from the root every step'
+        };
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BehaviorTreeStrategy;
+}
@@ -0,0 +1,237 @@
+/**
+ * BlendedStrategy.js
+ * Estratégia composta por múltiplas forças de steering
+ * Cada comportamento tem peso e prioridade; a arbitragem pode ser soma ponderada ou por prioridade
+ */
+
+class BlendedStrategy extends Strategy {
+    /**
+     * Cria uma nova estratégia composta
+     */
+    constructor() {
+        super(
+            CONFIG.strategies.blend.name,
+            CONFIG.strategies.blend.description
+        );
+
+        this.settings = BlendedStrategy.createSettings(); // substituído pelo ajuste compartilhado em setBlendSettings
+        this.obstacleSystem = null;
+        this.peers = []; // Frajolas da tentativa (separação)
+        this.wanderAngle = 0;
+        this.forces = {}; // contribuição de cada comportamento no último passo (visualização)
+    }
+
+    /**
+     * Cria os ajustes padrão (pesos, prioridades e arbitragem) a partir de CONFIG
+     * @returns {Object} { arbitration, behaviors: { nome: { weight, priority } } }
+     */
+    static createSettings() {
+        const behaviors = {};
+        for (const [name, behavior] of Object.entries(CONFIG.strategies.blend.behaviors)) {
+            behaviors[name] = { weight: behavior.weight, priority: behavior.priority };
+        }
+
+        return {
+            arbitration: CONFIG.strategies.blend.arbitration,
+            behaviors
+        };
+    }
+
+    /**
+     * Define os ajustes compartilhados (editados pelo painel de configurações)
+     * @param {Object} settings - Ajustes ({ arbitration, behaviors })
+     */
+    setBlendSettings(settings) {
+        this.settings = settings;
+    }
+
+    /**
+     * Define o sistema de obstáculos usado no desvio
+     * @param {ObstacleSystem} obstacleSystem - Sistema de obstáculos
+     */
+    setObstacleSystem(obstacleSystem) {
+        this.obstacleSystem = obstacleSystem;
+    }
+
+    /**
+     * Define os Frajolas dos quais se separar
+     * @param {Array<Frajola>} peers - Frajolas da tentativa
+     */
+    setPeers(peers) {
+        this.peers = peers;
+    }
+
+    /**
+     * Calcula a força de steering combinando os comportamentos ativos
+     * @param {Frajola} chaser - Agente perseguidor
+     * @param {Ligeirinho} target - Agente alvo
+     * @param {boolean} targetDetected - Se o alvo foi detectado
+     * @returns {Vector2D} Força de steering a aplicar
+     */
+    calculate(chaser, target, targetDetected) {
+        this.forces = {};
+
+        if (!this.active || !target) {
+            return new Vector2D(0, 0);
+        }
+
+        const context = { chaser, target, targetDetected, strategy: this };
+
+        // Comportamentos com peso zero ficam desligados (nem são calculados)
+        const behaviors = Object.keys(BlendedStrategy.BEHAVIORS)
+            .filter(name => this.settings.behaviors[name].weight > 0)
+            .map(name => ({
+                name,
+                ...this.settings.behaviors[name],
+                force: BlendedStrategy.BEHAVIORS[name](context)
+            }));
+
+        const steering = this.settings.arbitration === 'priority' ?
+            this.arbitratePriority(behaviors, chaser.maxForce) :
+            this.arbitrateWeighted(behaviors, chaser.maxForce);
+
+        logger.strategy(`BlendedStrategy: ${this.settings.arbitration}`, {
+            chaserId: chaser.id,
+            active: Object.keys(this.forces).join(', ')
+        });
+
+        return steering;
+    }
+
+    /**
+     * Soma ponderada das forças, limitada à força máxima
+     * @param {Array<Object>} behaviors - Comportamentos ativos ({ name, weight, force })
+     * @param {number} maxForce - Força máxima
+     * @returns {Vector2D} Força resultante
+     */
+    arbitrateWeighted(behaviors, maxForce) {
+        const steering = new Vector2D(0, 0);
+
+        for (const behavior of behaviors) {
+            const weighted = Vector2D.multiply(behavior.force, behavior.weight);
+            if (weighted.magnitude() === 0) continue;
+
+            this.forces[behavior.name] = weighted;
+            steering.add(weighted);
+        }
+
+        return steering.limit(maxForce);
+    }
+
+    /**
+     * Arbitragem por prioridade: cada comportamento consome parte do orçamento de força
+     * Comportamentos de menor prioridade só recebem o que sobrar
+     * @param {Array<Object>} behaviors - Comportamentos ativos ({ name, weight, priority, force })
+     * @param {number} maxForce - Força máxima (orçamento)
+     * @returns {Vector2D} Força resultante
+     */
+    arbitratePriority(behaviors, maxForce) {
+        const steering = new Vector2D(0, 0);
+        let remaining = maxForce;
+
+        const ordered = [...behaviors].sort((a, b) => a.priority - b.priority);
+        for (const behavior of ordered) {
+            if (remaining <= 0) break;
+
+            const weighted = Vector2D.multiply(behavior.force, behavior.weight);
+            const magnitude = weighted.magnitude();
+            if (magnitude === 0) continue;
+
+            if (magnitude > remaining) {
+                weighted.setMagnitude(remaining);
+            }
+            remaining -= weighted.magnitude();
+
+            this.forces[behavior.name] = weighted;
+            steering.add(weighted);
+        }
+
+        return steering;
+    }
+
+    /**
+     * Retorna informações específicas da estratégia
+     * @returns {Object} Informações da estratégia
+     */
+    getInfo() {
+        return {
+            ...super.getInfo(),
+            type: 'Blended Steering',
+            complexity: 'Medium',
+            computationalCost: 'Medium',
+            effectiveness: 'Depends on weights',
+            arbitration: this.settings.arbitration,
+            bestFor: 'Arenas with obstacles, multiple chasers',
+            weaknesses: 'Opposing forces can cancel out in weighted mode'
+        };
+    }
+}
+
+// Comportamentos disponíveis: (context) => Vector2D (zero quando não há o que corrigir)
+BlendedStrategy.BEHAVIORS = {
+    // Desvia do obstáculo mais próximo no caminho
+    obstacleAvoidance: ({ chaser, strategy }) => Strategy.avoidObstacles(
+        chaser.position,
+        chaser.velocity,
+        chaser.size / 2,
+        strategy.obstacleSystem ? strategy.obstacleSystem.obstacles : [],
+        CONFIG.strategies.blend.obstacleLookahead,
+        chaser.maxSpeed,
+        chaser.maxForce
+    ),
+
+    // Volta para dentro da arena perto das bordas
+    boundaryAvoidance: ({ chaser }) => Strategy.stayInBounds(
+        chaser.position,
+        chaser.velocity,
+        CONFIG.canvas.width,
+        CONFIG.canvas.height,
+        CONFIG.strategies.blend.boundaryMargin,
+        chaser.maxSpeed,
+        chaser.maxForce
+    ),
+
+    // Afasta-se dos outros Frajolas
+    separation: ({ chaser, strategy }) => Strategy.separation(
+        chaser.position,
+        chaser.velocity,
+        strategy.peers.filter(peer => peer !== chaser && peer.active).map(peer => peer.position),
+        CONFIG.strategies.blend.separationRadius,
+        chaser.maxSpeed,
+        chaser.maxForce
+    ),
+
+    // Intercepta quando detecta; sem detecção vai à posição atual
+    pursuit: ({ chaser, target, targetDetected }) => targetDetected ?
+        Strategy.pursuit(
+            chaser.position,
+            chaser.velocity,
+            target.position,
+            target.velocity,
+            chaser.maxSpeed,
+            chaser.maxForce,
+            Strategy.interceptionTime(chaser.position, chaser.maxSpeed, target.position, target.velocity)
+        ) :
+        Strategy.seek(chaser.position, chaser.velocity, target.position, chaser.maxSpeed, chaser.maxForce),
+
+    // Vaga com curvas suaves
+    wander: ({ chaser, strategy }) => {
+        const wander = Strategy.wander(
+            chaser.velocity.magnitude() > 0 ? chaser.velocity : Vector2D.fromAngle(strategy.wanderAngle),
+            strategy.wanderAngle,
+            chaser.maxSpeed,
+            CONFIG.strategies.blend.wanderDistance,
+            CONFIG.strategies.blend.wanderRadius,
+            CONFIG.strategies.blend.angleChange,
+            chaser.rng
+        );
+        strategy.wanderAngle = wander.newAngle;
+
+        return Vector2D.subtract(wander.steer, chaser.velocity).limit(chaser.maxForce);
+    }
+};
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BlendedStrategy;
+}
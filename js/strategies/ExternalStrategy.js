@@ -0,0 +1,63 @@
+/**
+ * ExternalStrategy.js
+ * Estratégia controlada de fora da simulação
+ * Aplica a força definida por setAction (ex: política treinada no PursuitEnv)
+ */
+
+class ExternalStrategy extends Strategy {
+    /**
+     * Cria uma nova estratégia de controle externo
+     */
+    constructor() {
+        super(
+            CONFIG.strategies.external.name,
+            CONFIG.strategies.external.description
+        );
+
+        this.action = new Vector2D(0, 0); // força aplicada até a próxima ação
+    }
+
+    /**
+     * Define a força de steering dos próximos passos
+     * @param {Vector2D} force - Força de steering (limitada à força máxima do Frajola)
+     */
+    setAction(force) {
+        this.action = force.clone();
+    }
+
+    /**
+     * Retorna a força definida pela última ação
+     * @param {Frajola} chaser - Agente perseguidor
+     * @param {Ligeirinho} target - Agente alvo
+     * @param {boolean} targetDetected - Se o alvo foi detectado
+     * @returns {Vector2D} Força de steering a aplicar
+     */
+    calculate(chaser, target, targetDetected) {
+        if (!this.active || !target) {
+            return new Vector2D(0, 0);
+        }
+
+        return this.action.clone().limit(chaser.maxForce);
+    }
+
+    /**
+     * Retorna informações específicas da estratégia
+     * @returns {Object} Informações da estratégia
+     */
+    getInfo() {
+        return {
+            ...super.getInfo(),
+            type: 'External Control',
+            complexity: 'Depends on policy',
+            computationalCost: 'Very Low',
+            effectiveness: 'Depends on policy',
+            bestFor: 'Training and evaluating learned policies',
+            weaknesses: 'Does nothing without an external driver'
+        };
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExternalStrategy;
+}
@@ -0,0 +1,173 @@
+/**
+ * NeuralStrategy.js
+ * Estratégia guiada por uma política de rede neural
+ * A rede é definida em JSON (CONFIG.neuralPolicies ou arquivo de pesos carregado)
+ */
+
+class NeuralStrategy extends Strategy {
+    /**
+     * Cria uma nova estratégia a partir da definição de uma política
+     * @param {string|Object} definition - Definição JSON da política
+     * @param {string} definition.name - Nome da política
+     * @param {string} definition.description - Descrição
+     * @param {Array<string>} definition.inputs - Entradas da rede (chaves de NeuralStrategy.INPUTS)
+     * @param {boolean} definition.maskUndetected - Zera as entradas do alvo quando não detectado
+     * @param {Array<Object>} definition.layers - Camadas da rede (ver NeuralNetwork)
+     */
+    constructor(definition) {
+        const policy = NeuralStrategy.parse(definition);
+
+        super(policy.name || 'Rede neural', policy.description || '');
+
+        this.definition = policy;
+        this.inputs = policy.inputs || NeuralStrategy.DEFAULT_INPUTS;
+        this.maskUndetected = Boolean(policy.maskUndetected);
+        this.network = new NeuralNetwork(policy.layers);
+        this.lastOutput = null; // saída da rede no último passo (debug)
+
+        if (this.network.inputSize !== this.inputs.length) {
+            throw new Error(`A rede espera ${this.network.inputSize} entradas, a política define ${this.inputs.length}`);
+        }
+
+        if (this.network.outputSize !== 2) {
+            throw new Error('A última camada da rede deve ter 2 saídas (força x e y)');
+        }
+    }
+
+    /**
+     * Converte e valida a definição de uma política
+     * @param {string|Object} json - String JSON ou objeto já convertido
+     * @returns {Object} Definição
+     */
+    static parse(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('Política de rede neural inválida');
+        }
+
+        if (data.version !== undefined && data.version > NeuralStrategy.VERSION) {
+            throw new Error(`Versão de política não suportada: ${data.version}`);
+        }
+
+        for (const input of data.inputs || []) {
+            if (!Object.prototype.hasOwnProperty.call(NeuralStrategy.INPUTS, input)) {
+                throw new Error(`Entrada desconhecida: ${input}`);
+            }
+        }
+
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    /**
+     * Monta o vetor de entradas da rede
+     * @param {Frajola} chaser - Perseguidor
+     * @param {Ligeirinho} target - Alvo
+     * @param {boolean} targetDetected - Se o alvo foi detectado
+     * @param {Array<string>} inputs - Entradas (chaves de NeuralStrategy.INPUTS)
+     * @param {boolean} maskUndetected - Zera as entradas do alvo quando não detectado
+     * @returns {Array<number>} Entradas normalizadas
+     */
+    static buildInputs(chaser, target, targetDetected, inputs, maskUndetected = false) {
+        const masked = !target || (maskUndetected && !targetDetected);
+
+        return inputs.map(name => {
+            const input = NeuralStrategy.INPUTS[name];
+            if (masked && input.usesTarget) {
+                return 0;
+            }
+            return input.value(chaser, target, targetDetected);
+        });
+    }
+
+    /**
+     * Calcula a força de steering avaliando a rede
+     * As saídas (limitadas a [-1, 1]) são escaladas pela força máxima do Frajola
+     * @param {Frajola} chaser - Agente perseguidor
+     * @param {Ligeirinho} target - Agente alvo
+     * @param {boolean} targetDetected - Se o alvo foi detectado
+     * @returns {Vector2D} Força de steering a aplicar
+     */
+    calculate(chaser, target, targetDetected) {
+        if (!this.active || !target) {
+            return new Vector2D(0, 0);
+        }
+
+        const inputs = NeuralStrategy.buildInputs(chaser, target, targetDetected, this.inputs, this.maskUndetected);
+        this.lastOutput = this.network.forward(inputs);
+
+        logger.strategy(`NeuralStrategy: ${this.name}`, {
+            output: this.lastOutput.map(value => value.toFixed(3)).join(', ')
+        });
+
+        return new Vector2D(
+            MathUtils.clamp(this.lastOutput[0], -1, 1),
+            MathUtils.clamp(this.lastOutput[1], -1, 1)
+        ).limit(1).multiply(chaser.maxForce);
+    }
+
+    /**
+     * Serializa a política para JSON
+     * @returns {Object} Definição da política
+     */
+    toJSON() {
+        return {
+            version: NeuralStrategy.VERSION,
+            name: this.name,
+            description: this.description,
+            inputs: this.inputs,
+            maskUndetected: this.maskUndetected,
+            layers: this.network.toJSON()
+        };
+    }
+
+    /**
+     * Retorna informações específicas da estratégia
+     * @returns {Object} Informações da estratégia
+     */
+    getInfo() {
+        return {
+            ...super.getInfo(),
+            type: 'Neural Network Policy',
+            complexity: 'Depends on training',
+            computationalCost: 'Low',
+            effectiveness: 'Depends on training',
+            parameters: this.network.getParameterCount(),
+            bestFor: 'Comparing learned policies with the built-in strategies',
+            weaknesses: 'Only as good as the scenarios it was trained on'
+        };
+    }
+}
+
+// Entradas disponíveis (valores normalizados, aproximadamente em [-1, 1])
+// usesTarget: zerada quando não há alvo ou, com maskUndetected, quando ele não foi detectado
+NeuralStrategy.INPUTS = {
+    chaserX: { usesTarget: false, value: chaser => chaser.position.x / CONFIG.canvas.width },
+    chaserY: { usesTarget: false, value: chaser => chaser.position.y / CONFIG.canvas.height },
+    chaserVelX: { usesTarget: false, value: chaser => chaser.velocity.x / CONFIG.physics.maxVelocity },
+    chaserVelY: { usesTarget: false, value: chaser => chaser.velocity.y / CONFIG.physics.maxVelocity },
+    targetX: { usesTarget: true, value: (chaser, target) => target.position.x / CONFIG.canvas.width },
+    targetY: { usesTarget: true, value: (chaser, target) => target.position.y / CONFIG.canvas.height },
+    targetVelX: { usesTarget: true, value: (chaser, target) => target.velocity.x / CONFIG.physics.maxVelocity },
+    targetVelY: { usesTarget: true, value: (chaser, target) => target.velocity.y / CONFIG.physics.maxVelocity },
+    relativeX: { usesTarget: true, value: (chaser, target) => (target.position.x - chaser.position.x) / CONFIG.canvas.width },
+    relativeY: { usesTarget: true, value: (chaser, target) => (target.position.y - chaser.position.y) / CONFIG.canvas.height },
+    relativeVelX: { usesTarget: true, value: (chaser, target) => (target.velocity.x - chaser.velocity.x) / CONFIG.physics.maxVelocity },
+    relativeVelY: { usesTarget: true, value: (chaser, target) => (target.velocity.y - chaser.velocity.y) / CONFIG.physics.maxVelocity },
+    distance: {
+        usesTarget: true,
+        value: (chaser, target) => chaser.distanceTo(target) / Math.hypot(CONFIG.canvas.width, CONFIG.canvas.height)
+    },
+    targetDetected: { usesTarget: false, value: (chaser, target, targetDetected) => targetDetected ? 1 : 0 }
+};
+
+// Entradas usadas quando a política não define 'inputs'
+NeuralStrategy.DEFAULT_INPUTS = ['relativeX', 'relativeY', 'relativeVelX', 'relativeVelY', 'targetDetected'];
+
+// Versão do formato JSON
+NeuralStrategy.VERSION = 1;
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NeuralStrategy;
+}
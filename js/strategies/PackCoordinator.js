@@ -0,0 +1,124 @@
+/**
+ * PackCoordinator.js
+ * Coordenação dos Frajolas na caça em matilha
+ * Compartilha detecções entre os Frajolas de um mesmo alvo e distribui os papéis
+ */
+
+class PackCoordinator {
+    /**
+     * Cria um novo coordenador
+     */
+    constructor() {
+        this.assignments = new Map(); // Frajola -> { role, side }
+        this.sighted = new Set(); // alvos detectados por algum Frajola no último passo
+    }
+
+    /**
+     * Atualiza detecções compartilhadas e papéis (uma vez por passo, antes dos Frajolas)
+     * @param {Array<Frajola>} chasers - Frajolas da tentativa
+     */
+    update(chasers) {
+        this.assignments.clear();
+        this.sighted.clear();
+
+        // Agrupar Frajolas pelo alvo atribuído
+        const packs = new Map();
+        for (const chaser of chasers) {
+            if (!chaser.active || !chaser.target || !chaser.target.active) continue;
+
+            if (!packs.has(chaser.target)) {
+                packs.set(chaser.target, []);
+            }
+            packs.get(chaser.target).push(chaser);
+        }
+
+        for (const [target, members] of packs) {
+            // Detecção do passo anterior vale para toda a matilha
+            if (members.some(member => member.targetDetected)) {
+                this.sighted.add(target);
+            }
+
+            this.assignRoles(target, members);
+        }
+    }
+
+    /**
+     * Distribui os papéis entre os Frajolas de um alvo
+     * Interceptador: menor tempo até a interceptação
+     * Bloqueador: mais próximo do ponto à frente da rota do alvo
+     * Flanqueadores: os demais, cada um pelo lado da rota em que já está
+     * @param {Ligeirinho} target - Alvo
+     * @param {Array<Frajola>} members - Frajolas atribuídos ao alvo
+     */
+    assignRoles(target, members) {
+        const interceptTime = chaser => Strategy.interceptionTime(
+            chaser.position, chaser.maxSpeed, target.position, target.velocity
+        );
+
+        const remaining = [...members].sort((a, b) => interceptTime(a) - interceptTime(b));
+        const interceptor = remaining.shift();
+        this.assignments.set(interceptor, { role: 'interceptor', side: 0 });
+
+        if (remaining.length > 0) {
+            const lead = interceptTime(interceptor) + CONFIG.strategies.pack.blockLead;
+            const blockPoint = Vector2D.add(target.position, Vector2D.multiply(target.velocity, lead));
+
+            remaining.sort((a, b) => a.position.distanceTo(blockPoint) - b.position.distanceTo(blockPoint));
+            this.assignments.set(remaining.shift(), { role: 'blocker', side: 0 });
+        }
+
+        remaining.forEach((chaser, i) => {
+            // Lado da rota: sinal do produto vetorial entre a velocidade do alvo e o vetor até o Frajola
+            const toChaser = Vector2D.subtract(chaser.position, target.position);
+            const cross = target.velocity.x * toChaser.y - target.velocity.y * toChaser.x;
+            const side = cross !== 0 ? Math.sign(cross) : (i % 2 === 0 ? 1 : -1);
+
+            this.assignments.set(chaser, { role: 'flanker', side });
+        });
+    }
+
+    /**
+     * Retorna o papel de um Frajola
+     * @param {Frajola} chaser - Frajola
+     * @returns {Object|null} { role, side } ou null se ainda não atribuído
+     */
+    getAssignment(chaser) {
+        return this.assignments.get(chaser) || null;
+    }
+
+    /**
+     * Verifica se algum Frajola detectou o alvo no último passo
+     * @param {Ligeirinho} target - Alvo
+     * @returns {boolean} True se detectado pela matilha
+     */
+    isSighted(target) {
+        return this.sighted.has(target);
+    }
+
+    /**
+     * Limpa papéis e detecções (nova tentativa)
+     */
+    reset() {
+        this.assignments.clear();
+        this.sighted.clear();
+    }
+
+    /**
+     * Retorna informações de debug
+     * @returns {Object} Papel de cada Frajola ('F<n>' -> papel)
+     */
+    getDebugInfo() {
+        const info = {};
+
+        for (const [chaser, assignment] of this.assignments) {
+            info[`F${chaser.index + 1}`] = assignment.role;
+        }
+
+        return info;
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PackCoordinator;
+}
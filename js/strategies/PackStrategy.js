@@ -0,0 +1,131 @@
+/**
+ * PackStrategy.js
+ * Estratégia de caça em matilha
+ * Cada Frajola executa o papel definido pelo PackCoordinator para cercar o alvo
+ */
+
+class PackStrategy extends Strategy {
+    /**
+     * Cria uma nova estratégia de caça em matilha
+     */
+    constructor() {
+        super(
+            CONFIG.strategies.pack.name,
+            CONFIG.strategies.pack.description
+        );
+        
+        this.blockLead = CONFIG.strategies.pack.blockLead;
+        this.flankOffset = CONFIG.strategies.pack.flankOffset;
+        this.flankCloseDistance = CONFIG.strategies.pack.flankCloseDistance;
+        
+        this.coordinator = null; // compartilhado pelos Frajolas da tentativa
+        this.role = 'interceptor';
+        this.aimPoint = null; // ponto visado no último passo (visualização)
+    }
+
+    /**
+     * Define o coordenador compartilhado da matilha
+     * @param {PackCoordinator} coordinator - Coordenador
+     */
+    setCoordinator(coordinator) {
+        this.coordinator = coordinator;
+    }
+
+    /**
+     * Calcula a força de steering de acordo com o papel
+     * @param {Frajola} chaser - Agente perseguidor
+     * @param {Ligeirinho} target - Agente alvo
+     * @param {boolean} targetDetected - Se o alvo foi detectado
+     * @returns {Vector2D} Força de steering a aplicar
+     */
+    calculate(chaser, target, targetDetected) {
+        if (!this.active || !target) {
+            this.aimPoint = null;
+            return new Vector2D(0, 0);
+        }
+
+        // Sem coordenador (Frajola isolado) atua como interceptador
+        const assignment = this.coordinator ? this.coordinator.getAssignment(chaser) : null;
+        this.role = assignment ? assignment.role : 'interceptor';
+
+        // Detecção de qualquer Frajola da matilha revela a rota do alvo
+        const detected = targetDetected || (this.coordinator !== null && this.coordinator.isSighted(target));
+
+        if (!detected) {
+            // Sem informação de rota: ir direto à posição atual
+            this.aimPoint = target.position.clone();
+            return Strategy.seek(chaser.position, chaser.velocity, target.position, chaser.maxSpeed, chaser.maxForce);
+        }
+
+        const interceptTime = Strategy.interceptionTime(
+            chaser.position,
+            chaser.maxSpeed,
+            target.position,
+            target.velocity
+        );
+
+        if (this.role === 'flanker' && chaser.distanceTo(target) > this.flankCloseDistance) {
+            return this.flank(chaser, target, interceptTime, assignment.side);
+        }
+
+        // Interceptador mira o ponto de interceptação; bloqueador, um ponto além dele na rota do alvo
+        const lookahead = this.role === 'blocker' ? interceptTime + this.blockLead : interceptTime;
+        this.aimPoint = Vector2D.add(target.position, Vector2D.multiply(target.velocity, lookahead));
+
+        logger.strategy(`PackStrategy: ${this.role}`, {
+            chaserId: chaser.id,
+            lookahead: lookahead.toFixed(2)
+        });
+
+        return Strategy.pursuit(
+            chaser.position,
+            chaser.velocity,
+            target.position,
+            target.velocity,
+            chaser.maxSpeed,
+            chaser.maxForce,
+            lookahead
+        );
+    }
+
+    /**
+     * Aproxima-se pela lateral da rota do alvo, fechando a fuga para aquele lado
+     * @param {Frajola} chaser - Agente perseguidor
+     * @param {Ligeirinho} target - Agente alvo
+     * @param {number} interceptTime - Tempo estimado até a interceptação (frames)
+     * @param {number} side - Lado da rota (1 ou -1)
+     * @returns {Vector2D} Força de steering
+     */
+    flank(chaser, target, interceptTime, side) {
+        const heading = target.velocity.magnitude() > 0 ?
+            target.velocity.clone().normalize() :
+            Vector2D.subtract(target.position, chaser.position).normalize();
+        const lateral = new Vector2D(-heading.y, heading.x).multiply(side * this.flankOffset);
+
+        this.aimPoint = Vector2D.add(target.position, Vector2D.multiply(target.velocity, interceptTime)).add(lateral);
+
+        return Strategy.seek(chaser.position, chaser.velocity, this.aimPoint, chaser.maxSpeed, chaser.maxForce);
+    }
+
+    /**
+     * Retorna informações específicas da estratégia
+     * @returns {Object} Informações da estratégia
+     */
+    getInfo() {
+        return {
+            ...super.getInfo(),
+            type: 'Pack Hunting',
+            complexity: 'High',
+            computationalCost: 'Medium',
+            effectiveness: 'High with 2+ chasers',
+            role: this.role,
+            bestFor: 'Multiple chasers, open spaces',
+            weaknesses: 'Behaves like predictive pursuit with a single chaser'
+        };
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PackStrategy;
+}
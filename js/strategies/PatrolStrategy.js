@@ -2,6 +2,7 @@
  * PatrolStrategy.js
  * Estratégia de patrulha + perseguição
  * Patrulha a área quando não detecta o alvo, persegue quando detecta
+ * e busca a partir da última posição conhecida (Blackboard) quando perde o alvo
  */
 
 class PatrolStrategy extends Strategy {
@@ -18,10 +19,85 @@ class PatrolStrategy extends Strategy {
         this.patrolRadius = CONFIG.strategies.patrol.patrolRadius;
         this.angularSpeed = CONFIG.strategies.patrol.patrolAngularSpeed;
         
-        this.state = 'patrol'; // 'patrol' ou 'pursue'
         this.patrolTime = 0;
         this.centerX = CONFIG.canvas.width / 2;
         this.centerY = CONFIG.canvas.height / 2;
+        
+        // Rota de waypoints (substitui o círculo quando definida pelo mapa)
+        this.waypoints = [];
+        this.waypointIndex = 0;
+        this.waypointRadius = CONFIG.strategies.patrol.waypointRadius;
+        
+        // Busca: vai até o último avistamento e varre em espiral
+        this.blackboard = null;
+        this.searchSpeed = CONFIG.strategies.patrol.searchSpeed;
+        this.sweepSpacing = CONFIG.strategies.patrol.sweepSpacing;
+        this.sweepMaxRadius = CONFIG.strategies.patrol.sweepMaxRadius;
+        this.searchRestartDistance = CONFIG.strategies.patrol.searchRestartDistance;
+        this.searchOrigin = null;
+        this.searchSightingTime = null; // avistamento sendo investigado
+        this.searchAngle = 0;
+        this.searchRadius = 0;
+        
+        this.machine = this.createStateMachine();
+    }
+
+    /**
+     * Monta a máquina de estados
+     * patrol ⇄ pursue ⇄ search; search tem os subestados approach (ir ao último avistamento) e sweep (espiral)
+     * Sem detecção, busca enquanto houver memória do alvo e patrulha depois que ela expira
+     * @returns {StateMachine} Máquina de estados
+     */
+    createStateMachine() {
+        const search = new StateMachine('PatrolStrategy.search')
+            .addState('approach', {
+                update: context => this.searchApproach(context.chaser)
+            })
+            .addState('sweep', {
+                update: context => this.searchSweep(context.chaser, context.deltaTime)
+            })
+            .addTransition('approach', 'sweep', context =>
+                context.chaser.position.distanceTo(this.searchOrigin) < this.waypointRadius
+            );
+
+        return new StateMachine('PatrolStrategy')
+            .addState('patrol', {
+                update: context => this.patrolStep(context.chaser, context.deltaTime)
+            })
+            .addState('pursue', {
+                update: context => this.pursueBehavior(context.chaser, context.target)
+            })
+            .addState('search', {
+                enter: context => this.startSearch(context.memory),
+                update: context => this.followSighting(context.memory),
+                machine: search
+            })
+            .addTransition('*', 'pursue', context => context.targetDetected)
+            // Novo avistamento longe da busca atual (deste ou de outro Frajola) reinicia a busca;
+            // avistamentos próximos só atualizam a origem (followSighting)
+            .addTransition('search', 'search', context =>
+                context.memory !== null &&
+                context.memory.time !== this.searchSightingTime &&
+                context.memory.position.distanceTo(this.searchOrigin) > this.searchRestartDistance
+            )
+            .addTransition('*', 'search', context => context.memory !== null)
+            .addTransition('*', 'patrol', context => !context.targetDetected && context.memory === null);
+    }
+
+    /**
+     * Estado atual ('patrol', 'pursue' ou 'search')
+     * @returns {string} Estado
+     */
+    get state() {
+        return this.machine.getState();
+    }
+
+    /**
+     * Define a memória compartilhada com a última posição conhecida dos alvos
+     * @param {Blackboard} blackboard - Memória compartilhada
+     */
+    setBlackboard(blackboard) {
+        this.blackboard = blackboard;
     }
 
     /**
@@ -29,28 +105,25 @@ class PatrolStrategy extends Strategy {
      * @param {Frajola} chaser - Agente perseguidor
      * @param {Ligeirinho} target - Agente alvo
      * @param {boolean} targetDetected - Se o alvo foi detectado
+     * @param {number} deltaTime - Passo em frames de referência
      * @returns {Vector2D} Força de steering a aplicar
      */
-    calculate(chaser, target, targetDetected) {
+    calculate(chaser, target, targetDetected, deltaTime = 1) {
         if (!this.active) {
             return new Vector2D(0, 0);
         }
 
-        // Atualizar estado
-        this.updateState(targetDetected);
-
-        let steering;
+        const context = {
+            chaser,
+            target,
+            targetDetected,
+            memory: !targetDetected && target && this.blackboard ? this.blackboard.recall(target) : null,
+            deltaTime
+        };
 
-        if (target && (this.state === 'pursue' || targetDetected)) {
-            // Modo de perseguição - busca direta (mesmo sem detecção)
-            steering = this.pursueBehavior(chaser, target);
-        } else {
-            // Modo de patrulha - movimento circular
-            steering = this.patrolBehavior(chaser);
-            this.patrolTime += 1;
-        }
+        const steering = this.machine.update(context, deltaTime);
 
-        logger.strategy(`PatrolStrategy: Estado = ${this.state}`, {
+        logger.strategy(`PatrolStrategy: Estado = ${this.machine.getStatePath()}`, {
             targetDetected: targetDetected,
             patrolTime: this.patrolTime
         });
@@ -59,21 +132,17 @@ class PatrolStrategy extends Strategy {
     }
 
     /**
-     * Atualiza o estado da estratégia
-     * @param {boolean} targetDetected - Se o alvo foi detectado
+     * Passo de patrulha - rota de waypoints ou movimento circular
+     * @param {Frajola} chaser - Perseguidor
+     * @param {number} deltaTime - Passo em frames de referência
+     * @returns {Vector2D} Força de steering
      */
-    updateState(targetDetected) {
-        const previousState = this.state;
-        
-        if (targetDetected) {
-            this.state = 'pursue';
-        } else {
-            this.state = 'patrol';
-        }
+    patrolStep(chaser, deltaTime = 1) {
+        const steering = this.waypoints.length > 0 ?
+            this.patrolWaypoints(chaser) : this.patrolBehavior(chaser);
+        this.patrolTime += deltaTime;
 
-        if (previousState !== this.state) {
-            logger.strategy(`PatrolStrategy: Mudança de estado ${previousState} → ${this.state}`);
-        }
+        return steering;
     }
 
     /**
@@ -115,6 +184,90 @@ class PatrolStrategy extends Strategy {
         );
     }
 
+    /**
+     * Inicia a busca a partir de um avistamento
+     * A espiral começa na direção em que o alvo se movia
+     * @param {Object} memory - Memória do alvo (Blackboard.recall)
+     */
+    startSearch(memory) {
+        this.searchOrigin = memory.position.clone();
+        this.searchSightingTime = memory.time;
+        this.searchAngle = memory.velocity.magnitude() > 0 ? memory.velocity.angle() : 0;
+        this.searchRadius = 0;
+    }
+
+    /**
+     * Acompanha um avistamento próximo da busca em andamento, sem reiniciá-la nem registrar transição
+     * @param {Object} memory - Última posição conhecida (Blackboard.recall)
+     */
+    followSighting(memory) {
+        if (memory && memory.time !== this.searchSightingTime) {
+            this.searchOrigin = memory.position.clone();
+            this.searchSightingTime = memory.time;
+        }
+    }
+
+    /**
+     * Busca: aproximação da última posição conhecida
+     * @param {Frajola} chaser - Perseguidor
+     * @returns {Vector2D} Força de steering
+     */
+    searchApproach(chaser) {
+        return Strategy.seek(
+            chaser.position,
+            chaser.velocity,
+            this.searchOrigin,
+            chaser.maxSpeed * this.searchSpeed,
+            chaser.maxForce
+        );
+    }
+
+    /**
+     * Busca: varredura em espiral para fora a partir da última posição conhecida
+     * @param {Frajola} chaser - Perseguidor
+     * @param {number} deltaTime - Passo em frames de referência
+     * @returns {Vector2D} Força de steering
+     */
+    searchSweep(chaser, deltaTime = 1) {
+        const speed = chaser.maxSpeed * this.searchSpeed;
+
+        // Espiral de Arquimedes percorrida a velocidade aproximadamente constante
+        const angleStep = speed / Math.max(this.searchRadius, this.sweepSpacing / 2) * deltaTime;
+        this.searchAngle += angleStep;
+        this.searchRadius += this.sweepSpacing * angleStep / (Math.PI * 2);
+
+        if (this.searchRadius > this.sweepMaxRadius) {
+            this.searchRadius = 0;
+        }
+
+        const sweepPoint = Vector2D.add(this.searchOrigin, Vector2D.fromAngle(this.searchAngle, this.searchRadius));
+
+        return Strategy.seek(chaser.position, chaser.velocity, sweepPoint, speed, chaser.maxForce);
+    }
+
+    /**
+     * Comportamento de patrulha por waypoints (rota fechada)
+     * @param {Frajola} chaser - Perseguidor
+     * @returns {Vector2D} Força de steering
+     */
+    patrolWaypoints(chaser) {
+        let waypoint = this.waypoints[this.waypointIndex];
+        
+        // Avançar para o próximo ponto ao chegar
+        if (MathUtils.distance(chaser.position.x, chaser.position.y, waypoint.x, waypoint.y) < this.waypointRadius) {
+            this.waypointIndex = (this.waypointIndex + 1) % this.waypoints.length;
+            waypoint = this.waypoints[this.waypointIndex];
+        }
+        
+        return Strategy.seek(
+            chaser.position,
+            chaser.velocity,
+            new Vector2D(waypoint.x, waypoint.y),
+            chaser.maxSpeed * this.patrolSpeed,
+            chaser.maxForce
+        );
+    }
+
     /**
      * Comportamento de patrulha em grid (alternativo)
      * @param {Frajola} chaser - Perseguidor
@@ -157,6 +310,16 @@ class PatrolStrategy extends Strategy {
         logger.strategy(`Centro de patrulha definido: (${x}, ${y})`);
     }
 
+    /**
+     * Define a rota de waypoints da patrulha
+     * @param {Array<{x: number, y: number}>} waypoints - Pontos em ordem (vazio = patrulha circular)
+     */
+    setWaypoints(waypoints) {
+        this.waypoints = waypoints.map(point => ({ x: point.x, y: point.y }));
+        this.waypointIndex = 0;
+        logger.strategy(`Rota de patrulha: ${this.waypoints.length} waypoints`);
+    }
+
     /**
      * Define o raio de patrulha
      * @param {number} radius - Raio em pixels
@@ -203,10 +366,12 @@ class PatrolStrategy extends Strategy {
             complexity: 'Medium',
             computationalCost: 'Low',
             effectiveness: 'Medium-High',
-            state: this.state,
+            state: this.machine.getStatePath(),
             patrolRadius: this.patrolRadius,
             patrolSpeed: this.patrolSpeed,
             angularSpeed: this.angularSpeed,
+            waypoints: this.waypoints.length,
+            searchOrigin: this.searchOrigin ? this.searchOrigin.toString() : null,
             bestFor: 'Large areas, intermittent target visibility',
             weaknesses: 'Slower initial response time'
         };
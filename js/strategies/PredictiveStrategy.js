@@ -15,7 +15,7 @@ class PredictiveStrategy extends Strategy {
         );
         
         this.lookahead = CONFIG.strategies.predictive.lookahead;
-        this.adaptiveLookahead = true; // Ajusta lookahead baseado na distância
+        this.adaptiveLookahead = CONFIG.strategies.predictive.adaptiveLookahead; // Ajusta lookahead baseado na distância
     }
 
     /**
@@ -113,27 +113,13 @@ class PredictiveStrategy extends Strategy {
      * @returns {Vector2D} Ponto de interceptação
      */
     calculateInterceptionPoint(chaser, target) {
-        // Algoritmo de interceptação mais preciso
-        const toTarget = Vector2D.subtract(target.position, chaser.position);
-        const distance = toTarget.magnitude();
-        
-        // Calcular tempo de interceptação
-        const targetSpeed = target.velocity.magnitude();
-        const chaserSpeed = chaser.maxSpeed;
-        
-        // Resolver equação de interceptação
-        // Usando aproximação iterativa
-        let t = distance / chaserSpeed;
-        
-        for (let i = 0; i < 3; i++) {
-            const predictedPos = Vector2D.add(
-                target.position,
-                Vector2D.multiply(target.velocity, t)
-            );
-            
-            const newDistance = Vector2D.distance(chaser.position, predictedPos);
-            t = newDistance / chaserSpeed;
-        }
+        // Calcular tempo de interceptação (aproximação iterativa)
+        const t = Strategy.interceptionTime(
+            chaser.position,
+            chaser.maxSpeed,
+            target.position,
+            target.velocity
+        );
         
         // Posição final de interceptação
         return Vector2D.add(
@@ -0,0 +1,296 @@
+/**
+ * StateMachine.js
+ * Máquina de estados finitos hierárquica para estratégias
+ * Estados com ganchos de entrada/saída, transições com guardas, temporizadores e histórico
+ */
+
+class StateMachine {
+    /**
+     * Cria uma nova máquina de estados
+     * @param {string} name - Nome da máquina (usado nos logs)
+     */
+    constructor(name) {
+        this.name = name;
+        this.states = new Map(); // nome -> { name, enter, update, exit, machine }
+        this.transitions = []; // { from, to, guard } em ordem de prioridade
+        this.initialState = null;
+        this.current = null;
+        this.parent = null; // máquina que contém esta como subestado
+        this.elapsed = 0; // frames no estado atual
+        this.time = 0; // frames desde o início
+        this.history = []; // { from, to, time }
+        this.maxHistoryLength = CONFIG.stateMachine.historyMaxLength;
+    }
+
+    /**
+     * Adiciona um estado (o primeiro adicionado é o inicial)
+     * @param {string} name - Nome do estado
+     * @param {Object} handlers - Ganchos do estado
+     * @param {Function} handlers.enter - Chamado ao entrar (context, machine)
+     * @param {Function} handlers.update - Chamado a cada passo (context, machine); o retorno é repassado por update()
+     * @param {Function} handlers.exit - Chamado ao sair (context, machine)
+     * @param {StateMachine} handlers.machine - Submáquina executada enquanto o estado está ativo
+     * @returns {StateMachine} A própria máquina (encadeamento)
+     */
+    addState(name, handlers = {}) {
+        if (this.states.has(name)) {
+            throw new Error(`Estado duplicado: ${name}`);
+        }
+
+        this.states.set(name, {
+            name,
+            enter: handlers.enter || null,
+            update: handlers.update || null,
+            exit: handlers.exit || null,
+            machine: handlers.machine || null
+        });
+
+        if (handlers.machine) {
+            handlers.machine.parent = this;
+        }
+
+        if (this.initialState === null) {
+            this.initialState = name;
+        }
+
+        return this;
+    }
+
+    /**
+     * Adiciona uma transição; guardas são avaliadas em ordem de cadastro
+     * @param {string} from - Estado de origem ('*' = qualquer outro estado)
+     * @param {string} to - Estado de destino (igual à origem reinicia o estado)
+     * @param {Function} guard - Condição (context, machine) => boolean
+     * @returns {StateMachine} A própria máquina (encadeamento)
+     */
+    addTransition(from, to, guard = () => true) {
+        if (from !== '*' && !this.states.has(from)) {
+            throw new Error(`Estado de origem desconhecido: ${from}`);
+        }
+        if (!this.states.has(to)) {
+            throw new Error(`Estado de destino desconhecido: ${to}`);
+        }
+
+        this.transitions.push({ from, to, guard });
+        return this;
+    }
+
+    /**
+     * Guarda de temporizador: verdadeira após um tempo no estado atual
+     * @param {number} frames - Duração em frames de referência
+     * @returns {Function} Guarda
+     */
+    static after(frames) {
+        return (context, machine) => machine.elapsed >= frames;
+    }
+
+    /**
+     * Entra no estado inicial
+     * @param {Object} context - Contexto repassado aos ganchos
+     */
+    start(context = {}) {
+        if (this.initialState === null) {
+            throw new Error(`Máquina de estados sem estados: ${this.name}`);
+        }
+
+        this.enterState(this.initialState, context);
+    }
+
+    /**
+     * Avança a máquina um passo
+     * Aplica a primeira transição cuja guarda for verdadeira e executa o estado resultante
+     * @param {Object} context - Contexto repassado às guardas e aos ganchos
+     * @param {number} deltaTime - Passo em frames de referência
+     * @returns {*} Retorno da submáquina ou, na falta dele, do update do estado
+     */
+    update(context = {}, deltaTime = 1) {
+        if (!this.current) {
+            this.start(context);
+        }
+
+        this.time += deltaTime;
+        this.elapsed += deltaTime;
+
+        const transition = this.transitions.find(candidate =>
+            (candidate.from === this.current.name || (candidate.from === '*' && candidate.to !== this.current.name)) &&
+            candidate.guard(context, this)
+        );
+
+        if (transition) {
+            this.transition(transition.to, context);
+        }
+
+        const state = this.current;
+        let result = state.update ? state.update(context, this) : undefined;
+
+        if (state.machine) {
+            const subResult = state.machine.update(context, deltaTime);
+            if (subResult !== undefined) {
+                result = subResult;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Troca de estado executando os ganchos de saída e entrada
+     * @param {string} to - Estado de destino
+     * @param {Object} context - Contexto repassado aos ganchos
+     */
+    transition(to, context = {}) {
+        const from = this.current ? this.current.name : null;
+
+        this.exitState(context);
+        this.recordTransition(from, to);
+        this.enterState(to, context);
+
+        logger.strategy(`${this.name}: Mudança de estado ${from} → ${to}`);
+    }
+
+    /**
+     * Entra em um estado (e no estado inicial da submáquina)
+     * @param {string} name - Nome do estado
+     * @param {Object} context - Contexto repassado aos ganchos
+     */
+    enterState(name, context) {
+        if (!this.states.has(name)) {
+            throw new Error(`Estado desconhecido: ${name}`);
+        }
+
+        this.current = this.states.get(name);
+        this.elapsed = 0;
+
+        if (this.current.enter) {
+            this.current.enter(context, this);
+        }
+        if (this.current.machine) {
+            this.current.machine.start(context);
+        }
+    }
+
+    /**
+     * Sai do estado atual (a submáquina sai primeiro)
+     * @param {Object} context - Contexto repassado aos ganchos
+     */
+    exitState(context) {
+        if (!this.current) return;
+
+        if (this.current.machine) {
+            this.current.machine.exitState(context);
+            this.current.machine.current = null;
+        }
+        if (this.current.exit) {
+            this.current.exit(context, this);
+        }
+    }
+
+    /**
+     * Registra uma transição no histórico
+     * @param {string} from - Estado de origem
+     * @param {string} to - Estado de destino
+     */
+    recordTransition(from, to) {
+        this.history.push({ from, to, time: this.getTime() / CONFIG.physics.referenceFPS });
+
+        if (this.history.length > this.maxHistoryLength) {
+            this.history.shift();
+        }
+    }
+
+    /**
+     * Tempo da máquina raiz (subestados usam o relógio da máquina principal)
+     * @returns {number} Frames desde o início
+     */
+    getTime() {
+        return this.parent ? this.parent.getTime() : this.time;
+    }
+
+    /**
+     * Nome do estado atual
+     * @returns {string} Estado atual (o inicial, se a máquina não começou)
+     */
+    getState() {
+        return this.current ? this.current.name : this.initialState;
+    }
+
+    /**
+     * Caminho do estado atual incluindo subestados (ex: 'search.sweep')
+     * @returns {string} Caminho do estado
+     */
+    getStatePath() {
+        if (this.current && this.current.machine && this.current.machine.current) {
+            return `${this.current.name}.${this.current.machine.getStatePath()}`;
+        }
+
+        return this.getState();
+    }
+
+    /**
+     * Verifica se um estado está ativo (em qualquer nível)
+     * @param {string} name - Nome do estado
+     * @returns {boolean} True se ativo
+     */
+    is(name) {
+        return this.getStatePath().split('.').includes(name);
+    }
+
+    /**
+     * Histórico de transições, incluindo as das submáquinas ('pai.filho')
+     * @returns {Array<Object>} Transições ({ from, to, time }) em ordem cronológica
+     */
+    getHistory() {
+        const history = [...this.history];
+
+        for (const state of this.states.values()) {
+            if (!state.machine) continue;
+
+            for (const entry of state.machine.getHistory()) {
+                history.push({
+                    from: `${state.name}.${entry.from}`,
+                    to: `${state.name}.${entry.to}`,
+                    time: entry.time
+                });
+            }
+        }
+
+        return history.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Volta ao início: sem estado ativo, temporizadores zerados e histórico vazio
+     */
+    reset() {
+        this.current = null;
+        this.elapsed = 0;
+        this.time = 0;
+        this.history = [];
+
+        for (const state of this.states.values()) {
+            if (state.machine) {
+                state.machine.reset();
+            }
+        }
+    }
+
+    /**
+     * Retorna informações de debug
+     * @param {number} recent - Número de transições recentes a listar
+     * @returns {Object} Informações de debug
+     */
+    getDebugInfo(recent = 5) {
+        const history = this.getHistory().slice(-recent);
+
+        return {
+            state: this.getStatePath(),
+            timeInState: (this.elapsed / CONFIG.physics.referenceFPS).toFixed(2) + 's',
+            transitions: this.getHistory().length,
+            recent: history.map(entry => `${entry.from} → ${entry.to} (${entry.time.toFixed(2)}s)`).join(', ') || '-'
+        };
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StateMachine;
+}
@@ -14,6 +14,7 @@ class Strategy {
         this.name = name;
         this.description = description;
         this.active = true;
+        this.machine = null; // StateMachine das estratégias com estados
         
         logger.strategy(`Estratégia criada: ${this.name}`);
     }
@@ -23,9 +24,10 @@ class Strategy {
      * @param {Frajola} chaser - Agente perseguidor
      * @param {Ligeirinho} target - Agente alvo
      * @param {boolean} targetDetected - Se o alvo foi detectado
+     * @param {number} deltaTime - Passo em frames de referência (para estratégias com estado temporal)
      * @returns {Vector2D} Força de steering a aplicar
      */
-    calculate(chaser, target, targetDetected) {
+    calculate(chaser, target, targetDetected, deltaTime = 1) {
         throw new Error('Método calculate() deve ser implementado pela subclasse');
     }
 
@@ -45,6 +47,14 @@ class Strategy {
         logger.strategy(`${this.name} desativada`);
     }
 
+    /**
+     * Histórico de transições de estado da tentativa atual
+     * @returns {Array<Object>} Transições ({ from, to, time }); vazio para estratégias sem estados
+     */
+    getStateHistory() {
+        return this.machine ? this.machine.getHistory() : [];
+    }
+
     /**
      * Retorna informações da estratégia
      * @returns {Object} Informações da estratégia
@@ -147,6 +157,27 @@ class Strategy {
         return Strategy.seek(chaserPos, chaserVel, futurePos, maxSpeed, maxForce);
     }
 
+    /**
+     * Estima o tempo até a interceptação de um alvo com velocidade constante
+     * Aproximação iterativa: distância até a posição prevista / velocidade do perseguidor
+     * @param {Vector2D} chaserPos - Posição do perseguidor
+     * @param {number} chaserSpeed - Velocidade do perseguidor
+     * @param {Vector2D} targetPos - Posição do alvo
+     * @param {Vector2D} targetVel - Velocidade do alvo
+     * @param {number} iterations - Número de refinamentos
+     * @returns {number} Tempo em frames
+     */
+    static interceptionTime(chaserPos, chaserSpeed, targetPos, targetVel, iterations = 3) {
+        let t = Vector2D.distance(chaserPos, targetPos) / chaserSpeed;
+        
+        for (let i = 0; i < iterations; i++) {
+            const predictedPos = Vector2D.add(targetPos, Vector2D.multiply(targetVel, t));
+            t = Vector2D.distance(chaserPos, predictedPos) / chaserSpeed;
+        }
+        
+        return t;
+    }
+
     /**
      * Calcula steering de evasão (evade)
      * @param {Vector2D} evaderPos - Posição do evadido
@@ -177,9 +208,10 @@ class Strategy {
      * @param {number} wanderDistance - Distância do círculo de wandering
      * @param {number} wanderRadius - Raio do círculo de wandering
      * @param {number} angleChange - Mudança máxima de ângulo
+     * @param {SeededRandom} rng - Gerador com semente (opcional, padrão Math.random)
      * @returns {Object} { steer: Vector2D, newAngle: number }
      */
-    static wander(currentVel, wanderAngle, maxSpeed, wanderDistance = 50, wanderRadius = 25, angleChange = 0.3) {
+    static wander(currentVel, wanderAngle, maxSpeed, wanderDistance = 50, wanderRadius = 25, angleChange = 0.3, rng = null) {
         // Calcular ponto no círculo de wandering
         const circleCenter = currentVel.clone().normalize().multiply(wanderDistance);
         const displacement = Vector2D.fromAngle(wanderAngle, wanderRadius);
@@ -188,13 +220,148 @@ class Strategy {
         wanderForce.setMagnitude(maxSpeed);
         
         // Atualizar ângulo aleatoriamente
-        const newAngle = wanderAngle + (Math.random() - 0.5) * angleChange;
+        const newAngle = wanderAngle + MathUtils.random(-0.5, 0.5, rng) * angleChange;
         
         return {
             steer: wanderForce,
             newAngle: newAngle
         };
     }
+
+    /**
+     * Calcula steering de desvio de obstáculos
+     * Projeta um ponto à frente e se afasta do obstáculo mais próximo no caminho
+     * @param {Vector2D} position - Posição atual
+     * @param {Vector2D} velocity - Velocidade atual
+     * @param {number} radius - Raio do agente
+     * @param {Array<Obstacle>} obstacles - Obstáculos do cenário
+     * @param {number} lookahead - Distância à frente verificada (px)
+     * @param {number} maxSpeed - Velocidade máxima
+     * @param {number} maxForce - Força máxima
+     * @returns {Vector2D} Força de steering (zero se o caminho está livre)
+     */
+    static avoidObstacles(position, velocity, radius, obstacles, lookahead, maxSpeed, maxForce) {
+        if (obstacles.length === 0 || velocity.magnitude() === 0) {
+            return new Vector2D(0, 0);
+        }
+
+        const ahead = Vector2D.add(position, velocity.clone().setMagnitude(lookahead));
+
+        // Obstáculo bloqueando o caminho mais próximo do agente
+        let threat = null;
+        let threatDistance = Infinity;
+        for (const obstacle of obstacles) {
+            const closest = obstacle.closestPoint(ahead.x, ahead.y);
+            const clearance = Math.hypot(ahead.x - closest.x, ahead.y - closest.y);
+            const inside = obstacle.containsPoint(ahead.x, ahead.y);
+
+            if (!inside && clearance >= radius && !obstacle.intersectsSegment(position, ahead)) continue;
+
+            const distance = Math.hypot(position.x - closest.x, position.y - closest.y);
+            if (distance < threatDistance) {
+                threat = { closest, inside };
+                threatDistance = distance;
+            }
+        }
+
+        if (!threat) {
+            return new Vector2D(0, 0);
+        }
+
+        // Afastar o ponto à frente da superfície (para fora do obstáculo)
+        const away = new Vector2D(ahead.x - threat.closest.x, ahead.y - threat.closest.y);
+        if (threat.inside) {
+            away.multiply(-1);
+        }
+        if (away.magnitude() === 0) {
+            // Ponto exatamente na borda: desviar perpendicularmente à direção atual
+            away.set(-velocity.y, velocity.x);
+        }
+
+        const desired = away.setMagnitude(maxSpeed);
+        const steer = Vector2D.subtract(desired, velocity);
+        steer.limit(maxForce);
+
+        return steer;
+    }
+
+    /**
+     * Calcula steering para permanecer dentro da arena
+     * Perto de uma borda, a velocidade desejada aponta para dentro
+     * @param {Vector2D} position - Posição atual
+     * @param {Vector2D} velocity - Velocidade atual
+     * @param {number} width - Largura da arena
+     * @param {number} height - Altura da arena
+     * @param {number} margin - Distância da borda em que o desvio começa
+     * @param {number} maxSpeed - Velocidade máxima
+     * @param {number} maxForce - Força máxima
+     * @returns {Vector2D} Força de steering (zero longe das bordas)
+     */
+    static stayInBounds(position, velocity, width, height, margin, maxSpeed, maxForce) {
+        const desired = velocity.clone();
+        let nearEdge = false;
+
+        if (position.x < margin) {
+            desired.x = maxSpeed;
+            nearEdge = true;
+        } else if (position.x > width - margin) {
+            desired.x = -maxSpeed;
+            nearEdge = true;
+        }
+
+        if (position.y < margin) {
+            desired.y = maxSpeed;
+            nearEdge = true;
+        } else if (position.y > height - margin) {
+            desired.y = -maxSpeed;
+            nearEdge = true;
+        }
+
+        if (!nearEdge) {
+            return new Vector2D(0, 0);
+        }
+
+        desired.setMagnitude(maxSpeed);
+        const steer = Vector2D.subtract(desired, velocity);
+        steer.limit(maxForce);
+
+        return steer;
+    }
+
+    /**
+     * Calcula steering de separação (afastar-se de vizinhos próximos)
+     * @param {Vector2D} position - Posição atual
+     * @param {Vector2D} velocity - Velocidade atual
+     * @param {Array<Vector2D>} neighbors - Posições dos vizinhos
+     * @param {number} radius - Distância abaixo da qual há repulsão
+     * @param {number} maxSpeed - Velocidade máxima
+     * @param {number} maxForce - Força máxima
+     * @returns {Vector2D} Força de steering (zero sem vizinhos próximos)
+     */
+    static separation(position, velocity, neighbors, radius, maxSpeed, maxForce) {
+        const desired = new Vector2D(0, 0);
+        let count = 0;
+
+        for (const neighbor of neighbors) {
+            const distance = Vector2D.distance(position, neighbor);
+
+            if (distance > 0 && distance < radius) {
+                // Repulsão mais forte quanto mais perto
+                desired.add(Vector2D.subtract(position, neighbor).normalize().divide(distance));
+                count++;
+            }
+        }
+
+        if (count === 0) {
+            return new Vector2D(0, 0);
+        }
+
+        desired.setMagnitude(maxSpeed);
+        const steer = Vector2D.subtract(desired, velocity);
+        steer.limit(maxForce);
+
+        return steer;
+    }
 }
 
 // Exportar
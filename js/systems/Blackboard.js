@@ -0,0 +1,114 @@
+/**
+ * Blackboard.js
+ * Memória compartilhada pelos Frajolas
+ * Guarda a última posição e velocidade conhecidas de cada alvo; a memória decai com o tempo
+ */
+
+class Blackboard {
+    /**
+     * Cria um novo quadro de memória
+     * @param {SimulationClock} clock - Relógio de tempo simulado
+     */
+    constructor(clock = new SimulationClock()) {
+        this.clock = clock;
+        this.memoryDuration = CONFIG.memory.duration; // segundos simulados
+        this.entries = new Map(); // Ligeirinho -> { target, position, velocity, time }
+    }
+
+    /**
+     * Registra um avistamento do alvo
+     * @param {Ligeirinho} target - Alvo avistado
+     */
+    record(target) {
+        this.entries.set(target, {
+            target,
+            position: target.position.clone(),
+            velocity: target.velocity.clone(),
+            time: this.clock.now()
+        });
+    }
+
+    /**
+     * Retorna a memória de um alvo
+     * @param {Ligeirinho} target - Alvo
+     * @returns {Object|null} { position, velocity, time, age, confidence } ou null se esquecido
+     */
+    recall(target) {
+        const entry = this.entries.get(target);
+        if (!entry) {
+            return null;
+        }
+
+        const age = this.clock.now() - entry.time;
+        const confidence = this.getConfidence(age);
+        if (confidence <= 0) {
+            return null;
+        }
+
+        return { ...entry, age, confidence };
+    }
+
+    /**
+     * Confiança da memória (decaimento linear)
+     * @param {number} age - Segundos desde o avistamento
+     * @returns {number} Confiança (0-1)
+     */
+    getConfidence(age) {
+        return MathUtils.clamp(1 - age / this.memoryDuration, 0, 1);
+    }
+
+    /**
+     * Remove a memória de um alvo (capturado ou fora de cena)
+     * @param {Ligeirinho} target - Alvo
+     */
+    forget(target) {
+        this.entries.delete(target);
+    }
+
+    /**
+     * Descarta memórias expiradas
+     */
+    update() {
+        for (const target of this.entries.keys()) {
+            if (!this.recall(target)) {
+                this.entries.delete(target);
+            }
+        }
+    }
+
+    /**
+     * Memórias válidas (para visualização)
+     * @returns {Array<Object>} Memórias com idade e confiança
+     */
+    getMemories() {
+        return [...this.entries.keys()]
+            .map(target => this.recall(target))
+            .filter(memory => memory !== null);
+    }
+
+    /**
+     * Esquece todos os alvos
+     */
+    reset() {
+        this.entries.clear();
+    }
+
+    /**
+     * Retorna informações de debug
+     * @returns {Object} Informações de debug ('L<n>' -> idade da memória)
+     */
+    getDebugInfo() {
+        const info = {};
+
+        for (const memory of this.getMemories()) {
+            info[`L${memory.target.index + 1}`] = `${memory.age.toFixed(2)}s (${(memory.confidence * 100).toFixed(0)}%)`;
+        }
+
+        return info;
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Blackboard;
+}
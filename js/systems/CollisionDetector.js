@@ -7,11 +7,13 @@
 class CollisionDetector {
     /**
      * Cria um novo detector de colisões
+     * @param {SimulationClock} clock - Relógio de tempo simulado
      */
-    constructor() {
+    constructor(clock = new SimulationClock()) {
+        this.clock = clock;
         this.captureDistance = CONFIG.physics.captureDistance;
         this.collisionHistory = [];
-        this.maxHistoryLength = 100;
+        this.maxHistoryLength = CONFIG.analytics.collisionLogLength;
         
         logger.info('Detector de colisões inicializado', {
             captureDistance: this.captureDistance
@@ -131,43 +133,6 @@ class CollisionDetector {
         return distance < agent.size / 2;
     }
 
-    /**
-     * Verifica colisão com linha (usado para raycast)
-     * @param {Agent} agent - Agente
-     * @param {Vector2D} lineStart - Início da linha
-     * @param {Vector2D} lineEnd - Fim da linha
-     * @returns {boolean} True se há colisão
-     */
-    checkLineCollision(agent, lineStart, lineEnd) {
-        if (!agent || !agent.active) {
-            return false;
-        }
-
-        // Calcular distância do centro do agente até a linha
-        const lineVec = Vector2D.subtract(lineEnd, lineStart);
-        const agentVec = Vector2D.subtract(agent.position, lineStart);
-        
-        const lineLength = lineVec.magnitude();
-        lineVec.normalize();
-        
-        const projection = agentVec.dot(lineVec);
-        
-        // Verificar se a projeção está dentro do segmento
-        if (projection < 0 || projection > lineLength) {
-            return false;
-        }
-        
-        // Calcular ponto mais próximo na linha
-        const closestPoint = Vector2D.add(
-            lineStart,
-            Vector2D.multiply(lineVec, projection)
-        );
-        
-        // Verificar distância
-        const distance = Vector2D.distance(agent.position, closestPoint);
-        return distance < agent.size / 2;
-    }
-
     /**
      * Registra uma colisão no histórico
      * @param {string} type - Tipo de colisão
@@ -176,11 +141,19 @@ class CollisionDetector {
      * @param {number} distance - Distância (opcional)
      */
     recordCollision(type, agent1, agent2, distance = null) {
+        // Índices na tentativa, para cruzar com os demais registros (F1, L2, ...)
+        const chaser = [agent1, agent2].find(agent => agent instanceof Frajola);
+        const target = [agent1, agent2].find(agent => agent instanceof Ligeirinho);
+
         const collision = {
             type,
             timestamp: Date.now(),
+            simTime: this.clock.now(),
+            tick: this.clock.tick,
             agent1Id: agent1.id,
             agent2Id: agent2.id,
+            chaserIndex: chaser ? chaser.index : null,
+            targetIndex: target ? target.index : null,
             distance: distance,
             position: agent1.position.clone()
         };
@@ -209,15 +182,14 @@ class CollisionDetector {
     /**
      * Retorna colisões recentes de um tipo específico
      * @param {string} type - Tipo de colisão
-     * @param {number} timeWindow - Janela de tempo em ms
+     * @param {number} timeWindow - Janela de tempo simulado em ms
      * @returns {Array} Array de colisões
      */
     getRecentCollisions(type = null, timeWindow = 1000) {
-        const now = Date.now();
-        const cutoff = now - timeWindow;
+        const cutoff = this.clock.now() - timeWindow / 1000;
 
         return this.collisionHistory.filter(collision => {
-            const timeMatch = collision.timestamp >= cutoff;
+            const timeMatch = collision.simTime >= cutoff;
             const typeMatch = type === null || collision.type === type;
             return timeMatch && typeMatch;
         });
@@ -225,7 +197,7 @@ class CollisionDetector {
 
     /**
      * Conta capturas em um período
-     * @param {number} timeWindow - Janela de tempo em ms
+     * @param {number} timeWindow - Janela de tempo simulado em ms
      * @returns {number} Número de capturas
      */
     countCapturesInPeriod(timeWindow = 60000) {
@@ -235,8 +207,8 @@ class CollisionDetector {
 
     /**
      * Calcula taxa de colisão
-     * @param {number} timeWindow - Janela de tempo em ms
-     * @returns {number} Colisões por segundo
+     * @param {number} timeWindow - Janela de tempo simulado em ms
+     * @returns {number} Colisões por segundo simulado
      */
     getCollisionRate(timeWindow = 10000) {
         const collisions = this.getRecentCollisions(null, timeWindow);
@@ -7,13 +7,17 @@
 class DetectionSystem {
     /**
      * Cria um novo sistema de detecção
+     * @param {SimulationClock} clock - Relógio de tempo simulado
      */
-    constructor() {
+    constructor(clock = new SimulationClock()) {
+        this.clock = clock;
         this.sensitivity = CONFIG.detection.baseSensitivity;
-        this.detectionMethod = 'radius'; // 'radius', 'cone', 'raycast'
-        this.detectionHistory = [];
+        this.detectionMethod = CONFIG.detection.defaultMethod; // 'radius', 'cone', 'raycast'
+        this.coneAngle = MathUtils.degToRad(CONFIG.detection.coneAngle); // radianos
+        this.detectionHistory = []; // { detected, tick, time }
         this.maxHistoryLength = 60; // 1 segundo a 60 FPS
-        
+        this.obstacles = []; // bloqueiam a linha de visão no método 'raycast'
+
         logger.info('Sistema de detecção inicializado', {
             sensitivity: this.sensitivity,
             method: this.detectionMethod
@@ -75,10 +79,10 @@ class DetectionSystem {
      * Detecção baseada em cone de visão
      * @param {Frajola} chaser - Perseguidor
      * @param {Ligeirinho} target - Alvo
-     * @param {number} coneAngle - Ângulo do cone em radianos (padrão: 120°)
+     * @param {number} coneAngle - Ângulo do cone em radianos (padrão: definido em setConeAngle)
      * @returns {boolean} True se detectado
      */
-    coneDetection(chaser, target, coneAngle = Math.PI * 2 / 3) {
+    coneDetection(chaser, target, coneAngle = this.coneAngle) {
         // Primeiro verificar raio
         if (!this.radiusDetection(chaser, target)) {
             return false;
@@ -102,18 +106,67 @@ class DetectionSystem {
      * Detecção baseada em raycast (linha de visão)
      * @param {Frajola} chaser - Perseguidor
      * @param {Ligeirinho} target - Alvo
-     * @param {Array} obstacles - Array de obstáculos (não implementado)
+     * @param {Array<Obstacle>} obstacles - Obstáculos que bloqueiam a visão (padrão: os definidos em setObstacles)
      * @returns {boolean} True se detectado
      */
-    raycastDetection(chaser, target, obstacles = []) {
+    raycastDetection(chaser, target, obstacles = this.obstacles) {
         // Primeiro verificar raio
         if (!this.radiusDetection(chaser, target)) {
             return false;
         }
 
-        // TODO: Verificar se há obstáculos entre o perseguidor e o alvo
-        // Por enquanto, apenas retorna true se estiver no raio
-        return true;
+        // Verificar se há obstáculos entre o perseguidor e o alvo
+        return !obstacles.some(obstacle =>
+            obstacle.intersectsSegment(chaser.position, target.position)
+        );
+    }
+
+    /**
+     * Calcula o polígono de visibilidade (raio de detecção recortado pelos obstáculos)
+     * Usado apenas para visualização do método 'raycast'
+     * @param {Frajola} chaser - Perseguidor
+     * @param {number} rayCount - Número de raios
+     * @returns {Array<Vector2D>} Vértices do polígono
+     */
+    getVisibilityPolygon(chaser, rayCount = CONFIG.detection.visibilityRays) {
+        const origin = chaser.position;
+        const range = this.getEffectiveDetectionRange(chaser);
+        const points = [];
+
+        for (let i = 0; i < rayCount; i++) {
+            const direction = Vector2D.fromAngle((i / rayCount) * Math.PI * 2);
+            const isBlocked = distance => this.obstacles.some(obstacle =>
+                obstacle.intersectsSegment(origin, Vector2D.add(origin, Vector2D.multiply(direction, distance)))
+            );
+
+            // Busca binária pela distância do primeiro obstáculo no raio
+            let reach = range;
+            if (isBlocked(range)) {
+                let low = 0;
+                let high = range;
+                for (let step = 0; step < 10; step++) {
+                    const mid = (low + high) / 2;
+                    if (isBlocked(mid)) {
+                        high = mid;
+                    } else {
+                        low = mid;
+                    }
+                }
+                reach = low;
+            }
+
+            points.push(Vector2D.add(origin, Vector2D.multiply(direction, reach)));
+        }
+
+        return points;
+    }
+
+    /**
+     * Define os obstáculos usados na linha de visão
+     * @param {Array<Obstacle>} obstacles - Obstáculos do cenário
+     */
+    setObstacles(obstacles) {
+        this.obstacles = obstacles;
     }
 
     /**
@@ -134,18 +187,41 @@ class DetectionSystem {
     /**
      * Define o método de detecção
      * @param {string} method - Método ('radius', 'cone', 'raycast')
+     * @returns {boolean} True se o método é válido
      */
     setDetectionMethod(method) {
-        const validMethods = ['radius', 'cone', 'raycast'];
-        
-        if (validMethods.includes(method)) {
+        if (DetectionSystem.METHODS.includes(method)) {
             this.detectionMethod = method;
             logger.detection('Método de detecção alterado', {
                 method: this.detectionMethod
             });
-        } else {
-            logger.warn('Método de detecção inválido', { method });
+            return true;
         }
+        
+        logger.warn('Método de detecção inválido', { method });
+        return false;
+    }
+
+    /**
+     * Define a abertura do cone de visão
+     * @param {number} degrees - Ângulo em graus
+     */
+    setConeAngle(degrees) {
+        const clamped = MathUtils.clamp(degrees,
+            CONFIG.detection.minConeAngle,
+            CONFIG.detection.maxConeAngle
+        );
+        this.coneAngle = MathUtils.degToRad(clamped);
+        
+        logger.detection('Ângulo do cone atualizado', { coneAngle: clamped });
+    }
+
+    /**
+     * Retorna a abertura do cone de visão
+     * @returns {number} Ângulo em graus
+     */
+    getConeAngleDegrees() {
+        return Math.round(MathUtils.radToDeg(this.coneAngle));
     }
 
     /**
@@ -153,7 +229,10 @@ class DetectionSystem {
      * @param {boolean} detected - Se foi detectado neste frame
      */
     updateDetectionHistory(detected) {
-        this.detectionHistory.push(detected);
+        this.detectionHistory.push({
+            detected,
+            ...this.clock.stamp()
+        });
         
         if (this.detectionHistory.length > this.maxHistoryLength) {
             this.detectionHistory.shift();
@@ -172,7 +251,7 @@ class DetectionSystem {
             return 0;
         }
         
-        const detections = recentHistory.filter(d => d).length;
+        const detections = recentHistory.filter(entry => entry.detected).length;
         return detections / recentHistory.length;
     }
 
@@ -185,8 +264,8 @@ class DetectionSystem {
         const recentHistory = this.detectionHistory.slice(-frames);
         
         // Verificar se tinha detecção e perdeu
-        const hadDetection = recentHistory.slice(0, frames / 2).some(d => d);
-        const lostDetection = recentHistory.slice(-frames / 2).every(d => !d);
+        const hadDetection = recentHistory.slice(0, frames / 2).some(entry => entry.detected);
+        const lostDetection = recentHistory.slice(-frames / 2).every(entry => !entry.detected);
         
         return hadDetection && lostDetection;
     }
@@ -206,14 +285,14 @@ class DetectionSystem {
      */
     getStats() {
         const totalFrames = this.detectionHistory.length;
-        const detectedFrames = this.detectionHistory.filter(d => d).length;
+        const detectedFrames = this.detectionHistory.filter(entry => entry.detected).length;
         const detectionRate = totalFrames > 0 ? detectedFrames / totalFrames : 0;
         
         return {
             totalFrames,
             detectedFrames,
             detectionRate: (detectionRate * 100).toFixed(2) + '%',
-            currentlyDetected: this.detectionHistory[this.detectionHistory.length - 1] || false,
+            currentlyDetected: totalFrames > 0 ? this.detectionHistory[totalFrames - 1].detected : false,
             recentDetectionRate: (this.getRecentDetectionRate() * 100).toFixed(2) + '%'
         };
     }
@@ -234,12 +313,16 @@ class DetectionSystem {
         return {
             sensitivity: this.sensitivity,
             method: this.detectionMethod,
+            coneAngle: this.getConeAngleDegrees() + '°',
             historyLength: this.detectionHistory.length,
             stats: this.getStats()
         };
     }
 }
 
+// Métodos de detecção disponíveis
+DetectionSystem.METHODS = ['radius', 'cone', 'raycast'];
+
 // Exportar
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = DetectionSystem;
@@ -0,0 +1,134 @@
+/**
+ * ObstacleSystem.js
+ * Sistema de obstáculos do cenário
+ * Carrega layouts (CONFIG.obstacles.layouts ou JSON) e responde consultas de linha de visão
+ */
+
+class ObstacleSystem {
+    /**
+     * Cria um novo sistema de obstáculos (vazio)
+     */
+    constructor() {
+        this.obstacles = [];
+        this.layout = 'none'; // nome do layout carregado ou 'custom'
+
+        logger.info('Sistema de obstáculos inicializado');
+    }
+
+    /**
+     * Cria um obstáculo a partir de dados serializados
+     * @param {Object} data - Dados ({ type: 'rect' | 'circle' | 'polygon', ... })
+     * @returns {Obstacle} Obstáculo criado
+     */
+    static createObstacle(data) {
+        switch (data.type) {
+            case 'rect':
+                return new RectObstacle(data.x, data.y, data.width, data.height, data);
+            case 'circle':
+                return new CircleObstacle(data.x, data.y, data.radius, data);
+            case 'polygon':
+                return new PolygonObstacle(data.points, data);
+            default:
+                throw new Error(`Tipo de obstáculo desconhecido: ${data.type}`);
+        }
+    }
+
+    /**
+     * Carrega um layout de obstáculos, substituindo os atuais
+     * @param {string|Array<Object>} layout - Nome em CONFIG.obstacles.layouts ou lista de obstáculos serializados
+     * @returns {boolean} True se o layout foi carregado
+     */
+    loadLayout(layout) {
+        let name = 'custom';
+        let data = layout;
+
+        if (typeof layout === 'string') {
+            const preset = CONFIG.obstacles.layouts[layout];
+
+            if (!preset) {
+                logger.error('Layout de obstáculos não encontrado', { layout });
+                return false;
+            }
+
+            name = layout;
+            data = preset.obstacles;
+        }
+
+        try {
+            this.obstacles = data.map(item => ObstacleSystem.createObstacle(item));
+        } catch (error) {
+            logger.error('Erro ao carregar obstáculos', error.message);
+            return false;
+        }
+
+        this.layout = name;
+
+        logger.info('Layout de obstáculos carregado', {
+            layout: this.layout,
+            count: this.obstacles.length
+        });
+
+        return true;
+    }
+
+    /**
+     * Adiciona um obstáculo ao cenário
+     * @param {Obstacle} obstacle - Obstáculo
+     */
+    add(obstacle) {
+        this.obstacles.push(obstacle);
+        this.layout = 'custom';
+    }
+
+    /**
+     * Remove todos os obstáculos
+     */
+    clear() {
+        this.obstacles = [];
+        this.layout = 'none';
+    }
+
+    /**
+     * Verifica se há linha de visão livre entre dois pontos
+     * @param {Vector2D} start - Ponto de origem
+     * @param {Vector2D} end - Ponto de destino
+     * @returns {boolean} True se nenhum obstáculo bloqueia o segmento
+     */
+    hasLineOfSight(start, end) {
+        return !this.obstacles.some(obstacle => obstacle.intersectsSegment(start, end));
+    }
+
+    /**
+     * Verifica se um ponto está dentro de algum obstáculo
+     * @param {number} x - Coordenada X
+     * @param {number} y - Coordenada Y
+     * @returns {boolean} True se o ponto está bloqueado
+     */
+    isBlocked(x, y) {
+        return this.obstacles.some(obstacle => obstacle.containsPoint(x, y));
+    }
+
+    /**
+     * Serializa os obstáculos para JSON
+     * @returns {Array<Object>} Lista de obstáculos serializados
+     */
+    toJSON() {
+        return this.obstacles.map(obstacle => obstacle.toJSON());
+    }
+
+    /**
+     * Retorna informações de debug
+     * @returns {Object} Informações de debug
+     */
+    getDebugInfo() {
+        return {
+            layout: this.layout,
+            count: this.obstacles.length
+        };
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ObstacleSystem;
+}
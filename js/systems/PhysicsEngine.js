@@ -107,6 +107,58 @@ class PhysicsEngine {
         }
     }
 
+    /**
+     * Impede que o agente atravesse obstáculos
+     * Empurra o agente para fora e remove a componente da velocidade contra a superfície
+     * @param {Agent} agent - Agente
+     * @param {Array<Obstacle>} obstacles - Obstáculos do cenário
+     * @param {number} restitution - 0 desliza ao longo da superfície, 1 reflete
+     * @returns {boolean} True se houve colisão
+     */
+    constrainToObstacles(agent, obstacles, restitution = 0) {
+        const radius = agent.size / 2;
+        let collided = false;
+
+        for (const obstacle of obstacles) {
+            const inside = obstacle.containsPoint(agent.position.x, agent.position.y);
+            const closest = obstacle.closestPoint(agent.position.x, agent.position.y);
+
+            // Normal da superfície apontando para fora do obstáculo
+            const normal = new Vector2D(
+                agent.position.x - closest.x,
+                agent.position.y - closest.y
+            );
+            const distance = normal.magnitude();
+
+            if (!inside && distance >= radius) continue;
+
+            if (distance === 0) {
+                // Centro exatamente na borda: recuar contra a velocidade
+                normal.copy(agent.velocity).multiply(-1);
+            } else if (inside) {
+                normal.multiply(-1);
+            }
+            normal.normalize();
+
+            // Reposicionar tangente à superfície
+            agent.position.set(
+                closest.x + normal.x * radius,
+                closest.y + normal.y * radius
+            );
+
+            // Remover (ou refletir) a velocidade em direção ao obstáculo
+            const velAlongNormal = agent.velocity.dot(normal);
+            if (velAlongNormal < 0) {
+                agent.velocity.subtract(Vector2D.multiply(normal, (1 + restitution) * velAlongNormal));
+            }
+
+            collided = true;
+            logger.physics(`Agente ${agent.id} colidiu com obstáculo ${obstacle.type}`);
+        }
+
+        return collided;
+    }
+
     /**
      * Mantém o agente dentro dos limites (wrap)
      * @param {Agent} agent - Agente
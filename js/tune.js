@@ -0,0 +1,71 @@
+/**
+ * tune.js
+ * Linha de comando para o otimizador genético de parâmetros em Node.js
+ *
+ * Uso:
+ *   node js/tune.js experiments/tune-predictive.json [--preset preset.json] [--csv historico.csv]
+ *
+ * Formato do arquivo:
+ *   { "strategy": "predictive", "generations": 15, "populationSize": 20, "episodes": 30, "seed": 42,
+ *     "scenario": { "targetBehavior": "evade", "obstacles": "pillars" } }
+ *   "scenario" aceita as opções do SimulationCore (as mesmas das células de experiment.js)
+ */
+
+const fs = require('fs');
+const { GeneticTuner } = require('./headless');
+
+const args = process.argv.slice(2);
+const definitionPath = args[0];
+const presetIndex = args.indexOf('--preset');
+const presetPath = presetIndex >= 0 ? args[presetIndex + 1] : null;
+const csvIndex = args.indexOf('--csv');
+const csvPath = csvIndex >= 0 ? args[csvIndex + 1] : null;
+
+if (!definitionPath) {
+    console.error('Uso: node js/tune.js <otimizacao.json> [--preset preset.json] [--csv historico.csv]');
+    process.exit(1);
+}
+
+const definition = JSON.parse(fs.readFileSync(definitionPath, 'utf8'));
+
+const tuner = new GeneticTuner({
+    ...(definition.scenario || {}),
+    strategy: definition.strategy,
+    populationSize: definition.populationSize,
+    generations: definition.generations,
+    episodes: definition.episodes,
+    seed: definition.seed,
+    maxSteps: definition.maxSteps,
+    fitness: definition.fitness
+});
+
+console.log(`${tuner.strategy}: ${tuner.generations} gerações × ${tuner.populationSize} genomas × ${tuner.episodes} tentativas (semente ${tuner.seed})\n`);
+
+// Gráfico de progresso: barra proporcional ao melhor fitness da geração
+const BAR_WIDTH = 30;
+const startTime = Date.now();
+
+const best = tuner.run(entry => {
+    const bar = '█'.repeat(Math.round(Math.max(0, Math.min(1, entry.best)) * BAR_WIDTH));
+    console.log(
+        `Geração ${String(entry.generation).padStart(3)}/${tuner.generations}  ` +
+        `melhor ${entry.best.toFixed(4)}  média ${entry.mean.toFixed(4)}  ` +
+        `captura ${(entry.captureRate * 100).toFixed(1).padStart(5)}%  ${bar}`
+    );
+});
+
+console.log('\nMelhor genoma:');
+Object.entries(best.genes).forEach(([key, value]) => console.log(`  ${key}: ${value}`));
+console.log(`  fitness: ${best.fitness.toFixed(4)} (captura ${(best.metrics.captureRate * 100).toFixed(1)}%, ` +
+    `tempo médio ${best.metrics.meanCaptureTime.toFixed(2)}s)`);
+console.log(`\nConcluído em ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+
+if (presetPath) {
+    fs.writeFileSync(presetPath, JSON.stringify(tuner.toPreset(), null, 2));
+    console.log(`Preset salvo em ${presetPath}`);
+}
+
+if (csvPath) {
+    fs.writeFileSync(csvPath, GeneticTuner.toCSV(tuner.history));
+    console.log(`Histórico salvo em ${csvPath}`);
+}
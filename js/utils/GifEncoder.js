@@ -0,0 +1,286 @@
+/**
+ * GifEncoder.js
+ * Codificador de GIF animado (GIF89a, LZW) sem dependências
+ * Paleta global de até 256 cores escolhida pelas cores mais frequentes das amostras
+ */
+
+class GifEncoder {
+    /**
+     * Cria um novo codificador
+     * @param {number} width - Largura dos quadros (px)
+     * @param {number} height - Altura dos quadros (px)
+     * @param {Object} options - Opções
+     * @param {number} options.delay - Duração de cada quadro (ms)
+     * @param {number} options.repeat - Repetições (0 = infinito, -1 = tocar uma vez)
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.delay = options.delay || 100;
+        this.repeat = options.repeat !== undefined ? options.repeat : 0;
+
+        // Histograma de cores em 15 bits (5 por canal): [contagem, somaR, somaG, somaB]
+        this.histogram = new Map();
+        this.palette = null;
+        this.lookup = null; // cor de 15 bits -> índice na paleta (-1 = ainda não calculado)
+
+        this.chunks = [];
+        this.frameCount = 0;
+    }
+
+    /**
+     * Registra as cores de um quadro para a paleta (antes do primeiro addFrame)
+     * @param {Uint8ClampedArray} pixels - RGBA do quadro (ImageData.data)
+     * @param {number} step - Amostrar um pixel a cada step
+     */
+    addPaletteSample(pixels, step = 1) {
+        if (this.palette) {
+            throw new Error('Paleta já definida: amostras devem vir antes do primeiro quadro');
+        }
+
+        for (let i = 0; i < pixels.length; i += 4 * step) {
+            const key = GifEncoder.colorKey(pixels[i], pixels[i + 1], pixels[i + 2]);
+            const entry = this.histogram.get(key);
+            if (entry) {
+                entry[0]++;
+                entry[1] += pixels[i];
+                entry[2] += pixels[i + 1];
+                entry[3] += pixels[i + 2];
+            } else {
+                this.histogram.set(key, [1, pixels[i], pixels[i + 1], pixels[i + 2]]);
+            }
+        }
+    }
+
+    /**
+     * Monta a paleta com as cores mais frequentes (média das cores reais de cada faixa)
+     */
+    buildPalette() {
+        const entries = [...this.histogram.values()]
+            .sort((a, b) => b[0] - a[0])
+            .slice(0, GifEncoder.MAX_COLORS);
+
+        this.palette = new Uint8Array(GifEncoder.MAX_COLORS * 3);
+        entries.forEach(([count, r, g, b], i) => {
+            this.palette[i * 3] = Math.round(r / count);
+            this.palette[i * 3 + 1] = Math.round(g / count);
+            this.palette[i * 3 + 2] = Math.round(b / count);
+        });
+        this.paletteSize = Math.max(1, entries.length);
+
+        this.lookup = new Int16Array(1 << 15).fill(-1);
+        this.histogram.clear();
+    }
+
+    /**
+     * Índice da cor mais próxima na paleta (com cache por cor de 15 bits)
+     * @param {number} r - Vermelho
+     * @param {number} g - Verde
+     * @param {number} b - Azul
+     * @returns {number} Índice
+     */
+    findColor(r, g, b) {
+        const key = GifEncoder.colorKey(r, g, b);
+        if (this.lookup[key] >= 0) return this.lookup[key];
+
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < this.paletteSize; i++) {
+            const dr = this.palette[i * 3] - r;
+            const dg = this.palette[i * 3 + 1] - g;
+            const db = this.palette[i * 3 + 2] - b;
+            const distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+
+        this.lookup[key] = best;
+        return best;
+    }
+
+    /**
+     * Adiciona um quadro (na primeira chamada, fecha a paleta e escreve o cabeçalho)
+     * @param {Uint8ClampedArray} pixels - RGBA do quadro (ImageData.data, width x height)
+     */
+    addFrame(pixels) {
+        if (pixels.length !== this.width * this.height * 4) {
+            throw new Error(`Quadro com tamanho inválido: esperado ${this.width}x${this.height}`);
+        }
+
+        if (!this.palette) {
+            if (this.histogram.size === 0) {
+                this.addPaletteSample(pixels);
+            }
+            this.buildPalette();
+            this.writeHeader();
+        }
+
+        const indices = new Uint8Array(this.width * this.height);
+        for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+            indices[i] = this.findColor(pixels[p], pixels[p + 1], pixels[p + 2]);
+        }
+
+        const delay = Math.round(this.delay / 10); // centésimos de segundo
+        const bytes = [
+            // Graphic Control Extension (sem transparência, quadro substitui o anterior)
+            0x21, 0xF9, 0x04, 0x04, delay & 0xFF, (delay >> 8) & 0xFF, 0x00, 0x00,
+            // Image Descriptor (usa a paleta global)
+            0x2C, 0, 0, 0, 0,
+            this.width & 0xFF, (this.width >> 8) & 0xFF,
+            this.height & 0xFF, (this.height >> 8) & 0xFF,
+            0x00
+        ];
+
+        this.chunks.push(new Uint8Array(bytes));
+        this.chunks.push(GifEncoder.lzwEncode(indices, GifEncoder.MIN_CODE_SIZE));
+        this.frameCount++;
+    }
+
+    /**
+     * Escreve assinatura, descritor da tela, paleta global e extensão de repetição
+     */
+    writeHeader() {
+        const header = [
+            0x47, 0x49, 0x46, 0x38, 0x39, 0x61, // "GIF89a"
+            this.width & 0xFF, (this.width >> 8) & 0xFF,
+            this.height & 0xFF, (this.height >> 8) & 0xFF,
+            0xF7, // paleta global com 256 cores (8 bits por canal)
+            0x00, 0x00
+        ];
+        this.chunks.push(new Uint8Array(header));
+        this.chunks.push(this.palette);
+
+        if (this.repeat >= 0) {
+            this.chunks.push(new Uint8Array([
+                0x21, 0xFF, 0x0B,
+                0x4E, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2E, 0x30, // "NETSCAPE2.0"
+                0x03, 0x01, this.repeat & 0xFF, (this.repeat >> 8) & 0xFF, 0x00
+            ]));
+        }
+    }
+
+    /**
+     * Encerra o arquivo
+     * @returns {Uint8Array} Bytes do GIF
+     */
+    finish() {
+        if (this.frameCount === 0) {
+            throw new Error('GIF sem quadros');
+        }
+
+        this.chunks.push(new Uint8Array([0x3B]));
+
+        const length = this.chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const output = new Uint8Array(length);
+        let offset = 0;
+        for (const chunk of this.chunks) {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        this.chunks = [];
+        return output;
+    }
+
+    /**
+     * Chave de 15 bits de uma cor (5 bits por canal)
+     * @param {number} r - Vermelho
+     * @param {number} g - Verde
+     * @param {number} b - Azul
+     * @returns {number} Chave
+     */
+    static colorKey(r, g, b) {
+        return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    }
+
+    /**
+     * Comprime os índices de um quadro com LZW de tamanho variável, em sub-blocos de até 255 bytes
+     * @param {Uint8Array} indices - Índices na paleta
+     * @param {number} minCodeSize - Tamanho mínimo do código (bits por índice)
+     * @returns {Uint8Array} Dados da imagem (tamanho mínimo + sub-blocos + terminador)
+     */
+    static lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const bytes = [minCodeSize];
+        let block = [];
+
+        let bitBuffer = 0;
+        let bitCount = 0;
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let dictionary = new Map(); // (prefixo << 8 | índice) -> código
+
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                block.push(bitBuffer & 0xFF);
+                bitBuffer >>= 8;
+                bitCount -= 8;
+                if (block.length === 255) {
+                    bytes.push(255, ...block);
+                    block = [];
+                }
+            }
+        };
+
+        emit(clearCode);
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = (prefix << 8) | index;
+            const code = dictionary.get(key);
+
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+
+            if (nextCode < GifEncoder.MAX_CODE) {
+                dictionary.set(key, nextCode);
+                // O decodificador aumenta o tamanho um código depois: comparar com o próximo
+                if (nextCode === (1 << codeSize)) {
+                    codeSize++;
+                }
+                nextCode++;
+            } else {
+                // Dicionário cheio: reiniciar
+                emit(clearCode);
+                dictionary = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+
+            prefix = index;
+        }
+
+        emit(prefix);
+        emit(endCode);
+
+        if (bitCount > 0) {
+            block.push(bitBuffer & 0xFF);
+        }
+        if (block.length > 0) {
+            bytes.push(block.length, ...block);
+        }
+        bytes.push(0x00);
+
+        return new Uint8Array(bytes);
+    }
+}
+
+// Limites do formato
+GifEncoder.MAX_COLORS = 256;
+GifEncoder.MIN_CODE_SIZE = 8;
+GifEncoder.MAX_CODE = 4096;
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GifEncoder;
+}
@@ -174,6 +174,8 @@ class Logger {
      * Atualiza o painel de debug na interface
      */
     updateDebugPanel() {
+        if (typeof document === 'undefined') return;
+        
         const debugPanel = document.getElementById('debugContent');
         if (!debugPanel || !this.debugMode) return;
 
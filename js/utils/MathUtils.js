@@ -43,20 +43,22 @@ const MathUtils = {
      * Gera um número aleatório entre min e max
      * @param {number} min - Valor mínimo
      * @param {number} max - Valor máximo
+     * @param {SeededRandom} rng - Gerador com semente (opcional, padrão Math.random)
      * @returns {number} Número aleatório
      */
-    random(min = 0, max = 1) {
-        return Math.random() * (max - min) + min;
+    random(min = 0, max = 1, rng = null) {
+        return (rng ? rng.next() : Math.random()) * (max - min) + min;
     },
 
     /**
      * Gera um número inteiro aleatório entre min e max (inclusive)
      * @param {number} min - Valor mínimo
      * @param {number} max - Valor máximo
+     * @param {SeededRandom} rng - Gerador com semente (opcional, padrão Math.random)
      * @returns {number} Inteiro aleatório
      */
-    randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    randomInt(min, max, rng = null) {
+        return Math.floor((rng ? rng.next() : Math.random()) * (max - min + 1)) + min;
     },
 
     /**
@@ -171,6 +173,94 @@ const MathUtils = {
         return this.distanceSquared(x1, y1, x2, y2) <= minDist * minDist;
     },
 
+    /**
+     * Verifica se um ponto está dentro de um polígono (ray casting)
+     * @param {number} px - X do ponto
+     * @param {number} py - Y do ponto
+     * @param {Array<{x: number, y: number}>} points - Vértices do polígono
+     * @returns {boolean} True se o ponto está dentro
+     */
+    pointInPolygon(px, py, points) {
+        let inside = false;
+
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+
+            if ((a.y > py) !== (b.y > py) &&
+                px < (b.x - a.x) * (py - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    },
+
+    /**
+     * Calcula o ponto mais próximo de um segmento
+     * @param {number} px - X do ponto
+     * @param {number} py - Y do ponto
+     * @param {number} ax - X do início do segmento
+     * @param {number} ay - Y do início do segmento
+     * @param {number} bx - X do fim do segmento
+     * @param {number} by - Y do fim do segmento
+     * @returns {{x: number, y: number}} Ponto mais próximo
+     */
+    closestPointOnSegment(px, py, ax, ay, bx, by) {
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSq = dx * dx + dy * dy;
+
+        if (lengthSq === 0) {
+            return { x: ax, y: ay };
+        }
+
+        const t = this.clamp(((px - ax) * dx + (py - ay) * dy) / lengthSq, 0, 1);
+        return { x: ax + dx * t, y: ay + dy * t };
+    },
+
+    /**
+     * Verifica se dois segmentos se cruzam
+     * @param {number} ax - X do início do segmento 1
+     * @param {number} ay - Y do início do segmento 1
+     * @param {number} bx - X do fim do segmento 1
+     * @param {number} by - Y do fim do segmento 1
+     * @param {number} cx - X do início do segmento 2
+     * @param {number} cy - Y do início do segmento 2
+     * @param {number} dx - X do fim do segmento 2
+     * @param {number} dy - Y do fim do segmento 2
+     * @returns {boolean} True se há interseção
+     */
+    segmentsIntersect(ax, ay, bx, by, cx, cy, dx, dy) {
+        const denominator = (bx - ax) * (dy - cy) - (by - ay) * (dx - cx);
+
+        // Segmentos paralelos não bloqueiam (sobreposição colinear é ignorada)
+        if (denominator === 0) {
+            return false;
+        }
+
+        const t = ((cx - ax) * (dy - cy) - (cy - ay) * (dx - cx)) / denominator;
+        const u = ((cx - ax) * (by - ay) - (cy - ay) * (bx - ax)) / denominator;
+
+        return t >= 0 && t <= 1 && u >= 0 && u <= 1;
+    },
+
+    /**
+     * Verifica se um segmento cruza um círculo
+     * @param {number} ax - X do início do segmento
+     * @param {number} ay - Y do início do segmento
+     * @param {number} bx - X do fim do segmento
+     * @param {number} by - Y do fim do segmento
+     * @param {number} cx - X do centro do círculo
+     * @param {number} cy - Y do centro do círculo
+     * @param {number} radius - Raio do círculo
+     * @returns {boolean} True se há interseção
+     */
+    segmentIntersectsCircle(ax, ay, bx, by, cx, cy, radius) {
+        const closest = this.closestPointOnSegment(cx, cy, ax, ay, bx, by);
+        return this.pointInCircle(closest.x, closest.y, cx, cy, radius);
+    },
+
     /**
      * Arredonda um número para N casas decimais
      * @param {number} value - Valor a arredondar
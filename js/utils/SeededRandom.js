@@ -0,0 +1,94 @@
+/**
+ * SeededRandom.js
+ * Gerador de números pseudoaleatórios com semente (mulberry32)
+ * Substitui Math.random() para que cada tentativa possa ser reproduzida exatamente
+ */
+
+class SeededRandom {
+    /**
+     * Cria um novo gerador
+     * @param {number} seed - Semente inteira (32 bits); aleatória se omitida
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Redefine a semente e reinicia a sequência
+     * @param {number} seed - Semente inteira (32 bits)
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Retorna a semente atual
+     * @returns {number} Semente
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Gera o próximo número no intervalo [0, 1)
+     * @returns {number} Número pseudoaleatório
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Gera um número entre min e max
+     * @param {number} min - Valor mínimo
+     * @param {number} max - Valor máximo
+     * @returns {number} Número pseudoaleatório
+     */
+    range(min = 0, max = 1) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Gera um inteiro entre min e max (inclusive)
+     * @param {number} min - Valor mínimo
+     * @param {number} max - Valor máximo
+     * @returns {number} Inteiro pseudoaleatório
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Retorna true com a probabilidade informada
+     * @param {number} probability - Probabilidade (0-1)
+     * @returns {boolean} Resultado do sorteio
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Deriva uma nova semente a partir da sequência atual
+     * @returns {number} Semente inteira (32 bits)
+     */
+    nextSeed() {
+        return Math.floor(this.next() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Gera uma semente a partir de Math.random (única fonte não determinística)
+     * @returns {number} Semente inteira (32 bits)
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+}
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
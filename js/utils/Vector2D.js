@@ -234,10 +234,11 @@ class Vector2D {
     /**
      * Cria um vetor aleatório
      * @param {number} magnitude - Magnitude do vetor
+     * @param {SeededRandom} rng - Gerador com semente (opcional, padrão Math.random)
      * @returns {Vector2D} Novo vetor aleatório
      */
-    static random(magnitude = 1) {
-        const angle = Math.random() * Math.PI * 2;
+    static random(magnitude = 1, rng = null) {
+        const angle = (rng ? rng.next() : Math.random()) * Math.PI * 2;
         return Vector2D.fromAngle(angle, magnitude);
     }
 
@@ -0,0 +1,140 @@
+/**
+ * ZipWriter.js
+ * Gerador de arquivos ZIP sem dependências (método "store", sem compressão)
+ * Suficiente para agrupar CSVs exportados em um único download
+ */
+
+class ZipWriter {
+    /**
+     * Cria um novo arquivo ZIP vazio
+     */
+    constructor() {
+        this.entries = []; // { nameBytes, size, crc, time, day, offset } para o diretório central
+        this.chunks = [];
+        this.offset = 0;
+    }
+
+    /**
+     * Adiciona um arquivo
+     * @param {string} name - Nome do arquivo dentro do ZIP
+     * @param {string|Uint8Array} content - Conteúdo (texto é gravado em UTF-8)
+     * @param {Date} date - Data de modificação
+     */
+    addFile(name, content, date = new Date()) {
+        const encoder = new TextEncoder();
+        const nameBytes = encoder.encode(name);
+        const data = typeof content === 'string' ? encoder.encode(content) : content;
+        const crc = ZipWriter.crc32(data);
+        const { time, day } = ZipWriter.dosDateTime(date);
+
+        // Cabeçalho local (bit 11: nome em UTF-8)
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true); // versão necessária (2.0)
+        header.setUint16(6, 0x0800, true);
+        header.setUint16(8, 0, true); // sem compressão
+        header.setUint16(10, time, true);
+        header.setUint16(12, day, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        this.entries.push({ nameBytes, size: data.length, crc, time, day, offset: this.offset });
+        this.chunks.push(new Uint8Array(header.buffer), nameBytes, data);
+        this.offset += 30 + nameBytes.length + data.length;
+    }
+
+    /**
+     * Escreve o diretório central e encerra o arquivo
+     * @returns {Uint8Array} Bytes do ZIP
+     */
+    finish() {
+        const directoryOffset = this.offset;
+        let directorySize = 0;
+
+        for (const entry of this.entries) {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014B50, true);
+            header.setUint16(4, 20, true); // versão que criou
+            header.setUint16(6, 20, true); // versão necessária
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, entry.time, true);
+            header.setUint16(14, entry.day, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, entry.nameBytes.length, true);
+            header.setUint32(42, entry.offset, true); // demais campos (extra, comentário, atributos) zerados
+
+            this.chunks.push(new Uint8Array(header.buffer), entry.nameBytes);
+            directorySize += 46 + entry.nameBytes.length;
+        }
+
+        // Fim do diretório central
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, directoryOffset, true);
+        this.chunks.push(new Uint8Array(end.buffer));
+
+        const length = this.chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const output = new Uint8Array(length);
+        let offset = 0;
+        for (const chunk of this.chunks) {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        this.chunks = [];
+        return output;
+    }
+
+    /**
+     * CRC-32 (polinômio 0xEDB88320) usado pelo formato ZIP
+     * @param {Uint8Array} bytes - Dados
+     * @returns {number} CRC sem sinal
+     */
+    static crc32(bytes) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Data e hora no formato MS-DOS (resolução de 2 s, a partir de 1980)
+     * @param {Date} date - Data
+     * @returns {Object} { time, day }
+     */
+    static dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            day: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+}
+
+// Tabela do CRC-32 (criada no primeiro uso)
+ZipWriter.crcTable = null;
+
+// Exportar
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipWriter;
+}